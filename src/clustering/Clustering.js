@@ -0,0 +1,189 @@
+import { Matrix } from "../matrix/index.js";
+import { Randomizer } from "../util/index.js";
+import copy_parameters from "../util/copy_parameters.js";
+
+/**
+ * @class
+ * @alias Clustering
+ * @borrows Clustering#parameter as Clustering#para
+ * @borrows Clustering#parameter as Clustering#p
+ */
+export class Clustering {
+    /**
+     * Takes the default parameters and seals them, and initializes the random number generator.
+     * The clustering gets computed on first access of its results, and again after a parameter changed.
+     * Subclasses compute it in <code>init</code>, which has to set <code>_labels</code> (the cluster of each point, -1 for noise) and <code>_num_clusters</code>.
+     * @constructor
+     * @memberof module:clustering
+     * @alias Clustering
+     * @param {Matrix|number[][]} points - the data, or a distance matrix if metric is "precomputed".
+     * @param {object} default_parameters - the parameters of the clustering method with their default values.
+     * @param {object} [parameters] - Object containing parameterization of the clustering method.
+     * @returns {Clustering}
+     */
+    constructor(points, default_parameters, parameters) {
+        for (const name of Object.keys(parameters ?? {})) {
+            if (!default_parameters.hasOwnProperty(name)) {
+                throw new Error(`${name} is not a valid parameter!`);
+            }
+        }
+        // the parameters as the user gave them, the clustering methods may adapt this._parameters to the data
+        this._user_parameters = copy_parameters(parameters ?? {});
+        this._parameters = Object.assign(Object.seal(default_parameters), parameters);
+        if (points instanceof Matrix) {
+            this._matrix = points;
+        } else if (Matrix.isArray(points)) {
+            this._matrix = Matrix.from(points);
+        } else {
+            throw new Error("No valid type for points!");
+        }
+        [this._N, this._D] = this._matrix.shape;
+        if (this._parameters.metric === "precomputed" && this._N !== this._D) {
+            throw new Error("If metric is 'precomputed', then points has to be a square distance matrix!");
+        }
+        const seed = this._parameters.seed;
+        this._randomizer = seed instanceof Randomizer ? seed : new Randomizer(seed);
+        this._is_initialized = false;
+        return this;
+    }
+
+    /**
+     * Set and get parameters
+     * @param {string} [name = null] - Name of the parameter. If not given then returns all parameters as an Object.
+     * @param {any} [value = null] - Value of the parameter to set. If <code>name</code> is set and <code>value</code> is not given, returns the value of the respective parameter.
+     * @returns {Clustering|any|object}
+     * On setting a parameter, this function returns the Clustering object, which computes the clustering anew on the next access.
+     * If <code>name</code> is set and <code>value == null</code> then return actual parameter value.
+     * If <code>name</code> is not given, then returns all parameters as an Object.
+     *
+     * @example
+     * const kmeans = new druid.KMeans(X, { K: 3 });
+     * kmeans.parameter("K"); // returns 3,
+     * kmeans.parameter("K", 4).labels; // clusters with K = 4.
+     */
+    parameter(name = null, value = null) {
+        if (name === null) {
+            return Object.assign({}, this._parameters);
+        }
+        if (!this._parameters.hasOwnProperty(name)) {
+            throw new Error(`${name} is not a valid parameter!`);
+        }
+        if (value !== null) {
+            this._parameters[name] = value;
+            this._user_parameters[name] = value;
+            if (name === "seed") this._randomizer = value instanceof Randomizer ? value : new Randomizer(value);
+            this._is_initialized = false;
+            return this;
+        } else {
+            return this._parameters[name];
+        }
+    }
+
+    para(name = null, value = null) {
+        return this.parameter(name, value);
+    }
+
+    p(name = null, value = null) {
+        return this.parameter(name, value);
+    }
+
+    /**
+     * Computes the clustering, if not done yet.
+     * @returns {Clustering}
+     */
+    check_init() {
+        if (!this._is_initialized) {
+            this.init();
+            this._is_initialized = true;
+        }
+        return this;
+    }
+
+    /**
+     * Clusters the {@link points}.
+     * @param {Matrix|number[][]} [points = null] - the data. If given, the clustering method gets set up anew with {@link points} and the parameters given by the user,
+     * not those adapted to the previous data.
+     * @returns {Clustering}
+     */
+    fit(points = null) {
+        if (points !== null && points !== this._matrix) {
+            const fresh = new this.constructor(points, copy_parameters(this._user_parameters));
+            for (const key of Object.keys(this)) delete this[key];
+            Object.assign(this, fresh);
+        }
+        return this.check_init();
+    }
+
+    /**
+     * Clusters the {@link points} and returns their labels.
+     * @param {Matrix|number[][]} [points = null] - the data. If given, the clustering method gets set up anew with {@link points} and the current parameters.
+     * @returns {number[]} the cluster of each point, -1 for noise.
+     */
+    fit_predict(points = null) {
+        return this.fit(points).labels;
+    }
+
+    /**
+     * The cluster of each point, numbered from 0. Noise points get the label -1.
+     * @type {number[]}
+     */
+    get labels() {
+        this.check_init();
+        return Array.from(this._labels);
+    }
+
+    /**
+     * @returns {number[]} the cluster of each point, -1 for noise. The same as {@link Clustering#labels}.
+     */
+    get_cluster_list() {
+        return this.labels;
+    }
+
+    /**
+     * @returns {Array<Array>} - Array of clusters with the indices of the rows in given {@link points}. Noise points are in no cluster.
+     */
+    get_clusters() {
+        const labels = this.labels;
+        const clusters = Array.from({ length: this._num_clusters }, () => []);
+        labels.forEach((label, i) => {
+            if (label >= 0) clusters[label].push(i);
+        });
+        return clusters;
+    }
+
+    /**
+     * Assigns new points to the clusters.
+     * Only methods which represent clusters by centroids, medoids or distributions can do this.
+     * @param {Matrix|number[][]} [points = null] - the new points. If metric is "precomputed", their distances to the clustered points. If null, returns {@link Clustering#labels}.
+     * @returns {number[]} the cluster of each new point.
+     */
+    predict(points = null) {
+        if (points === null) return this.labels;
+        const X = this._check_points(points);
+        this.check_init();
+        return this._predict(X);
+    }
+
+    /**
+     * @private
+     * @param {Matrix} X - the new points.
+     * @returns {number[]}
+     */
+    _predict(X) {
+        throw new Error(`${this.constructor.name} can not assign new points to clusters!`);
+    }
+
+    /**
+     * @private
+     * @param {Matrix|number[][]} points - new points.
+     * @returns {Matrix} the {@link points} with the number of columns checked.
+     */
+    _check_points(points) {
+        const X = points instanceof Matrix ? points : Matrix.from(points);
+        const cols = this._parameters.metric === "precomputed" ? this._N : this._D;
+        if (X.cols !== cols) {
+            throw new Error(`The new points need ${cols} columns, but have ${X.cols}!`);
+        }
+        return X;
+    }
+}
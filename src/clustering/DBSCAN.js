@@ -0,0 +1,84 @@
+import { euclidean } from "../metrics/index.js";
+import { Clustering } from "./Clustering.js";
+
+/**
+ * @class
+ * @alias DBSCAN
+ * @extends Clustering
+ */
+export class DBSCAN extends Clustering {
+    /**
+     * **D**ensity-**B**ased **S**patial **C**lustering of **A**pplications with **N**oise.
+     * Points with at least {@link min_points} points (themselves included) within distance {@link epsilon} are core points.
+     * Each cluster consists of connected core points and the points within their {@link epsilon}-neighborhoods, all other points are noise.
+     * @constructor
+     * @memberof module:clustering
+     * @alias DBSCAN
+     * @param {Matrix|number[][]} points - the data.
+     * @param {object} parameters - Object containing parameterization of the clustering method.
+     * @param {number} [parameters.epsilon = 0.5] - the maximum distance between two neighbors.
+     * @param {number} [parameters.min_points = 5] - the minimum size of the {@link epsilon}-neighborhood of a core point.
+     * @param {function|"precomputed"} [parameters.metric = euclidean] - the distance metric which defines the distance between two points of the {@link points}.
+     * If "precomputed", then {@link points} has to be a distance matrix.
+     * @returns {DBSCAN}
+     * @see {@link https://www.aaai.org/Papers/KDD/1996/KDD96-037.pdf}
+     */
+    constructor(points, parameters) {
+        super(points, { epsilon: 0.5, min_points: 5, metric: euclidean }, parameters);
+        return this;
+    }
+
+    /**
+     * Computes the clustering.
+     * @returns {DBSCAN}
+     */
+    init() {
+        const N = this._matrix.shape[0];
+        const min_points = this._parameters.min_points;
+        const labels = new Array(N).fill(undefined);
+        let cluster = 0;
+        for (let i = 0; i < N; ++i) {
+            if (labels[i] !== undefined) continue;
+            const neighbors = this._region_query(i);
+            if (neighbors.length < min_points) {
+                labels[i] = -1;
+                continue;
+            }
+            labels[i] = cluster;
+            const seeds = neighbors;
+            for (let s = 0; s < seeds.length; ++s) {
+                const j = seeds[s];
+                // noise points reached from a core point become border points
+                if (labels[j] === -1) labels[j] = cluster;
+                if (labels[j] !== undefined) continue;
+                labels[j] = cluster;
+                const neighbors_j = this._region_query(j);
+                if (neighbors_j.length >= min_points) {
+                    seeds.push(...neighbors_j);
+                }
+            }
+            ++cluster;
+        }
+        this._labels = labels;
+        this._num_clusters = cluster;
+        return this;
+    }
+
+    /**
+     * @private
+     * @param {Number} i - the index of a point of {@link points}.
+     * @returns {Number[]} the indices of the points within distance {@link epsilon} of the {@link i}-th point, including itself.
+     */
+    _region_query(i) {
+        const matrix = this._matrix;
+        const { metric, epsilon } = this._parameters;
+        const N = matrix.shape[0];
+        const x_i = matrix.row(i);
+        const neighbors = [];
+        for (let j = 0; j < N; ++j) {
+            const distance = metric === "precomputed" ? x_i[j] : metric(x_i, matrix.row(j));
+            if (distance <= epsilon) neighbors.push(j);
+        }
+        return neighbors;
+    }
+}
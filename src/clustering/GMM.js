@@ -0,0 +1,302 @@
+import { Matrix } from "../matrix/index.js";
+import { cholesky, forward_substitution } from "../linear_algebra/index.js";
+import { Clustering } from "./Clustering.js";
+import { KMeans } from "./KMeans.js";
+
+/**
+ * @class
+ * @alias GMM
+ * @extends Clustering
+ */
+export class GMM extends Clustering {
+    /**
+     * Gaussian Mixture Model, fitted with the Expectation-Maximization algorithm.
+     * Each point belongs to each of the {@link K} Gaussians with a probability, its cluster is the most probable one.
+     * @constructor
+     * @memberof module:clustering
+     * @alias GMM
+     * @param {Matrix|number[][]} points - the data.
+     * @param {object} parameters - Object containing parameterization of the clustering method.
+     * @param {number} [parameters.K = 2] - the number of Gaussians.
+     * @param {"full"|"diag"|"spherical"} [parameters.covariance_type = "full"] - each Gaussian has its own general covariance matrix ("full"), diagonal covariance matrix ("diag"), or single variance ("spherical").
+     * @param {number} [parameters.max_iter = 100] - the maximum number of EM iterations.
+     * @param {number} [parameters.tol = 1e-3] - stops when the mean log-likelihood of the points improves less than this.
+     * @param {number} [parameters.seed = 1987] - the seed for the KMeans initialization.
+     * @param {number} [parameters.reg_covar = 1e-6] - gets added to the variances, keeps the covariance matrices positive definite.
+     * @returns {GMM}
+     * @see {@link https://doi.org/10.1111/j.2517-6161.1977.tb01600.x}
+     */
+    constructor(points, parameters) {
+        super(points, { K: 2, covariance_type: "full", max_iter: 100, tol: 1e-3, seed: 1987, reg_covar: 1e-6 }, parameters);
+        const covariance_type = this._parameters.covariance_type;
+        if (covariance_type !== "full" && covariance_type !== "diag" && covariance_type !== "spherical") {
+            throw new Error(`${covariance_type} is not a valid covariance type! Use "full", "diag" or "spherical".`);
+        }
+        return this;
+    }
+
+    /**
+     * Initializes the Gaussians with the clusters of KMeans, then runs EM until convergence or {@link max_iter} iterations.
+     * @returns {GMM}
+     */
+    init() {
+        const N = this._N;
+        const { max_iter, tol, seed } = this._parameters;
+        const K = (this._K = Math.min(this._parameters.K, N));
+        const assignments = new Matrix(N, K, 0);
+        new KMeans(this._matrix, { K, seed }).labels.forEach((k, i) => assignments.set_entry(i, k, 1));
+        this._m_step(assignments);
+
+        let lower_bound = -Infinity;
+        this._converged = false;
+        this._n_iter = 0;
+        for (let iter = 0; iter < max_iter; ++iter) {
+            const { responsibilities, log_likelihood } = this._e_step(this._matrix);
+            this._m_step(responsibilities);
+            ++this._n_iter;
+            const new_lower_bound = log_likelihood / N;
+            if (Math.abs(new_lower_bound - lower_bound) < tol) {
+                this._converged = true;
+                break;
+            }
+            lower_bound = new_lower_bound;
+        }
+        this._labels = this._predict(this._matrix);
+        this._num_clusters = K;
+        return this;
+    }
+
+    /**
+     * Computes the probabilities of the points to belong to each Gaussian.
+     * @private
+     * @param {Matrix} X
+     * @returns {{responsibilities: Matrix, log_likelihood: Number}} the probabilities, and the log-likelihood of {@link X}.
+     */
+    _e_step(X) {
+        const K = this._K;
+        const log_prob = this._weighted_log_prob(X);
+        const responsibilities = new Matrix(X.rows, K, 0);
+        let log_likelihood = 0;
+        for (let i = 0; i < X.rows; ++i) {
+            const row = log_prob.row(i);
+            const log_sum = logsumexp(row);
+            log_likelihood += log_sum;
+            for (let k = 0; k < K; ++k) {
+                responsibilities.set_entry(i, k, Math.exp(row[k] - log_sum));
+            }
+        }
+        return { responsibilities, log_likelihood };
+    }
+
+    /**
+     * Estimates the weights, means and covariances of the Gaussians from the {@link responsibilities}.
+     * @private
+     * @param {Matrix} responsibilities - the probability of each point to belong to each Gaussian.
+     */
+    _m_step(responsibilities) {
+        const X = this._matrix;
+        const N = this._N;
+        const D = this._D;
+        const K = this._K;
+        const { covariance_type, reg_covar } = this._parameters;
+        const weights = new Float64Array(K);
+        const means = [];
+        const covariances = [];
+        const choleskys = [];
+        for (let k = 0; k < K; ++k) {
+            const r_k = responsibilities.col(k);
+            // keeps empty Gaussians from dividing by zero
+            const n_k = r_k.reduce((sum, r) => sum + r, 0) + 10 * Number.EPSILON;
+            weights[k] = n_k / N;
+            const mean = new Float64Array(D);
+            for (let i = 0; i < N; ++i) {
+                const x_i = X.row(i);
+                for (let d = 0; d < D; ++d) {
+                    mean[d] += (r_k[i] * x_i[d]) / n_k;
+                }
+            }
+            means.push(mean);
+            if (covariance_type === "full") {
+                const covariance = new Matrix(D, D, 0);
+                for (let i = 0; i < N; ++i) {
+                    const x_i = X.row(i);
+                    for (let a = 0; a < D; ++a) {
+                        for (let b = 0; b <= a; ++b) {
+                            covariance.add_entry(a, b, (r_k[i] * (x_i[a] - mean[a]) * (x_i[b] - mean[b])) / n_k);
+                        }
+                    }
+                }
+                for (let a = 0; a < D; ++a) {
+                    covariance.add_entry(a, a, reg_covar);
+                    for (let b = 0; b < a; ++b) {
+                        covariance.set_entry(b, a, covariance.entry(a, b));
+                    }
+                }
+                covariances.push(covariance);
+                try {
+                    choleskys.push(cholesky(covariance));
+                } catch {
+                    throw new Error("A covariance matrix is not positive definite, increase reg_covar!");
+                }
+            } else {
+                const variances = new Float64Array(D);
+                for (let i = 0; i < N; ++i) {
+                    const x_i = X.row(i);
+                    for (let d = 0; d < D; ++d) {
+                        variances[d] += (r_k[i] * (x_i[d] - mean[d]) ** 2) / n_k;
+                    }
+                }
+                if (covariance_type === "diag") {
+                    covariances.push(variances.map((v) => v + reg_covar));
+                } else {
+                    covariances.push(variances.reduce((sum, v) => sum + v, 0) / D + reg_covar);
+                }
+            }
+        }
+        this._weights = weights;
+        this._means = means;
+        this._covariances = covariances;
+        this._choleskys = choleskys;
+    }
+
+    /**
+     * @private
+     * @param {Matrix} X
+     * @returns {Matrix} the logarithm of the weighted density of each Gaussian at each point.
+     */
+    _weighted_log_prob(X) {
+        const D = this._D;
+        const K = this._K;
+        const covariance_type = this._parameters.covariance_type;
+        const log_2_pi = Math.log(2 * Math.PI);
+        const log_prob = new Matrix(X.rows, K, 0);
+        const diff = new Float64Array(D);
+        for (let k = 0; k < K; ++k) {
+            const mean = this._means[k];
+            const covariance = this._covariances[k];
+            let log_det;
+            if (covariance_type === "full") {
+                log_det = 2 * this._choleskys[k].diag.reduce((sum, l) => sum + Math.log(l), 0);
+            } else if (covariance_type === "diag") {
+                log_det = covariance.reduce((sum, v) => sum + Math.log(v), 0);
+            } else {
+                log_det = D * Math.log(covariance);
+            }
+            for (let i = 0; i < X.rows; ++i) {
+                const x_i = X.row(i);
+                for (let d = 0; d < D; ++d) {
+                    diff[d] = x_i[d] - mean[d];
+                }
+                let mahalanobis = 0;
+                if (covariance_type === "full") {
+                    mahalanobis = forward_substitution(this._choleskys[k], diff).reduce((sum, z) => sum + z * z, 0);
+                } else if (covariance_type === "diag") {
+                    for (let d = 0; d < D; ++d) mahalanobis += diff[d] ** 2 / covariance[d];
+                } else {
+                    for (let d = 0; d < D; ++d) mahalanobis += diff[d] ** 2 / covariance;
+                }
+                log_prob.set_entry(i, k, Math.log(this._weights[k]) - 0.5 * (D * log_2_pi + log_det + mahalanobis));
+            }
+        }
+        return log_prob;
+    }
+
+    /**
+     * Computes the probabilities of each point to belong to each Gaussian.
+     * @param {Matrix|number[][]} [A = null] - the points, if null the fitted data.
+     * @returns {Matrix|number[][]} one row per point, one column per Gaussian.
+     */
+    predict_proba(A = null) {
+        const X = A === null ? this._matrix : this._check_points(A);
+        this.check_init();
+        const { responsibilities } = this._e_step(X);
+        return A === null || A instanceof Matrix ? responsibilities : responsibilities.asArray;
+    }
+
+    /**
+     * @private
+     * @param {Matrix} X - the new points.
+     * @returns {number[]} the index of the most probable Gaussian of each point.
+     */
+    _predict(X) {
+        const log_prob = this._weighted_log_prob(X);
+        return Array.from({ length: X.rows }, (_, i) => {
+            const row = log_prob.row(i);
+            return row.indexOf(Math.max(...row));
+        });
+    }
+
+    /**
+     * @param {Matrix|number[][]} [A = null] - the points, if null the fitted data.
+     * @returns {Number} the log-likelihood of the points under the mixture.
+     */
+    log_likelihood(A = null) {
+        const X = A === null ? this._matrix : this._check_points(A);
+        this.check_init();
+        return this._e_step(X).log_likelihood;
+    }
+
+    /**
+     * @private
+     * @returns {Number} the number of free parameters of the mixture.
+     */
+    _n_parameters() {
+        const D = this._D;
+        const K = this._K;
+        const covariance_parameters = {
+            full: (K * D * (D + 1)) / 2,
+            diag: K * D,
+            spherical: K,
+        }[this._parameters.covariance_type];
+        return covariance_parameters + K * D + K - 1;
+    }
+
+    /**
+     * Bayesian information criterion, to choose the number of Gaussians. Lower is better.
+     * @param {Matrix|number[][]} [A = null] - the points, if null the fitted data.
+     * @returns {Number}
+     */
+    bic(A = null) {
+        const n = A === null ? this._N : this._check_points(A).rows;
+        return -2 * this.log_likelihood(A) + this._n_parameters() * Math.log(n);
+    }
+
+    /**
+     * Akaike information criterion, to choose the number of Gaussians. Lower is better.
+     * @param {Matrix|number[][]} [A = null] - the points, if null the fitted data.
+     * @returns {Number}
+     */
+    aic(A = null) {
+        return -2 * this.log_likelihood(A) + 2 * this._n_parameters();
+    }
+
+    /**
+     * Returns the fitted mixture. The covariances are matrices for covariance_type "full", the variances of each dimension for "diag", and single variances for "spherical".
+     * @returns {{weights: Float64Array, means: Float64Array[], covariances: Matrix[]|Float64Array[]|Number[], converged: Boolean, n_iter: Number}}
+     */
+    get_parameters() {
+        this.check_init();
+        return {
+            weights: this._weights,
+            means: this._means,
+            covariances: this._covariances,
+            converged: this._converged,
+            n_iter: this._n_iter,
+        };
+    }
+}
+
+/**
+ * @private
+ * @param {Float64Array} values
+ * @returns {Number} log(sum(exp(values))), without overflow.
+ */
+function logsumexp(values) {
+    const max = Math.max(...values);
+    if (!isFinite(max)) return max;
+    let sum = 0;
+    for (const v of values) {
+        sum += Math.exp(v - max);
+    }
+    return max + Math.log(sum);
+}
@@ -0,0 +1,288 @@
+import { euclidean } from "../metrics/index.js";
+import { Heap, DisjointSet } from "../datastructure/index.js";
+import { BallTree, KNN } from "../knn/index.js";
+import { Clustering } from "./Clustering.js";
+
+/**
+ * @class
+ * @alias HDBSCAN
+ * @extends Clustering
+ */
+export class HDBSCAN extends Clustering {
+    /**
+     * **H**ierarchical **D**ensity-**B**ased **S**patial **C**lustering of **A**pplications with **N**oise.
+     * Builds the minimum spanning tree of the mutual reachability graph, condenses its single linkage hierarchy to clusters of at least {@link min_cluster_size} points,
+     * and selects the clusters with the highest stability. Points in no selected cluster are noise.
+     * @constructor
+     * @memberof module:clustering
+     * @alias HDBSCAN
+     * @param {Matrix|number[][]} points - the data.
+     * @param {object} parameters - Object containing parameterization of the clustering method.
+     * @param {number} [parameters.min_cluster_size = 5] - the minimum number of points of a cluster.
+     * @param {number} [parameters.min_samples = null] - the number of nearest neighbors (the point itself included) which define the core distance of a point. If null, {@link min_cluster_size} gets used.
+     * @param {function|"precomputed"} [parameters.metric = euclidean] - the distance metric which defines the distance between two points of the {@link points}.
+     * If "precomputed", then {@link points} has to be a distance matrix.
+     * @returns {HDBSCAN}
+     * @see {@link https://doi.org/10.1145/2733381}
+     * @see {@link https://hdbscan.readthedocs.io/en/latest/how_hdbscan_works.html}
+     */
+    constructor(points, parameters) {
+        super(points, { min_cluster_size: 5, min_samples: null, metric: euclidean }, parameters);
+        if (this._parameters.min_cluster_size < 2) {
+            throw new Error("Parameter min_cluster_size has to be at least 2!");
+        }
+        return this;
+    }
+
+    /**
+     * Computes the clustering.
+     * @returns {HDBSCAN}
+     */
+    init() {
+        this._core_distances = this._compute_core_distances();
+        const edges = this._minimum_spanning_tree();
+        const hierarchy = this._single_linkage(edges);
+        this._condensed_tree = this._condense(hierarchy);
+        this._select_clusters();
+        return this;
+    }
+
+    /**
+     * @private
+     * @param {Number} i
+     * @param {Number} j
+     * @returns {Number} the distance between the {@link i}-th and the {@link j}-th point.
+     */
+    _distance(i, j) {
+        const matrix = this._matrix;
+        const metric = this._parameters.metric;
+        return metric === "precomputed" ? matrix.entry(i, j) : metric(matrix.row(i), matrix.row(j));
+    }
+
+    /**
+     * Computes for each point the distance to its {@link min_samples}-th nearest neighbor.
+     * @private
+     * @returns {Float64Array}
+     */
+    _compute_core_distances() {
+        const matrix = this._matrix;
+        const metric = this._parameters.metric;
+        const N = matrix.shape[0];
+        const k = Math.min(this._parameters.min_samples ?? this._parameters.min_cluster_size, N);
+        const searcher = metric === "precomputed" ? new KNN(matrix, "precomputed") : new BallTree(matrix.to2dArray, metric);
+        return Float64Array.from({ length: N }, (_, i) => {
+            return searcher
+                .search_index(i, k)
+                .raw_data()
+                .reduce((max, { value }) => Math.max(max, value), 0);
+        });
+    }
+
+    /**
+     * Computes the minimum spanning tree of the mutual reachability graph with Prim's algorithm,
+     * where the mutual reachability distance of two points is the maximum of their distance and their core distances.
+     * @private
+     * @returns {{a: Number, b: Number, distance: Number}[]} the edges of the minimum spanning tree.
+     */
+    _minimum_spanning_tree() {
+        const N = this._matrix.shape[0];
+        const core_distances = this._core_distances;
+        const in_tree = new Uint8Array(N);
+        const best = new Float64Array(N).fill(Infinity);
+        const from = new Int32Array(N);
+        const edges = [];
+        let current = 0;
+        for (let n = 1; n < N; ++n) {
+            in_tree[current] = 1;
+            let next = -1;
+            for (let j = 0; j < N; ++j) {
+                if (in_tree[j]) continue;
+                const distance = Math.max(this._distance(current, j), core_distances[current], core_distances[j]);
+                if (distance < best[j]) {
+                    best[j] = distance;
+                    from[j] = current;
+                }
+                if (next < 0 || best[j] < best[next]) next = j;
+            }
+            edges.push({ a: from[next], b: next, distance: best[next] });
+            current = next;
+        }
+        return edges;
+    }
+
+    /**
+     * Merges the points along the edges of the minimum spanning tree in ascending order of their distance.
+     * The merges get the ids N, ..., 2N - 2, the points keep their indices.
+     * @private
+     * @param {{a: Number, b: Number, distance: Number}[]} edges - the edges of the minimum spanning tree.
+     * @returns {{left: Int32Array, right: Int32Array, distance: Float64Array, size: Int32Array}} the single linkage hierarchy, indexed by node id.
+     */
+    _single_linkage(edges) {
+        const N = this._matrix.shape[0];
+        const left = new Int32Array(2 * N - 1).fill(-1);
+        const right = new Int32Array(2 * N - 1).fill(-1);
+        const distance = new Float64Array(2 * N - 1);
+        const size = new Int32Array(2 * N - 1).fill(1);
+        const points = Array.from({ length: N }, (_, i) => ({ index: i }));
+        const components = new DisjointSet(points);
+        // the node of the hierarchy which the component of each root currently is
+        const nodes = new Map(points.map((p) => [p, p.index]));
+        const queue = Heap.heapify(edges, (e) => e.distance, "min");
+        let id = N;
+        while (!queue.empty) {
+            const { a, b, distance: d } = queue.pop().element;
+            const root_a = components.find(points[a]);
+            const root_b = components.find(points[b]);
+            left[id] = nodes.get(root_a);
+            right[id] = nodes.get(root_b);
+            distance[id] = d;
+            size[id] = size[left[id]] + size[right[id]];
+            components.union(root_a, root_b);
+            nodes.set(components.find(root_a), id);
+            ++id;
+        }
+        return { left, right, distance, size };
+    }
+
+    /**
+     * Condenses the single linkage hierarchy: walking down from the root, a split only creates new clusters if both sides have at least {@link min_cluster_size} points,
+     * otherwise the points of the smaller sides fall out of the cluster. λ = 1 / distance is the density level of a split.
+     * @private
+     * @param {{left: Int32Array, right: Int32Array, distance: Float64Array, size: Int32Array}} hierarchy
+     * @returns {{parent: Number, child: Number, lambda: Number, size: Number}[]} the condensed tree. Children below N are points, from N on clusters, with the root cluster N.
+     */
+    _condense({ left, right, distance, size }) {
+        const N = this._matrix.shape[0];
+        const min_cluster_size = this._parameters.min_cluster_size;
+        const condensed_tree = [];
+        const leaves = (node) => {
+            const result = [];
+            const stack = [node];
+            while (stack.length > 0) {
+                const n = stack.pop();
+                if (n < N) result.push(n);
+                else stack.push(left[n], right[n]);
+            }
+            return result;
+        };
+        let next_label = N + 1;
+        const root = 2 * N - 2;
+        const stack = root >= N ? [[root, N]] : [];
+        while (stack.length > 0) {
+            const [node, label] = stack.pop();
+            const lambda = distance[node] > 0 ? 1 / distance[node] : Infinity;
+            const children = [left[node], right[node]];
+            const big = children.map((child) => size[child] >= min_cluster_size);
+            if (big[0] && big[1]) {
+                for (const child of children) {
+                    const child_label = next_label++;
+                    condensed_tree.push({ parent: label, child: child_label, lambda, size: size[child] });
+                    stack.push([child, child_label]);
+                }
+            } else {
+                children.forEach((child, c) => {
+                    if (big[c]) {
+                        stack.push([child, label]);
+                    } else {
+                        for (const p of leaves(child)) {
+                            condensed_tree.push({ parent: label, child: p, lambda, size: 1 });
+                        }
+                    }
+                });
+            }
+        }
+        return condensed_tree;
+    }
+
+    /**
+     * Selects the clusters of the condensed tree with excess of mass: a cluster gets selected if its stability is at least the summed stability of its selected descendants.
+     * The stability of a cluster is the sum of λ_p - λ_birth over the points and clusters which leave it. The root cluster never gets selected.
+     * Then labels the points, and computes their outlier scores.
+     * @private
+     */
+    _select_clusters() {
+        const N = this._matrix.shape[0];
+        const condensed_tree = this._condensed_tree;
+        const n_clusters = condensed_tree.reduce((max, { child }) => Math.max(max, child - N + 1), 1);
+        const birth = new Float64Array(n_clusters);
+        const parent_of = new Int32Array(n_clusters).fill(-1);
+        const child_clusters = Array.from({ length: n_clusters }, () => []);
+        for (const { parent, child, lambda } of condensed_tree) {
+            if (child < N) continue;
+            birth[child - N] = lambda;
+            parent_of[child - N] = parent - N;
+            child_clusters[parent - N].push(child - N);
+        }
+        const stability = new Float64Array(n_clusters);
+        for (const { parent, lambda, size } of condensed_tree) {
+            stability[parent - N] += (lambda - birth[parent - N]) * size;
+        }
+
+        // children always have higher ids than their parents
+        const selected = new Uint8Array(n_clusters);
+        for (let c = n_clusters - 1; c > 0; --c) {
+            const children = child_clusters[c];
+            const subtree_stability = children.reduce((sum, child) => sum + stability[child], 0);
+            if (children.length > 0 && subtree_stability > stability[c]) {
+                stability[c] = subtree_stability;
+            } else {
+                selected[c] = 1;
+                const stack = [...children];
+                while (stack.length > 0) {
+                    const d = stack.pop();
+                    selected[d] = 0;
+                    stack.push(...child_clusters[d]);
+                }
+            }
+        }
+
+        // label of the selected cluster each cluster lies in
+        const labels_of = new Int32Array(n_clusters).fill(-1);
+        let num_clusters = 0;
+        for (let c = 1; c < n_clusters; ++c) {
+            labels_of[c] = selected[c] ? num_clusters++ : labels_of[parent_of[c]];
+        }
+
+        // GLOSH: compare the density level at which a point leaves with the highest one of its cluster
+        const max_lambda = new Float64Array(n_clusters);
+        for (const { parent, child, lambda } of condensed_tree) {
+            if (child < N) max_lambda[parent - N] = Math.max(max_lambda[parent - N], lambda);
+        }
+        for (let c = n_clusters - 1; c > 0; --c) {
+            max_lambda[parent_of[c]] = Math.max(max_lambda[parent_of[c]], max_lambda[c]);
+        }
+
+        const labels = new Array(N).fill(-1);
+        const outlier_scores = new Float64Array(N);
+        for (const { parent, child, lambda } of condensed_tree) {
+            if (child >= N) continue;
+            labels[child] = labels_of[parent - N];
+            const lambda_max = max_lambda[parent - N];
+            outlier_scores[child] = lambda_max > 0 && isFinite(lambda_max) ? (lambda_max - lambda) / lambda_max : 0;
+        }
+        this._stability = stability;
+        this._labels = labels;
+        this._num_clusters = num_clusters;
+        this._outlier_scores = outlier_scores;
+    }
+
+    /**
+     * Returns the GLOSH outlier score of each point, between 0 for points in the densest part of their cluster and 1 for outliers.
+     * @returns {Float64Array}
+     * @see {@link https://doi.org/10.1145/2733381}
+     */
+    get_outlier_scores() {
+        this.check_init();
+        return this._outlier_scores.slice();
+    }
+
+    /**
+     * Returns the condensed tree. Children below N are points, from N on clusters, with the root cluster N.
+     * λ is the inverse of the mutual reachability distance at which the child leaves its parent.
+     * @returns {{parent: Number, child: Number, lambda: Number, size: Number}[]}
+     */
+    get_condensed_tree() {
+        this.check_init();
+        return this._condensed_tree.map((entry) => ({ ...entry }));
+    }
+}
@@ -1,40 +1,190 @@
 import { euclidean } from "../metrics/index.js";
-import { Matrix } from "../matrix/index.js";
+import { Matrix, distance_matrix } from "../matrix/index.js";
+import { DisjointSet } from "../datastructure/index.js";
+import { Clustering } from "./Clustering.js";
 /**
  * @class
  * @alias Hierarchical_Clustering
+ * @extends Clustering
  */
-export class Hierarchical_Clustering {
+export class Hierarchical_Clustering extends Clustering {
     /**
+     * Agglomerative clustering, which merges the two closest clusters until only the root of the tree is left.
+     * The {@link labels} come from cutting the tree at {@link cut_value}.
+     * Ward, centroid and median linkage assume euclidean distances.
+     * Single linkage, and ward, centroid and median linkage with the euclidean metric, need memory linear in the number of points N.
+     * The other linkages, metrics and precomputed distances keep the N(N - 1)/2 distances between the clusters, i.e., about 400 MB for N = 10 000.
      * @constructor
      * @memberof module:clustering
      * @alias Hierarchical_Clustering
-     * @todo needs restructuring.
-     * @param {Matrix} - Data or distance matrix if metric is 'precomputed'
-     * @param {("single"|"complete"|"average")} [linkage = "complete"]
-     * @param {Function|"precomputed"} [metric = euclidean]
+     * @param {Matrix|number[][]} points - Data or distance matrix if metric is 'precomputed'
+     * @param {object} parameters - Object containing parameterization of the clustering method.
+     * @param {("single"|"complete"|"average"|"weighted"|"ward"|"centroid"|"median")} [parameters.linkage = "complete"]
+     * @param {Function|"precomputed"} [parameters.metric = euclidean]
+     * @param {Number} [parameters.cut_value = Infinity] - value where to cut the tree for the {@link labels}.
+     * @param {("distance"|"depth"|"clusters")} [parameters.cut_type = "distance"] - type of {@link cut_value}.
+     * @param {Boolean} [parameters.optimal_ordering = false] - if true, the children of the nodes get swapped such that the sum of the distances between neighboring leaves is minimal.
      * @returns {Hierarchical_Clustering}
      */
-    constructor(matrix, linkage = "complete", metric = euclidean) {
-        this._id = 0;
-        this._matrix = matrix instanceof Matrix ? matrix : Matrix.from(matrix);
-        this._metric = metric;
-        this._linkage = linkage;
-        if (metric === "precomputed" && this._matrix.rows !== this._matrix.cols) {
-            throw new Error("If metric is 'precomputed', then matrix has to be square!");
+    constructor(points, parameters) {
+        super(points, { linkage: "complete", metric: euclidean, cut_value: Infinity, cut_type: "distance", optimal_ordering: false }, parameters);
+        const linkage = this._parameters.linkage;
+        if (!["single", "complete", "average", "weighted", "ward", "centroid", "median"].includes(linkage)) {
+            throw new Error(`${linkage} is not a valid linkage!`);
         }
-        this.init();
-        this.root = this.do();
         return this;
     }
 
+    /**
+     * The root of the tree.
+     * @type {Cluster}
+     */
+    get root() {
+        this.check_init();
+        return this._root;
+    }
+
     /**
      *
-     * @param {Number} value - value where to cut the tree.
-     * @param {("distance"|"depth")} [type = "distance"] - type of value.
-     * @returns {Array<Array>} - Array of clusters with the indices of the rows in given {@link matrix}.
+     * @param {Number} [value = cut_value] - value where to cut the tree.
+     * @param {("distance"|"depth"|"clusters")} [type = cut_type] - type of value. With "clusters", the last value - 1 merges get undone, which results in value clusters.
+     * @returns {Array<Array>} - Array of clusters with the indices of the rows in given {@link points}.
+     */
+    get_clusters(value = this._parameters.cut_value, type = this._parameters.cut_type) {
+        this.check_init();
+        return this._cut(value, type);
+    }
+
+    /**
+     * Returns the tree as linkage matrix, like the one of scipy.
+     * Row i describes the merge which created the cluster with id N + i, the points have the ids 0, ..., N - 1.
+     * @returns {Matrix} - N - 1 rows of [id of the left child, id of the right child, distance, number of points].
+     * @see {@link https://docs.scipy.org/doc/scipy/reference/generated/scipy.cluster.hierarchy.linkage.html}
+     */
+    get_linkage() {
+        this.check_init();
+        const nodes = this._merges();
+        return Matrix.from(nodes.map(({ left, right, dist, size }) => [left.id, right.id, dist, size]));
+    }
+
+    /**
+     * Returns the tree as nested objects, which d3.hierarchy takes as it is.
+     * Leaves have the index of their point, the other nodes their two children.
+     * @returns {{id: Number, distance: Number, size: Number, index?: Number, children?: Array<Object>}}
+     * @see {@link https://d3js.org/d3-hierarchy/hierarchy}
+     */
+    get_dendrogram() {
+        this.check_init();
+        const nodes = new Map();
+        const to_object = (node) => {
+            if (nodes.has(node.id)) return nodes.get(node.id);
+            return { id: node.id, distance: node.dist, size: node.size, index: node.index };
+        };
+        for (const node of this._merges()) {
+            nodes.set(node.id, {
+                id: node.id,
+                distance: node.dist,
+                size: node.size,
+                children: [to_object(node.left), to_object(node.right)],
+            });
+        }
+        return to_object(this._root);
+    }
+
+    /**
+     * @returns {Number[]} - the indices of the points in the order of the leaves of the tree, from left to right.
+     */
+    get_leaf_order() {
+        return leaves(this.root).slice();
+    }
+
+    /**
+     * Returns the cophenetic distances: the distance of two points is the distance at which the tree merges their clusters.
+     * @returns {Matrix}
+     */
+    get_cophenetic_distances() {
+        this.check_init();
+        const N = this._N;
+        const C = new Matrix(N, N, 0);
+        for (const { left, right, dist } of this._merges()) {
+            for (const i of leaves(left)) {
+                for (const j of leaves(right)) {
+                    C.set_entry(i, j, dist);
+                    C.set_entry(j, i, dist);
+                }
+            }
+        }
+        return C;
+    }
+
+    /**
+     * Computes the cophenetic correlation coefficient, the Pearson correlation between the distances of the points and their cophenetic distances.
+     * The closer to 1, the better the tree preserves the distances.
+     * @returns {Number}
      */
-    get_clusters(value, type = "distance") {
+    get_cophenetic_correlation() {
+        const N = this._N;
+        const D = this._point_distances();
+        const C = this.get_cophenetic_distances();
+        const n = (N * (N - 1)) / 2;
+        let mean_d = 0;
+        let mean_c = 0;
+        for (let i = 0; i < N; ++i) {
+            for (let j = i + 1; j < N; ++j) {
+                mean_d += D.entry(i, j) / n;
+                mean_c += C.entry(i, j) / n;
+            }
+        }
+        let cov = 0;
+        let var_d = 0;
+        let var_c = 0;
+        for (let i = 0; i < N; ++i) {
+            for (let j = i + 1; j < N; ++j) {
+                const d = D.entry(i, j) - mean_d;
+                const c = C.entry(i, j) - mean_c;
+                cov += d * c;
+                var_d += d * d;
+                var_c += c * c;
+            }
+        }
+        return cov / Math.sqrt(var_d * var_c);
+    }
+
+    /**
+     * @private
+     * @returns {Cluster[]} the inner nodes of the tree, in the order of their merges.
+     */
+    _merges() {
+        const N = this._N;
+        const nodes = new Array(N - 1);
+        const stack = [this._root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.isLeaf) continue;
+            nodes[node.id - N] = node;
+            stack.push(node.left, node.right);
+        }
+        return nodes;
+    }
+
+    /**
+     * @private
+     * @returns {Matrix} the distances between the points.
+     */
+    _point_distances() {
+        const metric = this._parameters.metric;
+        if (metric === "precomputed") return this._matrix;
+        if (!this._distances) this._distances = distance_matrix(this._matrix, metric);
+        return this._distances;
+    }
+
+    /**
+     * @private
+     * @param {Number} value
+     * @param {("distance"|"depth"|"clusters")} type
+     * @returns {Array<Array>}
+     */
+    _cut(value, type) {
         let clusters = [];
         let accessor;
         switch (type) {
@@ -44,11 +194,21 @@ export class Hierarchical_Clustering {
             case "depth":
                 accessor = (d) => d.depth;
                 break;
+            case "clusters": {
+                const N = this._N;
+                if (!Number.isInteger(value) || value < 1 || value > N) {
+                    throw new Error(`The number of clusters has to be an integer between 1 and ${N}!`);
+                }
+                // the clusters with the ids N, ..., 2N - 2 result from the merges in that order
+                accessor = (d) => d.id;
+                value = 2 * N - 1 - value;
+                break;
+            }
             default:
                 throw new Error("invalid type");
         }
-        this._traverse(this.root, accessor, value, clusters);
-        return clusters;
+        this._traverse(this._root, accessor, value, clusters);
+        return clusters.map((cluster) => cluster.map((leaf) => leaf.index));
     }
 
     /**
@@ -59,132 +219,388 @@ export class Hierarchical_Clustering {
      * @param {*} result
      */
     _traverse(node, f, value, result) {
-        if (f(node) <= value) {
-            result.push(node.leaves());
-        } else {
-            this._traverse(node.left, f, value, result);
-            this._traverse(node.right, f, value, result);
+        const stack = [node];
+        while (stack.length > 0) {
+            const n = stack.pop();
+            if (f(n) <= value) {
+                result.push(n.leaves());
+            } else {
+                stack.push(n.right, n.left);
+            }
         }
     }
 
     /**
-     * computes the tree.
+     * Computes the tree, and cuts it at {@link cut_value}.
+     * @returns {Hierarchical_Clustering}
      */
     init() {
-        const metric = this._metric;
-        const A = this._matrix;
-        const n = (this._n = A.rows);
-        const d_min = (this._d_min = new Float64Array(n));
-        let distance_matrix;
-        if (metric !== "precomputed") {
-            distance_matrix = new Matrix(n, n, 0); //new Array(n);
-            for (let i = 0; i < n; ++i) {
-                d_min[i] = 0;
-                //distance_matrix[i] = new Float64Array(n);
-                for (let j = 0; j < n; ++j) {
-                    distance_matrix.set_entry(i, j, i === j ? Infinity : metric(A.row(i), A.row(j)));
-                    if (distance_matrix.entry(i, d_min[i]) > distance_matrix.entry(i, j)) {
-                        d_min[i] = j;
-                    }
-                }
-            }
+        this._distances = null;
+        this._root = this.do();
+        if (this._parameters.optimal_ordering) this._optimal_leaf_ordering();
+        const labels = new Array(this._N).fill(-1);
+        const { cut_value, cut_type } = this._parameters;
+        const clusters = this._cut(cut_value, cut_type);
+        clusters.forEach((cluster, c) => cluster.forEach((i) => (labels[i] = c)));
+        this._labels = labels;
+        this._num_clusters = clusters.length;
+        return this;
+    }
+
+    /**
+     * Computes the tree: single linkage from the minimum spanning tree, the other reducible linkages with the nearest-neighbor chain,
+     * and centroid and median linkage, whose merge distances can decrease, with the generic algorithm.
+     * @returns {Cluster} the root of the tree.
+     */
+    do() {
+        const linkage = this._parameters.linkage;
+        let merges;
+        if (linkage === "single") {
+            merges = this._minimum_spanning_tree().sort((a, b) => a.distance - b.distance);
+        } else if (linkage === "centroid" || linkage === "median") {
+            merges = this._generic_linkage();
         } else {
-            distance_matrix = this._matrix.clone();
-            for (let i = 0; i < n; ++i) {
-                for (let j = 0; j < n; ++j) {
-                    if (i === j) {
-                        distance_matrix.set_entry(i, j, Infinity);
-                    } else if (distance_matrix.entry(i, d_min[i]) > distance_matrix.entry(i, j)) {
-                        d_min[i] = j;
-                    }
-                }
+            merges = this._nn_chain().sort((a, b) => a.distance - b.distance);
+        }
+        return this._build_tree(merges);
+    }
+
+    /**
+     * @private
+     * @returns {Function} the function which computes the distance between the i-th and the j-th point.
+     */
+    _distance_function() {
+        const matrix = this._matrix;
+        const metric = this._parameters.metric;
+        if (metric === "precomputed") return (i, j) => matrix.entry(i, j);
+        const rows = Array.from({ length: this._N }, (_, i) => matrix.row(i));
+        return (i, j) => metric(rows[i], rows[j]);
+    }
+
+    /**
+     * Computes the distances between the points, as the upper triangle of the distance matrix without its diagonal.
+     * @private
+     * @returns {{D: Float64Array, index: Function}} the distances, and the function which maps i and j to the position of their distance.
+     */
+    _condensed_distances() {
+        const N = this._N;
+        const index = (i, j) => (i < j ? i * N - (i * (i + 1)) / 2 + j - i - 1 : j * N - (j * (j + 1)) / 2 + i - j - 1);
+        const distance = this._distance_function();
+        const D = new Float64Array((N * (N - 1)) / 2);
+        for (let i = 0, k = 0; i < N; ++i) {
+            for (let j = i + 1; j < N; ++j) {
+                D[k++] = distance(i, j);
             }
         }
-        this._distance_matrix = distance_matrix;
-        const clusters = (this._clusters = new Array(n));
-        const c_size = (this._c_size = new Uint16Array(n));
-        for (let i = 0; i < n; ++i) {
-            clusters[i] = [];
-            clusters[i][0] = new Cluster(this._id++, null, null, 0, A.row(i), i, 1, 0);
-            c_size[i] = 1;
+        return { D, index };
+    }
+
+    /**
+     * The distances between the clusters, which the nearest-neighbor chain and the generic algorithm merge. Each cluster is known by the index of one of its points.
+     * Ward, centroid and median linkage with the euclidean metric compute them from the centroids and the sizes of the clusters.
+     * Otherwise, the Lance–Williams formula updates the condensed distance matrix.
+     * @private
+     * @returns {{distance: Function, merge: Function}} the distance between the clusters i and j, and the function which merges cluster a into cluster b at their distance, the merged cluster replaces b.
+     */
+    _cluster_distances() {
+        const N = this._N;
+        const { linkage, metric } = this._parameters;
+        const size = new Float64Array(N).fill(1);
+        if (metric === euclidean && (linkage === "ward" || linkage === "centroid" || linkage === "median")) {
+            const A = this._matrix;
+            const centroids = Array.from({ length: N }, (_, i) => A.row(i));
+            const distance =
+                linkage === "ward"
+                    ? (i, j) => Math.sqrt((2 * size[i] * size[j]) / (size[i] + size[j])) * euclidean(centroids[i], centroids[j])
+                    : (i, j) => euclidean(centroids[i], centroids[j]);
+            const merge = (a, b) => {
+                // median linkage takes the midpoint of the merged centroids, whatever the sizes of the clusters
+                const w = linkage === "median" ? 0.5 : size[a] / (size[a] + size[b]);
+                const centroid_a = centroids[a];
+                centroids[b] = centroids[b].map((c, d) => w * centroid_a[d] + (1 - w) * c);
+                centroids[a] = null;
+                size[b] += size[a];
+            };
+            return { distance, merge };
         }
-        return this;
+        const { D, index } = this._condensed_distances();
+        const update = lance_williams(linkage);
+        const active = new Uint8Array(N).fill(1);
+        const distance = (i, j) => D[index(i, j)];
+        const merge = (a, b, d_ab) => {
+            for (let k = 0; k < N; ++k) {
+                if (!active[k] || k === a || k === b) continue;
+                D[index(k, b)] = update(D[index(k, a)], D[index(k, b)], d_ab, size[a], size[b], size[k]);
+            }
+            active[a] = 0;
+            size[b] += size[a];
+        };
+        return { distance, merge };
     }
 
     /**
-     * computes the tree.
+     * Single linkage merges the clusters along the edges of the minimum spanning tree, which Prim's algorithm finds without storing the distance matrix.
+     * @private
+     * @returns {{a: Number, b: Number, distance: Number}[]} the edges of the minimum spanning tree.
      */
-    do() {
-        const n = this._n;
-        const d_min = this._d_min;
-        const D = this._distance_matrix;
-        const clusters = this._clusters;
-        const c_size = this._c_size;
-        const linkage = this._linkage;
-        let root = null;
-        for (let p = 0, p_max = n - 1; p < p_max; ++p) {
-            let c1 = 0;
-            for (let i = 0; i < n; ++i) {
-                let D_i_min = D.entry(i, d_min[i]);
-                for (let j = i + 1; j < n; ++j) {
-                    if (D_i_min > D.entry(i, j)) {
-                        d_min[i] = j;
-                        D_i_min = D.entry(i, d_min[i]);
+    _minimum_spanning_tree() {
+        const N = this._N;
+        const distance_to = this._distance_function();
+        const in_tree = new Uint8Array(N);
+        const best = new Float64Array(N).fill(Infinity);
+        const from = new Int32Array(N);
+        const edges = [];
+        let current = 0;
+        for (let n = 1; n < N; ++n) {
+            in_tree[current] = 1;
+            let next = -1;
+            for (let j = 0; j < N; ++j) {
+                if (in_tree[j]) continue;
+                const distance = distance_to(current, j);
+                if (distance < best[j]) {
+                    best[j] = distance;
+                    from[j] = current;
+                }
+                if (next < 0 || best[j] < best[next]) next = j;
+            }
+            edges.push({ a: from[next], b: next, distance: best[next] });
+            current = next;
+        }
+        return edges;
+    }
+
+    /**
+     * Follows a chain of nearest neighbors until two clusters are each other's nearest neighbors, and merges them.
+     * Only valid for linkages whose merges never get closer to the other clusters than the merged ones were, which excludes centroid and median linkage.
+     * @private
+     * @returns {{a: Number, b: Number, distance: Number}[]} the merges, not in order of their distance.
+     * @see {@link https://arxiv.org/abs/1109.2378}
+     */
+    _nn_chain() {
+        const N = this._N;
+        const { distance: cluster_distance, merge } = this._cluster_distances();
+        const active = new Uint8Array(N).fill(1);
+        const merges = [];
+        const chain = [];
+        for (let m = 0; m < N - 1; ++m) {
+            if (chain.length === 0) chain.push(active.indexOf(1));
+            let a, b, distance;
+            while (true) {
+                a = chain[chain.length - 1];
+                // prefer the predecessor on ties, otherwise the chain could cycle
+                b = chain.length > 1 ? chain[chain.length - 2] : -1;
+                distance = b >= 0 ? cluster_distance(a, b) : Infinity;
+                for (let x = 0; x < N; ++x) {
+                    if (!active[x] || x === a) continue;
+                    const d = cluster_distance(a, x);
+                    if (d < distance || b < 0) {
+                        distance = d;
+                        b = x;
                     }
                 }
+                if (chain.length > 1 && b === chain[chain.length - 2]) break;
+                chain.push(b);
             }
-            for (let i = 0; i < n; ++i) {
-                if (D.entry(i, d_min[i]) < D.entry(c1, d_min[c1])) {
-                    c1 = i;
+            chain.length -= 2;
+            merges.push({ a, b, distance });
+            merge(a, b, distance);
+            active[a] = 0;
+        }
+        return merges;
+    }
+
+    /**
+     * Merges the closest pair of clusters in each step, and keeps track of the nearest neighbor of each cluster.
+     * Works for all linkages, also if the merge distances are not monotonic.
+     * @private
+     * @returns {{a: Number, b: Number, distance: Number}[]} the merges, in order.
+     */
+    _generic_linkage() {
+        const N = this._N;
+        const { distance: cluster_distance, merge } = this._cluster_distances();
+        const active = new Uint8Array(N).fill(1);
+        const nn = new Int32Array(N).fill(-1);
+        const nn_distance = new Float64Array(N).fill(Infinity);
+        const find_nn = (i) => {
+            nn[i] = -1;
+            nn_distance[i] = Infinity;
+            for (let j = 0; j < N; ++j) {
+                if (!active[j] || j === i) continue;
+                const d = cluster_distance(i, j);
+                if (d < nn_distance[i] || nn[i] < 0) {
+                    nn[i] = j;
+                    nn_distance[i] = d;
                 }
             }
-            let c2 = d_min[c1];
-            let c1_cluster = clusters[c1][0];
-            let c2_cluster = clusters[c2][0];
-            let c1_cluster_indices = c1_cluster.isLeaf ? [c1_cluster.index] : c1_cluster.index;
-            let c2_cluster_indices = c2_cluster.isLeaf ? [c2_cluster.index] : c2_cluster.index;
-            let indices = c1_cluster_indices.concat(c2_cluster_indices);
-            let new_cluster = new Cluster(this._id++, c1_cluster, c2_cluster, D.entry(c1, c2), null, indices);
-            c1_cluster.parent = new_cluster;
-            c2_cluster.parent = new_cluster;
-            clusters[c1].unshift(new_cluster);
-            c_size[c1] += c_size[c2];
-            for (let j = 0; j < n; ++j) {
-                const D_c1_j = D.entry(c1, j);
-                const D_c2_j = D.entry(c2, j);
-                let value;
-                switch (linkage) {
-                    case "single":
-                        value = Math.min(D_c1_j, D_c2_j);
-                        break;
-                    case "complete":
-                        value = Math.max(D_c1_j, D_c2_j);
-                        break;
-                    case "average":
-                        value = (c_size[c1] * D_c1_j + c_size[c2] * D_c2_j) / (c_size[c1] + c_size[j]);
-                        break;
+        };
+        for (let i = 0; i < N; ++i) find_nn(i);
+        const merges = [];
+        for (let m = 0; m < N - 1; ++m) {
+            let a = -1;
+            for (let i = 0; i < N; ++i) {
+                if (active[i] && (a < 0 || nn_distance[i] < nn_distance[a])) a = i;
+            }
+            const b = nn[a];
+            const distance = nn_distance[a];
+            merges.push({ a, b, distance });
+            merge(a, b, distance);
+            active[a] = 0;
+            for (let k = 0; k < N; ++k) {
+                if (!active[k]) continue;
+                if (k === b || nn[k] === a || nn[k] === b) {
+                    find_nn(k);
+                    continue;
+                }
+                const d = cluster_distance(k, b);
+                if (d < nn_distance[k]) {
+                    nn[k] = b;
+                    nn_distance[k] = d;
                 }
-                D.set_entry(j, c1, value);
-                D.set_entry(c1, j, value);
             }
+        }
+        return merges;
+    }
 
-            D.set_entry(c1, c1, Infinity);
-            for (let i = 0; i < n; ++i) {
-                D.set_entry(i, c2, Infinity);
-                D.set_entry(c2, i, Infinity);
+    /**
+     * Builds the tree from the merges, in the given order. The merges refer to the clusters by any of their points.
+     * @private
+     * @param {{a: Number, b: Number, distance: Number}[]} merges
+     * @returns {Cluster} the root of the tree.
+     */
+    _build_tree(merges) {
+        const N = this._N;
+        const A = this._matrix;
+        const points = Array.from({ length: N }, (_, i) => ({ index: i }));
+        const components = new DisjointSet(points);
+        // the cluster which the component of each root currently is
+        const clusters = new Map(points.map((p, i) => [p, new Cluster(i, null, null, 0, A.row(i), i, 1, 0)]));
+        let root = clusters.get(points[0]);
+        let id = N;
+        for (const { a, b, distance } of merges) {
+            const root_a = components.find(points[a]);
+            const root_b = components.find(points[b]);
+            const left = clusters.get(root_a);
+            const right = clusters.get(root_b);
+            root = new Cluster(id++, left, right, distance, null, null);
+            left.parent = root;
+            right.parent = root;
+            components.union(root_a, root_b);
+            clusters.set(components.find(root_a), root);
+        }
+        return root;
+    }
+
+    /**
+     * Swaps the children of the nodes, such that the sum of the distances between neighboring leaves is minimal.
+     * M(i, j) is the minimal sum of a subtree ordered with the leaves i and j at its ends,
+     * computed bottom up, then the ends at the root get traced back down.
+     * @private
+     * @see {@link https://doi.org/10.1093/bioinformatics/17.suppl_1.S22}
+     */
+    _optimal_leaf_ordering() {
+        const N = this._N;
+        const D = this._point_distances();
+        const M = new Matrix(N, N, 0);
+        const nodes = this._merges();
+        // the leaves which can be at the other end of the subtree, if leaf i is at one end
+        const other_ends = (node) => {
+            if (node.isLeaf) return new Map([[node.index, [node.index]]]);
+            const left = leaves(node.left);
+            const right = leaves(node.right);
+            return new Map([...left.map((i) => [i, right]), ...right.map((i) => [i, left])]);
+        };
+        // the inner ends k and l, which connect the subtrees with the ends i and j
+        const best_connection = (left, right, i, j) => {
+            let best = { value: Infinity, k: -1, l: -1 };
+            for (const k of other_ends(left).get(i)) {
+                for (const l of other_ends(right).get(j)) {
+                    const value = M.entry(i, k) + D.entry(k, l) + M.entry(l, j);
+                    if (value < best.value) best = { value, k, l };
+                }
             }
+            return best;
+        };
 
-            /* for (let j = 0; j < n; ++j) {
-                if (d_min[j] === c2) {
-                    d_min[j] = c1;
+        for (const { left, right } of nodes) {
+            const left_ends = other_ends(left);
+            const right_ends = other_ends(right);
+            for (const [i, ks] of left_ends) {
+                // the best connection of i to each leaf of the right subtree
+                const to_right = new Map();
+                for (const l of right_ends.keys()) {
+                    let min = Infinity;
+                    for (const k of ks) min = Math.min(min, M.entry(i, k) + D.entry(k, l));
+                    to_right.set(l, min);
                 }
-                if (D.entry(c1, j) < D.entry(c1, d_min[c1])) {
-                    d_min[c1] = j;
+                for (const [j, ls] of right_ends) {
+                    let min = Infinity;
+                    for (const l of ls) min = Math.min(min, to_right.get(l) + M.entry(l, j));
+                    M.set_entry(i, j, min);
+                    M.set_entry(j, i, min);
                 }
-            } */
-            root = new_cluster;
+            }
+        }
+
+        const root = this._root;
+        if (root.isLeaf) return;
+        let start = { value: Infinity, i: -1, j: -1 };
+        for (const i of leaves(root.left)) {
+            for (const j of leaves(root.right)) {
+                if (M.entry(i, j) < start.value) start = { value: M.entry(i, j), i, j };
+            }
+        }
+        const stack = [[root, start.i, start.j]];
+        while (stack.length > 0) {
+            const [node, i, j] = stack.pop();
+            if (node.isLeaf) continue;
+            if (!leaves(node.left).includes(i)) {
+                [node.left, node.right] = [node.right, node.left];
+            }
+            const { k, l } = best_connection(node.left, node.right, i, j);
+            stack.push([node.left, i, k], [node.right, l, j]);
         }
-        return root;
+    }
+}
+
+/**
+ * @private
+ * @param {Cluster} node
+ * @returns {Number[]} the indices of the points in the subtree of {@link node}.
+ */
+function leaves(node) {
+    return node.isLeaf ? [node.index] : node.index;
+}
+
+/**
+ * @private
+ * @param {("single"|"complete"|"average"|"weighted"|"ward"|"centroid"|"median")} linkage
+ * @returns {Function} the Lance–Williams update, which computes the distance of cluster k to the merge of the clusters i and j
+ * from d(k, i), d(k, j), d(i, j) and the sizes of the clusters.
+ * @see {@link https://en.wikipedia.org/wiki/Ward%27s_method#Lance%E2%80%93Williams_algorithms}
+ */
+function lance_williams(linkage) {
+    switch (linkage) {
+        case "single":
+            return (d_ki, d_kj) => Math.min(d_ki, d_kj);
+        case "complete":
+            return (d_ki, d_kj) => Math.max(d_ki, d_kj);
+        case "average":
+            return (d_ki, d_kj, d_ij, n_i, n_j) => (n_i * d_ki + n_j * d_kj) / (n_i + n_j);
+        case "weighted":
+            return (d_ki, d_kj) => (d_ki + d_kj) / 2;
+        // ward, centroid and median linkage update the squared euclidean distances
+        case "ward":
+            return (d_ki, d_kj, d_ij, n_i, n_j, n_k) => {
+                const n = n_i + n_j + n_k;
+                return Math.sqrt(((n_k + n_i) * d_ki ** 2 + (n_k + n_j) * d_kj ** 2 - n_k * d_ij ** 2) / n);
+            };
+        case "centroid":
+            return (d_ki, d_kj, d_ij, n_i, n_j) => {
+                const n = n_i + n_j;
+                return Math.sqrt(Math.max(0, (n_i * d_ki ** 2 + n_j * d_kj ** 2) / n - (n_i * n_j * d_ij ** 2) / (n * n)));
+            };
+        case "median":
+            return (d_ki, d_kj, d_ij) => Math.sqrt(Math.max(0, d_ki ** 2 / 2 + d_kj ** 2 / 2 - d_ij ** 2 / 4));
     }
 }
 
@@ -194,43 +610,66 @@ class Cluster {
         this.left = left;
         this.right = right;
         this.dist = dist;
-        this.index = index;
+        this._index = index;
         this.size = size ?? left.size + right.size;
         this.depth = depth ?? 1 + Math.max(left.depth, right.depth);
-        this.centroid = centroid ?? this._calculate_centroid(left, right);
+        this._centroid = centroid;
         this.parent = null;
         return this;
     }
 
-    _calculate_centroid(left, right) {
-        const l_size = left.size;
-        const r_size = right.size;
-        const l_centroid = left.centroid;
-        const r_centroid = right.centroid;
-        const size = this.size;
-        const n = left.centroid.length;
-        const new_centroid = new Float64Array(n);
-        for (let i = 0; i < n; ++i) {
-            new_centroid[i] = (l_size * l_centroid[i] + r_size * r_centroid[i]) / size;
+    /**
+     * The mean of the points below the node, computed on first access.
+     * @type {Float64Array}
+     */
+    get centroid() {
+        if (!this._centroid) {
+            const leaves = this.leaves();
+            const centroid = new Float64Array(leaves[0]._centroid.length);
+            for (const leaf of leaves) {
+                const row = leaf._centroid;
+                for (let i = 0; i < centroid.length; ++i) centroid[i] += row[i] / leaves.length;
+            }
+            this._centroid = centroid;
         }
-        return new_centroid;
+        return this._centroid;
     }
 
     get isLeaf() {
         return this.depth === 0;
     }
 
+    /**
+     * The index of the point of a leaf, the indices of the points below an inner node.
+     * @type {Number|Number[]}
+     */
+    get index() {
+        return this.isLeaf ? this._index : this.leaves().map((leaf) => leaf._index);
+    }
+
     leaves() {
-        if (this.isLeaf) return [this];
-        const left = this.left;
-        const right = this.right;
-        return (left.isLeaf ? [left] : left.leaves()).concat(right.isLeaf ? [right] : right.leaves());
+        const result = [];
+        const stack = [this];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.isLeaf) result.push(node);
+            else stack.push(node.right, node.left);
+        }
+        return result;
     }
 
     descendants() {
-        if (this.isLeaf) return [this];
-        const left_descendants = this.left.descendants();
-        const right_descendants = this.right.descendants();
-        return left_descendants.concat(right_descendants).concat([this]);
+        // post-order, the children before their parent
+        const result = [];
+        const stack = [[this, false]];
+        while (stack.length > 0) {
+            const [node, visited] = stack.pop();
+            if (node.isLeaf || visited) {
+                result.push(node);
+            } else {
+                stack.push([node, true], [node.right, false], [node.left, false]);
+            }
+        }
+        return result;
     }
 }
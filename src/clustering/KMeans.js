@@ -1,174 +1,245 @@
-import { euclidean } from "../metrics/index.js";
-import { Randomizer } from "../util/index.js";
-import { Heap } from "../datastructure/index.js";
-import { linspace } from "../matrix/index.js";
+import { euclidean, euclidean_squared } from "../metrics/index.js";
+import { Clustering } from "./Clustering.js";
 
 /**
  * @class
  * @alias KMeans
+ * @extends Clustering
  */
-export class KMeans {
+export class KMeans extends Clustering {
     /**
+     * Lloyd's algorithm, which alternately assigns the points to their nearest centroid and moves the centroids to the mean of their points.
      * @constructor
      * @memberof module:clustering
      * @alias KMeans
-     * @todo needs restructuring. 
-     * @param {Matrix} matrix 
-     * @param {Numbers} K 
-     * @param {Function} [metric = euclidean] 
-     * @param {Number} [seed = 1987]
-     * @param {Boolean} [init = true]
+     * @param {Matrix|number[][]} points - the data.
+     * @param {object} parameters - Object containing parameterization of the clustering method.
+     * @param {number} [parameters.K = 2] - the number of clusters.
+     * @param {function} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {number|Randomizer} [parameters.seed = 1987] - the seed for the random number generator, or a random number generator to share.
+     * @param {"kmeans++"|"random"|Array<Float64Array>} [parameters.init = "kmeans++"] - how to choose the initial centroids:
+     * with k-means++ seeding, {@link K} random points, or the given {@link K} centroids.
+     * @param {number} [parameters.n_init = 1] - the number of runs with different initial centroids, the one with the lowest inertia wins. Only one run if {@link init} gives the centroids.
+     * @param {number} [parameters.max_iter = 300] - the maximum number of iterations of a run.
+     * @param {number} [parameters.tol = 1e-4] - a run stops when the centroids move less than this, relative to the mean variance of the features.
+     * @param {object} [default_parameters] - the additional parameters of subclasses with their default values.
      * @returns {KMeans}
      */
-    constructor(matrix, K, metric = euclidean, seed=1987, init = true) {
-        this._metric = metric;
-        this._matrix = matrix;
-        this._K = K;
-        const [N, D] = matrix.shape;
-        this._N = N;
-        this._D = D;
-        if (K > N) K = N;
-        this._randomizer = new Randomizer(seed);
-        this._clusters = new Array(N).fill(undefined);
-        this._cluster_centroids = this._get_random_centroids(K);
-        if (init) this.init(K, this._cluster_centroids);
+    constructor(points, parameters, default_parameters = {}) {
+        super(points, { K: 2, metric: euclidean, seed: 1987, init: "kmeans++", n_init: 1, max_iter: 300, tol: 1e-4, ...default_parameters }, parameters);
+        const { K, metric, init } = this._parameters;
+        if (metric === "precomputed") {
+            throw new Error(`${this.constructor.name} needs the coordinates of the points to compute the centroids, use KMedoids for a precomputed distance matrix!`);
+        }
+        if (!Array.isArray(init) && init !== "kmeans++" && init !== "random") {
+            throw new Error(`${init} is not a valid init! Use "kmeans++", "random", or an array of centroids.`);
+        }
+        if (Array.isArray(init) && init.length !== K) {
+            throw new Error(`Parameter init gives ${init.length} centroids, but K is ${K}!`);
+        }
         return this;
     }
 
     /**
-     * @returns {Array<Array>} - Array of clusters with the indices of the rows in given {@link matrix}. 
+     * The centroids of the clusters.
+     * @returns {Array<Float64Array>}
+     */
+    get_centroids() {
+        this.check_init();
+        return this._cluster_centroids;
+    }
+
+    /**
+     * The sum of the squared distances of the points to their nearest centroid.
+     * @type {number}
      */
-    get_clusters() {
-        const K = this._K;
-        const clusters = this._clusters;
-        const result = new Array(K).fill().map(() => new Array());
-        clusters.forEach((c, i) => result[c].push(i));
-        return result;
+    get inertia() {
+        this.check_init();
+        return this._inertia;
     }
 
     /**
+     * Chooses the initial centroids.
      * @private
-     * @param {Array} points 
-     * @param {Array} candidates 
+     * @param {number} K - the number of centroids.
+     * @returns {Array<Float64Array>}
      */
-    _furthest_point(points, candidates) {
+    _initial_centroids(K) {
+        const init = this._parameters.init;
         const A = this._matrix;
-        const metric = this._metric;
-        let i = points.length;
-        let H = Heap.heapify(
-            candidates, 
-            (d) => {
-                const Ad = A.row(d)
-                let sum = 0;
-                for (let j = 0; j < i; ++j) {
-                    sum += metric(Ad, points[j])
-                }
-                return sum;
-            }, 
-            "max"
-        )
-        return H.pop().element;
+        if (Array.isArray(init)) {
+            return init.map((centroid) => Float64Array.from(centroid));
+        }
+        // copies, the iterations change the centroids in place
+        if (init === "random") {
+            return this._randomizer.choice(A, K).map((row) => Float64Array.from(row));
+        }
+        return this._kmeans_plus_plus(K);
     }
 
-    _get_random_centroids(K) {
+    /**
+     * k-means++ seeding: each further centroid is a point, drawn with probability proportional to its squared distance to the nearest centroid so far.
+     * @private
+     * @param {number} K - the number of centroids.
+     * @returns {Array<Float64Array>}
+     * @see {@link https://dl.acm.org/doi/10.5555/1283383.1283494}
+     */
+    _kmeans_plus_plus(K) {
         const N = this._N;
-        const randomizer = this._randomizer;
         const A = this._matrix;
-        const cluster_centroids = new Array(K).fill()
-        const indices = linspace(0, N - 1);
-        const random_point = randomizer.random_int % (N - 1);
-        cluster_centroids[0] = A.row(random_point);
-        const init_points = [random_point];
-        const sample_size = Math.floor((N - K) / K);// / K
-        for (let i = 1; i < K; ++i) {
-            // sampling + kmeans++ improvement?
-            const sample = randomizer.choice(indices.filter(d => init_points.indexOf(d) == -1), sample_size);
-            const furthest_point = this._furthest_point(cluster_centroids.slice(0, i), sample);
-            init_points.push(furthest_point);
-            cluster_centroids[i] = A.row(furthest_point);
+        const metric = this._parameters.metric;
+        const randomizer = this._randomizer;
+        const centroids = [Float64Array.from(A.row(randomizer.random_int % N))];
+        const D2 = Float64Array.from({ length: N }, (_, i) => metric(A.row(i), centroids[0]) ** 2);
+        for (let k = 1; k < K; ++k) {
+            const sum = D2.reduce((a, b) => a + b, 0);
+            let next = randomizer.random_int % N;
+            // if all points lie on the centroids, any point is as good as another
+            if (sum > 0) {
+                let r = randomizer.random * sum;
+                next = D2.findIndex((d2) => (r -= d2) < 0);
+                // rounding errors, take the last point with a positive distance
+                for (let i = N - 1; next < 0; --i) {
+                    if (D2[i] > 0) next = i;
+                }
+            }
+            const centroid = Float64Array.from(A.row(next));
+            centroids.push(centroid);
+            for (let i = 0; i < N; ++i) {
+                D2[i] = Math.min(D2[i], metric(A.row(i), centroid) ** 2);
+            }
         }
-        return cluster_centroids;
+        return centroids;
     }
 
-    _iteration(cluster_centroids) {
-        const K = cluster_centroids.length;
-        const N = this._N;
-        const D = this._D;
-        const A = this._matrix;
-        const metric = this._metric;
-        const clusters = this._clusters;
-        let clusters_changed = false;
-        // find nearest cluster centroid.
-        for (let i = 0; i < N; ++i) {
-            const Ai = A.row(i)
+    /**
+     * Assigns the points to their nearest centroid.
+     * @private
+     * @param {Matrix} X - the points.
+     * @param {Array<Float64Array>} centroids
+     * @returns {{labels: Int32Array, inertia: number}} the index of the nearest centroid of each point, and the sum of the squared distances to them.
+     */
+    _assign(X, centroids) {
+        const metric = this._parameters.metric;
+        const K = centroids.length;
+        const labels = new Int32Array(X.rows);
+        let inertia = 0;
+        for (let i = 0; i < X.rows; ++i) {
+            const x = X.row(i);
             let min_dist = Infinity;
-            let min_cluster = null;
-            for (let j = 0; j < K; ++j) {
-                let d = metric(cluster_centroids[j], Ai);
+            for (let k = 0; k < K; ++k) {
+                const d = metric(centroids[k], x);
                 if (d < min_dist) {
                     min_dist = d;
-                    min_cluster = j; 
+                    labels[i] = k;
                 }
             }
-            if (clusters[i] !== min_cluster) {
-                clusters_changed = true;
-            }
-            clusters[i] = min_cluster;
+            inertia += min_dist ** 2;
         }
-        // update cluster centroid
-        // reset cluster centroids to 0
-        for (let i = 0; i < K; ++i) {
-            const centroid = cluster_centroids[i];
-            for (let j = 0; j < D; ++j) {
-                centroid[j] = 0;
-            }
-        }
-        // compute centroid
-        this._compute_centroid(cluster_centroids);
-
-        return {   
-            "clusters_changed": clusters_changed,
-            "cluster_centroids": cluster_centroids
-        };
+        return { labels, inertia };
     }
 
-    _compute_centroid(cluster_centroids) {
-        const K = cluster_centroids.length;
-        const N = this._N;
+    /**
+     * Moves each centroid to the mean of its points. Centroids without points stay where they are.
+     * @private
+     * @param {Int32Array} labels
+     * @param {Array<Float64Array>} centroids - get changed in place.
+     * @returns {number} the sum of the squared distances the centroids moved.
+     */
+    _update_centroids(labels, centroids) {
+        const A = this._matrix;
         const D = this._D;
+        const K = centroids.length;
+        const sums = centroids.map(() => new Float64Array(D));
+        const counts = new Float64Array(K);
+        labels.forEach((k, i) => {
+            const row = A.row(i);
+            const sum = sums[k];
+            for (let d = 0; d < D; ++d) sum[d] += row[d];
+            ++counts[k];
+        });
+        let shift = 0;
+        for (let k = 0; k < K; ++k) {
+            if (counts[k] === 0) continue;
+            const mean = sums[k].map((s) => s / counts[k]);
+            shift += euclidean_squared(mean, centroids[k]);
+            centroids[k].set(mean);
+        }
+        return shift;
+    }
+
+    /**
+     * @private
+     * @returns {number} {@link tol} times the mean variance of the features.
+     */
+    _tolerance() {
         const A = this._matrix;
-        const clusters = this._clusters;
-        const cluster_counter = new Array(K).fill(0);
+        const [N, D] = A.shape;
+        const means = A.meanCols;
+        let variance = 0;
+        for (const row of A.iterate_rows()) {
+            for (let d = 0; d < D; ++d) variance += (row[d] - means[d]) ** 2;
+        }
+        return (this._parameters.tol * variance) / (N * D);
+    }
 
-        for (let i = 0; i < N; ++i) {
-            const Ai = A.row(i);
-            const ci = clusters[i];
-            cluster_counter[ci]++;
-            const centroid = cluster_centroids[ci];
-            for (let j = 0; j < D; ++j) {
-                centroid[j] += Ai[j];
-            }
+    /**
+     * Iterates from the {@link centroids} until the labels do not change, the centroids move less than the tolerance, or {@link max_iter} is reached.
+     * @private
+     * @param {Array<Float64Array>} centroids
+     * @param {number} tolerance
+     * @returns {{centroids: Array<Float64Array>, labels: Int32Array, inertia: number, n_iter: number}}
+     */
+    _lloyd(centroids, tolerance) {
+        const max_iter = this._parameters.max_iter;
+        let { labels, inertia } = this._assign(this._matrix, centroids);
+        let n_iter = 0;
+        while (n_iter < max_iter) {
+            ++n_iter;
+            const shift = this._update_centroids(labels, centroids);
+            const result = this._assign(this._matrix, centroids);
+            const labels_changed = result.labels.some((k, i) => k !== labels[i]);
+            ({ labels, inertia } = result);
+            if (!labels_changed || shift <= tolerance) break;
         }
-        for (let i = 0; i < K; ++i) {
-            const n = cluster_counter[i];
-            cluster_centroids[i] = cluster_centroids[i].map(c => c / n);
+        return { centroids, labels, inertia, n_iter };
+    }
+
+    /**
+     * Computes {@link K} clusters out of the {@link points}.
+     * @returns {KMeans}
+     */
+    init() {
+        const K = Math.min(this._parameters.K, this._N);
+        const n_init = Array.isArray(this._parameters.init) ? 1 : this._parameters.n_init;
+        const tolerance = this._tolerance();
+        let best = null;
+        for (let run = 0; run < n_init; ++run) {
+            const result = this._lloyd(this._initial_centroids(K), tolerance);
+            if (best === null || result.inertia < best.inertia) best = result;
         }
-        
+        this._set_result(best);
+        return this;
     }
 
     /**
-     * Computes {@link K} clusters out of the {@link matrix}.
-     * @param {Number} K - number of clusters.
+     * @private
+     * @param {{centroids: Array<Float64Array>, labels: Int32Array, inertia: number, n_iter: number}} result
+     */
+    _set_result({ centroids, labels, inertia, n_iter }) {
+        this._cluster_centroids = centroids;
+        this._labels = labels;
+        this._inertia = inertia;
+        this._n_iter = n_iter;
+        this._num_clusters = centroids.length;
+    }
+
+    /**
+     * @private
+     * @param {Matrix} X - the new points.
+     * @returns {number[]} the index of the nearest centroid of each point.
      */
-    init(K, cluster_centroids) {
-        if (!K) K = this._K;
-        if (!cluster_centroids) cluster_centroids = this._get_random_centroids(K);
-        let clusters_changed = false;
-        do {
-            const iteration_result = this._iteration(cluster_centroids)
-            cluster_centroids = iteration_result.cluster_centroids;
-            clusters_changed = iteration_result.clusters_changed;
-        } while (clusters_changed)
+    _predict(X) {
+        return Array.from(this._assign(X, this._cluster_centroids).labels);
     }
-    
 }
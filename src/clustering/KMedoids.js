@@ -1,65 +1,82 @@
 import { euclidean } from "../metrics/index.js";
 import { distance_matrix, Matrix } from "../matrix/index.js";
-import { min, min_index, quickselect, Randomizer } from "../util/index.js";
+import { min, min_index, quickselect } from "../util/index.js";
+import { Clustering } from "./Clustering.js";
 /**
  * @class
  * @alias KMedoids
+ * @extends Clustering
  */
-export class KMedoids {
+export class KMedoids extends Clustering {
     /**
      * @constructor
      * @memberof module:clustering
      * @alias KMedoids
-     * @todo needs restructuring. 
-     * @param {Matrix} matrix - data matrix
-     * @param {Numbers} K - number of clusters
-     * @param {number} [max_iter=null] - maximum number of iterations. Default is 10 * Math.log10(N)
-     * @param {Function} [metric = euclidean] - metric defining the dissimilarity 
-     * @param {Number} [seed = 1212] - seed value for random number generator
+     * @param {Matrix|number[][]} points - the data.
+     * @param {object} parameters - Object containing parameterization of the clustering method.
+     * @param {number} [parameters.K = 2] - the number of clusters.
+     * @param {number} [parameters.max_iter = null] - maximum number of iterations. Default is 10 * Math.log10(N)
+     * @param {function|"precomputed"} [parameters.metric = euclidean] - metric defining the dissimilarity. If "precomputed", then {@link points} has to be a distance matrix.
+     * @param {number} [parameters.seed = 1212] - seed value for random number generator
      * @returns {KMedoids}
      * @see {@link https://link.springer.com/chapter/10.1007/978-3-030-32047-8_16} Faster k-Medoids Clustering: Improving the PAM, CLARA, and CLARANS Algorithms
      */
-    constructor(matrix, K, max_iter=null, metric = euclidean, seed=1212) {
-        this._metric = metric;
-        this._matrix = matrix;
-        const [N, D] = matrix.shape;
-        if (K > N) K = N;
-        this._K = K;
-        this._N = N;
-        this._D = D;
-        this._max_iter = max_iter || 10 * Math.log10(N);
-        this._distance_matrix = distance_matrix(matrix, metric);
-        this._randomizer = new Randomizer(seed);
-        this._cluster_medoids = this._get_random_medoids(K);
-        //if (init) this.init(K, this._cluster_medoids);
-        this._is_initialized = false;
+    constructor(points, parameters) {
+        super(points, { K: 2, max_iter: null, metric: euclidean, seed: 1212 }, parameters);
         return this;
     }
 
     /**
-     * @returns {Array<Array>} - Array of clusters with the indices of the rows in given {@link matrix}.
+     * @private
+     * @type {number}
      */
-    get_clusters() {
-        const N = this._N;
-        const K = this._K;
-        if (!this._is_initialized) {
-            this.init(K, this._cluster_medoids);
-        }
-        const result = Array.from({ length: K }, () => []);
-        for (let j = 0; j < N; ++j) {
-            result[this._nearest_medoid(j).index_nearest].push(j);
-        }
-        result.medoids = this._cluster_medoids;
-        return result;
+    get _K() {
+        return Math.min(this._parameters.K, this._N);
+    }
+
+    /**
+     * Computes the distance matrix, and chooses the initial medoids.
+     * @private
+     */
+    _init_medoids() {
+        const metric = this._parameters.metric;
+        this._distance_matrix = metric === "precomputed" ? this._matrix : distance_matrix(this._matrix, metric);
+        this._cluster_medoids = this._get_random_medoids(this._K);
+    }
+
+    /**
+     * The medoids of the clusters.
+     * @returns {number[]} the indices of the medoids in {@link points}.
+     */
+    get_medoids() {
+        this.check_init();
+        return this._cluster_medoids.slice();
+    }
+
+    /**
+     * Computes the clusters of the current medoids.
+     * @private
+     */
+    _assign() {
+        this._labels = Array.from({ length: this._N }, (_, j) => this._nearest_medoid(j).index_nearest);
+        this._num_clusters = this._cluster_medoids.length;
     }
 
+    /**
+     * Yields the clusters after each swap iteration.
+     * @yields {Array<Array>}
+     */
     async* generator() {
         const max_iter = this._max_iter;
+        this._init_medoids();
+        this._assign();
+        this._is_initialized = true;
         yield this.get_clusters();
         let finish = false;
         let i = 0;
         do {
             finish = this._iteration();
+            this._assign();
             yield this.get_clusters();
         } while (!finish && ++i < max_iter)
     }
@@ -208,21 +225,45 @@ export class KMedoids {
     }
 
     /**
-     * Computes {@link K} clusters out of the {@link matrix}.
-     * @param {Number} K - number of clusters.
+     * Computes {@link K} clusters out of the {@link points}.
+     * @returns {KMedoids}
      */
-    init(K, cluster_medoids) {
-        if (!K) K = this._K;
-        if (!cluster_medoids) cluster_medoids = this._get_random_medoids(K);
+    init() {
         const max_iter = this._max_iter;
+        this._init_medoids();
         let finish = false;
         let i = 0;
         do {
             finish = this._iteration();
         } while (!finish && ++i < max_iter)
+        this._assign();
         return this;
     }
 
+    /**
+     * @private
+     * @type {number}
+     */
+    get _max_iter() {
+        return this._parameters.max_iter || 10 * Math.log10(this._N);
+    }
+
+    /**
+     * @private
+     * @param {Matrix} X - the new points. If metric is "precomputed", their distances to {@link points}.
+     * @returns {number[]} the index of the nearest medoid of each point.
+     */
+    _predict(X) {
+        const A = this._matrix;
+        const metric = this._parameters.metric;
+        const medoids = this._cluster_medoids;
+        return Array.from({ length: X.rows }, (_, i) => {
+            const x = X.row(i);
+            const distances = medoids.map((m) => (metric === "precomputed" ? x[m] : metric(x, A.row(m))));
+            return distances.indexOf(Math.min(...distances));
+        });
+    }
+
     /**
      * Algorithm 3. FastPAM LAB: Linear Approximate BUILD initialization.
      * @param {number} K - number of clusters
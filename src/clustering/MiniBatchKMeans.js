@@ -0,0 +1,142 @@
+import { euclidean_squared } from "../metrics/index.js";
+import { Matrix } from "../matrix/index.js";
+import { KMeans } from "./KMeans.js";
+
+/**
+ * @class
+ * @alias MiniBatchKMeans
+ * @extends KMeans
+ */
+export class MiniBatchKMeans extends KMeans {
+    /**
+     * KMeans which moves the centroids with small random batches of the points instead of all of them,
+     * each centroid towards the mean of its points in the batch, with a step size shrinking with the number of points it has seen.
+     * New data can be streamed in with {@link MiniBatchKMeans#partial_fit}.
+     * @constructor
+     * @memberof module:clustering
+     * @alias MiniBatchKMeans
+     * @param {Matrix|number[][]} points - the data.
+     * @param {object} parameters - Object containing parameterization of the clustering method.
+     * @param {number} [parameters.K = 2] - the number of clusters.
+     * @param {function} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {number} [parameters.seed = 1987] - the seed for the random number generator.
+     * @param {"kmeans++"|"random"|Array<Float64Array>} [parameters.init = "kmeans++"] - how to choose the initial centroids, see {@link KMeans}.
+     * @param {number} [parameters.n_init = 1] - the number of runs with different initial centroids, the one with the lowest inertia wins.
+     * @param {number} [parameters.max_iter = 100] - the maximum number of batches of a run.
+     * @param {number} [parameters.tol = 1e-4] - a run stops when a batch moves the centroids less than this, relative to the mean variance of the features.
+     * @param {number} [parameters.batch_size = 1024] - the number of points of a batch, drawn with replacement.
+     * @returns {MiniBatchKMeans}
+     * @see {@link https://doi.org/10.1145/1772690.1772862}
+     */
+    constructor(points, parameters) {
+        super(points, parameters, { max_iter: 100, batch_size: 1024 });
+        return this;
+    }
+
+    /**
+     * Moves the centroids towards the points of the {@link batch}.
+     * @private
+     * @param {Matrix} batch
+     * @param {Array<Float64Array>} centroids - get changed in place.
+     * @param {Float64Array} counts - the number of points each centroid has seen, gets changed in place.
+     * @returns {number} the sum of the squared distances the centroids moved.
+     */
+    _mini_batch_step(batch, centroids, counts) {
+        const D = this._D;
+        const { labels } = this._assign(batch, centroids);
+        const sums = centroids.map(() => new Float64Array(D));
+        const batch_counts = new Float64Array(centroids.length);
+        labels.forEach((k, i) => {
+            const row = batch.row(i);
+            const sum = sums[k];
+            for (let d = 0; d < D; ++d) sum[d] += row[d];
+            ++batch_counts[k];
+        });
+        let shift = 0;
+        centroids.forEach((centroid, k) => {
+            if (batch_counts[k] === 0) return;
+            counts[k] += batch_counts[k];
+            // the centroid stays the mean of all points it has seen
+            const moved = centroid.map((c, d) => c + (sums[k][d] - batch_counts[k] * c) / counts[k]);
+            shift += euclidean_squared(moved, centroid);
+            centroid.set(moved);
+        });
+        return shift;
+    }
+
+    /**
+     * Computes {@link K} clusters out of the {@link points}.
+     * @returns {MiniBatchKMeans}
+     */
+    init() {
+        const N = this._N;
+        const A = this._matrix;
+        const K = Math.min(this._parameters.K, N);
+        const { max_iter, batch_size } = this._parameters;
+        const n_init = Array.isArray(this._parameters.init) ? 1 : this._parameters.n_init;
+        const tolerance = this._tolerance();
+        const randomizer = this._randomizer;
+        let best = null;
+        for (let run = 0; run < n_init; ++run) {
+            const centroids = this._initial_centroids(K);
+            const counts = new Float64Array(K);
+            let n_iter = 0;
+            while (n_iter < max_iter) {
+                ++n_iter;
+                const batch = Matrix.from(Array.from({ length: Math.min(batch_size, N) }, () => A.row(randomizer.random_int % N)));
+                if (this._mini_batch_step(batch, centroids, counts) <= tolerance) break;
+            }
+            const { labels, inertia } = this._assign(A, centroids);
+            if (best === null || inertia < best.inertia) best = { centroids, labels, inertia, n_iter, counts };
+        }
+        this._counts = best.counts;
+        this._set_result(best);
+        return this;
+    }
+
+    /**
+     * Moves the centroids towards new points, e.g., the next chunk of a stream. Only the new points get assigned,
+     * the {@link labels} and the {@link inertia} of the {@link points} get computed with the moved centroids on their next access.
+     * @param {Matrix|number[][]} points - the new points.
+     * @returns {MiniBatchKMeans}
+     */
+    partial_fit(points) {
+        const X = this._check_points(points);
+        this.check_init();
+        this._mini_batch_step(X, this._cluster_centroids, this._counts);
+        this._labels = null;
+        this._inertia = null;
+        return this;
+    }
+
+    /**
+     * The cluster of each point, with the centroids moved by {@link MiniBatchKMeans#partial_fit}.
+     * @type {number[]}
+     */
+    get labels() {
+        this._assign_points();
+        return super.labels;
+    }
+
+    /**
+     * The sum of the squared distances of the points to their nearest centroid, with the centroids moved by {@link MiniBatchKMeans#partial_fit}.
+     * @type {number}
+     */
+    get inertia() {
+        this._assign_points();
+        return super.inertia;
+    }
+
+    /**
+     * Assigns the {@link points} to the centroids, if {@link MiniBatchKMeans#partial_fit} moved them since.
+     * @private
+     */
+    _assign_points() {
+        this.check_init();
+        if (this._labels === null) {
+            const { labels, inertia } = this._assign(this._matrix, this._cluster_centroids);
+            this._labels = labels;
+            this._inertia = inertia;
+        }
+    }
+}
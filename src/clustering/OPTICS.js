@@ -1,35 +1,32 @@
 import { euclidean } from "../metrics/index.js";
 import { Heap } from "../datastructure/index.js";
+import { Clustering } from "./Clustering.js";
 
 /**
  * @class
  * @alias OPTICS
+ * @extends Clustering
  */
-export class OPTICS {
+export class OPTICS extends Clustering {
     /**
      * **O**rdering **P**oints **T**o **I**dentify the **C**lustering **S**tructure.
+     * The clusters are the connected components of the cluster ordering, points in components with fewer than {@link min_points} points are noise.
+     * Use {@link OPTICS#extract_dbscan} or {@link OPTICS#extract_xi} for better clusterings.
      * @constructor
      * @memberof module:clustering
      * @alias OPTICS
-     * @todo needs restructuring. 
-     * @param {Matrix} matrix - the data.
-     * @param {Number} epsilon - the minimum distance which defines whether a point is a neighbor or not.
-     * @param {Number} min_points - the minimum number of points which a point needs to create a cluster. (Should be higher than 1, else each point creates a cluster.)
-     * @param {Function} [metric = euclidean] - the distance metric which defines the distance between two points of the {@link matrix}.
+     * @param {Matrix|number[][]} points - the data.
+     * @param {object} parameters - Object containing parameterization of the clustering method.
+     * @param {number} [parameters.epsilon = Infinity] - the maximum distance which defines whether a point is a neighbor or not.
+     * @param {number} [parameters.min_points = 5] - the minimum number of points (the point itself included) in the {@link epsilon}-neighborhood of a core point. (Should be higher than 1, else each point creates a cluster.)
+     * @param {function|"precomputed"} [parameters.metric = euclidean] - the distance metric which defines the distance between two points of the {@link points}.
+     * If "precomputed", then {@link points} has to be a distance matrix.
      * @returns {OPTICS}
      * @see {@link https://www.dbs.ifi.lmu.de/Publikationen/Papers/OPTICS.pdf}
      * @see {@link https://en.wikipedia.org/wiki/OPTICS_algorithm}
      */
-    constructor(matrix, epsilon, min_points, metric = euclidean) {
-        this._matrix = matrix;
-        this._epsilon = epsilon;
-        this._min_points = min_points;
-        this._metric = metric;
-
-        this._ordered_list = [];
-        this._clusters = [];
-        this._DB = new Array(matrix.shape[0]).fill();
-        this.init();
+    constructor(points, parameters) {
+        super(points, { epsilon: Infinity, min_points: 5, metric: euclidean }, parameters);
         return this;
     }
 
@@ -37,11 +34,11 @@ export class OPTICS {
      * Computes the clustering.
      */
     init() {
-        const ordered_list = this._ordered_list;
+        const ordered_list = this._ordered_list = [];
         const matrix = this._matrix;
         const N = matrix.shape[0];
-        const DB = this._DB;
-        const clusters = this._clusters;
+        const DB = this._DB = new Array(N).fill();
+        const clusters = this._clusters = [];
         let cluster_index = this._cluster_index = 0;
 
         for (let i = 0; i < N; ++i) {
@@ -49,6 +46,7 @@ export class OPTICS {
                 "element": matrix.row(i),
                 "index": i,
                 "reachability_distance": undefined,
+                "predecessor": undefined,
                 "processed": false,
             }
         }
@@ -65,67 +63,80 @@ export class OPTICS {
                 this._expand_cluster(seeds, clusters[cluster_index]);
             }
         }
+
+        const min_points = this._parameters.min_points;
+        const labels = this._labels = new Array(N).fill(-1);
+        this._num_clusters = 0;
+        for (const cluster of clusters) {
+            if (cluster.length < min_points) continue;
+            for (const index of cluster) labels[index] = this._num_clusters;
+            ++this._num_clusters;
+        }
         return this;
     }
 
     /**
      * 
      * @private
-     * @param {Object} p - a point of {@link matrix}.
-     * @returns {Array} An array consisting of the {@link epsilon}-neighborhood of {@link p}.
+     * @param {Object} p - a point of {@link points}.
+     * @returns {Array} An array consisting of the {@link epsilon}-neighborhood of {@link p}, including {@link p}, sorted by the distance to {@link p}.
      */
     _get_neighbors(p) {
         if ("neighbors" in p) return p.neighbors;
         const DB = this._DB;
-        const metric = this._metric;
-        const epsilon = this._epsilon;
+        const epsilon = this._parameters.epsilon;
         const neighbors = [];
         for (const q of DB) {
-            if (q.index == p.index) continue;
-            if (metric(p.element, q.element) < epsilon) {
-                neighbors.push(q);
+            const distance = q.index == p.index ? 0 : this._distance(p, q);
+            if (distance <= epsilon) {
+                neighbors.push({ q, distance });
             }
         }
-        return neighbors;
+        return neighbors.sort((a, b) => a.distance - b.distance).map(({ q }) => q);
+    }
+
+    /**
+     * @private
+     * @param {Object} p - a point of {@link points}.
+     * @param {Object} q - a point of {@link points}.
+     * @returns {Number} The distance between {@link p} and {@link q}.
+     */
+    _distance(p, q) {
+        const metric = this._parameters.metric;
+        return metric === "precomputed" ? this._matrix.entry(p.index, q.index) : metric(p.element, q.element);
     }
 
     /**
      * 
      * @private
-     * @param {Object} p - a point of {@link matrix}.
-     * @returns {Number} The distance to the {@link min_points}-th nearest point of {@link p}, or undefined if the {@link epsilon}-neighborhood has fewer elements than {@link min_points}.
+     * @param {Object} p - a point of {@link points}.
+     * @returns {Number} The distance to the {@link min_points}-th nearest point of {@link p} (counting {@link p} itself), or undefined if the {@link epsilon}-neighborhood has fewer elements than {@link min_points}.
      */
     _core_distance(p) {
-        const min_points = this._min_points;
-        const metric = this._metric;
-        if (p.neighbors && p.neighbors.length <= min_points) {
-            return undefined;
-        }
-        return metric(p.element, p.neighbors[min_points].element);
+        if ("core_distance" in p) return p.core_distance;
+        const min_points = this._parameters.min_points;
+        const neighbors = this._get_neighbors(p);
+        p.core_distance = neighbors.length < min_points ? undefined : this._distance(p, neighbors[Math.max(min_points - 1, 0)]);
+        return p.core_distance;
     }
 
     /**
      * Updates the reachability distance of the points.
+     * Improved points get pushed again, their outdated entries get skipped in {@link OPTICS#_expand_cluster}.
      * @private
      * @param {Object} p 
      * @param {Heap} seeds 
      */
     _update(p, seeds) {
-        const metric = this._metric;
         const core_distance = this._core_distance(p);
-        const neighbors = this._get_neighbors(p);//p.neighbors;
+        const neighbors = this._get_neighbors(p);
         for (const q of neighbors) {
             if (q.processed) continue;
-            const new_reachability_distance = Math.max(core_distance, metric(p.element, q.element));
-            //if (q.reachability_distance == undefined) { // q is not in seeds
-            if (seeds.raw_data().findIndex(d => d.element == q) < 0) {
+            const new_reachability_distance = Math.max(core_distance, this._distance(p, q));
+            if (q.reachability_distance == undefined || new_reachability_distance < q.reachability_distance) {
                 q.reachability_distance = new_reachability_distance;
+                q.predecessor = p.index;
                 seeds.push(q);
-            } else { // q is in seeds
-                if (new_reachability_distance < q.reachability_distance) {
-                    q.reachability_distance = new_reachability_distance;
-                    seeds = Heap.heapify(seeds.data(), d => d.reachability_distance, "min"); // seeds change key =/
-                }
             }
         }
     }
@@ -140,49 +151,177 @@ export class OPTICS {
         const ordered_list = this._ordered_list;
         while (!seeds.empty) {
             const q = seeds.pop().element;
+            if (q.processed) continue;
             q.neighbors = this._get_neighbors(q);
             q.processed = true;
             cluster.push(q.index);
             ordered_list.push(q);
             if (this._core_distance(q) != undefined) {
                 this._update(q, seeds);
-                this._expand_cluster(seeds, cluster);
             }
         }
     }
 
     /**
-     * Returns an array of clusters.
-     * @returns {Array<Array>} Array of clusters with the indices of the rows in given {@link matrix}.
+     * Returns the cluster ordering for plotting the reachability plot.
+     * The first point of each expansion, and points which were never within {@link epsilon} of a core point, have an infinite reachability distance.
+     * Points which are no core points have an infinite core distance.
+     * @returns {{index: Number, reachability_distance: Number, core_distance: Number, predecessor: Number}[]} the points of {@link points} in the cluster ordering,
+     * with the index of the point from which each point was reached (-1 if none).
      */
-    get_clusters() {
-        const clusters = [];
-        const outliers = [];
-        const min_points = this._min_points;
-        for (const cluster of this._clusters) {
-            if (cluster.length < min_points) {
-                outliers.push(...cluster);
-            } else {
-                clusters.push(cluster);
+    get_reachability() {
+        this.check_init();
+        return this._ordered_list.map((p) => ({
+            "index": p.index,
+            "reachability_distance": p.reachability_distance ?? Infinity,
+            "core_distance": this._core_distance(p) ?? Infinity,
+            "predecessor": p.predecessor ?? -1,
+        }));
+    }
+
+    /**
+     * Extracts the clustering, which DBSCAN would find with {@link epsilon_prime} and {@link min_points}, from the cluster ordering.
+     * Apart from border points reachable from several clusters, which DBSCAN assigns by processing order, the results are the same.
+     * @param {Number} epsilon_prime - the neighborhood radius, at most {@link epsilon}.
+     * @returns {Array} Returns an array, where the ith entry defines the cluster of the ith point of {@link points}. (-1 stands for noise)
+     */
+    extract_dbscan(epsilon_prime) {
+        if (epsilon_prime > this._parameters.epsilon) {
+            throw new Error(`Parameter epsilon_prime (=${epsilon_prime}) can not be greater than epsilon (=${this._parameters.epsilon})!`);
+        }
+        const labels = new Array(this._matrix.shape[0]).fill(-1);
+        let cluster = -1;
+        for (const { index, reachability_distance, core_distance } of this.get_reachability()) {
+            if (reachability_distance > epsilon_prime) {
+                if (core_distance <= epsilon_prime) {
+                    labels[index] = ++cluster;
+                }
+            } else if (cluster >= 0) {
+                labels[index] = cluster;
             }
         }
-        clusters.push(outliers);
-        return clusters;
+        return labels;
     }
 
     /**
-     * @returns {Array} Returns an array, where the ith entry defines the cluster affirmation of the ith point of {@link matrix}. (-1 stands for outlier)
+     * Extracts a hierarchy of clusters with the ξ method: a cluster starts in a steep downward area and ends in a steep upward area of the reachability plot,
+     * where the reachability distance falls, resp. rises, by at least the fraction {@link xi} between consecutive points.
+     * @param {Number} [xi = 0.05] - the minimum steepness, between 0 and 1.
+     * @param {Number} [min_cluster_size = min_points] - the minimum number of points of a cluster.
+     * @returns {{clusters: {start: Number, end: Number, indices: Number[]}[], labels: Number[]}}
+     * The clusters with their first and last position in the cluster ordering and their points, nested clusters before the clusters which contain them.
+     * The labels only use the clusters which do not overlap a cluster before them, so points in none of these are noise. (-1 stands for noise)
+     * @see {@link https://www.dbs.ifi.lmu.de/Publikationen/Papers/OPTICS.pdf}
      */
-    get_cluster_affirmation() {
-        const N = this._matrix.shape[0];
-        const result = new Array(N).fill();
-        const clusters = this.get_clusters();
-        for (let i = 0, n = clusters.length; i < n; ++i) {
-            const cluster = clusters[i]
-            for (const index of cluster) {
-                result[index] = (i < n - 1) ? i : -1;
+    extract_xi(xi = 0.05, min_cluster_size = this._parameters.min_points) {
+        if (xi <= 0 || xi >= 1) {
+            throw new Error(`Parameter xi (=${xi}) has to be between 0 and 1!`);
+        }
+        const ordering = this.get_reachability();
+        const n = ordering.length;
+        const min_points = this._parameters.min_points;
+        const r = [...ordering.map((p) => p.reachability_distance), Infinity];
+        const position = new Array(n);
+        ordering.forEach(({ index }, i) => (position[index] = i));
+        const xi_complement = 1 - xi;
+        // ratio of consecutive reachability distances, NaN for two infinite ones, which is neither steep, upward nor downward
+        const ratio = Array.from({ length: n }, (_, i) => r[i] / r[i + 1]);
+        const steep_upward = ratio.map((q) => q <= xi_complement);
+        const steep_downward = ratio.map((q) => q >= 1 / xi_complement);
+        const upward = ratio.map((q) => q < 1);
+        const downward = ratio.map((q) => q > 1);
+
+        // a steep area may contain up to min_points consecutive points which are not steep, but it ends where the direction changes
+        const extend_region = (steep, xward, start) => {
+            let non_xward = 0;
+            let end = start;
+            for (let i = start; i < n; ++i) {
+                if (steep[i]) {
+                    non_xward = 0;
+                    end = i;
+                } else if (!xward[i]) {
+                    if (++non_xward > min_points) break;
+                } else {
+                    break;
+                }
+            }
+            return end;
+        };
+        // keeps the steep downward areas, whose start is still steep enough above the maximum reachability distance in between
+        const filter_sdas = (sdas, mib) => {
+            if (mib === Infinity) return [];
+            return sdas.filter((sda) => mib <= r[sda.start] * xi_complement).map((sda) => ({ ...sda, mib: Math.max(sda.mib, mib) }));
+        };
+        // the predecessor of the last point has to be in the cluster
+        const correct_predecessor = (start, end) => {
+            while (start < end) {
+                if (r[start] > r[end]) return [start, end];
+                const predecessor = ordering[end].predecessor;
+                if (predecessor >= 0 && position[predecessor] >= start && position[predecessor] < end) return [start, end];
+                --end;
+            }
+            return null;
+        };
+
+        let sdas = [];
+        const ranges = [];
+        let index = 0;
+        let mib = 0;
+        for (let steep_index = 0; steep_index < n; ++steep_index) {
+            if (!(steep_upward[steep_index] || steep_downward[steep_index]) || steep_index < index) continue;
+            for (let i = index; i <= steep_index; ++i) mib = Math.max(mib, r[i]);
+            sdas = filter_sdas(sdas, mib);
+            if (steep_downward[steep_index]) {
+                const end = extend_region(steep_downward, upward, steep_index);
+                sdas.push({ start: steep_index, end, mib: 0 });
+                index = end + 1;
+                mib = r[index];
+            } else {
+                const U_start = steep_index;
+                const U_end = extend_region(steep_upward, downward, steep_index);
+                index = U_end + 1;
+                mib = r[index];
+                const U_ranges = [];
+                for (const D of sdas) {
+                    let c_start = D.start;
+                    let c_end = U_end;
+                    if (r[c_end + 1] * xi_complement < D.mib) continue;
+                    // both ends of the cluster have to be at about the same reachability distance
+                    const D_max = r[D.start];
+                    if (D_max * xi_complement >= r[c_end + 1]) {
+                        while (r[c_start + 1] > r[c_end + 1] && c_start < D.end) ++c_start;
+                    } else if (r[c_end + 1] * xi_complement >= D_max) {
+                        while (r[c_end - 1] > D_max && c_end > U_start) --c_end;
+                    }
+                    const corrected = correct_predecessor(c_start, c_end);
+                    if (corrected === null) continue;
+                    [c_start, c_end] = corrected;
+                    if (c_end - c_start + 1 < min_cluster_size) continue;
+                    if (c_start > D.end || c_end < U_start) continue;
+                    U_ranges.push([c_start, c_end]);
+                }
+                // the later steep downward areas give the smaller clusters
+                ranges.push(...U_ranges.reverse());
             }
         }
-        return result;
+
+        const labels = new Array(n).fill(-1);
+        const labels_ordered = new Array(n).fill(-1);
+        let label = 0;
+        for (const [start, end] of ranges) {
+            if (labels_ordered.slice(start, end + 1).some((l) => l !== -1)) continue;
+            labels_ordered.fill(label++, start, end + 1);
+        }
+        ordering.forEach(({ index }, i) => (labels[index] = labels_ordered[i]));
+        const clusters = ranges.map(([start, end]) => ({ start, end, indices: ordering.slice(start, end + 1).map(({ index }) => index) }));
+        return { clusters, labels };
+    }
+
+    /**
+     * @deprecated use {@link Clustering#labels}.
+     * @returns {Array} Returns an array, where the ith entry defines the cluster affirmation of the ith point of {@link points}. (-1 stands for outlier)
+     */
+    get_cluster_affirmation() {
+        return this.labels;
     }
 }
@@ -1,166 +1,187 @@
 import { euclidean, euclidean_squared } from "../metrics/index.js";
 import { Matrix, linspace } from "../matrix/index.js";
-import { KMeans } from "../clustering/index.js";
+import { Clustering } from "./Clustering.js";
+import { KMeans } from "./KMeans.js";
+
 /**
  * @class
  * @alias XMeans
+ * @extends Clustering
  */
-export class XMeans{
+export class XMeans extends Clustering {
     /**
+     * KMeans which chooses the number of clusters itself. Starting with {@link K_min} clusters, each cluster gets split in two with 2-means,
+     * if that improves the information criterion of its points. Then KMeans refines all clusters, until no split improves the score or {@link K_max} is reached.
+     * The clustering with the best score wins.
      * @constructor
      * @memberof module:clustering
      * @alias XMeans
-     * @todo needs restructuring and repairing!!
-     * @param {Matrix} matrix 
-     * @param {Numbers} K_max
-     * @param {Numbers} K_min
-     * @param {Function} [metric = euclidean] 
-     * @param {Number} [seed = 1987]
+     * @param {Matrix|number[][]} points - the data.
+     * @param {object} parameters - Object containing parameterization of the clustering method.
+     * @param {number} [parameters.K_max = 10] - the maximum number of clusters.
+     * @param {number} [parameters.K_min = 2] - the minimum number of clusters.
+     * @param {function} [parameters.metric = euclidean] - the distance metric which defines the distance between two points of the {@link points}.
+     * @param {number} [parameters.seed = 1987] - the seed for the random number generator.
+     * @param {"bic"|"aic"} [parameters.criterion = "bic"] - the score of a clustering, the Bayesian or the Akaike information criterion.
      * @returns {XMeans}
      * @see {@link https://www.cs.cmu.edu/~dpelleg/download/xmeans.pdf}
      * @see {@link https://github.com/annoviko/pyclustering/blob/master/pyclustering/cluster/xmeans.py}
      * @see {@link https://github.com/haifengl/smile/blob/master/core/src/main/java/smile/clustering/XMeans.java}
      */
-    constructor(matrix, K_max = 10, K_min = 2, metric = euclidean, seed=1987) {
-        //const first = super(matrix, K_min, metric, seed, false);
-        const first = new KMeans(matrix, K_min, metric, seed, false);
-        this._K_max = K_max;
-        this._K_min = K_min;
-        this._metric = metric;
-        first.init(K_min, first._get_random_centroids(K_min));
-        const randomizer = this._randomizer = first._randomizer;
-        const centroids = first._cluster_centroids;
-        const candidates = this._candidates = {};
-        let K = K_min
-        candidates[K] = {
-            "kmeans": first,
-            "cluster_centroids": centroids,
-            "score": null,
-        };
-        const A = this._matrix = matrix;
-        const N = A.rows;
-        // foreach K in [K_min, K_max];
-        do {
-            console.log(K, candidates)
-            const candidate = candidates[K];
-            const clusters = candidate.kmeans.get_clusters();
-            const parent_bic = this._bic(clusters, centroids, linspace(0, N - 1))
-            candidate.score = parent_bic;
-            const child_bic = [];
-            const child_kmeans = [];
-            const child_indices = [];
-            // foreach cluster
+    constructor(points, parameters) {
+        super(points, { K_max: 10, K_min: 2, metric: euclidean, seed: 1987, criterion: "bic" }, parameters);
+        const { K_max, K_min, metric, criterion } = this._parameters;
+        if (metric === "precomputed") {
+            throw new Error("XMeans needs the coordinates of the points to compute the centroids, use KMedoids for a precomputed distance matrix!");
+        }
+        if (criterion !== "bic" && criterion !== "aic") {
+            throw new Error(`${criterion} is not a valid criterion! Use "bic" or "aic".`);
+        }
+        // KMeans needs at least 2K points to choose K initial centroids
+        const N = this._N;
+        if (K_min < 1 || K_min > K_max || 2 * K_min > N) {
+            throw new Error(`K_min (=${K_min}) has to be between 1 and K_max (=${K_max}), and at most half the number of points (=${N})!`);
+        }
+        return this;
+    }
+
+    /**
+     * Runs KMeans with {@link K} clusters on {@link matrix}, starting from {@link cluster_centroids} if given.
+     * @private
+     * @param {Matrix} matrix
+     * @param {Number} K
+     * @param {Array<Float64Array>} [cluster_centroids = null]
+     * @returns {KMeans}
+     */
+    _kmeans(matrix, K, cluster_centroids = null) {
+        const metric = this._parameters.metric;
+        // all runs draw from the same random numbers, for reproducible results
+        const kmeans = new KMeans(matrix, { K, metric, seed: this._randomizer, init: cluster_centroids ?? "kmeans++" });
+        return kmeans.check_init();
+    }
+
+    /**
+     * Computes the clusterings for K in [{@link K_min}, {@link K_max}].
+     * @returns {XMeans}
+     */
+    init() {
+        const A = this._matrix;
+        const N = this._N;
+        const K_max = Math.min(this._parameters.K_max, Math.floor(N / 2));
+        const candidates = (this._candidates = {});
+        const indices = linspace(0, N - 1);
+        let K = this._parameters.K_min;
+        let kmeans = this._kmeans(A, K);
+        while (true) {
+            const clusters = kmeans.get_clusters();
+            const centroids = kmeans.get_centroids();
+            candidates[K] = {
+                "kmeans": kmeans,
+                "score": this._bic(clusters, centroids, indices),
+            };
+            if (K >= K_max) break;
+
+            // try to split each cluster in two
+            const splits = [];
             for (let j = 0; j < K; ++j) {
                 const cluster = clusters[j];
-                console.log(cluster.length)
-                if (cluster.length < K_max) continue;
-                const subset = Matrix.from(cluster.map(d => A.row(d)));
-                const subset_kmeans = new KMeans(subset, 2, metric, 1987, false);
-                subset_kmeans._randomizer = randomizer;
-                subset_kmeans.init()
-                const subset_cluster = subset_kmeans.get_clusters();
-                const subset_centroids = subset_kmeans._cluster_centroids;
-                const bic = this._bic(subset_cluster, subset_centroids, cluster)
-                child_bic.push(bic);
-                child_kmeans.push(subset_kmeans);
-                child_indices.push(j);
-            }
-            //if (child_bic.length < (K )) break;
-            //choose best
-            let best_split = child_indices[0];
-            let best_bic = child_bic[0];
-            for (let i = 0; i < child_bic.length; ++i) {
-                if (best_bic > child_bic[i]) {
-                    best_split = child_indices[i];
-                    best_bic = child_bic[i];
+                if (cluster.length < 4) continue;
+                const subset = Matrix.from(cluster.map((i) => A.row(i)));
+                const children = this._kmeans(subset, 2);
+                const parent_score = this._bic([linspace(0, cluster.length - 1)], [centroids[j]], cluster);
+                const children_centroids = children.get_centroids();
+                const children_score = this._bic(children.get_clusters(), children_centroids, cluster);
+                if (children_score > parent_score) {
+                    splits.push({ j, gain: children_score - parent_score, centroids: children_centroids });
                 }
             }
-            const best_cluster_centroids = candidate.cluster_centroids.splice(best_split, 1, ...child_kmeans[best_split]._cluster_centroids);
-            console.log(candidate.cluster_centroids, child_kmeans[best_split]._cluster_centroids)
-            
-            const parent_clusters = candidate.kmeans._clusters;
-            const best_candidate_clusters = child_kmeans[best_split]._clusters;
-            const best_candidate = new KMeans(A, K + 1, metric, 1987, false)
-            best_candidate._randomizer = randomizer;
-            // set clusters and centroids
-            let counter = 0;
-            //let cluster_number = best_cluster_centroids.length;
-            best_candidate._clusters = parent_clusters.map(c => {
-                if (c == best_split) {
-                    return c + best_candidate_clusters[counter++];
-                } else if (c > best_split) {
-                    return c + 1;
-                }
-                return c;
-            })
-            //best_candidate._K = K + 1;
-            console.log(best_candidate.get_clusters())
-            //best_candidate.init(K + 1, best_cluster_centroids);
-            console.log(best_candidate)
-            //save best candidate.
-            candidates[K + 1] = {
-                "kmeans": best_candidate,
-                "cluster_centroids": best_cluster_centroids,
-                "score": child_bic[best_split],
+            if (splits.length === 0) break;
+            // only the best splits, if there are more than K_max allows
+            splits.sort((a, b) => b.gain - a.gain).splice(K_max - K);
+            const new_centroids = centroids.filter((_, j) => !splits.some((split) => split.j === j));
+            for (const split of splits) {
+                new_centroids.push(...split.centroids);
             }
-            
+            K = new_centroids.length;
+            kmeans = this._kmeans(A, K, new_centroids);
+        }
 
-        } while (++K < K_max)
+        let best_score = -Infinity;
+        let best_candidate = null;
+        for (const { kmeans, score } of Object.values(candidates)) {
+            if (best_candidate === null || score > best_score) {
+                best_score = score;
+                best_candidate = kmeans;
+            }
+        }
+        this._best_candidate = best_candidate;
+        this._labels = best_candidate.labels;
+        this._num_clusters = best_candidate.get_centroids().length;
+        return this;
+    }
 
+    /**
+     * Returns the centroids of the clustering with the best score.
+     * @returns {Float64Array[]}
+     */
+    get_centroids() {
+        this.check_init();
+        return this._best_candidate.get_centroids();
+    }
 
-        // return best candidate.
-        return this;
+    /**
+     * @private
+     * @param {Matrix} X - the new points.
+     * @returns {number[]} the cluster of the nearest centroid of the clustering with the best score.
+     */
+    _predict(X) {
+        return this._best_candidate.predict(X);
     }
 
-    get_clusters() {
-        let K_min = this._K_min;
-        let K_max = this._K_max;
-        const candidates = this._candidates;
-        let best_score = candidates[K_min].score;
-        let best_candidate = candidates[K_min].kmeans;
-        for (let i = K_min + 1; i < K_max; ++i) {
-            if (!(i in candidates)) break;
-            const candidate = candidates[i];
-            const score = candidate.score
-            if (best_score < score) {
-                best_score = score;
-                best_candidate = candidate.kmeans;
-            }
-        }
-        return best_candidate.get_clusters();
+    /**
+     * Returns the score of the clustering with {@link K} clusters, if XMeans computed one.
+     * @param {Number} K - the number of clusters.
+     * @returns {Number|undefined}
+     */
+    get_score(K) {
+        this.check_init();
+        return this._candidates[K]?.score;
     }
-    
+
+    /**
+     * Scores a clustering with the information criterion, based on the log-likelihood of a mixture of spherical Gaussians with one shared variance.
+     * Higher is better.
+     * @private
+     * @param {Array<Array>} clusters - the clusters, with indices into {@link indices}.
+     * @param {Array<Float64Array>} centroids - the centroids of the clusters.
+     * @param {Number[]} indices - the indices of the clustered points in {@link points}.
+     * @returns {Number} the Bayesian information criterion, or the Akaike information criterion if criterion is "aic".
+     */
     _bic(clusters, centroids, indices) {
         const A = this._matrix;
-        const D = this._matrix.cols;
+        const D = A.cols;
         const K = centroids.length;
-        //const result = new Array(K).fill();
-        let result = 0;
+        const N = clusters.reduce((a, b) => a + b.length, 0);
+        if (N <= K) return -Infinity;
 
         let variance = 0;
         for (let i = 0; i < K; ++i) {
-            const cluster = clusters[i];
             const centroid = centroids[i];
-            const n = cluster.length;
-            for (let j = 0; j < n; ++j) {
-                variance += euclidean_squared(centroid, A.row(indices[cluster[j]])) ** 2;
+            for (const j of clusters[i]) {
+                variance += euclidean_squared(centroid, A.row(indices[j]));
             }
         }
-        const N = clusters.reduce((a, b) => a + b.length, 0);
-        const p = (K - 1) + D * K + 1;
-        variance /= (N - K);
+        // points which coincide with their centroids have no variance, but the logarithm needs a positive one
+        variance = Math.max(variance / ((N - K) * D), Number.MIN_VALUE);
 
-        for (let i = 0; i < K; ++i) {
-            const n = clusters[i].length;
-            const log_likelihood = 
-                (n * Math.log(2 * Math.PI) -
-                n * D * Math.log(variance) -
-                (n - K)) * .5 + 
-                n * Math.log(n) - 
-                n * Math.log(N);
-            result += log_likelihood - p * .5 * Math.log(N);
+        // the squared distances to the centroids sum up to (N - K) * D * variance
+        let log_likelihood = -N * D * 0.5 * Math.log(2 * Math.PI * variance) - (N - K) * D * 0.5;
+        for (const cluster of clusters) {
+            const n = cluster.length;
+            if (n > 0) log_likelihood += n * Math.log(n / N);
         }
-        return result;
+        // the mixing weights, the centroids, and the variance
+        const p = (K - 1) + D * K + 1;
+        return this._parameters.criterion === "aic" ? log_likelihood - p : log_likelihood - p * 0.5 * Math.log(N);
     }
-    
 }
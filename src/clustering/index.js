@@ -1,8 +1,13 @@
 /**
  * @module clustering
  */
+export { Clustering } from "./Clustering.js";
 export { Hierarchical_Clustering } from "./Hierarchical_Clustering.js";
 export { KMeans } from "./KMeans.js";
+export { MiniBatchKMeans } from "./MiniBatchKMeans.js";
 export { KMedoids } from "./KMedoids.js";
-//export { XMeans } from "./XMeans";
-export { OPTICS } from "./OPTICS.js";
\ No newline at end of file
+export { XMeans } from "./XMeans.js";
+export { GMM } from "./GMM.js";
+export { OPTICS } from "./OPTICS.js";
+export { DBSCAN } from "./DBSCAN.js";
+export { HDBSCAN } from "./HDBSCAN.js";
\ No newline at end of file
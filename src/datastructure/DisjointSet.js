@@ -37,7 +37,6 @@ export class DisjointSet {
         const list = this._list;
         if (list.has(x)) {
             if (x.__disjoint_set.parent !== x) {
-                x.__disjoint_set.children.add(...x);
                 x.__disjoint_set.parent = this.find(x.__disjoint_set.parent);
                 return x.__disjoint_set.parent;
             } else {
@@ -1,5 +1,9 @@
-import { Matrix } from "../matrix/index.js";
+import { Matrix, SparseMatrix } from "../matrix/index.js";
 import { Randomizer } from "../util/index.js";
+import copy_parameters from "../util/copy_parameters.js";
+import * as metrics from "../metrics/index.js";
+import * as knn from "../knn/index.js";
+import * as dimred from "./index.js";
 
 /**
  * @class
@@ -21,7 +25,28 @@ export class DR {
      * @returns {DR}
      */
     constructor(X, default_parameters, parameters) {
-        this._parameters = Object.assign(Object.seal(default_parameters), parameters);
+        for (const name of Object.keys(parameters ?? {})) {
+            if (!default_parameters.hasOwnProperty(name)) {
+                throw new Error(`${name} is not a valid parameter!`);
+            }
+        }
+        this._default_parameters = copy_parameters(default_parameters);
+        this._init(X, parameters);
+        return this;
+    }
+
+    /**
+     * Sets the DR method up for the data {@link X} and the {@link parameters}. Gets called by the constructor and by <code>fit</code> with new data.
+     * Subclasses which adapt the parameters to the data or set up a state override this method and call it first.
+     * @private
+     * @param {Matrix|number[][]} X - the high-dimensional data.
+     * @param {object} parameters - the parameters given by the user.
+     * @returns {DR}
+     */
+    _init(X, parameters) {
+        // the parameters as the user gave them, the DR methods may adapt this._parameters to the data
+        this._user_parameters = copy_parameters(parameters ?? {});
+        this._parameters = Object.assign(Object.seal(copy_parameters(this._default_parameters)), parameters);
         if (X instanceof Matrix) {
             this._type = "matrix";
             this.X = X;
@@ -33,6 +58,7 @@ export class DR {
         }
         [this._N, this._D] = this.X.shape;
         this._randomizer = new Randomizer(this._parameters.seed);
+        this._knn = null;
         this._is_initialized = false;
         return this;
     }
@@ -62,6 +88,7 @@ export class DR {
         }
         if (value !== null) {
             this._parameters[name] = value;
+            this._user_parameters[name] = value;
             this._is_initialized = false;
             return this;
         } else {
@@ -94,6 +121,110 @@ export class DR {
         yield this.transform();
     }
 
+    /**
+     * Whether the DR method can project new data with <code>transform</code> after it got fitted.
+     * @static
+     * @type {boolean}
+     */
+    static get out_of_sample() {
+        return false;
+    }
+
+    /**
+     * Fits the DR method, i.e., computes the projection of the training data {@link X}.
+     * @param {Matrix|number[][]} [X = null] - the training data. If given, the DR method gets set up anew with {@link X} and the parameters given by the user,
+     * not those adapted to the previous data. A searcher instance or neighbor lists in the parameter <code>knn</code> belong to the previous data,
+     * then the DR method throws an error.
+     * @param  {...unknown} args - Arguments the transform method of the respective DR method takes, e.g., the number of iterations.
+     * @returns {DR}
+     */
+    fit(X = null, ...args) {
+        if (X !== null && X !== this.X) {
+            const searcher = this._user_parameters.knn ?? null;
+            if (searcher !== null && typeof searcher !== "function") {
+                throw new Error("Parameter knn holds a searcher or neighbor lists of the previous data! Set it to a searcher class, e.g. BallTree, or create a new DR object for the new data.");
+            }
+            this._init(X, copy_parameters(this._user_parameters));
+        }
+        this.transform(...args);
+        return this;
+    }
+
+    /**
+     * Fits the DR method and returns the projection of the training data.
+     * @param {Matrix|number[][]} [X = null] - the training data. If given, the DR method gets set up anew with {@link X}, like in {@link DR#fit}.
+     * @param  {...unknown} args - Arguments the transform method of the respective DR method takes, e.g., the number of iterations.
+     * @returns {Matrix|number[][]} the projection in the type of input <code>X</code>.
+     */
+    fit_transform(X = null, ...args) {
+        return this.fit(X, ...args).projection;
+    }
+
+    /**
+     * Projects new data with the fitted DR method. Gets called by <code>transform</code> if it gets new data.
+     * DR methods which support out-of-sample projection override this method and {@link DR.out_of_sample}.
+     * @private
+     * @param {Matrix|number[][]} A - the new data.
+     * @returns {Matrix|number[][]} the projection of {@link A}, in the type of {@link A}.
+     */
+    _transform_new(A) {
+        const name = this.constructor.name;
+        throw new Error(`${name} can not project new data, it only projects the data it got fitted on (${name}.out_of_sample is false)!`);
+    }
+
+    /**
+     * Maps points of the projection back into the space of {@link X}. Each point becomes the inverse distance weighted mean
+     * of the rows of {@link X} whose projections are its {@link k} nearest neighbors in {@link Y}.
+     * DR methods with an explicit inverse mapping, like {@link PCA}, override this method.
+     * @param {Matrix|number[][]} A - points in the projection, one per row.
+     * @param {number} [k = 5] - the number of neighbors in the projection to interpolate from.
+     * @returns {Matrix|number[][]} the back-projected points, in the type of {@link A}.
+     * @example
+     * '''
+     * const umap = new druid.UMAP(X);
+     * umap.transform();
+     * const [x] = umap.inverse_transform([[0.5, 1.2]]); // a record which would lie at (0.5, 1.2)
+     * '''
+     */
+    inverse_transform(A, k = 5) {
+        if (!this.hasOwnProperty("Y")) {
+            throw new Error("The dataset is not transformed yet!");
+        }
+        if (this._parameters.metric === "precomputed") {
+            throw new Error(`${this.constructor.name} can not map points back, because it only knows the distances of the data!`);
+        }
+        const P = A instanceof Matrix ? A : Matrix.from(A);
+        const X = this.X;
+        const Y = this.Y;
+        if (P.cols !== Y.cols) {
+            throw new Error(`The points need ${Y.cols} columns, but have ${P.cols}!`);
+        }
+        const tree = new knn.BallTree(Y.to2dArray, metrics.euclidean);
+        const X_new = new Matrix(P.rows, this._D, 0);
+        for (let a = 0; a < P.rows; ++a) {
+            const neighbors = tree.search(P.row(a), Math.min(k, this._N)).raw_data();
+            const X_new_a = X_new.row(a);
+            const exact = neighbors.find(({ value }) => value === 0);
+            if (exact) {
+                X_new_a.set(X.row(exact.element.index));
+                continue;
+            }
+            let sum = 0;
+            for (const { element, value } of neighbors) {
+                const w = 1 / value;
+                const X_j = X.row(element.index);
+                for (let j = 0; j < this._D; ++j) {
+                    X_new_a[j] += w * X_j[j];
+                }
+                sum += w;
+            }
+            for (let j = 0; j < this._D; ++j) {
+                X_new_a[j] /= sum;
+            }
+        }
+        return A instanceof Matrix ? X_new : X_new.asArray;
+    }
+
     /**
      * If the respective DR method has an <code>init</code> function, call it before <code>transform</code>.
      * @returns {DR}
@@ -122,11 +253,183 @@ export class DR {
      * Computes the projection.
      * @param  {...unknown} args - Arguments the transform method of the respective DR method takes.
      * @returns {Promise<Matrix|number[][]>} the dimensionality reduced dataset.
+     * @see {@link DRWorker} to compute the projection off the main thread.
      */
     async transform_async(...args) {
         return this.transform(...args);
     }
 
+    /**
+     * Creates the kNN searcher given by the parameter <code>knn</code> for the rows of {@link X}.
+     * @private
+     * @param {Matrix} [X = this.X]
+     * @returns {object|null} an object with the searcher interface of {@link BallTree}, or null if <code>knn</code> holds precomputed neighbor lists.
+     */
+    _make_knn(X = this.X) {
+        const { knn: searcher = null, metric } = this._parameters;
+        if (Array.isArray(searcher)) return null;
+        if (searcher !== null && typeof searcher === "object") return searcher;
+        if (metric === "precomputed") {
+            if (searcher !== null && searcher !== knn.KNN) {
+                throw new Error(`${searcher.name} does not support a precomputed distance matrix, use KNN instead!`);
+            }
+            return new knn.KNN(X, "precomputed");
+        }
+        if (searcher === null) {
+            const add_distances = metric === metrics.euclidean_squared ? (a, b) => (Math.sqrt(a) + Math.sqrt(b)) ** 2 : null;
+            return new knn.BallTree(X.to2dArray, metric, add_distances);
+        }
+        return new searcher(X.to2dArray, metric);
+    }
+
+    /**
+     * Computes for each row of {@link X_new} its {@link k} nearest neighbors in the training data {@link X}.
+     * @private
+     * @param {Matrix} X_new - the new data, or their distances to the training data if the metric is "precomputed".
+     * @param {number} k - the number of neighbors.
+     * @returns {Array<{index: number, distance: number}[]>} for each new point its {@link k} nearest neighbors, sorted by distance.
+     */
+    _nearest_training_neighbors(X_new, k) {
+        const metric = this._parameters.metric;
+        if (X_new.cols !== (metric === "precomputed" ? this._N : this._D)) {
+            throw new Error(`The new data needs ${metric === "precomputed" ? this._N : this._D} columns, but has ${X_new.cols}!`);
+        }
+        const result = [];
+        for (let i = 0; i < X_new.rows; ++i) {
+            let neighbors;
+            if (metric === "precomputed") {
+                neighbors = Array.from(X_new.row(i), (distance, index) => ({ index, distance }));
+            } else {
+                this._knn = this._knn ?? this._make_knn() ?? new knn.BallTree(this.X.to2dArray, metric);
+                neighbors = this._knn
+                    .search(X_new.row(i), k)
+                    .raw_data()
+                    .map(({ element, value }) => ({ index: element.index, distance: value }));
+            }
+            result.push(neighbors.sort((a, b) => a.distance - b.distance).slice(0, k));
+        }
+        return result;
+    }
+
+    /**
+     * Computes the {@link k} nearest neighbors of each row of {@link X} with the parameter <code>knn</code>.
+     * @private
+     * @param {number} k - the number of neighbors.
+     * @param {object} [searcher] - the kNN searcher to use, created with {@link DR#_make_knn} if not given.
+     * @returns {Array<{index: number, distance: number}[]>} for each point its {@link k} nearest neighbors without itself, sorted by distance.
+     */
+    _nearest_neighbors(k, searcher = this._make_knn()) {
+        const N = this._N;
+        const lists = this._parameters.knn;
+        let neighbors;
+        if (Array.isArray(lists)) {
+            if (lists.length !== N) {
+                throw new Error(`The precomputed neighbor lists need an entry for each of the N=${N} points, but have ${lists.length}!`);
+            }
+            neighbors = lists.map((list, i) => list.filter(({ index }) => index !== i));
+        } else {
+            neighbors = Array.from({ length: N }, (_, i) =>
+                searcher
+                    .search_index(i, k + 1)
+                    .raw_data()
+                    .map(({ element, value }) => ({ index: element.index, distance: value }))
+                    .filter(({ index }) => index !== i)
+            );
+        }
+        return neighbors.map((list, i) => {
+            if (list.length < k) {
+                throw new Error(`Point ${i} has only ${list.length} neighbors, but ${k} are needed!`);
+            }
+            return list.sort((a, b) => a.distance - b.distance).slice(0, k);
+        });
+    }
+
+    /**
+     * Returns the fitted state of the DR method, which is not covered by the parameters, {@link X} and {@link Y}.
+     * Subclasses override this method to store their method-specific state.
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        return {};
+    }
+
+    /**
+     * Restores the fitted state returned by {@link DR#_get_state}.
+     * @private
+     * @param {object} state
+     * @returns {DR}
+     */
+    _set_state(state) {
+        Object.assign(this, state);
+        return this;
+    }
+
+    /**
+     * Serializes the DR object, i.e., the parameters, the state of the random number generator, {@link X}, the projection {@link Y},
+     * and the fitted state of the respective DR method. Gets called by <code>JSON.stringify</code>.
+     * @returns {object} a JSON compatible object, which can be restored with {@link DR.fromJSON}.
+     * @example
+     * '''
+     * const umap = new druid.UMAP(X);
+     * umap.transform();
+     * const json = JSON.stringify(umap);
+     * const restored = druid.DR.fromJSON(json); // or druid.UMAP.fromJSON(json)
+     * '''
+     */
+    toJSON() {
+        const randomizer = this._randomizer;
+        const parameters = {};
+        for (const [name, value] of Object.entries(this._parameters)) {
+            if (!(value instanceof Randomizer)) parameters[name] = encode(value);
+        }
+        return {
+            type: Object.keys(dimred).find((key) => dimred[key] === this.constructor),
+            parameters: parameters,
+            input_type: this._type,
+            X: encode(this.X),
+            Y: this.hasOwnProperty("Y") ? encode(this.Y) : null,
+            randomizer: {
+                seed: randomizer._seed,
+                mt: randomizer._mt.slice(),
+                mti: randomizer._mti,
+                val: randomizer._val ?? null,
+            },
+            is_initialized: this._is_initialized,
+            state: encode(this._get_state()),
+        };
+    }
+
+    /**
+     * Restores a DR object serialized with {@link DR#toJSON}.
+     * @static
+     * @param {object|string} json - the serialized DR object, or its JSON string.
+     * @param {object} [parameters = {}] - parameters which replace the stored ones, e.g., a custom metric which can not be serialized.
+     * @returns {DR} the restored DR object.
+     */
+    static fromJSON(json, parameters = {}) {
+        if (typeof json === "string") json = JSON.parse(json);
+        const Method = dimred[json.type];
+        if (!Method) {
+            throw new Error(`${json.type} is not a valid DR method!`);
+        }
+        if (Method !== this && !(Method.prototype instanceof this)) {
+            throw new Error(`Can not restore ${json.type} as ${this.name}!`);
+        }
+        const restored_parameters = {};
+        for (const [name, value] of Object.entries(json.parameters)) {
+            if (!parameters.hasOwnProperty(name)) restored_parameters[name] = decode(value);
+        }
+        const dr = new Method(decode(json.X), Object.assign(restored_parameters, parameters));
+        dr._type = json.input_type;
+        if (json.Y !== null) dr.Y = decode(json.Y);
+        const { seed, mt, mti, val } = json.randomizer;
+        Object.assign(dr._randomizer, { _seed: seed, _mt: mt.slice(), _mti: mti, _val: val });
+        dr._is_initialized = json.is_initialized;
+        if (Object.keys(json.state).length > 0) dr._set_state(decode(json.state));
+        return dr;
+    }
+
     /**
      * Computes the projection.
      * @static
@@ -162,3 +465,84 @@ export class DR {
         }
     }
 }
+
+const typed_arrays = { Float64Array, Float32Array, Int32Array, Uint32Array, Int16Array, Uint16Array, Int8Array, Uint8Array };
+
+/**
+ * Encodes {@link value} into a JSON compatible form. Dense and sparse matrices, typed arrays, non-finite numbers and functions
+ * of the metrics, knn and dimensionality_reduction modules get marked with a <code>$type</code> property.
+ * @private
+ * @param {any} value
+ * @returns {any}
+ */
+export function encode(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === "number") return Number.isFinite(value) ? value : { $type: "Number", value: String(value) };
+    if (typeof value === "string" || typeof value === "boolean") return value;
+    if (typeof value === "function") {
+        const namespace = { ...metrics, ...knn, ...dimred };
+        const name = Object.keys(namespace).find((key) => namespace[key] === value);
+        if (!name) {
+            throw new Error(`Function ${value.name} can not be serialized! Pass it as parameter when restoring instead.`);
+        }
+        return { $type: "Function", name: name };
+    }
+    if (value instanceof Matrix) return { $type: "Matrix", shape: value.shape, values: Array.from(value.values, encode) };
+    if (value instanceof SparseMatrix) {
+        return { $type: "SparseMatrix", shape: value.shape, row_ptr: Array.from(value._row_ptr), col_indices: Array.from(value._col_indices), values: Array.from(value.values, encode) };
+    }
+    if (ArrayBuffer.isView(value) && typed_arrays[value.constructor.name] === value.constructor) {
+        return { $type: value.constructor.name, values: Array.from(value, encode) };
+    }
+    if (Array.isArray(value)) return value.map(encode);
+    if (value instanceof Randomizer) return undefined;
+    if (Object.getPrototypeOf(value) === Object.prototype) {
+        const result = {};
+        for (const [key, entry] of Object.entries(value)) {
+            const encoded = encode(entry);
+            if (encoded !== undefined) result[key] = encoded;
+        }
+        return result;
+    }
+    throw new Error(`${value} can not be serialized!`);
+}
+
+/**
+ * Decodes a {@link value} encoded with {@link encode}.
+ * @private
+ * @param {any} value
+ * @returns {any}
+ */
+export function decode(value) {
+    if (value === null || typeof value !== "object") return value;
+    if (Array.isArray(value)) return value.map(decode);
+    switch (value.$type) {
+        case undefined: {
+            const result = {};
+            for (const [key, entry] of Object.entries(value)) {
+                result[key] = decode(entry);
+            }
+            return result;
+        }
+        case "Number":
+            return Number(value.value);
+        case "Function": {
+            const namespace = { ...metrics, ...knn, ...dimred };
+            if (!namespace.hasOwnProperty(value.name)) {
+                throw new Error(`Function ${value.name} is unknown! Pass it as parameter when restoring instead.`);
+            }
+            return namespace[value.name];
+        }
+        case "Matrix": {
+            const [rows, cols] = value.shape;
+            return new Matrix(rows, cols, Float64Array.from(value.values, decode));
+        }
+        case "SparseMatrix": {
+            const [rows, cols] = value.shape;
+            return new SparseMatrix(rows, cols, Uint32Array.from(value.row_ptr), Uint32Array.from(value.col_indices), Float64Array.from(value.values, decode));
+        }
+        default:
+            if (typed_arrays.hasOwnProperty(value.$type)) return typed_arrays[value.$type].from(value.values, decode);
+            throw new Error(`${value.$type} is not a valid type!`);
+    }
+}
@@ -0,0 +1,182 @@
+import { Matrix } from "../matrix/index.js";
+import { encode } from "./DR.js";
+
+/**
+ * @class
+ * @alias DRWorker
+ */
+export class DRWorker {
+    /**
+     * Runs a DR method off the main thread, in a Web Worker in browsers or with <code>worker_threads</code> in Node.
+     * The data {@link X} gets transferred as Float64Array. Functions in {@link parameters}, like the metric, are only
+     * transferable if they are exported by druid.
+     * @constructor
+     * @memberof module:dimensionality_reduction
+     * @alias DRWorker
+     * @param {string} method - the name of the DR method, e.g., "UMAP".
+     * @param {Matrix|number[][]} X - the high-dimensional data.
+     * @param {object} [parameters = {}] - Object containing parameterization of the DR method.
+     * @param {object} [options = {}]
+     * @param {string|URL} [options.url] - the URL of the worker script. Defaults to <code>worker.js</code> next to this module.
+     * If druid is used as bundle, the worker script <code>src/dimred/worker.js</code> has to be served separately.
+     * @returns {DRWorker}
+     * @example
+     * '''
+     * const worker = new druid.DRWorker("UMAP", X, { n_neighbors: 10 });
+     * for await (const Y of worker.generator(350)) {
+     *     draw(Y);
+     * }
+     * '''
+     */
+    constructor(method, X, parameters = {}, options = {}) {
+        if (X instanceof Matrix) {
+            this._type = "matrix";
+            this.X = X;
+        } else if (Matrix.isArray(X)) {
+            this._type = "array";
+            this.X = Matrix.from(X);
+        } else {
+            throw new Error("No valid type for X!");
+        }
+        this._method = method;
+        this._parameters = encode(parameters);
+        this._url = options.url ?? new URL("./worker.js", import.meta.url);
+        this._cancel = null;
+        return this;
+    }
+
+    /**
+     * Computes the projection in a worker.
+     * @param  {...unknown} args - Arguments the transform method of the respective DR method takes.
+     * @returns {Promise<Matrix|number[][]>} the projection.
+     */
+    async transform(...args) {
+        let result = null;
+        for await (const Y of this._run("transform", args)) {
+            result = Y;
+        }
+        return result;
+    }
+
+    /**
+     * Computes the projection in a worker, and yields the intermediate steps as soon as they arrive.
+     * @param  {...unknown} args - Arguments the generator method of the respective DR method takes.
+     * @yields {Matrix|number[][]} the intermediate steps of the projection.
+     */
+    async *generator(...args) {
+        let result = null;
+        for await (const Y of this._run("generator", args, true)) {
+            yield (result = Y);
+        }
+        return result;
+    }
+
+    /**
+     * Terminates the running worker. A pending {@link DRWorker#transform} gets rejected, a running {@link DRWorker#generator} stops.
+     * @returns {DRWorker}
+     */
+    cancel() {
+        if (this._cancel) this._cancel();
+        return this;
+    }
+
+    /**
+     * Starts the worker and yields the projections it sends back.
+     * @private
+     * @param {"transform"|"generator"} mode
+     * @param {any[]} args
+     * @param {boolean} [steps = false] - if true, then also yield the intermediate steps.
+     * @yields {Matrix|number[][]}
+     */
+    async *_run(mode, args, steps = false) {
+        if (this._cancel) {
+            throw new Error("The worker is already running!");
+        }
+        const queue = [];
+        let wake = null;
+        let loaded = null;
+        const is_loaded = new Promise((resolve) => (loaded = resolve));
+        let finished = false;
+        const receive = (message) => {
+            // the worker is done loading its modules
+            if (message.type === "ready") return loaded();
+            queue.push(message);
+            if (wake) wake();
+        };
+        this._cancel = () => receive({ type: "cancel" });
+        let worker = null;
+        try {
+            worker = await this._start();
+            worker.on_message(receive);
+            worker.on_error((error) => receive({ type: "error", message: error.message }));
+
+            const X = this.X;
+            const values = Float64Array.from(X.values);
+            worker.post({ method: this._method, X: { rows: X.rows, cols: X.cols, values }, parameters: this._parameters, mode, args }, [values.buffer]);
+            while (true) {
+                if (queue.length === 0) await new Promise((resolve) => (wake = resolve));
+                wake = null;
+                const message = queue.shift();
+                switch (message.type) {
+                    case "step":
+                        if (steps) yield this._projection(message.Y);
+                        break;
+                    case "done":
+                        finished = true;
+                        if (!steps) yield this._projection(message.Y);
+                        return;
+                    case "cancel":
+                        if (steps) return;
+                        throw new Error("The worker got cancelled!");
+                    case "error":
+                        finished = true;
+                        throw new Error(message.message);
+                }
+            }
+        } finally {
+            // a finished worker exits on its own. A running one gets terminated, but not before it loaded its modules:
+            // terminating a worker with open file handles crashes Node 14.
+            if (worker && !finished) is_loaded.then(() => worker.terminate());
+            this._cancel = null;
+        }
+    }
+
+    /**
+     * Creates a worker with a common interface for browsers and Node.
+     * @private
+     * @returns {Promise<object>}
+     */
+    async _start() {
+        const url = this._url;
+        let worker;
+        if (typeof Worker !== "undefined") {
+            const w = new Worker(url, { type: "module" });
+            worker = {
+                post: (message, transfer) => w.postMessage(message, transfer),
+                on_message: (callback) => (w.onmessage = (e) => callback(e.data)),
+                on_error: (callback) => (w.onerror = (e) => callback(e)),
+                terminate: () => w.terminate(),
+            };
+        } else {
+            const { Worker } = await import("node:worker_threads");
+            const w = new Worker(url);
+            worker = {
+                post: (message, transfer) => w.postMessage(message, transfer),
+                on_message: (callback) => w.on("message", callback),
+                on_error: (callback) => w.on("error", callback),
+                terminate: () => w.terminate(),
+            };
+        }
+        return worker;
+    }
+
+    /**
+     * @private
+     * @param {object} Y - rows, cols and values of the projection.
+     * @returns {Matrix|number[][]} the projection in the type of input <code>X</code>.
+     */
+    _projection({ rows, cols, values }) {
+        const Y = new Matrix(rows, cols, values);
+        return this._type === "matrix" ? Y : Y.to2dArray;
+    }
+}
@@ -16,7 +16,7 @@ export class FASTMAP extends DR {
      * @param {Matrix} X - the high-dimensional data.
      * @param {object} parameters - Object containing parameterization of the DR method.
      * @param {number} [parameters.d = 2] - the dimensionality of the projection.
-     * @param {function} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {function|"precomputed"} [parameters.metric = euclidean] - the metric which defines the distance between two points.
      * @param {number} [parameters.seed = 1212] - the dimensionality of the projection.
      * @returns {FASTMAP}
      * @see {@link https://doi.org/10.1145/223784.223812}
@@ -35,7 +35,7 @@ export class FASTMAP extends DR {
     _choose_distant_objects(dist) {
         const X = this.X;
         const N = X.rows;
-        let a_index = (this._randomizer.random_int % N) - 1;
+        let a_index = this._randomizer.random_int % N;
         let b_index = null;
         let max_dist = -Infinity;
         for (let i = 0; i < N; ++i) {
@@ -57,15 +57,19 @@ export class FASTMAP extends DR {
     }
 
     /**
-     * Computes the projection.
+     * Computes the projection. {@link FASTMAP} can not project new data {@link A}.
+     * @param {null} [A = null]
      * @returns {Matrix} The {@link d}-dimensional projection of the data matrix {@link X}.
      */
-    transform() {
+    transform(A = null) {
+        if (A !== null) {
+            return this._transform_new(A);
+        }
         const X = this.X;
         const N = X.rows;
         const { d, metric } = this._parameters;
         const Y = new Matrix(N, d, 0);
-        let dist = (a, b) => metric(X.row(a), X.row(b));
+        let dist = metric === "precomputed" ? (a, b) => X.entry(a, b) : (a, b) => metric(X.row(a), X.row(b));
 
         for (let _col = 0; _col < d; ++_col) {
             let old_dist = dist;
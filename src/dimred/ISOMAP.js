@@ -1,6 +1,6 @@
 import { simultaneous_poweriteration } from "../linear_algebra/index.js";
-import { distance_matrix, Matrix } from "../matrix/index.js";
-import { Heap } from "../datastructure/index.js";
+import { Matrix, SparseMatrix, linspace } from "../matrix/index.js";
+import { dijkstra } from "../knn/index.js";
 import { DR } from "./DR.js";
 import euclidean from "../metrics/euclidean.js";
 
@@ -20,13 +20,28 @@ export class ISOMAP extends DR {
      * @param {number} parameters.neighbors - the number of neighbors {@link ISOMAP} should use to project the data.
      * @param {number} [parameters.d = 2] - the dimensionality of the projection.
      * @param {function} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {function|object|Array} [parameters.knn = null] - the kNN searcher class (default {@link BallTree}), an instance of it built on {@link X}, or precomputed neighbor lists.
+     * @param {number} [parameters.landmarks = null] - if set, only the geodesic distances to this number of randomly chosen landmarks get computed, and the other points get triangulated (Landmark ISOMAP).
      * @param {number} [parameters.seed = 1212] - the seed for the random number generator.
      * @param {object} [parameters.eig_args] - Parameters for the eigendecomposition algorithm.
      * @see {@link https://doi.org/10.1126/science.290.5500.2319}
+     * @see {@link https://papers.nips.cc/paper/2141-global-versus-local-methods-in-nonlinear-dimensionality-reduction}
      */
     constructor(X, parameters) {
-        super(X, { neighbors: undefined, d: 2, metric: euclidean, seed: 1212, eig_args: {} }, parameters);
-        this.parameter("neighbors", Math.min(this._parameters.neighbors ?? Math.max(Math.floor(this.X.rows / 10), 2), this._N - 1));
+        super(X, { neighbors: undefined, d: 2, metric: euclidean, knn: null, landmarks: null, seed: 1212, eig_args: {} }, parameters);
+        return this;
+    }
+
+    /**
+     * Adapts the number of neighbors to the data and seeds the eigensolver.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {ISOMAP}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
+        this._parameters.neighbors = Math.min(this._parameters.neighbors ?? Math.max(Math.floor(this.X.rows / 10), 2), this._N - 1);
         if (!this._parameters.eig_args.hasOwnProperty("seed")) {
             this._parameters.eig_args.seed = this._randomizer;
         }
@@ -34,69 +49,176 @@ export class ISOMAP extends DR {
     }
 
     /**
-     * Computes the projection.
-     * @returns {Matrix} Returns the projection.
+     * Computes the symmetric k-nearest-neighbor graph of {@link X}.
+     * @private
+     * @returns {SparseMatrix}
      */
-    transform() {
-        this.check_init();
-        const X = this.X;
-        const rows = this._N;
-        const { d, metric, eig_args, neighbors } = this._parameters;
-        // TODO: make knn extern and parameter for constructor or transform?
-        const D = distance_matrix(X, metric);
-        const kNearestNeighbors = [];
-        for (let i = 0; i < rows; ++i) {
-            const row = [];
-            for (let j = 0; j < rows; ++j) {
-                row.push({
-                    index: j,
-                    distance: D.entry(i, j),
-                });
+    _neighborhood_graph() {
+        const N = this._N;
+        const adjacency = Array.from({ length: N }, () => new Map());
+        this._nearest_neighbors(this._parameters.neighbors).forEach((neighbors_i, i) => {
+            for (const { index: j, distance } of neighbors_i) {
+                adjacency[i].set(j, distance);
+                adjacency[j].set(i, distance);
+            }
+        });
+        const rows = [];
+        const cols = [];
+        const values = [];
+        adjacency.forEach((neighbors_i, i) => {
+            for (const [j, distance] of neighbors_i) {
+                rows.push(i);
+                cols.push(j);
+                values.push(distance);
             }
-            const H = new Heap(row, (d) => d.distance, "min");
-            kNearestNeighbors.push(H.toArray().slice(1, neighbors + 1));
-        }
-
-        /*D = dijkstra(kNearestNeighbors);*/
-        // compute shortest paths
-        // TODO: make extern
-        /** @see {@link https://en.wikipedia.org/wiki/Floyd%E2%80%93Warshall_algorithm} */
-        const G = new Matrix(rows, rows, (i, j) => {
-            const other = kNearestNeighbors[i].find((n) => n.index === j);
-            return other ? other.distance : Infinity;
         });
+        return SparseMatrix.from_coo(N, N, rows, cols, values);
+    }
 
-        for (let i = 0; i < rows; ++i) {
-            for (let j = 0; j < rows; ++j) {
-                let min_val = G.entry(i, j);
-                for (let k = 0; k < rows; ++k) {
-                    min_val = Math.min(min_val, G.entry(i, k) + G.entry(k, j));
+    /**
+     * Throws an error if {@link graph} is not connected, because then some geodesic distances would be infinite.
+     * @private
+     * @param {SparseMatrix} graph
+     */
+    _check_connected(graph) {
+        const N = graph.rows;
+        const component = new Int32Array(N).fill(-1);
+        let n_components = 0;
+        for (let start = 0; start < N; ++start) {
+            if (component[start] >= 0) continue;
+            const stack = [start];
+            component[start] = n_components;
+            while (stack.length > 0) {
+                for (const j of graph.row_entries(stack.pop()).indices) {
+                    if (component[j] < 0) {
+                        component[j] = n_components;
+                        stack.push(j);
+                    }
                 }
-                G.set_entry(i, j, min_val);
             }
+            ++n_components;
+        }
+        if (n_components > 1) {
+            const sizes = new Array(n_components).fill(0);
+            component.forEach((c) => ++sizes[c]);
+            throw new Error(
+                `The neighborhood graph consists of ${n_components} disconnected components (sizes: ${sizes.join(", ")}), so some geodesic distances are infinite! Increase parameter neighbors (=${this.parameter("neighbors")}).`
+            );
         }
+    }
 
-        let ai_ = new Float64Array(rows);
-        let a_j = new Float64Array(rows);
-        let a__ = 0;
-        const A = new Matrix(rows, rows, (i, j) => {
-            let val = G.entry(i, j);
-            val = val === Infinity ? 0 : val;
-            ai_[i] += val;
-            a_j[j] += val;
-            a__ += val;
-            return val;
-        });
+    /**
+     * @static
+     * @type {boolean}
+     */
+    static get out_of_sample() {
+        return true;
+    }
+
+    /**
+     * Computes the projection. If {@link A} is given, then new points get triangulated from their geodesic distances to the landmarks.
+     * @param {null|Matrix|number[][]} [A = null] - If given, the new data to project. If metric is "precomputed", the distances of each new point to the training data.
+     * @returns {Matrix|number[][]} Returns the projection.
+     */
+    transform(A = null) {
+        if (A !== null) {
+            return this._transform_new(A);
+        }
+        this.check_init();
+        const N = this._N;
+        const { d, eig_args, landmarks } = this._parameters;
+        const graph = this._neighborhood_graph();
+        this._check_connected(graph);
+
+        // squared geodesic distances from the landmarks to all points
+        const n = landmarks === null ? N : Math.min(landmarks, N);
+        if (n <= d) {
+            throw new Error(`Parameter landmarks (=${n}) needs to be greater than d (=${d})!`);
+        }
+        const L = n === N ? linspace(0, N - 1) : this._randomizer.choice(linspace(0, N - 1), n);
+        const G = new Matrix(n, N, 0);
+        for (let i = 0; i < n; ++i) {
+            G.set_row(i, dijkstra(graph, L[i]).map((g) => g * g));
+        }
+
+        // classical MDS of the landmarks
+        const G_L = new Matrix(n, n, (i, j) => G.entry(i, L[j]));
+        const g_i_ = G_L.meanRows;
+        const g__j = G_L.meanCols;
+        const g__ = G_L.mean;
+        const B = new Matrix(n, n, (i, j) => -0.5 * (G_L.entry(i, j) - g_i_[i] - g__j[j] + g__));
+        const { eigenvalues, eigenvectors } = simultaneous_poweriteration(B, d, eig_args);
+        this._G = G;
+        this._g_i_ = g_i_;
+        this._eigenvalues = eigenvalues;
+        this._V = eigenvectors;
 
-        ai_ = ai_.map((v) => v / rows);
-        a_j = a_j.map((v) => v / rows);
-        a__ /= rows ** 2;
-        const B = new Matrix(rows, rows, (i, j) => A.entry(i, j) - ai_[i] - a_j[j] + a__);
+        // triangulate all points
+        const Y = new Matrix(N, d, 0);
+        for (let a = 0; a < N; ++a) {
+            Y.set_row(a, this._triangulate(G.col(a)));
+        }
+        this.Y = Y;
 
-        // compute d eigenvectors
-        const { eigenvectors: V } = simultaneous_poweriteration(B, d, eig_args);
-        this.Y = Matrix.from(V, "col");
         // return embedding
         return this.projection;
     }
+
+    /**
+     * Triangulates a point from its squared geodesic distances {@link g} to the landmarks: y = -1/2 * L^# (g - g_i_).
+     * @private
+     * @param {Float64Array} g - the squared geodesic distances of the point to the landmarks.
+     * @returns {Float64Array} the position of the point in the projection.
+     */
+    _triangulate(g) {
+        const { d } = this._parameters;
+        const V = this._V;
+        const g_i_ = this._g_i_;
+        const n = g_i_.length;
+        const y = new Float64Array(d);
+        for (let k = 0; k < d; ++k) {
+            const V_k = V[k];
+            const lambda_k = Math.sqrt(Math.max(this._eigenvalues[k], 0));
+            if (lambda_k === 0) continue;
+            let sum = 0;
+            for (let i = 0; i < n; ++i) {
+                sum += V_k[i] * (g[i] - g_i_[i]);
+            }
+            y[k] = (-0.5 * sum) / lambda_k;
+        }
+        return y;
+    }
+
+    /**
+     * Projects new points. Their geodesic distances to the landmarks go over their nearest neighbors in the training data.
+     * @private
+     * @param {Matrix|number[][]} A - the new data. If metric is "precomputed", the distances of each new point to the training data.
+     * @returns {Matrix|number[][]} the projection of {@link A}.
+     */
+    _transform_new(A) {
+        if (!this._G) this.transform();
+        const X_new = A instanceof Matrix ? A : Matrix.from(A);
+        const G = this._G;
+        const n = G.rows;
+        const neighbors = this._nearest_training_neighbors(X_new, this._parameters.neighbors);
+        const Y_new = new Matrix(X_new.rows, this._parameters.d, 0);
+        neighbors.forEach((neighbors_a, a) => {
+            const g = new Float64Array(n).fill(Infinity);
+            for (const { index: m, distance } of neighbors_a) {
+                for (let i = 0; i < n; ++i) {
+                    g[i] = Math.min(g[i], distance + Math.sqrt(G.entry(i, m)));
+                }
+            }
+            Y_new.set_row(a, this._triangulate(g.map((g_i) => g_i * g_i)));
+        });
+        return A instanceof Matrix ? Y_new : Y_new.asArray;
+    }
+
+    /**
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        return this._G ? { _G: this._G, _g_i_: this._g_i_, _eigenvalues: this._eigenvalues, _V: this._V } : {};
+    }
 }
@@ -0,0 +1,178 @@
+import { simultaneous_poweriteration } from "../linear_algebra/index.js";
+import { Matrix } from "../matrix/index.js";
+import { euclidean_squared } from "../metrics/index.js";
+import { DR } from "./DR.js";
+
+/**
+ * @class
+ * @alias KernelPCA
+ * @extends DR
+ */
+export class KernelPCA extends DR {
+    /**
+     * Kernel Principal Component Analysis.
+     * @constructor
+     * @memberof module:dimensionality_reduction
+     * @alias KernelPCA
+     * @param {Matrix|number[][]} X - the high-dimensional data.
+     * @param {object} parameters - Object containing parameterization of the DR method.
+     * @param {number} [parameters.d = 2] - the dimensionality of the projection.
+     * @param {"rbf"|"polynomial"|"sigmoid"|"cosine"|function} [parameters.kernel = "rbf"] - the kernel, or a function (a, b) => similarity.
+     * @param {number} [parameters.gamma = null] - the scale of the "rbf", "polynomial" and "sigmoid" kernels. If null, 1 / D gets used.
+     * @param {number} [parameters.degree = 3] - the degree of the "polynomial" kernel.
+     * @param {number} [parameters.coef0 = 1] - the offset of the "polynomial" and "sigmoid" kernels.
+     * @param {number} [parameters.seed = 1212] - the seed for the random number generator.
+     * @param {object} [parameters.eig_args] - Parameters for the eigendecomposition algorithm.
+     * @returns {KernelPCA}
+     * @see {@link https://doi.org/10.1162/089976698300017467}
+     */
+    constructor(X, parameters) {
+        super(X, { d: 2, kernel: "rbf", gamma: null, degree: 3, coef0: 1, seed: 1212, eig_args: {} }, parameters);
+        return this;
+    }
+
+    /**
+     * Seeds the eigensolver and checks the kernel.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {KernelPCA}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
+        if (!this._parameters.eig_args.hasOwnProperty("seed")) {
+            this._parameters.eig_args.seed = this._randomizer;
+        }
+        this._kernel();
+        return this;
+    }
+
+    /**
+     * @static
+     * @type {boolean}
+     */
+    static get out_of_sample() {
+        return true;
+    }
+
+    /**
+     * Returns the kernel function given by the parameters.
+     * @private
+     * @returns {function} (a, b) => similarity
+     */
+    _kernel() {
+        const { kernel, degree, coef0 } = this._parameters;
+        const gamma = this._parameters.gamma ?? 1 / this._D;
+        if (typeof kernel === "function") return kernel;
+        switch (kernel) {
+            case "rbf":
+                return (a, b) => Math.exp(-gamma * euclidean_squared(a, b));
+            case "polynomial":
+                return (a, b) => Math.pow(gamma * dot(a, b) + coef0, degree);
+            case "sigmoid":
+                return (a, b) => Math.tanh(gamma * dot(a, b) + coef0);
+            case "cosine":
+                return (a, b) => {
+                    const norms = Math.sqrt(dot(a, a) * dot(b, b));
+                    return norms === 0 ? 0 : dot(a, b) / norms;
+                };
+            default:
+                throw new Error(`${kernel} is not a valid kernel! Use "rbf", "polynomial", "sigmoid", "cosine" or a function.`);
+        }
+    }
+
+    /**
+     * Transforms the inputdata {@link X} to dimensionality {@link d}. If {@link A} is given, then project {@link A} onto the fitted kernel principal components.
+     * @param {null|Matrix|number[][]} [A = null] - If given, the new data to project.
+     * @returns {Matrix|number[][]} the projection.
+     */
+    transform(A = null) {
+        if (A !== null) {
+            return this._transform_new(A);
+        }
+        const X = this.X;
+        const N = this._N;
+        const { d, eig_args } = this._parameters;
+        const kernel = this._kernel();
+        const K = new Matrix(N, N, 0);
+        for (let i = 0; i < N; ++i) {
+            const x_i = X.row(i);
+            for (let j = i; j < N; ++j) {
+                const k_ij = kernel(x_i, X.row(j));
+                K.set_entry(i, j, k_ij);
+                K.set_entry(j, i, k_ij);
+            }
+        }
+
+        // centering in feature space
+        const k_i = K.meanRows;
+        const k__ = K.mean;
+        const K_c = new Matrix(N, N, (i, j) => K.entry(i, j) - k_i[i] - k_i[j] + k__);
+
+        const { eigenvectors: V } = simultaneous_poweriteration(K_c, d, eig_args);
+        // the power iteration only returns the magnitudes of the eigenvalues, and the sigmoid kernel is not positive semidefinite
+        const eigenvalues = V.map((v) => Math.max(0, v.reduce((sum, v_i, i) => sum + v_i * K_c.row(i).reduce((s, k_ij, j) => s + k_ij * v[j], 0), 0)));
+        this._k_i = k_i;
+        this._k__ = k__;
+        this._V = V;
+        this._eigenvalues = eigenvalues;
+        this.Y = new Matrix(N, d, (i, k) => V[k][i] * Math.sqrt(eigenvalues[k]));
+        return this.projection;
+    }
+
+    /**
+     * Projects new points onto the kernel principal components, with their kernel values to {@link X} centered like the kernel matrix.
+     * @private
+     * @param {Matrix|number[][]} A - the new data.
+     * @returns {Matrix|number[][]} the projection of {@link A}.
+     */
+    _transform_new(A) {
+        if (!this._V) this.transform();
+        const X_new = A instanceof Matrix ? A : Matrix.from(A);
+        if (X_new.cols !== this._D) {
+            throw new Error(`The new data needs ${this._D} columns, but has ${X_new.cols}!`);
+        }
+        const X = this.X;
+        const N = this._N;
+        const d = this._parameters.d;
+        const kernel = this._kernel();
+        const V = this._V;
+        const Y_new = new Matrix(X_new.rows, d, 0);
+        for (let a = 0; a < X_new.rows; ++a) {
+            const x = X_new.row(a);
+            const k_a = Float64Array.from({ length: N }, (_, i) => kernel(x, X.row(i)));
+            const k_a_mean = k_a.reduce((sum, k) => sum + k, 0) / N;
+            for (let k = 0; k < d; ++k) {
+                if (this._eigenvalues[k] === 0) continue;
+                let sum = 0;
+                for (let i = 0; i < N; ++i) {
+                    sum += (k_a[i] - this._k_i[i] - k_a_mean + this._k__) * V[k][i];
+                }
+                Y_new.set_entry(a, k, sum / Math.sqrt(this._eigenvalues[k]));
+            }
+        }
+        return A instanceof Matrix ? Y_new : Y_new.asArray;
+    }
+
+    /**
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        return this._V ? { _k_i: this._k_i, _k__: this._k__, _V: this._V, _eigenvalues: this._eigenvalues } : {};
+    }
+}
+
+/**
+ * @private
+ * @param {number[]|Float64Array} a
+ * @param {number[]|Float64Array} b
+ * @returns {number} the dot product of {@link a} and {@link b}.
+ */
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0, n = a.length; i < n; ++i) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
@@ -23,6 +23,18 @@ export class LDA extends DR {
      */
     constructor(X, parameters) {
         super(X, { labels: null, d: 2, seed: 1212, eig_args: {} }, parameters);
+        return this;
+    }
+
+    /**
+     * Seeds the eigensolver.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {LDA}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
         if (!this._parameters.eig_args.hasOwnProperty("seed")) {
             this._parameters.eig_args.seed = this._randomizer;
         }
@@ -30,9 +42,21 @@ export class LDA extends DR {
     }
 
     /**
-     * Transforms the inputdata {@link X} to dimenionality {@link d}.
+     * @static
+     * @type {boolean}
+     */
+    static get out_of_sample() {
+        return true;
+    }
+
+    /**
+     * Transforms the inputdata {@link X} to dimenionality {@link d}. If {@link A} is given, then project {@link A} with the fitted discriminant directions.
+     * @param {null|Matrix|number[][]} [A = null] - If given, the data to project.
      */
-    transform() {
+    transform(A = null) {
+        if (A !== null) {
+            return this._transform_new(A);
+        }
         const X = this.X;
         const [rows, cols] = X.shape;
         const { d, labels, eig_args } = this._parameters;
@@ -74,9 +98,49 @@ export class LDA extends DR {
 
         let { eigenvectors: V } = simultaneous_poweriteration(S_w.inverse().dot(S_b), d, eig_args);
         V = Matrix.from(V, "col");
+        this.V = V;
         this.Y = X.dot(V);
 
         // return embedding
         return this.projection;
     }
+
+    /**
+     * Projects {@link A} with the fitted discriminant directions.
+     * @private
+     * @param {Matrix|number[][]} A - the new data.
+     * @returns {Matrix|number[][]} the projection of {@link A}.
+     */
+    _transform_new(A) {
+        if (!this.V) this.transform();
+        if (Matrix.isArray(A)) {
+            return Matrix.from(A).dot(this.V).asArray;
+        } else if (A instanceof Matrix) {
+            return A.dot(this.V);
+        } else {
+            throw new Error("No valid type for A!");
+        }
+    }
+
+    /**
+     * Maps points of the projection back into the space of {@link X}, i.e., onto the subspace spanned by the discriminant directions.
+     * @param {Matrix|number[][]} A - points in the projection, one per row.
+     * @returns {Matrix|number[][]} the back-projected points, in the type of {@link A}.
+     */
+    inverse_transform(A) {
+        if (!this.V) this.transform();
+        const V = this.V;
+        const mean = this.X.meanCols;
+        const P = A instanceof Matrix ? A : Matrix.from(A);
+        const X_new = P.sub(Matrix.from([mean]).dot(V).row(0)).dotTrans(V).add(mean);
+        return A instanceof Matrix ? X_new : X_new.asArray;
+    }
+
+    /**
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        return this.V ? { V: this.V } : {};
+    }
 }
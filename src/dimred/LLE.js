@@ -1,7 +1,6 @@
-import { Matrix } from "../matrix/index.js";
+import { Matrix, SparseMatrix } from "../matrix/index.js";
 import { euclidean } from "../metrics/index.js";
-import { simultaneous_poweriteration } from "../linear_algebra/index.js";
-import { k_nearest_neighbors } from "../matrix/index.js";
+import { inner_product, simultaneous_poweriteration } from "../linear_algebra/index.js";
 import { neumair_sum } from "../numerical/index.js";
 import { DR } from "./DR.js";
 
@@ -21,13 +20,29 @@ export class LLE extends DR {
      * @param {number} parameters.neighbors - the label / class of each data point.
      * @param {number} [parameters.d = 2] - the dimensionality of the projection.
      * @param {function} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {function|object|Array} [parameters.knn = null] - the kNN searcher class (default {@link BallTree}), an instance of it built on {@link X}, or precomputed neighbor lists.
      * @param {number} [parameters.seed = 1212] - the dimensionality of the projection.
      * @param {object} [parameters.eig_args] - Parameters for the eigendecomposition algorithm.
      * @see {@link https://doi.org/10.1126/science.290.5500.2323}
      */
     constructor(X, parameters) {
-        super(X, { neighbors: undefined, d: 2, metric: euclidean, seed: 1212, eig_args: {} }, parameters);
-        this.parameter("neighbors", Math.min(this._parameters.neighbors ?? Math.max(Math.floor(this._N / 10), 2), this._N - 1));
+        super(X, { neighbors: undefined, d: 2, metric: euclidean, knn: null, seed: 1212, eig_args: {} }, parameters);
+        return this;
+    }
+
+    /**
+     * Adapts the number of neighbors to the data and seeds the eigensolver.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {LLE}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
+        this._parameters.neighbors = Math.min(this._parameters.neighbors ?? Math.max(Math.floor(this._N / 10), 2), this._N - 1);
+        if (this._parameters.metric === "precomputed") {
+            throw new Error("LLE needs the coordinates of the points, it does not work with a precomputed distance matrix!");
+        }
         if (!this._parameters.eig_args.hasOwnProperty("seed")) {
             this._parameters.eig_args.seed = this._randomizer;
         }
@@ -35,42 +50,154 @@ export class LLE extends DR {
     }
 
     /**
-     * Transforms the inputdata {@link X} to dimenionality {@link d}.
+     * @static
+     * @type {boolean}
      */
-    transform() {
+    static get out_of_sample() {
+        return true;
+    }
+
+    /**
+     * Transforms the inputdata {@link X} to dimenionality {@link d}. If {@link A} is given, then each new point gets placed
+     * with its reconstruction weights from its nearest neighbors in {@link X}.
+     * @param {null|Matrix|number[][]} [A = null] - If given, the new data to project.
+     */
+    transform(A = null) {
+        if (A !== null) {
+            return this._transform_new(A);
+        }
         const X = this.X;
         const rows = this._N;
-        const cols = this._D;
-        const { neighbors, d, eig_args, metric } = this._parameters;
-        const nN = k_nearest_neighbors(X, neighbors, metric);
-        const O = new Matrix(neighbors, 1, 1);
-        const W = new Matrix(rows, rows);
+        const { neighbors, d, eig_args } = this._parameters;
+        const nN = this._nearest_neighbors(neighbors);
+        const W_rows = [];
+        const W_cols = [];
+        const W_values = [];
 
         for (let row = 0; row < rows; ++row) {
             const nN_row = nN[row];
-            const Z = new Matrix(neighbors, cols, (i, j) => X.entry(nN_row[i].j, j) - X.entry(row, j));
-            const C = Z.dotTransSelf();
-            if (neighbors > cols) {
-                const C_trace = neumair_sum(C.diag) / 1000;
-                for (let j = 0; j < neighbors; ++j) {
-                    C.add_entry(j, j, C_trace);
-                }
-            }
-            // reconstruct;
-            let w = Matrix.solve_CG(C, O, this._randomizer);
-            w = w.divide(w.sum);
+            const w = this._reconstruction_weights(X.row(row), nN_row);
             for (let j = 0; j < neighbors; ++j) {
-                W.set_entry(row, nN_row[j].j, w.entry(j, 0));
+                W_rows.push(row);
+                W_cols.push(nN_row[j].index);
+                W_values.push(w.entry(j, 0));
             }
         }
         // comp embedding
-        const I = new Matrix(rows, rows, "I");
+        const W = SparseMatrix.from_coo(rows, rows, W_rows, W_cols, W_values);
+        const diagonal = Array.from({ length: rows }, (_, i) => i);
+        const I = SparseMatrix.from_coo(rows, rows, diagonal, diagonal, new Array(rows).fill(1));
         const IW = I.sub(W);
-        const M = IW.transDotSelf();
-        const { eigenvectors: V } = simultaneous_poweriteration(M.T.inverse(), d + 1, eig_args);
-        this.Y = Matrix.from(V.slice(1, 1 + d), "col");
+        const M = IW.T.dot(IW);
+        // the smallest eigenvectors of M are the largest of its inverse, which gets applied with conjugate gradients.
+        // the constant vector spans the null space of M, it is no embedding dimension and gets projected out.
+        const M_inverse = {
+            rows,
+            dot: (Q) => {
+                const Z = new Matrix(rows, Q.cols, 0);
+                for (let j = 0; j < Q.cols; ++j) {
+                    const z = conjugate_gradient(M, center(Q.col(j)));
+                    for (let i = 0; i < rows; ++i) Z.set_entry(i, j, z[i]);
+                }
+                return Z;
+            },
+        };
+        const { eigenvectors: V } = simultaneous_poweriteration(M_inverse, d, eig_args);
+        this.Y = Matrix.from(V, "col");
 
         // return embedding
         return this.projection;
     }
+
+    /**
+     * Computes the weights which reconstruct point {@link x} best from its neighbors in {@link X}.
+     * @private
+     * @param {Float64Array} x - the point.
+     * @param {{index: number}[]} nN_x - the nearest neighbors of {@link x}.
+     * @returns {Matrix} the weights as column vector, which sum up to 1.
+     */
+    _reconstruction_weights(x, nN_x) {
+        const X = this.X;
+        const cols = this._D;
+        const neighbors = nN_x.length;
+        const O = new Matrix(neighbors, 1, 1);
+        const Z = new Matrix(neighbors, cols, (i, j) => X.entry(nN_x[i].index, j) - x[j]);
+        const C = Z.dotTransSelf();
+        if (neighbors > cols) {
+            const C_trace = neumair_sum(C.diag) / 1000;
+            for (let j = 0; j < neighbors; ++j) {
+                C.add_entry(j, j, C_trace);
+            }
+        }
+        // reconstruct;
+        const w = Matrix.solve_CG(C, O, this._randomizer);
+        return w.divide(w.sum);
+    }
+
+    /**
+     * Places new points with their reconstruction weights from their nearest neighbors in the projection of {@link X}.
+     * @private
+     * @param {Matrix|number[][]} A - the new data.
+     * @returns {Matrix|number[][]} the projection of {@link A}.
+     */
+    _transform_new(A) {
+        if (!this.Y) this.transform();
+        const X_new = A instanceof Matrix ? A : Matrix.from(A);
+        const Y = this.Y;
+        const d = this._parameters.d;
+        const Y_new = new Matrix(X_new.rows, d, 0);
+        this._nearest_training_neighbors(X_new, this._parameters.neighbors).forEach((nN_a, a) => {
+            const w = this._reconstruction_weights(X_new.row(a), nN_a);
+            const Y_new_a = Y_new.row(a);
+            nN_a.forEach(({ index }, j) => {
+                for (let k = 0; k < d; ++k) {
+                    Y_new_a[k] += w.entry(j, 0) * Y.entry(index, k);
+                }
+            });
+        });
+        return A instanceof Matrix ? Y_new : Y_new.asArray;
+    }
+}
+
+/**
+ * Subtracts the mean from the entries of {@link x}.
+ * @private
+ * @param {Float64Array} x - gets changed in place.
+ * @returns {Float64Array}
+ */
+function center(x) {
+    const mean = neumair_sum(x) / x.length;
+    for (let i = 0; i < x.length; ++i) x[i] -= mean;
+    return x;
+}
+
+/**
+ * Solves A x = b with the conjugate gradient method, for a symmetric positive semidefinite sparse matrix {@link A} whose rows sum up to 0,
+ * and {@link b} with mean 0. Then the solution with mean 0 exists.
+ * @private
+ * @param {SparseMatrix} A
+ * @param {Float64Array} b
+ * @param {number} [tol = 1e-3] - the maximal norm of the residual, relative to the norm of {@link b}.
+ * @returns {Float64Array} the solution x with mean 0.
+ */
+function conjugate_gradient(A, b, tol = 1e-3) {
+    const n = b.length;
+    const x = new Float64Array(n);
+    const r = Float64Array.from(b);
+    const p = Float64Array.from(b);
+    const stop = tol * tol * inner_product(b, b);
+    let rs = inner_product(r, r);
+    // on badly conditioned matrices, rounding errors take conjugate gradients more than the n iterations of exact arithmetic
+    for (let iter = 0; iter < 5 * n && rs > stop; ++iter) {
+        const Ap = A.dot(p);
+        const alpha = rs / inner_product(p, Ap);
+        for (let i = 0; i < n; ++i) {
+            x[i] += alpha * p[i];
+            r[i] -= alpha * Ap[i];
+        }
+        const rs_new = inner_product(r, r);
+        for (let i = 0; i < n; ++i) p[i] = r[i] + (rs_new / rs) * p[i];
+        rs = rs_new;
+    }
+    return center(x);
 }
@@ -3,7 +3,6 @@ import { DR } from "./DR.js";
 import { MDS } from "./MDS.js";
 import { KMedoids } from "../clustering/index.js";
 import { euclidean } from "../metrics/index.js";
-import { BallTree } from "../knn/index.js";
 /**
  * @class
  * @alias LSP
@@ -20,17 +19,28 @@ export class LSP extends DR {
      * @param {number} [parameters.neighbors = Math.max(Math.floor(N / 10), 2)] - number of neighbors to consider.
      * @param {number} [parameters.control_points = Math.ceil(Math.sqrt(N))] - number of controlpoints
      * @param {number} [parameters.d = 2] - the dimensionality of the projection.
-     * @param {function} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {function|"precomputed"} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {function|object|Array} [parameters.knn = null] - the kNN searcher class (default {@link BallTree}), an instance of it built on {@link X}, or precomputed neighbor lists.
      * @param {number} [parameters.seed = 1212] - the seed for the random number generator.
      * @returns {LSP}
      * @see {@link https://ieeexplore.ieee.org/document/4378370}
-     * @todo accept precomputed distance matrix.
      */
     constructor(X, parameters) {
-        super(X, { neighbors: undefined, control_points: undefined, d: 2, metric: euclidean, seed: 1212 }, parameters);
-        this.parameter("neighbors", Math.min(this._parameters.neighbors ?? Math.max(Math.floor(this._N / 10), 2), this._N - 1));
-        this.parameter("control_points", Math.min(this._parameters.control_points ?? Math.ceil(Math.sqrt(this._N)), this._N - 1));
-        this._is_initialized = false;
+        super(X, { neighbors: undefined, control_points: undefined, d: 2, metric: euclidean, knn: null, seed: 1212 }, parameters);
+        return this;
+    }
+
+    /**
+     * Adapts the number of neighbors and control points to the data.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {LSP}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
+        this._parameters.neighbors = Math.min(this._parameters.neighbors ?? Math.max(Math.floor(this._N / 10), 2), this._N - 1);
+        this._parameters.control_points = Math.min(this._parameters.control_points ?? Math.ceil(Math.sqrt(this._N)), this._N - 1);
         return this;
     }
 
@@ -38,32 +48,48 @@ export class LSP extends DR {
      *
      * @param {DR} DR - method used for position control points.
      * @param {object} DR_parameters - Object containing parameters for the DR method which projects the control points
+     * @param {function} [KNN = null] - if given, the kNN searcher class which replaces the parameter <code>knn</code>.
      * @returns {LSP}
      */
-    init(DR = MDS, DR_parameters = {}, KNN = BallTree) {
+    init(DR = MDS, DR_parameters = {}, KNN = null) {
         if (this._is_initialized) return this;
+        if (KNN) this._parameters.knn = KNN;
         const X = this.X;
-        const N = this._N;
-        const K = this.parameter("neighbors");
         const d = this.parameter("d");
         const seed = this.parameter("seed");
         const metric = this.parameter("metric");
         DR_parameters = Object.assign({ d, metric, seed }, DR_parameters);
         const nc = this.parameter("control_points");
-        const control_points = new KMedoids(X, nc, null, metric).get_clusters().medoids;
+        const control_points = new KMedoids(X, { K: nc, metric }).get_medoids();
+        const X_C = metric === "precomputed" ? new Matrix(nc, nc, (i, j) => X.entry(control_points[i], control_points[j])) : Matrix.from(control_points.map((c_i) => X.row(c_i)));
+        const Y_C = new DR(X_C, DR_parameters).transform();
+        this._set_state({ _control_points: control_points, _Y_C: Y_C });
+        this._is_initialized = true;
+        return this;
+    }
+
+    /**
+     * Sets up the linear system from the control points and their positions.
+     * @private
+     * @param {object} state
+     * @param {number[]} state._control_points - indices of the control points.
+     * @param {Matrix} state._Y_C - the positions of the control points.
+     * @returns {LSP}
+     */
+    _set_state({ _control_points: control_points, _Y_C: Y_C }) {
+        const N = this._N;
+        const K = this.parameter("neighbors");
+        const d = this.parameter("d");
+        const nc = control_points.length;
         const C = new Matrix(nc, N, 0);
         control_points.forEach((c_i, i) => {
             C.set_entry(i, c_i, 1);
         });
-        const Y_C = new DR(Matrix.from(control_points.map((c_i) => X.row(c_i))), DR_parameters).transform();
 
-        const XA = X.to2dArray;
-        const knn = new KNN(XA, metric);
         const L = new Matrix(N, N, "I");
         const alpha = -1 / K;
-        XA.forEach((x_i, i) => {
-            for (const { index: j } of knn.search(x_i, K).iterate()) {
-                if (i === j) continue;
+        this._nearest_neighbors(K).forEach((neighbors, i) => {
+            for (const { index: j } of neighbors) {
                 L.set_entry(i, j, alpha);
             }
         });
@@ -72,23 +98,68 @@ export class LSP extends DR {
         const z = new Matrix(N, d, 0);
         const b = z.concat(Y_C, "vertical");
 
+        this._control_points = control_points;
+        this._Y_C = Y_C;
         this._A = A;
         this._b = b;
-        this._is_initialized = true;
         return this;
     }
 
     /**
-     * Computes the projection.
-     * @returns {Matrix} Returns the projection.
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        if (!this._is_initialized) return {};
+        return { _control_points: this._control_points, _Y_C: this._Y_C };
+    }
+
+    /**
+     * @static
+     * @type {boolean}
+     */
+    static get out_of_sample() {
+        return true;
+    }
+
+    /**
+     * Computes the projection. If {@link A} is given, then each new point gets placed at the mean of its nearest neighbors in the projection of {@link X}.
+     * @param {null|Matrix|number[][]} [A = null] - If given, the new data to project. If metric is "precomputed", the distances of each new point to the training data.
+     * @returns {Matrix|number[][]} Returns the projection.
      */
-    transform() {
+    transform(A = null) {
+        if (A !== null) {
+            return this._transform_new(A);
+        }
         this.check_init();
-        const A = this._A;
+        const A_ = this._A;
         const b = this._b;
-        const ATA = A.transDotSelf();
-        const ATb = A.transDot(b);
+        const ATA = A_.transDotSelf();
+        const ATb = A_.transDot(b);
         this.Y = Matrix.solve_CG(ATA, ATb, this._randomizer);
         return this.projection;
     }
+
+    /**
+     * Places new points at the mean of their nearest neighbors in the projection, like the Laplacian of {@link LSP} does for the training data.
+     * @private
+     * @param {Matrix|number[][]} A - the new data. If metric is "precomputed", the distances of each new point to the training data.
+     * @returns {Matrix|number[][]} the projection of {@link A}.
+     */
+    _transform_new(A) {
+        if (!this.Y) this.transform();
+        const X_new = A instanceof Matrix ? A : Matrix.from(A);
+        const Y = this.Y;
+        const { neighbors: K, d } = this._parameters;
+        const Y_new = new Matrix(X_new.rows, d, 0);
+        this._nearest_training_neighbors(X_new, K).forEach((neighbors, a) => {
+            const Y_new_a = Y_new.row(a);
+            for (const { index } of neighbors) {
+                for (let k = 0; k < d; ++k) {
+                    Y_new_a[k] += Y.entry(index, k) / K;
+                }
+            }
+        });
+        return A instanceof Matrix ? Y_new : Y_new.asArray;
+    }
 }
@@ -1,4 +1,4 @@
-import { Matrix, k_nearest_neighbors } from "../matrix/index.js";
+import { Matrix, SparseMatrix } from "../matrix/index.js";
 import { euclidean } from "../metrics/index.js";
 import { simultaneous_poweriteration } from "../linear_algebra/index.js";
 import { DR } from "./DR.js";
@@ -19,13 +19,29 @@ export class LTSA extends DR {
      * @param {number} parameters.neighbors - the number of neighbors {@link LTSA} should use to project the data.
      * @param {number} [parameters.d = 2] - the dimensionality of the projection.
      * @param {function} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {function|object|Array} [parameters.knn = null] - the kNN searcher class (default {@link BallTree}), an instance of it built on {@link X}, or precomputed neighbor lists.
      * @param {number} [parameters.seed = 1212] - the seed for the random number generator.
      * @param {object} [parameters.eig_args] - Parameters for the eigendecomposition algorithm.
      * @see {@link https://epubs.siam.org/doi/abs/10.1137/S1064827502419154}
      */
     constructor(X, parameters) {
-        super(X, { neighbors: undefined, d: 2, metric: euclidean, seed: 1212, eig_args: {} }, parameters);
-        this.parameter("neighbors", Math.min(this._parameters.neighbors ?? Math.max(Math.floor(this._N / 10), 2), this._N - 1));
+        super(X, { neighbors: undefined, d: 2, metric: euclidean, knn: null, seed: 1212, eig_args: {} }, parameters);
+        return this;
+    }
+
+    /**
+     * Adapts the number of neighbors to the data and seeds the eigensolver.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {LTSA}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
+        this._parameters.neighbors = Math.min(this._parameters.neighbors ?? Math.max(Math.floor(this._N / 10), 2), this._N - 1);
+        if (this._parameters.metric === "precomputed") {
+            throw new Error("LTSA needs the coordinates of the points, it does not work with a precomputed distance matrix!");
+        }
         if (!this._parameters.eig_args.hasOwnProperty("seed")) {
             this._parameters.eig_args.seed = this._randomizer;
         }
@@ -36,21 +52,27 @@ export class LTSA extends DR {
     }
 
     /**
-     * Transforms the inputdata {@link X} to dimenionality {@link d}.
+     * Transforms the inputdata {@link X} to dimenionality {@link d}. {@link LTSA} can not project new data {@link A}.
+     * @param {null} [A = null]
      */
-    transform() {
+    transform(A = null) {
+        if (A !== null) {
+            return this._transform_new(A);
+        }
         const X = this.X;
         const [rows, D] = X.shape;
-        const { d, neighbors, metric, eig_args } = this._parameters;
+        const { d, neighbors, eig_args } = this._parameters;
         // 1.1 determine k nearest neighbors
-        const nN = k_nearest_neighbors(X, neighbors, metric);
+        const nN = this._nearest_neighbors(neighbors);
         // center matrix
         const O = new Matrix(D, D, "center");
-        const B = new Matrix(rows, rows, 0);
+        const B_rows = [];
+        const B_cols = [];
+        const B_values = [];
 
         for (let row = 0; row < rows; ++row) {
             // 1.2 compute the d largest eigenvectors of the correlation matrix
-            const I_i = [row, ...nN[row].map((n) => n.j)];
+            const I_i = [row, ...nN[row].map((n) => n.index)];
             let X_i = Matrix.from(I_i.map((n) => X.row(n)));
             // center X_i
             X_i = X_i.dot(O);
@@ -63,10 +85,13 @@ export class LTSA extends DR {
             const W_i = G_i_t.transDotSelf().add(1 / Math.sqrt(neighbors + 1));
             for (let i = 0; i < neighbors + 1; ++i) {
                 for (let j = 0; j < neighbors + 1; ++j) {
-                    B.add_entry(I_i[i], I_i[j], W_i.entry(i, j) - (i === j ? 1 : 0));
+                    B_rows.push(I_i[i]);
+                    B_cols.push(I_i[j]);
+                    B_values.push(W_i.entry(i, j) - (i === j ? 1 : 0));
                 }
             }
         }
+        const B = SparseMatrix.from_coo(rows, rows, B_rows, B_cols, B_values);
 
         // 3. Aligning global coordinates
         const { eigenvectors: Y } = simultaneous_poweriteration(B, d + 1, eig_args);
@@ -0,0 +1,211 @@
+import { simultaneous_poweriteration } from "../linear_algebra/index.js";
+import { Matrix } from "../matrix/index.js";
+import { euclidean } from "../metrics/index.js";
+import { DR } from "./DR.js";
+
+/**
+ * @class
+ * @alias LandmarkMDS
+ * @extends DR
+ */
+export class LandmarkMDS extends DR {
+    /**
+     * Landmark MDS. Classical MDS of a few landmarks, all other points get triangulated from their distances to the landmarks.
+     * Only the distances between the landmarks and all points get computed.
+     * @constructor
+     * @memberof module:dimensionality_reduction
+     * @alias LandmarkMDS
+     * @param {Matrix} X - the high-dimensional data.
+     * @param {object} parameters - Object containing parameterization of the DR method.
+     * @param {number} [parameters.d = 2] - the dimensionality of the projection.
+     * @param {number} [parameters.landmarks = Math.min(N, 50)] - the number of landmarks.
+     * @param {"maxmin"|"random"} [parameters.selection = "maxmin"] - how to choose the landmarks. "maxmin" chooses each next landmark as the point farthest away from the already chosen ones, "random" samples them uniformly.
+     * @param {function|"precomputed"} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {number} [parameters.seed = 1212] - the seed for the random number generator.
+     * @param {object} [parameters.eig_args] - Parameters for the eigendecomposition algorithm.
+     * @returns {LandmarkMDS}
+     * @see {@link https://graphics.stanford.edu/courses/cs468-05-winter/Papers/Landmarks/Silva_landmarks5.pdf}
+     */
+    constructor(X, parameters) {
+        super(X, { d: 2, landmarks: null, selection: "maxmin", metric: euclidean, seed: 1212, eig_args: {} }, parameters);
+        return this;
+    }
+
+    /**
+     * Adapts the number of landmarks to the data and seeds the eigensolver.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {LandmarkMDS}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
+        const { d, landmarks, selection } = this._parameters;
+        this._parameters.landmarks = Math.min(landmarks ?? 50, this._N);
+        if (this._parameters.landmarks <= d) {
+            throw new Error(`Parameter landmarks (=${this._parameters.landmarks}) needs to be greater than d (=${d})!`);
+        }
+        if (selection !== "maxmin" && selection !== "random") {
+            throw new Error(`${selection} is not a valid landmark selection! Use "maxmin" or "random".`);
+        }
+        if (!this._parameters.eig_args.hasOwnProperty("seed")) {
+            this._parameters.eig_args.seed = this._randomizer;
+        }
+        return this;
+    }
+
+    /**
+     * @static
+     * @type {boolean}
+     */
+    static get out_of_sample() {
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {number} l - index of a point.
+     * @returns {Float64Array} the distances of the {@link l}-th point to all points.
+     */
+    _distances_to(l) {
+        const X = this.X;
+        const metric = this._parameters.metric;
+        if (metric === "precomputed") return Float64Array.from(X.row(l));
+        const x_l = X.row(l);
+        return Float64Array.from({ length: this._N }, (_, i) => metric(x_l, X.row(i)));
+    }
+
+    /**
+     * Chooses the landmarks and computes their squared distances to all points.
+     * @private
+     * @returns {{landmarks: number[], D: Matrix}} the indices of the landmarks, and their squared distances to all points (one row per landmark).
+     */
+    _choose_landmarks() {
+        const N = this._N;
+        const { landmarks: n, selection } = this._parameters;
+        const randomizer = this._randomizer;
+        let landmarks;
+        const rows = [];
+        if (selection === "random") {
+            landmarks = randomizer._choice(n, N);
+            for (const l of landmarks) rows.push(this._distances_to(l));
+        } else {
+            landmarks = [];
+            const min_distances = new Float64Array(N).fill(Infinity);
+            let l = randomizer.random_int % N;
+            for (let i = 0; i < n; ++i) {
+                landmarks.push(l);
+                const row = this._distances_to(l);
+                rows.push(row);
+                let max_distance = -Infinity;
+                for (let a = 0; a < N; ++a) {
+                    min_distances[a] = Math.min(min_distances[a], row[a]);
+                    if (min_distances[a] > max_distance) {
+                        max_distance = min_distances[a];
+                        l = a;
+                    }
+                }
+            }
+        }
+        const D = Matrix.from(rows);
+        return { landmarks, D: D.mult(D, { inline: true }) };
+    }
+
+    /**
+     * Computes the projection. If {@link A} is given, then the new points get triangulated from their distances to the landmarks.
+     * @param {null|Matrix|number[][]} [A = null] - If given, the new data to project. If metric is "precomputed", the distances of each new point to the training data.
+     * @returns {Matrix|number[][]} the projection.
+     */
+    transform(A = null) {
+        if (A !== null) {
+            return this._transform_new(A);
+        }
+        const N = this._N;
+        const { d, eig_args } = this._parameters;
+        const { landmarks, D } = this._choose_landmarks();
+        const n = landmarks.length;
+
+        // classical MDS of the landmarks
+        const D_L = new Matrix(n, n, (i, j) => D.entry(i, landmarks[j]));
+        const d_i_ = D_L.meanRows;
+        const d__j = D_L.meanCols;
+        const d__ = D_L.mean;
+        const B = new Matrix(n, n, (i, j) => -0.5 * (D_L.entry(i, j) - d_i_[i] - d__j[j] + d__));
+        const { eigenvalues, eigenvectors } = simultaneous_poweriteration(B, d, eig_args);
+        this._landmarks = landmarks;
+        this._d_i_ = d_i_;
+        this._eigenvalues = eigenvalues;
+        this._V = eigenvectors;
+
+        // triangulate all points
+        const Y = new Matrix(N, d, 0);
+        for (let a = 0; a < N; ++a) {
+            Y.set_row(a, this._triangulate(D.col(a)));
+        }
+        this.Y = Y;
+        return this.projection;
+    }
+
+    /**
+     * Triangulates a point from its squared distances {@link delta} to the landmarks: y = -1/2 * L^# (delta - d_i_).
+     * @private
+     * @param {Float64Array} delta - the squared distances of the point to the landmarks.
+     * @returns {Float64Array} the position of the point in the projection.
+     */
+    _triangulate(delta) {
+        const d = this._parameters.d;
+        const V = this._V;
+        const d_i_ = this._d_i_;
+        const n = d_i_.length;
+        const y = new Float64Array(d);
+        for (let k = 0; k < d; ++k) {
+            const lambda_k = Math.sqrt(Math.max(this._eigenvalues[k], 0));
+            if (lambda_k === 0) continue;
+            let sum = 0;
+            for (let i = 0; i < n; ++i) {
+                sum += V[k][i] * (delta[i] - d_i_[i]);
+            }
+            y[k] = (-0.5 * sum) / lambda_k;
+        }
+        return y;
+    }
+
+    /**
+     * Computes the squared distances of new points to the landmarks.
+     * @private
+     * @param {Matrix} X_new - the new data. If metric is "precomputed", the distances of each new point to the training data.
+     * @returns {Float64Array[]} for each new point its squared distances to the landmarks.
+     */
+    _landmark_distances(X_new) {
+        const X = this.X;
+        const metric = this._parameters.metric;
+        if (X_new.cols !== (metric === "precomputed" ? this._N : this._D)) {
+            throw new Error(`The new data needs ${metric === "precomputed" ? this._N : this._D} columns, but has ${X_new.cols}!`);
+        }
+        return Array.from({ length: X_new.rows }, (_, a) => {
+            const x = X_new.row(a);
+            return Float64Array.from(this._landmarks, (l) => (metric === "precomputed" ? x[l] : metric(x, X.row(l))) ** 2);
+        });
+    }
+
+    /**
+     * Triangulates new points from their distances to the landmarks.
+     * @private
+     * @param {Matrix|number[][]} A - the new data. If metric is "precomputed", the distances of each new point to the training data.
+     * @returns {Matrix|number[][]} the projection of {@link A}.
+     */
+    _transform_new(A) {
+        if (!this._landmarks) this.transform();
+        const X_new = A instanceof Matrix ? A : Matrix.from(A);
+        const Y_new = Matrix.from(this._landmark_distances(X_new).map((delta) => this._triangulate(delta)));
+        return A instanceof Matrix ? Y_new : Y_new.asArray;
+    }
+
+    /**
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        return this._landmarks ? { _landmarks: this._landmarks, _d_i_: this._d_i_, _eigenvalues: this._eigenvalues, _V: this._V } : {};
+    }
+}
@@ -23,6 +23,18 @@ export class MDS extends DR {
      */
     constructor(X, parameters) {
         super(X, { d: 2, metric: euclidean, seed: 1212, eig_args: {} }, parameters);
+        return this;
+    }
+
+    /**
+     * Seeds the eigensolver.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {MDS}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
         if (!this._parameters.eig_args.hasOwnProperty("seed")) {
             this._parameters.eig_args.seed = this._randomizer;
         }
@@ -30,27 +42,78 @@ export class MDS extends DR {
     }
 
     /**
-     * Transforms the inputdata {@link X} to dimensionality {@link d}.
+     * @static
+     * @type {boolean}
+     */
+    static get out_of_sample() {
+        return true;
+    }
+
+    /**
+     * Transforms the inputdata {@link X} to dimensionality {@link d}. If {@link A} is given, then the new points get projected with the Nyström approximation.
+     * @param {null|Matrix|number[][]} [A = null] - If given, the new data to project. If metric is "precomputed", the distances of each new point to the training data.
      * @returns {Matrix|number[][]}
      */
-    transform() {
+    transform(A = null) {
+        if (A !== null) {
+            return this._transform_new(A);
+        }
         const X = this.X;
         const rows = X.rows;
         const { d, metric, eig_args } = this._parameters;
-        const A = metric === "precomputed" ? X : distance_matrix(X, metric);
-        const ai_ = A.meanCols;
-        const a_j = A.meanRows;
-        const a__ = A.mean;
+        const D = metric === "precomputed" ? X : distance_matrix(X, metric);
+        const ai_ = D.meanCols;
+        const a_j = D.meanRows;
+        const a__ = D.mean;
 
-        this._d_X = A;
-        const B = new Matrix(rows, rows, (i, j) => A.entry(i, j) - ai_[i] - a_j[j] + a__);
+        this._d_X = D;
+        const B = new Matrix(rows, rows, (i, j) => D.entry(i, j) - ai_[i] - a_j[j] + a__);
 
         const { eigenvectors: V } = simultaneous_poweriteration(B, d, eig_args);
         this.Y = Matrix.from(V, "col");
+        // signed eigenvalues, the ones of the power iteration are only their magnitudes
+        this._eigenvalues = V.map((v) => v.reduce((sum, v_i, i) => sum + v_i * B.row(i).reduce((s, b_ij, j) => s + b_ij * v[j], 0), 0));
+        this._a_j = a_j;
+        this._a__ = a__;
 
         return this.projection;
     }
 
+    /**
+     * Projects new points with the Nyström approximation, i.e., b * Y / lambda, where b is the double centered row of distances of a new point.
+     * @private
+     * @param {Matrix|number[][]} A - the new data. If metric is "precomputed", the distances of each new point to the training data.
+     * @returns {Matrix|number[][]} the projection of {@link A}.
+     */
+    _transform_new(A) {
+        if (!this._eigenvalues) this.transform();
+        const X_new = A instanceof Matrix ? A : Matrix.from(A);
+        const { d, metric } = this._parameters;
+        const N = this._N;
+        if (X_new.cols !== (metric === "precomputed" ? N : this._D)) {
+            throw new Error(`The new data needs ${metric === "precomputed" ? N : this._D} columns, but has ${X_new.cols}!`);
+        }
+        const X = this.X;
+        const Y = this.Y;
+        const a_j = this._a_j;
+        const Y_new = new Matrix(X_new.rows, d, 0);
+        for (let a = 0; a < X_new.rows; ++a) {
+            const x = X_new.row(a);
+            const distances = metric === "precomputed" ? x : Float64Array.from({ length: N }, (_, i) => metric(x, X.row(i)));
+            const mean = distances.reduce((sum, value) => sum + value, 0) / N;
+            for (let k = 0; k < d; ++k) {
+                const lambda_k = this._eigenvalues[k];
+                if (lambda_k === 0) continue;
+                let sum = 0;
+                for (let i = 0; i < N; ++i) {
+                    sum += (distances[i] - a_j[i] - mean + this._a__) * Y.entry(i, k);
+                }
+                Y_new.set_entry(a, k, sum / lambda_k);
+            }
+        }
+        return A instanceof Matrix ? Y_new : Y_new.asArray;
+    }
+
     /**
      * @returns {number} - the stress of the projection.
      */
@@ -69,4 +132,12 @@ export class MDS extends DR {
         }
         return Math.sqrt(top_sum / bottom_sum);
     }
+
+    /**
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        return this._eigenvalues ? { _d_X: this._d_X, _eigenvalues: this._eigenvalues, _a_j: this._a_j, _a__: this._a__ } : {};
+    }
 }
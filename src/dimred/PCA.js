@@ -21,24 +21,56 @@ export class PCA extends DR {
      */
     constructor(X, parameters) {
         super(X, { d: 2, seed: 1212, eig_args: {} }, parameters);
+        return this;
+    }
+
+    /**
+     * Seeds the eigensolver.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {PCA}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
         if (!this._parameters.eig_args.hasOwnProperty("seed")) {
             this._parameters.eig_args.seed = this._randomizer;
         }
         return this;
     }
 
+    /**
+     * @static
+     * @type {boolean}
+     */
+    static get out_of_sample() {
+        return true;
+    }
+
     /**
      * Transforms the inputdata {@link X} to dimensionality {@link d}. If parameter {@link A} is given, then project {@link A} with the principal components of {@link X}.
      * @param {null|Matrix|number[][]} [A = null] - If given, the data to project.
      * @returns {Matrix|number[][]} - The projected data.
      */
     transform(A = null) {
+        if (A !== null) {
+            return this._transform_new(A);
+        }
+        const V = this.principal_components();
+        const X = this.X;
+        this.Y = X.dot(V);
+        return this.projection;
+    }
+
+    /**
+     * Projects {@link A} with the principal components of {@link X}.
+     * @private
+     * @param {Matrix|number[][]} A - the new data.
+     * @returns {Matrix|number[][]} the projection of {@link A}.
+     */
+    _transform_new(A) {
         const V = this.principal_components();
-        if (A == null) {
-            const X = this.X;
-            this.Y = X.dot(V);
-            return this.projection;
-        } else if (Matrix.isArray(A)) {
+        if (Matrix.isArray(A)) {
             return Matrix.from(A).dot(V).asArray;
         } else if (A instanceof Matrix) {
             return A.dot(V);
@@ -47,6 +79,19 @@ export class PCA extends DR {
         }
     }
 
+    /**
+     * Maps points of the projection back into the space of {@link X}, i.e., onto the subspace spanned by the principal components.
+     * @param {Matrix|number[][]} A - points in the projection, one per row.
+     * @returns {Matrix|number[][]} the back-projected points, in the type of {@link A}.
+     */
+    inverse_transform(A) {
+        const V = this.principal_components();
+        const mean = this.X.meanCols;
+        const P = A instanceof Matrix ? A : Matrix.from(A);
+        const X_new = P.sub(Matrix.from([mean]).dot(V).row(0)).dotTrans(V).add(mean);
+        return A instanceof Matrix ? X_new : X_new.asArray;
+    }
+
     /**
      * Computes the {@link d} principal components of Matrix {@link X}.
      * @returns {Matrix}
@@ -64,6 +109,14 @@ export class PCA extends DR {
         return this.V;
     }
 
+    /**
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        return this.V ? { V: this.V } : {};
+    }
+
     static principal_components(X, parameters) {
         const dr = new this(X, parameters);
         return dr.principal_components();
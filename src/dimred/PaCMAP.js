@@ -0,0 +1,314 @@
+import { Matrix } from "../matrix/index.js";
+import { euclidean } from "../metrics/index.js";
+import { PCA } from "./PCA.js";
+import { MDS } from "./MDS.js";
+import { DR } from "./DR.js";
+
+/**
+ * @class
+ * @alias PaCMAP
+ * @extends DR
+ */
+export class PaCMAP extends DR {
+    /**
+     * Pairwise Controlled Manifold Approximation.
+     * @constructor
+     * @memberof module:dimensionality_reduction
+     * @alias PaCMAP
+     * @param {Matrix} X - the high-dimensional data.
+     * @param {object} parameters - Object containing parameterization of the DR method.
+     * @param {number} [parameters.n_neighbors = 10] - number of near pairs per point.
+     * @param {number} [parameters.MN_ratio = 0.5] - number of mid-near pairs per point, relative to {@link n_neighbors}.
+     * @param {number} [parameters.FP_ratio = 2] - number of further pairs per point, relative to {@link n_neighbors}.
+     * @param {number} [parameters.d = 2] - the dimensionality of the projection.
+     * @param {number} [parameters.lr = 1] - the learning rate of the Adam optimizer.
+     * @param {function|"precomputed"} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {function|object|Array} [parameters.knn = null] - the kNN searcher class (default {@link BallTree}), an instance of it built on {@link X}, or precomputed neighbor lists.
+     * @param {number} [parameters.seed = 1212] - the seed for the random number generator.
+     * @returns {PaCMAP}
+     * @see {@link https://jmlr.org/papers/v22/20-1061.html}
+     * @see {@link https://github.com/YingfanWang/PaCMAP}
+     */
+    constructor(X, parameters) {
+        super(X, { n_neighbors: 10, MN_ratio: 0.5, FP_ratio: 2, d: 2, lr: 1, metric: euclidean, knn: null, seed: 1212 }, parameters);
+        return this;
+    }
+
+    /**
+     * Adapts the number of neighbors to the data.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {PaCMAP}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
+        this._parameters.n_neighbors = Math.min(this._parameters.n_neighbors, this._N - 1);
+        return this;
+    }
+
+    /**
+     * Samples the near, mid-near and further pairs, and initializes the embedding.
+     * @param {Matrix} [Y = null] - Initial Embedding (if null then PCA gets used, or MDS if the metric is "precomputed").
+     * @returns {PaCMAP}
+     */
+    init(Y = null) {
+        const X = this.X;
+        const N = this._N;
+        const { d, metric, seed } = this._parameters;
+        if (Y === null) {
+            Y = (metric === "precomputed" ? new MDS(X, { d, metric, seed }) : new PCA(X, { d, seed })).transform();
+            // scale the initial embedding down, like the reference implementation
+            const Y_0 = Y.col(0);
+            const mean = Y_0.reduce((sum, y) => sum + y, 0) / N;
+            const std = Math.sqrt(Y_0.reduce((sum, y) => sum + (y - mean) ** 2, 0) / N) || 1;
+            Y = Y.mult(0.01 / std);
+        }
+        this.Y = Y;
+        const { pair_neighbors, nbrs } = this._sample_neighbor_pairs();
+        this.pair_neighbors = pair_neighbors;
+        this.pair_MN = this._sample_MN_pairs();
+        this.pair_FP = this._sample_FP_pairs(nbrs);
+        this._m = new Matrix(N, d, 0);
+        this._v = new Matrix(N, d, 0);
+        this._iter = 0;
+        return this;
+    }
+
+    /**
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        if (!this._is_initialized) return {};
+        return {
+            pair_neighbors: this.pair_neighbors,
+            pair_MN: this.pair_MN,
+            pair_FP: this.pair_FP,
+            _m: this._m,
+            _v: this._v,
+            _iter: this._iter,
+        };
+    }
+
+    /**
+     * @private
+     * @param {number} i
+     * @param {number} j
+     * @returns {number} the distance between the {@link i}-th and the {@link j}-th point.
+     */
+    _distance(i, j) {
+        const metric = this._parameters.metric;
+        const X = this.X;
+        return metric === "precomputed" ? X.entry(i, j) : metric(X.row(i), X.row(j));
+    }
+
+    /**
+     * Chooses for each point the {@link n_neighbors} neighbors with the smallest scaled distances among its nearest neighbors.
+     * @private
+     * @returns {{pair_neighbors: Matrix, nbrs: Set<number>[]}} the near pairs, and for each point the indices of its near pairs.
+     */
+    _sample_neighbor_pairs() {
+        const N = this._N;
+        const n_neighbors = this._parameters.n_neighbors;
+        const n_extra = Math.min(n_neighbors + 50, N - 1);
+        const knn = this._nearest_neighbors(n_extra);
+        // scale parameter: mean distance to the 4th to 6th nearest neighbor
+        const sig = knn.map((neighbors) => {
+            const far = neighbors.slice(2, 5);
+            return Math.max(far.reduce((sum, { distance }) => sum + distance, 0) / far.length, 1e-10);
+        });
+        const pair_neighbors = new Matrix(N * n_neighbors, 2);
+        const nbrs = [];
+        knn.forEach((neighbors, i) => {
+            const scaled = neighbors
+                .map(({ index, distance }) => ({ index, scaled: distance ** 2 / (sig[i] * sig[index]) }))
+                .sort((a, b) => a.scaled - b.scaled)
+                .slice(0, n_neighbors);
+            scaled.forEach(({ index }, j) => {
+                pair_neighbors.set_entry(i * n_neighbors + j, 0, i);
+                pair_neighbors.set_entry(i * n_neighbors + j, 1, index);
+            });
+            nbrs.push(new Set(scaled.map(({ index }) => index)));
+        });
+        return { pair_neighbors, nbrs };
+    }
+
+    /**
+     * Samples for each point its mid-near pairs, each is the second nearest of 6 randomly chosen points.
+     * @private
+     * @returns {Matrix} the mid-near pairs.
+     */
+    _sample_MN_pairs() {
+        const N = this._N;
+        const { n_neighbors, MN_ratio } = this._parameters;
+        const n_MN = Math.round(n_neighbors * MN_ratio);
+        const n_candidates = Math.min(6, N - 1);
+        const pair_MN = new Matrix(N * n_MN, 2);
+        for (let i = 0; i < N; ++i) {
+            const picked = new Set();
+            for (let j = 0; j < n_MN; ++j) {
+                let mid_near = -1;
+                for (let tries = 0; tries < 10 && (mid_near < 0 || picked.has(mid_near)); ++tries) {
+                    const candidates = this._sample(i, n_candidates, new Set())
+                        .map((index) => ({ index, distance: this._distance(i, index) }))
+                        .sort((a, b) => a.distance - b.distance);
+                    mid_near = candidates[Math.min(1, candidates.length - 1)].index;
+                }
+                picked.add(mid_near);
+                pair_MN.set_entry(i * n_MN + j, 0, i);
+                pair_MN.set_entry(i * n_MN + j, 1, mid_near);
+            }
+        }
+        return pair_MN;
+    }
+
+    /**
+     * Samples for each point its further pairs uniformly among the points which are not its near pairs.
+     * @private
+     * @param {Set<number>[]} nbrs - for each point the indices of its near pairs.
+     * @returns {Matrix} the further pairs.
+     */
+    _sample_FP_pairs(nbrs) {
+        const N = this._N;
+        const { n_neighbors, FP_ratio } = this._parameters;
+        const n_FP = Math.min(Math.round(n_neighbors * FP_ratio), N - 1 - n_neighbors);
+        const pair_FP = new Matrix(N * n_FP, 2);
+        for (let i = 0; i < N; ++i) {
+            this._sample(i, n_FP, nbrs[i]).forEach((index, j) => {
+                pair_FP.set_entry(i * n_FP + j, 0, i);
+                pair_FP.set_entry(i * n_FP + j, 1, index);
+            });
+        }
+        return pair_FP;
+    }
+
+    /**
+     * Samples {@link n} distinct indices of points, without {@link i} and the indices in {@link rejects}.
+     * @private
+     * @param {number} i
+     * @param {number} n
+     * @param {Set<number>} rejects
+     * @returns {number[]}
+     */
+    _sample(i, n, rejects) {
+        const randomizer = this._randomizer;
+        const N = this._N;
+        const samples = new Set();
+        while (samples.size < n) {
+            const j = randomizer.random_int % N;
+            if (j !== i && !rejects.has(j)) samples.add(j);
+        }
+        return Array.from(samples);
+    }
+
+    /**
+     * Returns the weights of the near, mid-near and further pairs of the three phases of the optimization.
+     * @private
+     * @param {number} iter
+     * @returns {{w_neighbors: number, w_MN: number, w_FP: number}}
+     */
+    _weights(iter) {
+        if (iter < 100) {
+            const t = iter / 100;
+            return { w_neighbors: 2, w_MN: (1 - t) * 1000 + t * 3, w_FP: 1 };
+        } else if (iter < 200) {
+            return { w_neighbors: 3, w_MN: 3, w_FP: 1 };
+        } else {
+            return { w_neighbors: 1, w_MN: 0, w_FP: 1 };
+        }
+    }
+
+    /**
+     * Computes the gradient of the loss of the pairs.
+     * @private
+     * @param {Matrix} Y - the embedding.
+     * @param {number} iter
+     * @returns {Matrix} the gradient.
+     */
+    _grad(Y, iter) {
+        const [N, dim] = Y.shape;
+        const { w_neighbors, w_MN, w_FP } = this._weights(iter);
+        const grad = new Matrix(N, dim, 0);
+        const y_ij = new Float64Array(dim);
+        // attractive pairs with loss w * d / (c + d), repulsive pairs with loss w / (1 + d), where d = 1 + |y_i - y_j|^2
+        const apply = (pairs, coefficient) => {
+            for (let p = 0, n = pairs.rows; p < n; ++p) {
+                const i = pairs.entry(p, 0);
+                const j = pairs.entry(p, 1);
+                let d_ij = 1;
+                for (let d = 0; d < dim; ++d) {
+                    y_ij[d] = Y.entry(i, d) - Y.entry(j, d);
+                    d_ij += y_ij[d] ** 2;
+                }
+                const w = coefficient(d_ij);
+                for (let d = 0; d < dim; ++d) {
+                    grad.add_entry(i, d, w * y_ij[d]);
+                    grad.sub_entry(j, d, w * y_ij[d]);
+                }
+            }
+        };
+        apply(this.pair_neighbors, (d_ij) => (w_neighbors * 20) / (10 + d_ij) ** 2);
+        if (w_MN > 0) apply(this.pair_MN, (d_ij) => (w_MN * 20000) / (10000 + d_ij) ** 2);
+        apply(this.pair_FP, (d_ij) => (-w_FP * 2) / (1 + d_ij) ** 2);
+        return grad;
+    }
+
+    /**
+     * Does one iteration step with the Adam optimizer.
+     * @returns {Matrix|number[][]}
+     */
+    next() {
+        const Y = this.Y;
+        const [N, dim] = Y.shape;
+        const lr = this._parameters.lr;
+        const beta1 = 0.9;
+        const beta2 = 0.999;
+        const grad = this._grad(Y, this._iter);
+        ++this._iter;
+        const lr_t = (lr * Math.sqrt(1 - beta2 ** this._iter)) / (1 - beta1 ** this._iter);
+        const m = this._m;
+        const v = this._v;
+        for (let i = 0; i < N; ++i) {
+            for (let d = 0; d < dim; ++d) {
+                const g = grad.entry(i, d);
+                const m_id = m.entry(i, d) + (1 - beta1) * (g - m.entry(i, d));
+                const v_id = v.entry(i, d) + (1 - beta2) * (g * g - v.entry(i, d));
+                m.set_entry(i, d, m_id);
+                v.set_entry(i, d, v_id);
+                Y.set_entry(i, d, Y.entry(i, d) - (lr_t * m_id) / (Math.sqrt(v_id) + 1e-7));
+            }
+        }
+        return this.Y;
+    }
+
+    /**
+     * Computes the projection.
+     * @param {number} [iterations = 450] - number of iterations. The first 100 iterations emphasize the mid-near pairs for the global structure, the next 100 balance them with the near pairs, and the remaining ones refine the local structure.
+     * @returns {Matrix|number[][]} the projection.
+     */
+    transform(iterations = 450) {
+        if (iterations instanceof Matrix || Matrix.isArray(iterations)) {
+            return this._transform_new(iterations);
+        }
+        this.check_init();
+        for (let i = 0; i < iterations; ++i) {
+            this.next();
+        }
+        return this.projection;
+    }
+
+    /**
+     * @param {number} [iterations = 450] - number of iterations.
+     * @yields {Matrix|number[][]} the intermediate steps of the projection.
+     * @returns {Matrix|number[][]} the projection.
+     */
+    *generator(iterations = 450) {
+        this.check_init();
+        for (let i = 0; i < iterations; ++i) {
+            this.next();
+            yield this.projection;
+        }
+        return this.projection;
+    }
+}
@@ -0,0 +1,119 @@
+import { simultaneous_poweriteration } from "../linear_algebra/index.js";
+import { Matrix } from "../matrix/index.js";
+import { LandmarkMDS } from "./LandmarkMDS.js";
+
+/**
+ * @class
+ * @alias PivotMDS
+ * @extends LandmarkMDS
+ */
+export class PivotMDS extends LandmarkMDS {
+    /**
+     * Pivot MDS. Approximates classical MDS with the double centered distances between all points and a few pivots,
+     * whose eigendecomposition only needs a matrix of the size of the number of pivots.
+     * @constructor
+     * @memberof module:dimensionality_reduction
+     * @alias PivotMDS
+     * @param {Matrix} X - the high-dimensional data.
+     * @param {object} parameters - Object containing parameterization of the DR method.
+     * @param {number} [parameters.d = 2] - the dimensionality of the projection.
+     * @param {number} [parameters.landmarks = Math.min(N, 50)] - the number of pivots.
+     * @param {"maxmin"|"random"} [parameters.selection = "maxmin"] - how to choose the pivots, see {@link LandmarkMDS}.
+     * @param {function|"precomputed"} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {number} [parameters.seed = 1212] - the seed for the random number generator.
+     * @param {object} [parameters.eig_args] - Parameters for the eigendecomposition algorithm.
+     * @returns {PivotMDS}
+     * @see {@link https://doi.org/10.1007/978-3-540-70904-6_6}
+     */
+    constructor(X, parameters) {
+        super(X, parameters);
+        return this;
+    }
+
+    /**
+     * Computes the projection. If {@link A} is given, then the new points get projected from their distances to the pivots.
+     * @param {null|Matrix|number[][]} [A = null] - If given, the new data to project. If metric is "precomputed", the distances of each new point to the training data.
+     * @returns {Matrix|number[][]} the projection.
+     */
+    transform(A = null) {
+        if (A !== null) {
+            return this._transform_new(A);
+        }
+        const N = this._N;
+        const { d, eig_args } = this._parameters;
+        const { landmarks, D } = this._choose_landmarks();
+        const n = landmarks.length;
+
+        // double centering of the squared distances to the pivots
+        const d_i_ = D.meanRows;
+        const d__j = D.meanCols;
+        const d__ = D.mean;
+        const C = new Matrix(n, N, (i, a) => -0.5 * (D.entry(i, a) - d_i_[i] - d__j[a] + d__));
+        const { eigenvalues, eigenvectors } = simultaneous_poweriteration(C.dotTransSelf(), d, eig_args);
+        this._landmarks = landmarks;
+        this._d_i_ = d_i_;
+        this._d__ = d__;
+        this._eigenvalues = eigenvalues;
+        this._V = eigenvectors;
+
+        const Y = new Matrix(N, d, 0);
+        for (let a = 0; a < N; ++a) {
+            Y.set_row(a, this._triangulate(C.col(a)));
+        }
+        this.Y = Y;
+        return this.projection;
+    }
+
+    /**
+     * Projects a point with its double centered squared distances {@link c} to the pivots onto the eigenvectors of C C^T.
+     * The eigenvalues of C C^T approximate the squared ones of classical MDS, scaled with the fraction of pivots,
+     * so the positions get divided by the fourth root of the rescaled eigenvalues.
+     * @private
+     * @param {Float64Array} c - the double centered squared distances of the point to the pivots.
+     * @returns {Float64Array} the position of the point in the projection.
+     */
+    _triangulate(c) {
+        const d = this._parameters.d;
+        const V = this._V;
+        const n = c.length;
+        const y = new Float64Array(d);
+        for (let k = 0; k < d; ++k) {
+            const scale = Math.pow((Math.max(this._eigenvalues[k], 0) * n) / this._N, 0.25);
+            if (scale === 0) continue;
+            let sum = 0;
+            for (let i = 0; i < n; ++i) {
+                sum += V[k][i] * c[i];
+            }
+            y[k] = sum / scale;
+        }
+        return y;
+    }
+
+    /**
+     * Projects new points from their distances to the pivots.
+     * @private
+     * @param {Matrix|number[][]} A - the new data. If metric is "precomputed", the distances of each new point to the training data.
+     * @returns {Matrix|number[][]} the projection of {@link A}.
+     */
+    _transform_new(A) {
+        if (!this._landmarks) this.transform();
+        const X_new = A instanceof Matrix ? A : Matrix.from(A);
+        const d_i_ = this._d_i_;
+        const d__ = this._d__;
+        const Y_new = Matrix.from(
+            this._landmark_distances(X_new).map((delta) => {
+                const mean = delta.reduce((sum, value) => sum + value, 0) / delta.length;
+                return this._triangulate(delta.map((value, i) => -0.5 * (value - d_i_[i] - mean + d__)));
+            })
+        );
+        return A instanceof Matrix ? Y_new : Y_new.asArray;
+    }
+
+    /**
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        return this._landmarks ? { ...super._get_state(), _d__: this._d__ } : {};
+    }
+}
@@ -42,7 +42,11 @@ export class SAMMON extends DR {
             const randomizer = this._randomizer;
             this.Y = new Matrix(N, d, () => randomizer.random);
         } else if (["PCA", "MDS"].includes(init_DR)) {
-            this.Y = Matrix.from(init_DR == "PCA" ? PCA.transform(this.X, DR_parameters) : MDS.transform(this.X, DR_parameters));
+            if (metric === "precomputed" && init_DR == "PCA") {
+                throw new Error('init_DR "PCA" needs the coordinates of the points, use "MDS" for a precomputed distance matrix!');
+            }
+            const parameters = metric === "precomputed" ? Object.assign({ metric }, DR_parameters) : DR_parameters;
+            this.Y = Matrix.from(init_DR == "PCA" ? PCA.transform(this.X, parameters) : MDS.transform(this.X, parameters));
         } else {
             throw new Error('init_DR needs to be either "random" or a DR method!');
         }
@@ -56,6 +60,9 @@ export class SAMMON extends DR {
      * @returns {Matrix|Array} - The projection of {@link X}.
      */
     transform(max_iter = 200) {
+        if (max_iter instanceof Matrix || Matrix.isArray(max_iter)) {
+            return this._transform_new(max_iter);
+        }
         if (!this._is_initialized) this.init();
         for (let j = 0; j < max_iter; ++j) {
             this._step();
@@ -100,7 +107,7 @@ export class SAMMON extends DR {
                 for (let k = 0; k < d; ++k) {
                     delta[k] = Yi[k] - Yj[k];
                 }
-                const dY = metric(Yi, Yj);
+                const dY = metric === "precomputed" ? euclidean(Yi, Yj) : metric(Yi, Yj);
                 const dX = D.entry(i, j);
                 const dq = dX - dY;
                 const dr = Math.max(dX * dY, 1e-2);
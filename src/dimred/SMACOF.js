@@ -0,0 +1,260 @@
+import { Matrix, distance_matrix } from "../matrix/index.js";
+import { euclidean } from "../metrics/index.js";
+import { DR } from "./DR.js";
+
+/**
+ * @class
+ * @alias SMACOF
+ * @extends DR
+ */
+export class SMACOF extends DR {
+    /**
+     * Stress majorization (SMACOF) for metric and non-metric MDS.
+     * @constructor
+     * @memberof module:dimensionality_reduction
+     * @alias SMACOF
+     * @param {Matrix} X - the high-dimensional data.
+     * @param {object} parameters - Object containing parameterization of the DR method.
+     * @param {number} [parameters.d = 2] - the dimensionality of the projection.
+     * @param {function|"precomputed"} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * If "precomputed", NaN entries of the distance matrix are missing distances.
+     * @param {boolean} [parameters.nonmetric = false] - if true, only the order of the distances gets preserved, with disparities from isotonic regression.
+     * @param {Matrix|number[][]} [parameters.weights = null] - the weight of each pair of points. Pairs with weight 0 get ignored. If null, all pairs have weight 1.
+     * @param {number} [parameters.n_init = 4] - the number of restarts from random configurations. The projection with the lowest stress wins.
+     * @param {number} [parameters.tol = 1e-4] - stops a run when the stress improves less than this fraction.
+     * @param {Matrix|number[][]} [parameters.init_Y = null] - the initial configuration. If given, there are no restarts.
+     * @param {number} [parameters.seed = 1212] - the seed for the random number generator.
+     * @returns {SMACOF}
+     * @see {@link https://doi.org/10.1007/978-0-387-28981-6_8}
+     */
+    constructor(X, parameters) {
+        super(X, { d: 2, metric: euclidean, nonmetric: false, weights: null, n_init: 4, tol: 1e-4, init_Y: null, seed: 1212 }, parameters);
+        return this;
+    }
+
+    /**
+     * Checks the precomputed distances and the weights against the data.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {SMACOF}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
+        const { metric, weights } = this._parameters;
+        const N = this._N;
+        if (metric === "precomputed" && this._D !== N) {
+            throw new Error("A precomputed distance matrix has to be square!");
+        }
+        if (weights !== null && (Matrix.isArray(weights) ? weights.length : weights.rows) !== N) {
+            throw new Error(`Parameter weights needs one row per point (=${N})!`);
+        }
+        return this;
+    }
+
+    /**
+     * Computes the dissimilarities and the weights, and the pseudo-inverse of the weight Laplacian for non-uniform weights.
+     * @private
+     * @returns {SMACOF}
+     */
+    init() {
+        const X = this.X;
+        const N = this._N;
+        const { metric, weights } = this._parameters;
+        const delta = metric === "precomputed" ? X.clone() : distance_matrix(X, metric);
+        const W = weights === null ? new Matrix(N, N, 1) : Matrix.from(weights);
+        let uniform = true;
+        for (let i = 0; i < N; ++i) {
+            W.set_entry(i, i, 0);
+            for (let j = 0; j < N; ++j) {
+                if (i === j) continue;
+                if (isNaN(delta.entry(i, j))) {
+                    W.set_entry(i, j, 0);
+                    delta.set_entry(i, j, 0);
+                }
+                if (W.entry(i, j) !== 1) uniform = false;
+            }
+        }
+        this._delta = delta;
+        this._W = W;
+        // pseudo-inverse of V = sum_ij w_ij (e_i - e_j)(e_i - e_j)^T, which is I / N - 1 / N^2 for uniform weights
+        if (uniform) {
+            this._V_pinv = null;
+        } else {
+            const V = new Matrix(N, N, (i, j) => (i === j ? 0 : -W.entry(i, j)));
+            for (let i = 0; i < N; ++i) {
+                V.set_entry(i, i, -V.row(i).reduce((sum, v) => sum + v, 0));
+            }
+            this._V_pinv = V.add(1 / N).inverse().sub(1 / N);
+        }
+        // the pairs sorted by their dissimilarity for the isotonic regression
+        const pairs = [];
+        for (let i = 0; i < N; ++i) {
+            for (let j = i + 1; j < N; ++j) {
+                if (W.entry(i, j) > 0) pairs.push([i, j]);
+            }
+        }
+        this._pairs = pairs.sort(([i, j], [k, l]) => delta.entry(i, j) - delta.entry(k, l));
+        return this;
+    }
+
+    /**
+     * @private
+     * @returns {Matrix} the initial configuration of a run.
+     */
+    _initial_configuration() {
+        const { d, init_Y } = this._parameters;
+        if (init_Y !== null) return Matrix.from(init_Y);
+        const randomizer = this._randomizer;
+        return new Matrix(this._N, d, () => randomizer.random - 0.5);
+    }
+
+    /**
+     * Computes the disparities, i.e., the dissimilarities for metric MDS, or the isotonic regression of the distances {@link D_Y}
+     * on the order of the dissimilarities for non-metric MDS, scaled to the sum of squared weighted dissimilarities.
+     * @private
+     * @param {Matrix} D_Y - the distances in the projection.
+     * @returns {Matrix}
+     */
+    _disparities(D_Y) {
+        if (!this._parameters.nonmetric) return this._delta;
+        const W = this._W;
+        const pairs = this._pairs;
+        // pool adjacent violators
+        const blocks = [];
+        for (const [i, j] of pairs) {
+            let block = { value: D_Y.entry(i, j), weight: W.entry(i, j), size: 1 };
+            while (blocks.length > 0 && blocks[blocks.length - 1].value >= block.value) {
+                const last = blocks.pop();
+                const weight = last.weight + block.weight;
+                block = { value: weight > 0 ? (last.value * last.weight + block.value * block.weight) / weight : 0, weight, size: last.size + block.size };
+            }
+            blocks.push(block);
+        }
+        const N = this._N;
+        const disparities = new Matrix(N, N, 0);
+        let p = 0;
+        let sum = 0;
+        let sum_delta = 0;
+        for (const { value, size } of blocks) {
+            for (let s = 0; s < size; ++s, ++p) {
+                const [i, j] = pairs[p];
+                disparities.set_entry(i, j, value);
+                disparities.set_entry(j, i, value);
+                sum += W.entry(i, j) * value ** 2;
+                sum_delta += W.entry(i, j) * this._delta.entry(i, j) ** 2;
+            }
+        }
+        return sum > 0 ? disparities.mult(Math.sqrt(sum_delta / sum), { inline: true }) : disparities;
+    }
+
+    /**
+     * Computes the raw stress, i.e., the weighted sum of the squared differences between the disparities and the distances of the projection,
+     * and the normalized stress, i.e., the square root of the raw stress divided by the weighted sum of the squared disparities.
+     * @param {Matrix} [Y = this.Y]
+     * @returns {{raw: number, normalized: number}}
+     */
+    stress(Y = this.Y) {
+        if (!this._delta) this.init();
+        const W = this._W;
+        const D_Y = distance_matrix(Y, euclidean);
+        const disparities = this._disparities(D_Y);
+        let raw = 0;
+        let sum = 0;
+        for (const [i, j] of this._pairs) {
+            const w = W.entry(i, j);
+            raw += w * (disparities.entry(i, j) - D_Y.entry(i, j)) ** 2;
+            sum += w * disparities.entry(i, j) ** 2;
+        }
+        return { raw, normalized: sum > 0 ? Math.sqrt(raw / sum) : 0 };
+    }
+
+    /**
+     * Does one Guttman transform of the projection.
+     * @private
+     * @returns {number} the raw stress of the projection before the step.
+     */
+    _step() {
+        const Y = this.Y;
+        const N = this._N;
+        const W = this._W;
+        const D_Y = distance_matrix(Y, euclidean);
+        const disparities = this._disparities(D_Y);
+        let stress = 0;
+        const B = new Matrix(N, N, 0);
+        for (const [i, j] of this._pairs) {
+            const w = W.entry(i, j);
+            const d_ij = D_Y.entry(i, j);
+            const disparity = disparities.entry(i, j);
+            stress += w * (disparity - d_ij) ** 2;
+            if (d_ij > 0) {
+                const b_ij = (-w * disparity) / d_ij;
+                B.set_entry(i, j, b_ij);
+                B.set_entry(j, i, b_ij);
+                B.sub_entry(i, i, b_ij);
+                B.sub_entry(j, j, b_ij);
+            }
+        }
+        const BY = B.dot(Y);
+        this.Y = this._V_pinv === null ? BY.mult(1 / N, { inline: true }) : this._V_pinv.dot(BY);
+        return stress;
+    }
+
+    /**
+     * Transforms the inputdata {@link X} to dimensionality {@link d}. Does {@link n_init} runs, and keeps the projection with the lowest stress.
+     * @param {number} [max_iter = 300] - maximum number of iterations of each run.
+     * @returns {Matrix|number[][]} the projection.
+     */
+    transform(max_iter = 300) {
+        if (max_iter instanceof Matrix || Matrix.isArray(max_iter)) {
+            return this._transform_new(max_iter);
+        }
+        if (!this._delta) this.init();
+        const n_init = this._parameters.init_Y === null ? this._parameters.n_init : 1;
+        let best = null;
+        for (let run = 0; run < n_init; ++run) {
+            this.Y = this._initial_configuration();
+            let old_stress = Infinity;
+            for (let iter = 0; iter < max_iter; ++iter) {
+                const stress = this._step();
+                if (this._converged(old_stress, stress)) break;
+                old_stress = stress;
+            }
+            const stress = this.stress();
+            if (best === null || stress.raw < best.stress.raw) {
+                best = { Y: this.Y, stress };
+            }
+        }
+        this.Y = best.Y;
+        return this.projection;
+    }
+
+    /**
+     * Does a single run from the initial configuration, without restarts.
+     * @param {number} [max_iter = 300] - maximum number of iterations.
+     * @yields {Matrix|number[][]} the intermediate steps of the projection.
+     * @returns {Matrix|number[][]} the projection.
+     */
+    *generator(max_iter = 300) {
+        if (!this._delta) this.init();
+        this.Y = this._initial_configuration();
+        let old_stress = Infinity;
+        for (let iter = 0; iter < max_iter; ++iter) {
+            const stress = this._step();
+            yield this.projection;
+            if (this._converged(old_stress, stress)) break;
+            old_stress = stress;
+        }
+        return this.projection;
+    }
+
+    /**
+     * @private
+     * @param {number} old_stress - the stress before the last step.
+     * @param {number} stress - the stress after the last step.
+     * @returns {boolean} true if the stress improved less than the fraction {@link tol}.
+     */
+    _converged(old_stress, stress) {
+        return isFinite(old_stress) && old_stress - stress <= this._parameters.tol * old_stress;
+    }
+}
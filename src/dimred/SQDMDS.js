@@ -90,6 +90,9 @@ export class SQDMDS extends DR {
      * @returns {Matrix|number[][]} the projection.
      */
     transform(iterations = 500) {
+        if (iterations instanceof Matrix || Matrix.isArray(iterations)) {
+            return this._transform_new(iterations);
+        }
         this.check_init();
         this._decay_start = Math.round(this.parameter("decay_start") * iterations);
         for (let i = 0; i < iterations; ++i) {
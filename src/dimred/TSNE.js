@@ -1,7 +1,141 @@
-import { distance_matrix, Matrix } from "../matrix/index.js";
+import { distance_matrix, Matrix, SparseMatrix } from "../matrix/index.js";
 import { euclidean_squared } from "../metrics/index.js";
 import { DR } from "./DR.js";
 
+/**
+ * Space-partitioning tree (quadtree for d=2, octree for d=3) used for the Barnes-Hut approximation of the repulsive forces.
+ * @private
+ */
+class SPTree {
+    /**
+     * @param {Float64Array} center - center of the cell.
+     * @param {Float64Array} width - half width of the cell in each dimension.
+     */
+    constructor(center, width) {
+        this.center = center;
+        this.width = width;
+        this.max_width = Math.max(...width);
+        this.cum_size = 0;
+        this.center_of_mass = new Float64Array(center.length);
+        // the indices of the points of a leaf, more than one if they coincide
+        this.indices = [];
+        this.children = null;
+    }
+
+    /**
+     * Builds a tree containing all rows of {@link Y}.
+     * @param {Matrix} Y
+     * @returns {SPTree}
+     */
+    static from(Y) {
+        const [N, dim] = Y.shape;
+        const min_Y = new Float64Array(dim).fill(Infinity);
+        const max_Y = new Float64Array(dim).fill(-Infinity);
+        for (let i = 0; i < N; ++i) {
+            const Y_i = Y.row(i);
+            for (let d = 0; d < dim; ++d) {
+                if (Y_i[d] < min_Y[d]) min_Y[d] = Y_i[d];
+                if (Y_i[d] > max_Y[d]) max_Y[d] = Y_i[d];
+            }
+        }
+        const center = min_Y.map((min, d) => (min + max_Y[d]) / 2);
+        const width = min_Y.map((min, d) => Math.max((max_Y[d] - min) / 2, 1e-5) + 1e-5);
+        const tree = new SPTree(center, width);
+        for (let i = 0; i < N; ++i) {
+            tree.insert(Y, i);
+        }
+        return tree;
+    }
+
+    /**
+     * @param {Matrix} Y
+     * @param {number} i - index of the row of {@link Y} to insert.
+     */
+    insert(Y, i) {
+        const Y_i = Y.row(i);
+        const dim = Y_i.length;
+        const com = this.center_of_mass;
+        const cum_size = ++this.cum_size;
+        for (let d = 0; d < dim; ++d) {
+            com[d] += (Y_i[d] - com[d]) / cum_size;
+        }
+        if (this.children === null) {
+            const indices = this.indices;
+            // duplicate points stay in the same leaf
+            if (indices.length === 0 || Y_i.every((v, d) => v === Y.row(indices[0])[d])) {
+                indices.push(i);
+                return;
+            }
+            this._subdivide();
+            const child = this._child(Y.row(indices[0]));
+            for (const index of indices) child.insert(Y, index);
+            this.indices = [];
+        }
+        this._child(Y_i).insert(Y, i);
+    }
+
+    /**
+     * @private
+     */
+    _subdivide() {
+        const dim = this.center.length;
+        const width = this.width.map((w) => w / 2);
+        this.children = [];
+        for (let c = 0, n = 1 << dim; c < n; ++c) {
+            const center = this.center.map((v, d) => (c & (1 << d) ? v + width[d] : v - width[d]));
+            this.children.push(new SPTree(center, width));
+        }
+    }
+
+    /**
+     * @private
+     * @param {Float64Array} point
+     * @returns {SPTree}
+     */
+    _child(point) {
+        const center = this.center;
+        let c = 0;
+        for (let d = 0, dim = center.length; d < dim; ++d) {
+            if (point[d] > center[d]) c |= 1 << d;
+        }
+        return this.children[c];
+    }
+
+    /**
+     * Adds the (unnormalized) repulsive forces acting on point {@link i} to {@link neg_f}.
+     * @param {Float64Array} Y_i
+     * @param {number} i
+     * @param {number} theta - Barnes-Hut trade-off between speed and accuracy.
+     * @param {Float64Array} neg_f
+     * @returns {number} the contribution to the normalization term of the Student-t distribution.
+     */
+    non_edge_forces(Y_i, i, theta, neg_f) {
+        // point i does not repel itself, but its duplicates
+        const size = this.children === null && this.indices.includes(i) ? this.cum_size - 1 : this.cum_size;
+        if (size === 0) return 0;
+        const com = this.center_of_mass;
+        const dim = Y_i.length;
+        let D = 0;
+        for (let d = 0; d < dim; ++d) {
+            const diff = Y_i[d] - com[d];
+            D += diff * diff;
+        }
+        if (this.children === null || this.max_width / Math.sqrt(D) < theta) {
+            const q = 1 / (1 + D);
+            const mult = size * q;
+            for (let d = 0; d < dim; ++d) {
+                neg_f[d] += mult * q * (Y_i[d] - com[d]);
+            }
+            return mult;
+        }
+        let sum_Q = 0;
+        for (const child of this.children) {
+            sum_Q += child.non_edge_forces(Y_i, i, theta, neg_f);
+        }
+        return sum_Q;
+    }
+}
+
 /**
  * @class
  * @alias TSNE
@@ -19,12 +153,25 @@ export class TSNE extends DR {
      * @param {number} [parameters.epsilon = 10] - learning parameter.
      * @param {number} [parameters.d = 2] - the dimensionality of the projection.
      * @param {function|"precomputed"} [parameters.metric = euclidean_squared] - the metric which defines the distance between two points.
+     * @param {function|object|Array} [parameters.knn = null] - for theta > 0, the kNN searcher class (default {@link BallTree}), an instance of it built on {@link X}, or precomputed neighbor lists.
+     * @param {number} [parameters.theta = 0] - Barnes-Hut trade-off between speed and accuracy. If 0, then the exact gradient gets computed, otherwise the affinities are computed on the nearest neighbors only and the gradient gets approximated (only for d <= 3).
      * @param {number} [parameters.seed = 1212] - the seed for the random number generator.
      * @returns {TSNE}
      */
     constructor(X, parameters) {
-        super(X, { perplexity: 50, epsilon: 10, d: 2, metric: euclidean_squared, seed: 1212 }, parameters);
+        super(X, { perplexity: 50, epsilon: 10, d: 2, metric: euclidean_squared, knn: null, theta: 0, seed: 1212 }, parameters);
+        return this;
+    }
 
+    /**
+     * Initializes the projection and the state of the gradient descent.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {TSNE}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
         const N = this._N;
         const randomizer = this._randomizer;
         const { d: dim } = this._parameters;
@@ -33,7 +180,6 @@ export class TSNE extends DR {
         this._gains = new Matrix(N, dim, 1);
         this._grad = new Matrix(N, dim, 0);
         this._iter = 0;
-
         return this;
     }
 
@@ -41,6 +187,9 @@ export class TSNE extends DR {
      * @returns {TSNE}
      */
     init() {
+        if (this._parameters.theta > 0) {
+            return this._init_sparse();
+        }
         // init
         const N = this._N;
         const P = new Matrix(N, N, 0);
@@ -95,12 +244,101 @@ export class TSNE extends DR {
         return this;
     }
 
+    /**
+     * Computes the affinities on the 3 * perplexity nearest neighbors of each point only.
+     * @private
+     * @returns {TSNE}
+     */
+    _init_sparse() {
+        const N = this._N;
+        const { perplexity, d: dim } = this._parameters;
+        if (dim > 3) {
+            throw new Error(`Parameter theta > 0 is only possible for d <= 3 (d=${dim})!`);
+        }
+        const k = Math.min(N - 1, Math.floor(3 * perplexity));
+        const Htarget = Math.log(perplexity); // target entropy
+
+        // nearest neighbors of each point, without the point itself
+        const neighbors = this._nearest_neighbors(k);
+
+        // search for fitting sigma
+        const tol = 1e-4;
+        const maxtries = 50;
+        const P_cond = neighbors.map((D_i) => {
+            const P_i = new Float64Array(D_i.length);
+            let sum_Pi = 0;
+            let cnt = maxtries;
+            let betamin = -Infinity;
+            let betamax = Infinity;
+            let beta = 1; // initial value of precision
+
+            // Binary search of precision for i-th conditional distribution
+            while (cnt--) {
+                let sum_dp = 0;
+                sum_Pi = 0;
+                for (let j = 0; j < D_i.length; ++j) {
+                    const dist = D_i[j].distance;
+                    const pij = Math.exp(-dist * beta);
+                    sum_dp += dist * pij;
+                    sum_Pi += pij;
+                    P_i[j] = pij;
+                }
+                sum_Pi = Math.max(sum_Pi, 1e-12);
+                // compute entropy
+                const H = Math.log(sum_Pi) + beta * (sum_dp / sum_Pi);
+                if (Math.abs(H - Htarget) < tol) break;
+                if (H > Htarget) {
+                    betamin = beta;
+                    beta = betamax === Infinity ? 2 * beta : 0.5 * (beta + betamax);
+                } else {
+                    betamax = beta;
+                    beta = betamin === -Infinity ? 0.5 * beta : 0.5 * (beta + betamin);
+                }
+            }
+            return P_i.map((p) => p / sum_Pi);
+        });
+
+        // symmetrize conditional probabilities
+        const rows = [];
+        const cols = [];
+        const values = [];
+        const N2 = 1 / (2 * N);
+        for (let i = 0; i < N; ++i) {
+            const D_i = neighbors[i];
+            for (let j = 0; j < D_i.length; ++j) {
+                const p = P_cond[i][j] * N2;
+                rows.push(i, D_i[j].index);
+                cols.push(D_i[j].index, i);
+                values.push(p, p);
+            }
+        }
+        this._P = SparseMatrix.from_coo(N, N, rows, cols, values);
+        return this;
+    }
+
+    /**
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        if (!this._is_initialized) return {};
+        return {
+            _P: this._P,
+            _ystep: this._ystep,
+            _gains: this._gains,
+            _iter: this._iter,
+        };
+    }
+
     /**
      *
      * @param {number} [iterations=500] - number of iterations.
      * @returns {Matrix|number[][]} the projection.
      */
     transform(iterations = 500) {
+        if (iterations instanceof Matrix || Matrix.isArray(iterations)) {
+            return this._transform_new(iterations);
+        }
         this.check_init();
         for (let i = 0; i < iterations; ++i) {
             this.next();
@@ -136,7 +374,7 @@ export class TSNE extends DR {
         const Y = this.Y;
 
         const momval = ++this._iter < 250 ? 0.5 : 0.8;
-        const grad = this._gradient(Y);
+        const grad = this._parameters.theta > 0 ? this._gradient_bh(Y) : this._gradient(Y);
 
         // perform gradient step
         let d;
@@ -176,6 +414,8 @@ export class TSNE extends DR {
         const grad = this._grad;
         const P = this._P;
         const N = this._N;
+        // the gradient gets accumulated, it must not start from the one of the last iteration
+        grad.values.fill(0);
 
         // Compute joint probability that points i and j are neighbors
         // in low-dimensional space (unnormalized)
@@ -212,6 +452,49 @@ export class TSNE extends DR {
         return grad;
     }
 
+    /**
+     * Compute the Barnes-Hut approximation of the gradient of the Kullback-Leibler divergence,
+     * with the attractive forces on the sparse P and the repulsive forces on a space-partitioning tree of Y.
+     * @private
+     */
+    _gradient_bh(Y) {
+        const pmul = this._iter < 100 ? 4 : 1;
+        const { d: dim, theta } = this._parameters;
+        const grad = this._grad;
+        const P = this._P;
+        const N = this._N;
+        const tree = SPTree.from(Y);
+
+        const neg_f = new Matrix(N, dim, 0);
+        let sum_Q = 0;
+        for (let i = 0; i < N; ++i) {
+            sum_Q += tree.non_edge_forces(Y.row(i), i, theta, neg_f.row(i));
+        }
+
+        for (let i = 0; i < N; ++i) {
+            const Y_i = Y.row(i);
+            const g_i = grad.row(i);
+            const neg_f_i = neg_f.row(i);
+            for (let d = 0; d < dim; ++d) {
+                g_i[d] = -neg_f_i[d] / sum_Q;
+            }
+            const { indices, values } = P.row_entries(i);
+            for (let n = 0; n < indices.length; ++n) {
+                const Y_j = Y.row(indices[n]);
+                const q = 1 / (1 + euclidean_squared(Y_i, Y_j));
+                const mult = pmul * values[n] * q;
+                for (let d = 0; d < dim; ++d) {
+                    g_i[d] += mult * (Y_i[d] - Y_j[d]);
+                }
+            }
+            for (let d = 0; d < dim; ++d) {
+                g_i[d] *= 4;
+            }
+        }
+
+        return grad;
+    }
+
     /** Symmetrize conditional probabilites */
     _symmetrizeP(P) {
         const N = this._N;
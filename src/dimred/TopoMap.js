@@ -17,14 +17,25 @@ export class TopoMap extends DR {
      * @alias TopoMap
      * @param {Matrix} X - the high-dimensional data.
      * @param {Object} parameters - Object containing parameterization of the DR method.
-     * @param {Function} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {Function|"precomputed"} [parameters.metric = euclidean] - the metric which defines the distance between two points.
      * @param {number} [parameters.seed = 1212] - the seed for the random number generator.
      * @returns {TopoMap}
      * @see {@link https://arxiv.org/pdf/2009.01512.pdf}
      */
     constructor(X, parameters) {
         super(X, { metric: euclidean, seed: 1212 }, parameters);
-        [this._N, this._D] = this.X.shape;
+        return this;
+    }
+
+    /**
+     * Sets up the distance matrix.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {TopoMap}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
         this._distance_matrix = new Matrix(this._N, this._N, 0);
         return this;
     }
@@ -37,7 +48,7 @@ export class TopoMap extends DR {
         const X = this.X;
         const D_ij = D.entry(i, j);
         if (D_ij === 0) {
-            let dist = metric(X.row(i), X.row(j));
+            let dist = metric === "precomputed" ? X.entry(i, j) : metric(X.row(i), X.row(j));
             D.set_entry(i, j, dist);
             D.set_entry(j, i, dist);
             return dist;
@@ -256,9 +267,13 @@ export class TopoMap extends DR {
     }
 
     /**
-     * Transforms the inputdata {@link X} to dimensionality 2.
+     * Transforms the inputdata {@link X} to dimensionality 2. {@link TopoMap} can not project new data {@link A}.
+     * @param {null} [A = null]
      */
-    transform() {
+    transform(A = null) {
+        if (A !== null) {
+            return this._transform_new(A);
+        }
         if (!this._is_initialized) this.init();
         const Emst = this._Emst;
         const Y = this.Y.to2dArray;
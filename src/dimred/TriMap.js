@@ -1,7 +1,7 @@
 import { Matrix, linspace } from "../matrix/index.js";
 import { euclidean } from "../metrics/index.js";
 import { PCA } from "./PCA.js";
-import { BallTree } from "../knn/index.js";
+import { MDS } from "./MDS.js";
 import { DR } from "./DR.js";
 
 /**
@@ -21,21 +21,22 @@ export class TriMap extends DR {
      * @param {number} [parameters.c = 5] - number of triplets multiplier.
      * @param {number} [parameters.d = 2] - the dimensionality of the projection.
      * @param {number} [parameters.tol = 1e-8] -
-     * @param {function} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {function|"precomputed"} [parameters.metric = euclidean] - the metric which defines the distance between two points.
+     * @param {function|object|Array} [parameters.knn = null] - the kNN searcher class (default {@link BallTree}), an instance of it built on {@link X}, or precomputed neighbor lists.
      * @param {number} [parameters.seed = 1212] - the seed for the random number generator.
      * @returns {TriMap}
      * @see {@link https://arxiv.org/pdf/1910.00204v1.pdf}
      * @see {@link https://github.com/eamid/trimap}
      */
     constructor(X, parameters) {
-        super(X, { weight_adj: 500, c: 5, d: 2, metric: euclidean, tol: 1e-8, seed: 1212 }, parameters);
+        super(X, { weight_adj: 500, c: 5, d: 2, metric: euclidean, knn: null, tol: 1e-8, seed: 1212 }, parameters);
         return this;
     }
 
     /**
      *
-     * @param {Matrix} [pca = null] - Initial Embedding (if null then PCA gets used).
-     * @param {KNN} [knn = null] - KNN Object (if null then BallTree gets used).
+     * @param {Matrix} [pca = null] - Initial Embedding (if null then PCA gets used, or MDS if the metric is "precomputed").
+     * @param {KNN} [knn = null] - KNN Object (if null then the parameter <code>knn</code> gets used).
      */
     init(pca = null, knn = null) {
         const X = this.X;
@@ -44,8 +45,8 @@ export class TriMap extends DR {
         this.n_inliers = 2 * c;
         this.n_outliers = 1 * c;
         this.n_random = 1 * c;
-        this.Y = pca || new PCA(X, { d, seed }).transform();
-        this.knn = knn || new BallTree(X.to2dArray, metric);
+        this.Y = pca || (metric === "precomputed" ? new MDS(X, { d, metric, seed }) : new PCA(X, { d, seed })).transform();
+        this.knn = knn || this._make_knn();
         const { triplets, weights } = this._generate_triplets(this.n_inliers, this.n_outliers, this.n_random);
         this.triplets = triplets;
         this.weights = weights;
@@ -56,6 +57,37 @@ export class TriMap extends DR {
         return this;
     }
 
+    /**
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        if (!this._is_initialized) return {};
+        return {
+            n_inliers: this.n_inliers,
+            n_outliers: this.n_outliers,
+            n_random: this.n_random,
+            triplets: this.triplets,
+            weights: this.weights,
+            lr: this.lr,
+            C: this.C,
+            vel: this.vel,
+            gain: this.gain,
+        };
+    }
+
+    /**
+     * @private
+     * @param {number} i
+     * @param {number} j
+     * @returns {number} the distance between the {@link i}-th and the {@link j}-th point.
+     */
+    _distance(i, j) {
+        const metric = this._parameters.metric;
+        const X = this.X;
+        return metric === "precomputed" ? X.entry(i, j) : metric(X.row(i), X.row(j));
+    }
+
     /**
      * Generates {@link n_inliers} x {@link n_outliers} x {@link n_random} triplets.
      * @param {number} n_inliers
@@ -63,23 +95,18 @@ export class TriMap extends DR {
      * @param {number} n_random
      */
     _generate_triplets(n_inliers, n_outliers, n_random) {
-        const { metric, weight_adj } = this._parameters;
+        const { weight_adj } = this._parameters;
         const X = this.X;
         const N = X.rows;
-        const knn = this.knn;
-        const n_extra = Math.min(n_inliers + 20, N);
+        const n_extra = Math.min(n_inliers + 20, N - 1);
         const nbrs = new Matrix(N, n_extra);
         const knn_distances = new Matrix(N, n_extra);
-        for (let i = 0; i < N; ++i) {
-            knn.search(X.row(i), n_extra + 1)
-                .raw_data()
-                .filter((d) => d.value != 0)
-                .sort((a, b) => a.value - b.value)
-                .forEach((d, j) => {
-                    nbrs.set_entry(i, j, d.element.index);
-                    knn_distances.set_entry(i, j, d.value);
-                });
-        }
+        this._nearest_neighbors(n_extra, this.knn).forEach((neighbors, i) => {
+            neighbors.forEach(({ index, distance }, j) => {
+                nbrs.set_entry(i, j, index);
+                knn_distances.set_entry(i, j, distance);
+            });
+        });
         // scale parameter
         const sig = new Float64Array(N);
         for (let i = 0; i < N; ++i) {
@@ -94,7 +121,7 @@ export class TriMap extends DR {
         for (let i = 0; i < n_triplets; ++i) {
             const j = triplets.entry(i, 0);
             const k = triplets.entry(i, 2);
-            outlier_distances[i] = metric(X.row(j), X.row(k));
+            outlier_distances[i] = this._distance(j, k);
         }
         let weights = this._find_weights(triplets, P, nbrs, outlier_distances, sig);
 
@@ -226,7 +253,6 @@ export class TriMap extends DR {
      * @param {Float64Array} sig - Scaling factor for the distances
      */
     _sample_random_triplets(X, n_random, sig) {
-        const metric = this.parameter("metric");
         const randomizer = this._randomizer;
         const N = X.rows;
         const random_triplets = new Matrix(N * n_random, 3);
@@ -236,9 +262,9 @@ export class TriMap extends DR {
             const indices = [...linspace(0, i - 1), ...linspace(i + 1, N - 1)];
             for (let j = 0; j < n_random; ++j) {
                 let [sim, out] = randomizer.choice(indices, 2);
-                let p_sim = Math.exp(-(metric(X.row(i), X.row(sim)) ** 2 / (sig[i] * sig[sim])));
+                let p_sim = Math.exp(-(this._distance(i, sim) ** 2 / (sig[i] * sig[sim])));
                 if (p_sim < 1e-20) p_sim = 1e-20;
-                let p_out = Math.exp(-(metric(X.row(i), X.row(out)) ** 2 / (sig[i] * sig[out])));
+                let p_out = Math.exp(-(this._distance(i, out) ** 2 / (sig[i] * sig[out])));
                 if (p_out < 1e-20) p_out = 1e-20;
 
                 if (p_sim < p_out) {
@@ -324,6 +350,9 @@ export class TriMap extends DR {
      * @returns {Matrix|number[][]}
      */
     transform(max_iteration = 400) {
+        if (max_iteration instanceof Matrix || Matrix.isArray(max_iteration)) {
+            return this._transform_new(max_iteration);
+        }
         this.check_init();
         for (let iter = 0; iter < max_iteration; ++iter) {
             this._next(iter);
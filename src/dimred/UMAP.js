@@ -1,12 +1,10 @@
-import { Matrix } from "../matrix/index.js";
+import { Matrix, SparseMatrix } from "../matrix/index.js";
 import { euclidean, euclidean_squared } from "../metrics/index.js";
-import { BallTree } from "../knn/index.js";
 import { neumair_sum } from "../numerical/index.js";
 import { linspace } from "../matrix/index.js";
 import { powell } from "../optimization/index.js";
 import { DR } from "./DR.js";
-import { max } from "../util/index.js";
-import { KNN } from "../knn/index.js";
+import { max, Randomizer } from "../util/index.js";
 
 /**
  * @class
@@ -26,6 +24,9 @@ export class UMAP extends DR {
      * @param {number} [parameters.min_dist = 1] - controls how tightly points get packed together.
      * @param {number} [parameters.d = 2] - the dimensionality of the projection.
      * @param {function} [parameters.metric = euclidean] - the metric which defines the distance between two points in the high-dimensional space.
+     * @param {function|object|Array} [parameters.knn = null] - the kNN searcher class (e.g., {@link BallTree}, {@link HNSW} or {@link NNDescent}),
+     * an instance of it built on {@link X}, or precomputed neighbor lists with objects <code>{index, distance}</code> for each point.
+     * If null, {@link BallTree} gets used, or {@link KNN} if the metric is "precomputed".
      * @param {number} [parameters._spread = 1] - The effective scale of embedded points. (In combination with {@link parameters.min_dist})
      * @param {number} [parameters._set_op_mix_ratio = 1] - Interpolate between union and intersection.
      * @param {number} [parameters._repulsion_strength = 1]  - Weighting applied to negative samples.
@@ -44,6 +45,7 @@ export class UMAP extends DR {
                 min_dist: 1,
                 d: 2,
                 metric: euclidean,
+                knn: null,
                 seed: 1212,
                 _spread: 1,
                 _set_op_mix_ratio: 1,
@@ -54,7 +56,18 @@ export class UMAP extends DR {
             },
             parameters
         );
-        [this._N, this._D] = this.X.shape;
+        return this;
+    }
+
+    /**
+     * Checks the parameters against the data and initializes the projection.
+     * @private
+     * @param {Matrix|number[][]} X
+     * @param {object} parameters
+     * @returns {UMAP}
+     */
+    _init(X, parameters) {
+        super._init(X, parameters);
         /* let n_neighbors = Math.min(this._N - 1, parameters.n_neighbors);
         this.parameter("n_neighbors", n_neighbors);
         this.parameter("local_connectivity", Math.min(this.parameter("local_connectivity"), n_neighbors - 1)); */
@@ -115,32 +128,20 @@ export class UMAP extends DR {
 
     /**
      * @private
-     * @param {KNN|BallTree} knn
+     * @param {Array<Array<object>>} distances - for each point the ascending sorted search results of its nearest neighbors.
      * @param {number} k
+     * @param {number} local_connectivity
      * @returns {object}
      */
-    _smooth_knn_dist(knn, k) {
+    _smooth_knn_dist(distances, k, local_connectivity) {
         const SMOOTH_K_TOLERANCE = 1e-5;
         const MIN_K_DIST_SCALE = 1e-3;
         const n_iter = 64;
-        const { local_connectivity, metric } = this._parameters;
         const target = Math.log2(k);
         const rhos = [];
         const sigmas = [];
-        const X = this.X;
-        const N = X.rows;
-        //const distances = [...X].map(x_i => knn.search(x_i, k).raw_data().reverse());
-
-        const distances = [];
-        if (metric === "precomputed") {
-            for (let i = 0; i < N; ++i) {
-                distances.push(knn.search(i, k).reverse());
-            }
-        } else {
-            for (const x_i of X) {
-                distances.push(knn.search(x_i, k).raw_data().reverse());
-            }
-        }
+        const N = distances.length;
+        const mean_d = distances.reduce((acc, res) => acc + res.reduce((a, b) => a + b.value, 0) / res.length, 0) / N;
 
         const index = Math.floor(local_connectivity);
         const interpolation = local_connectivity - index;
@@ -185,14 +186,12 @@ export class UMAP extends DR {
                 }
             }
 
-            //let mean_d = null;
             if (rho > 0) {
                 const mean_ithd = search_result.reduce((a, b) => a + b.value, 0) / search_result.length;
                 if (mid < MIN_K_DIST_SCALE * mean_ithd) {
                     mid = MIN_K_DIST_SCALE * mean_ithd;
                 }
             } else {
-                const mean_d = distances.reduce((acc, res) => acc + res.reduce((a, b) => a + b.value, 0) / res.length);
                 if (mid < MIN_K_DIST_SCALE * mean_d) {
                     mid = MIN_K_DIST_SCALE * mean_d;
                 }
@@ -211,21 +210,31 @@ export class UMAP extends DR {
      * @private
      * @param {Matrix} X
      * @param {number} n_neighbors
-     * @returns {Matrix}
+     * @returns {SparseMatrix}
      */
     _fuzzy_simplicial_set(X, n_neighbors) {
         const N = X.rows;
-        const { metric, _set_op_mix_ratio } = this._parameters;
-        const knn = metric === "precomputed" ? new KNN(X, "precomputed") : new BallTree(X.to2dArray, metric);
-        let { distances, sigmas, rhos } = this._smooth_knn_dist(knn, n_neighbors);
+        const { local_connectivity, _set_op_mix_ratio } = this._parameters;
+        const knn = this._make_knn(X);
+        // the neighborhood of each point includes the point itself
+        const knn_distances = this._nearest_neighbors(n_neighbors - 1, knn).map((neighbors, i) => [
+            { element: { index: i }, value: 0 },
+            ...neighbors.map(({ index, distance }) => ({ element: { index }, value: distance })),
+        ]);
+        this._knn = knn;
+        let { distances, sigmas, rhos } = this._smooth_knn_dist(knn_distances, n_neighbors, local_connectivity);
         distances = this._compute_membership_strengths(distances, sigmas, rhos);
-        const result = new Matrix(N, N, 0);
+        const rows = [];
+        const cols = [];
+        const values = [];
         for (let i = 0; i < N; ++i) {
-            const distances_i = distances[i];
-            for (let j = 0; j < distances_i.length; ++j) {
-                result.set_entry(i, distances_i[j].element.index, distances_i[j].value);
+            for (const { element, value } of distances[i]) {
+                rows.push(i);
+                cols.push(element.index);
+                values.push(value);
             }
         }
+        const result = SparseMatrix.from_coo(N, N, rows, cols, values);
 
         const transposed_result = result.T;
         const prod_matrix = result.mult(transposed_result);
@@ -239,10 +248,10 @@ export class UMAP extends DR {
     /**
      * @private
      * @param {number} n_epochs
+     * @param {number[]} [weights = this._weights]
      * @returns {Float32Array}
      */
-    _make_epochs_per_sample(n_epochs) {
-        const weights = this._weights;
+    _make_epochs_per_sample(n_epochs, weights = this._weights) {
         const result = new Float32Array(weights.length).fill(-1);
         const weight_scl = n_epochs / max(weights);
         weights.forEach((w, i) => {
@@ -252,33 +261,6 @@ export class UMAP extends DR {
         return result;
     }
 
-    /**
-     * @private
-     * @param {Matrix} graph
-     * @returns {object}
-     */
-    _tocoo(graph) {
-        const rows = [];
-        const cols = [];
-        const data = [];
-        const [rows_n, cols_n] = graph.shape;
-        for (let row = 0; row < rows_n; ++row) {
-            for (let col = 0; col < cols_n; ++col) {
-                const entry = graph.entry(row, col);
-                if (entry !== 0) {
-                    rows.push(row);
-                    cols.push(col);
-                    data.push(entry);
-                }
-            }
-        }
-        return {
-            rows: rows,
-            cols: cols,
-            data: data,
-        };
-    }
-
     /**
      * Computes all necessary
      * @returns {UMAP}
@@ -289,7 +271,7 @@ export class UMAP extends DR {
         this._a = a;
         this._b = b;
         this._graph = this._fuzzy_simplicial_set(this.X, n_neighbors);
-        const { rows, cols, data: weights } = this._tocoo(this._graph);
+        const { rows, cols, data: weights } = this._graph.tocoo();
         this._head = rows;
         this._tail = cols;
         this._weights = weights;
@@ -300,17 +282,62 @@ export class UMAP extends DR {
         return this;
     }
 
+    /**
+     * @private
+     * @returns {object}
+     */
+    _get_state() {
+        if (!this._is_initialized) return {};
+        return {
+            _a: this._a,
+            _b: this._b,
+            _head: this._head,
+            _tail: this._tail,
+            _weights: this._weights,
+            _epochs_per_sample: this._epochs_per_sample,
+            _epochs_per_negative_sample: this._epochs_per_negative_sample,
+            _epoch_of_next_sample: this._epoch_of_next_sample,
+            _epoch_of_next_negative_sample: this._epoch_of_next_negative_sample,
+            _iter: this._iter,
+            _alpha: this._alpha,
+        };
+    }
+
+    /**
+     * @private
+     * @param {object} state
+     * @returns {UMAP}
+     */
+    _set_state(state) {
+        super._set_state(state);
+        this._knn = this._make_knn(this.X);
+        return this;
+    }
+
     graph() {
         this.check_init();
         return { cols: this._head, rows: this._tail, weights: this._weights };
     }
 
     /**
-     *
-     * @param {number} [iterations=350] - number of iterations.
+     * @static
+     * @type {boolean}
+     */
+    static get out_of_sample() {
+        return true;
+    }
+
+    /**
+     * Computes the projection. If {@link iterations} is a Matrix or an Array, then these new points get embedded
+     * into the existing projection, while the projection of the training data stays fixed.
+     * @param {number|Matrix|number[][]} [iterations=350] - number of iterations, or the new data to embed.
+     * @param {number} [n_epochs] - number of epochs for embedding new points. Default is 100, or 30 if N > 10000.
      * @returns {Matrix|number[][]}
      */
-    transform(iterations = 350) {
+    transform(iterations = 350, n_epochs = null) {
+        if (iterations instanceof Matrix || Matrix.isArray(iterations)) {
+            return this._transform_new(iterations, n_epochs);
+        }
         if (this.parameter("_n_epochs") != iterations) {
             this.parameter("_n_epochs", iterations);
             this.init();
@@ -340,6 +367,81 @@ export class UMAP extends DR {
         return this.projection;
     }
 
+    /**
+     * Embeds new points into the existing projection, using the fitted fuzzy simplicial set of the training data.
+     * @private
+     * @param {Matrix|number[][]} A - the new data. If metric is "precomputed", the distances of each new point to the training data.
+     * @param {number} [n_epochs] - number of epochs for optimizing the new points.
+     * @returns {Matrix|number[][]} the projection of {@link A}.
+     */
+    _transform_new(A, n_epochs = null) {
+        this.check_init();
+        const X_new = A instanceof Matrix ? A : Matrix.from(A);
+        const { n_neighbors, local_connectivity, d: dim, _initial_alpha, _negative_sample_rate } = this._parameters;
+        const N_new = X_new.rows;
+        const Y = this.Y;
+        n_epochs = n_epochs ?? (this._N <= 10000 ? 100 : 30);
+
+        // nearest neighbors of the new points in the training data
+        const knn_distances = this._nearest_training_neighbors(X_new, n_neighbors).map((neighbors) =>
+            neighbors.map(({ index, distance }) => ({ element: { index }, value: distance })),
+        );
+        let { distances, sigmas, rhos } = this._smooth_knn_dist(knn_distances, n_neighbors, Math.max(0, local_connectivity - 1));
+        distances = this._compute_membership_strengths(distances, sigmas, rhos);
+
+        // initialize the new points with the weighted mean of their neighbors
+        let head = [];
+        let tail = [];
+        let weights = [];
+        const Y_new = new Matrix(N_new, dim, 0);
+        for (let i = 0; i < N_new; ++i) {
+            const Y_new_i = Y_new.row(i);
+            let sum = 0;
+            for (const { element, value } of distances[i]) {
+                const Y_j = Y.row(element.index);
+                for (let d = 0; d < dim; ++d) {
+                    Y_new_i[d] += value * Y_j[d];
+                }
+                sum += value;
+                head.push(i);
+                tail.push(element.index);
+                weights.push(value);
+            }
+            for (let d = 0; d < dim; ++d) {
+                Y_new_i[d] /= sum;
+            }
+        }
+
+        // optimize the new points only, without the edges too weak to get sampled in n_epochs
+        const max_weight = max(weights);
+        const kept = weights.map((_, i) => i).filter((i) => weights[i] >= max_weight / n_epochs);
+        head = kept.map((i) => head[i]);
+        tail = kept.map((i) => tail[i]);
+        weights = kept.map((i) => weights[i]);
+        const epochs_per_sample = this._make_epochs_per_sample(n_epochs, weights);
+        const epochs_per_negative_sample = epochs_per_sample.map((d) => d * _negative_sample_rate);
+        const state = {
+            _a: this._a,
+            _b: this._b,
+            _alpha: _initial_alpha / 4,
+            _iter: 0,
+            _epochs_per_sample: epochs_per_sample,
+            _epochs_per_negative_sample: epochs_per_negative_sample,
+            _epoch_of_next_sample: epochs_per_sample.slice(),
+            _epoch_of_next_negative_sample: epochs_per_negative_sample.slice(),
+            _clip: this._clip,
+            // the new points do not change the state of the fitted model
+            _randomizer: new Randomizer(this._parameters.seed),
+        };
+        for (let i = 0; i < n_epochs; ++i) {
+            state._iter = i + 1;
+            state._alpha = (_initial_alpha / 4) * (1 - state._iter / n_epochs);
+            this._optimize_layout(Y_new, Y, head, tail, state, false);
+        }
+
+        return A instanceof Matrix ? Y_new : Y_new.asArray;
+    }
+
     /**
      * @private
      * @param {number} x
@@ -358,10 +460,12 @@ export class UMAP extends DR {
      * @param {Matrix} tail_embedding
      * @param {Matrix} head
      * @param {Matrix} tail
+     * @param {object} [state = this] - holds the learning rate, the parameters a and b, the epoch samples, and the randomizer for the negative samples of the optimization.
+     * @param {boolean} [move_other = true] - if false, {@link tail_embedding} stays fixed.
      * @returns {Matrix}
      */
-    _optimize_layout(head_embedding, tail_embedding, head, tail) {
-        const randomizer = this._randomizer;
+    _optimize_layout(head_embedding, tail_embedding, head, tail, state = this, move_other = true) {
+        const randomizer = state._randomizer;
         const { _repulsion_strength, d: dim } = this._parameters;
         const {
             _alpha: alpha,
@@ -372,11 +476,15 @@ export class UMAP extends DR {
             _epoch_of_next_negative_sample: epoch_of_next_negative_sample,
             _epoch_of_next_sample: epoch_of_next_sample,
             _clip: clip,
-        } = this;
+            _iter: iter,
+        } = state;
         const tail_length = tail.length;
+        const n_vertices = tail_embedding.rows;
 
         for (let i = 0, n = epochs_per_sample.length; i < n; ++i) {
-            if (epoch_of_next_sample[i] <= this._iter) {
+            // edges without weight never get sampled
+            if (epochs_per_sample[i] < 0) continue;
+            if (epoch_of_next_sample[i] <= iter) {
                 const j = head[i];
                 const k = tail[i];
                 const current = head_embedding.row(j);
@@ -387,24 +495,22 @@ export class UMAP extends DR {
                     for (let d = 0; d < dim; ++d) {
                         const grad_d = clip(grad_coeff * (current[d] - other[d])) * alpha;
                         current[d] += grad_d;
-                        other[d] -= grad_d;
+                        if (move_other) other[d] -= grad_d;
                     }
                 }
                 epoch_of_next_sample[i] += epochs_per_sample[i];
-                const n_neg_samples = (this._iter - epoch_of_next_negative_sample[i]) / epochs_per_negative_sample[i];
+                const n_neg_samples = (iter - epoch_of_next_negative_sample[i]) / epochs_per_negative_sample[i];
                 for (let p = 0; p < n_neg_samples; ++p) {
-                    const k = randomizer.random_int % tail_length;
-                    const other = tail_embedding.row(tail[k]);
+                    const k = move_other ? tail[randomizer.random_int % tail_length] : randomizer.random_int % n_vertices;
+                    const other = tail_embedding.row(k);
                     const dist = euclidean_squared(current, other);
                     if (dist > 0) {
                         const grad_coeff = (2 * _repulsion_strength * b) / ((0.01 + dist) * (a * Math.pow(dist, b) + 1));
                         for (let d = 0; d < dim; ++d) {
                             const grad_d = clip(grad_coeff * (current[d] - other[d])) * alpha;
                             current[d] += grad_d;
-                            other[d] -= grad_d;
+                            if (move_other) other[d] -= grad_d;
                         }
-                    } else if (j === k) {
-                        continue;
                     }
                 }
                 epoch_of_next_negative_sample[i] += n_neg_samples * epochs_per_negative_sample[i];
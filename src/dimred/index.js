@@ -1,8 +1,13 @@
 /**
  * @module dimensionality_reduction
  */
+export { DR } from "./DR.js";
+export { DRWorker } from "./DRWorker.js";
 export { PCA } from "./PCA.js";
+export { KernelPCA } from "./KernelPCA.js";
 export { MDS } from "./MDS.js";
+export { LandmarkMDS } from "./LandmarkMDS.js";
+export { PivotMDS } from "./PivotMDS.js";
 export { ISOMAP } from "./ISOMAP.js";
 export { FASTMAP } from "./FASTMAP.js";
 export { LDA } from "./LDA.js";
@@ -13,8 +18,10 @@ export { TSNE } from "./TSNE.js";
 export { UMAP } from "./UMAP.js";
 //export { OAP } from "./OAP";
 export { TriMap } from "./TriMap.js";
+export { PaCMAP } from "./PaCMAP.js";
 export { LSP } from "./LSP.js";
 export { TopoMap } from "./TopoMap.js";
 export { SAMMON } from "./SAMMON.js";
 
-export { SQDMDS } from "./SQDMDS.js";
\ No newline at end of file
+export { SQDMDS } from "./SQDMDS.js";
+export { SMACOF } from "./SMACOF.js";
\ No newline at end of file
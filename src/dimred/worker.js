@@ -0,0 +1,63 @@
+/**
+ * Entry script of the workers started by {@link DRWorker}.
+ * Works as module Web Worker in browsers, and with <code>worker_threads</code> in Node.
+ * @private
+ */
+import { Matrix, DR } from "../index.js";
+import { decode } from "./DR.js";
+import * as dimred from "./index.js";
+
+const is_browser = typeof WorkerGlobalScope !== "undefined";
+const port = is_browser ? self : (await import("node:worker_threads")).parentPort;
+
+/**
+ * @param {object} message
+ * @param {Matrix} [Y]
+ */
+function post(message, Y = null) {
+    if (Y === null) {
+        port.postMessage(message);
+        return;
+    }
+    Y = Y instanceof Matrix ? Y : Matrix.from(Y);
+    const values = Float64Array.from(Y.values);
+    port.postMessage(Object.assign(message, { Y: { rows: Y.rows, cols: Y.cols, values } }), [values.buffer]);
+}
+
+/**
+ * @param {object} data
+ * @param {string} data.method - name of the DR method.
+ * @param {object} data.X - rows, cols and values of the high-dimensional data.
+ * @param {object} data.parameters - the encoded parameters of the DR method.
+ * @param {"transform"|"generator"} data.mode
+ * @param {any[]} data.args - the arguments for transform or generator.
+ */
+function run({ method, X, parameters, mode, args }) {
+    try {
+        const Method = dimred[method];
+        if (!Method || !(Method.prototype instanceof DR)) {
+            throw new Error(`${method} is not a valid DR method!`);
+        }
+        const dr = new Method(new Matrix(X.rows, X.cols, X.values), decode(parameters));
+        if (mode === "generator") {
+            let Y = null;
+            for (Y of dr.generator(...args)) {
+                post({ type: "step" }, Y);
+            }
+            post({ type: "done" }, Y ?? dr.projection);
+        } else {
+            post({ type: "done" }, dr.transform(...args));
+        }
+    } catch (error) {
+        post({ type: "error", message: error.message });
+    }
+    // the worker has nothing more to do, it exits on its own
+    port.close();
+}
+
+if (is_browser) {
+    port.onmessage = (e) => run(e.data);
+} else {
+    port.on("message", run);
+}
+post({ type: "ready" });
@@ -8,5 +8,7 @@ export * from "./linear_algebra/index.js";
 export * from "./dimred/index.js";
 export * from "./optimization/index.js";
 export * from "./clustering/index.js";
+export * from "./quality/index.js";
+export * from "./validation/index.js";
 //export { version } from "../package.json" assert { type: "json"};
 export const version = "0.7.3";
@@ -45,12 +45,14 @@ export class BallTree {
     }
 
     /**
+     * Adds new elements and rebuilds the tree. Their indices follow the indices of the already added elements.
      * @param {Array<*>} elements - new elements.
      * @returns {BallTree}
      */
     add(elements) {
-        const arr = elements.map((e, i) => ({ element: e, index: i }));
-        this._root = this._construct(arr, 0, elements.length);
+        this._elements = this._elements ? this._elements.concat(elements) : Array.from(elements);
+        const arr = this._elements.map((e, i) => ({ element: e, index: i }));
+        this._root = this._construct(arr, 0, arr.length);
         return this;
     }
 
@@ -117,6 +119,15 @@ export class BallTree {
         return this._search(t, k, heap, this._root);
     }
 
+    /**
+     * @param {Number} i - index of an added element.
+     * @param {Number} [k = 5] - number of nearest neighbors to return.
+     * @returns {Heap} - Heap consists of the {@link k} nearest neighbors of the {@link i}-th element, including itself.
+     */
+    search_index(i, k = 5) {
+        return this.search(this._elements[i], k);
+    }
+
     /**
      * @private
      * @param {*} t - query element.
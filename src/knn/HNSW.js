@@ -1,6 +1,6 @@
-import { euclidean } from '../metrics/index.js';
-import { Heap } from '../datastructure/index.js';
-import { Randomizer } from '../util/index.js';
+import { euclidean } from "../metrics/index.js";
+import { Heap } from "../datastructure/index.js";
+import { Randomizer } from "../util/index.js";
 
 /**
  * @class
@@ -12,238 +12,227 @@ export class HNSW {
      * @constructor
      * @memberof module:knn
      * @alias HNSW
+     * @param {Array=} elements - Elements which should be added to the HNSW graph.
      * @param {Function} [metric = euclidean] - metric to use: (a, b) => distance.
      * @param {Boolean} [heuristic = true] - use heuristics or naive selection.
      * @param {Number} [m = 5] - max number of connections.
      * @param {Number} [ef = 200] - size of candidate list.
      * @param {Number} [m0 = 2 * m] - max number of connections for ground layer.
-     * @param {Number} [mL = 1 / Math.log2(m)] - normalization factor for level generation.
+     * @param {Number} [mL = 1 / Math.log(m)] - normalization factor for level generation.
      * @param {Number} [seed = 1987] - seed for random number generator.
+     * @returns {HNSW}
      * @see {@link https://arxiv.org/abs/1603.09320}
      * @see {@link https://arxiv.org/pdf/1904.02077}
      */
-    constructor(metric = euclidean, heuristic = true, m = 5, ef = 200, m0 = null, mL = null, seed = 1987) {
+    constructor(elements = null, metric = euclidean, heuristic = true, m = 5, ef = 200, m0 = null, mL = null, seed = 1987) {
         this._metric = metric;
         this._select = heuristic ? this._select_heuristic : this._select_simple;
         this._m = m;
         this._ef = ef;
         this._m0 = m0 || 2 * m;
-        this._graph = new Map();
-        this._ep = null;
-        this._L = null;
-        this._mL = mL || 1 / Math.log2(m);
+        this._mL = mL || 1 / Math.log(Math.max(m, 2));
         this._randomizer = new Randomizer(seed);
-    }
-
-    addOne(element) {
-        this.add([element])
+        this._elements = [];
+        this._graph = [];
+        this._ep = null;
+        this._L = -1;
+        if (elements) this.add(elements);
+        return this;
     }
 
     /**
-     * 
+     * Inserts new elements into the graph. Their indices follow the indices of the already added elements.
      * @param {Array<*>} elements - new elements.
      * @returns {HNSW}
      */
     add(elements) {
-        const m = this._m;
-        const ef = this._ef;
-        const m0 = this._m0;
-        const mL = this._mL;
-        const randomizer = this._randomizer;
-        let graph = this._graph;
         for (const element of elements) {
-            let ep = this._ep ? this._ep.slice() : null;
-            let W = [];
-            const L = this._L;
-            const rand = Math.min(randomizer.random + 1e-8, 1);
-            let l = Math.floor(-Math.log(rand * mL))
-            const min_L_l = Math.min(L, l);
-            if (L) {
-                for (let l_c = graph.size - 1; l_c > min_L_l; --l_c) {
-                    ep = this._search_layer(element, ep, 1, l_c);
-                }
-                for (let l_c = min_L_l; l_c >= 0; --l_c) {
-                    const layer_c = graph.get(l_c);//[l_c];
-                    layer_c.points.push(element)
-                    W = this._search_layer(element, ep, ef, l_c);
-                    const neighbors = l_c > 3 ? this._select(element, W, m, l_c) : this._select_simple(element, W, m);
-                    for (const p of neighbors) {
-                        if (p !== element) {
-                            const edges_p = layer_c.edges.get(p);
-                            if (!edges_p) {
-                                layer_c.edges.set(p, [element]) ;
-                            }else {
-                                edges_p.push(element);
-                            }
-                            const edges_e = layer_c.edges.get(element);
-                            if (!edges_e) {
-                                layer_c.edges.set(element, [p]) ;
-                            } else {
-                                edges_e.push(p);
-                            }
-                        }
-                    }
-                    const max = (l_c === 0 ? m0 : m);
-                    for (const e of neighbors) {
-                        const e_conn = layer_c.edges.get(e);
-                        if (e_conn.length > max) {
-                            const neighborhood = this._select(e, e_conn, max, l_c);
-                            layer_c.edges.delete(e);
-                            layer_c.edges.set(e, neighborhood);
-                        }
-                    }
-                    ep = W;
-                }
-            }
-            let N = graph.size;
-            if (N < l || l > L) {
-                for (let i = N; i <= l; ++i) {
-                    graph.set(i, {
-                        "l_c": i, 
-                        "points": [element], 
-                        "edges": new Map(),
-                    });
+            this._elements.push(element);
+            this._insert(this._elements.length - 1);
+        }
+        return this;
+    }
+
+    /**
+     * @private
+     * @param {Number} q - index of the element to insert.
+     */
+    _insert(q) {
+        const graph = this._graph;
+        const element = this._elements[q];
+        const rand = Math.max(this._randomizer.random, 1e-8);
+        const l = Math.floor(-Math.log(rand) * this._mL);
+        const L = this._L;
+        for (let l_c = L + 1; l_c <= l; ++l_c) {
+            graph.push(new Map());
+        }
+        for (let l_c = 0; l_c <= l; ++l_c) {
+            graph[l_c].set(q, []);
+        }
+        if (this._ep === null) {
+            this._ep = q;
+            this._L = l;
+            return;
+        }
+
+        let ep = [{ index: this._ep, distance: this._distance(element, this._ep) }];
+        for (let l_c = L; l_c > l; --l_c) {
+            ep = [this._nearest(this._search_layer(element, ep, 1, l_c))];
+        }
+        for (let l_c = Math.min(L, l); l_c >= 0; --l_c) {
+            const layer = graph[l_c];
+            const W = this._search_layer(element, ep, this._ef, l_c);
+            const candidates = W.raw_data().map(({ element: index, value: distance }) => ({ index, distance }));
+            const max = l_c === 0 ? this._m0 : this._m;
+            const neighbors = this._select(candidates, this._m, l_c);
+            layer.set(q, neighbors.map((d) => d.index));
+            for (const { index: e } of neighbors) {
+                const edges = layer.get(e);
+                edges.push(q);
+                if (edges.length > max) {
+                    const x_e = this._elements[e];
+                    const connections = edges.map((index) => ({ index, distance: this._distance(x_e, index) }));
+                    layer.set(e, this._select(connections, max, l_c).map((d) => d.index));
                 }
-                this._ep = [element];
-                this._L = l;
             }
+            ep = candidates;
         }
-        return this;
+        if (l > L) {
+            this._ep = q;
+            this._L = l;
+        }
+    }
+
+    /**
+     * @private
+     * @param {*} a - element.
+     * @param {Number} j - index of an added element.
+     * @returns {Number} the distance between {@link a} and the {@link j}-th element.
+     */
+    _distance(a, j) {
+        return this._metric(a, this._elements[j]);
     }
 
     /**
      * @private
-     * @param {*} q - base element.
-     * @param {Array} candidates - candidate elements.
+     * @param {Heap} W - max-heap of indices with their distances.
+     * @returns {{index: Number, distance: Number}} the nearest element in {@link W}.
+     */
+    _nearest(W) {
+        let nearest = null;
+        for (const { element: index, value: distance } of W.raw_data()) {
+            if (nearest === null || distance < nearest.distance) nearest = { index, distance };
+        }
+        return nearest;
+    }
+
+    /**
+     * Selects the neighbors which are closer to the base element than to the already selected neighbors.
+     * @private
+     * @param {Array<{index: Number, distance: Number}>} candidates - candidate elements with their distance to the base element.
      * @param {Number} M - number of neighbors to return.
      * @param {Number} l_c - layer number.
-     * @param {Boolean} [extend_candidates = true] - flag indicating wheter or not to extend candidate list.
      * @param {Boolean} [keep_pruned_connections = true] - flag indicating wheter or not to add discarded elements.
-     * @returns M elements selected by the heuristic.
+     * @returns {Array<{index: Number, distance: Number}>} M elements selected by the heuristic.
      */
-    _select_heuristic(q, candidates, M, l_c, extend_candidates = true, keep_pruned_connections = true) {
-        if (l_c > this._graph.size - 1) return candidates
-        const metric = this._metric;
-        const randomizer = this._randomizer;
-        const layer = this._graph.get(l_c);
-        let R = [];
-        let W_set = new Set(candidates);
-        if (extend_candidates) {
-            for (const c of candidates) {
-                const edges = layer.edges.get(c);
-                if (!edges) break;
-                for (const c_adj of edges) {
-                    W_set.add(c_adj)
-                }
-            }
-        }
-        let W = new Heap(W_set, d => metric(d, q), "min")
-        let W_d = new Heap(null, d => metric(d, q), "min");
-        while (!W.empty && R.length < M) {
-            let e = W.pop()
-            let random_r = randomizer.random_int % R.length;
-            if (R.length === 0 || e.value < metric(R[random_r], q)) {
-                R.push(e.element);
+    _select_heuristic(candidates, M, l_c, keep_pruned_connections = true) {
+        const elements = this._elements;
+        const sorted = candidates.slice().sort((a, b) => a.distance - b.distance);
+        const R = [];
+        const discarded = [];
+        for (const e of sorted) {
+            if (R.length >= M) break;
+            const x_e = elements[e.index];
+            if (R.every((r) => this._distance(x_e, r.index) > e.distance)) {
+                R.push(e);
             } else {
-                W_d.push(e.element)
+                discarded.push(e);
             }
         }
         if (keep_pruned_connections) {
-            while (!W_d.empty && R.length < M) {
-                R.push(W_d.pop().element)
+            for (let i = 0; i < discarded.length && R.length < M; ++i) {
+                R.push(discarded[i]);
             }
         }
-        return R
+        return R;
     }
 
     /**
      * @private
-     * @param {*} q - base element.
-     * @param {Array} C - candidate elements.
+     * @param {Array<{index: Number, distance: Number}>} candidates - candidate elements with their distance to the base element.
      * @param {Number} M - number of neighbors to return.
-     * @returns {Array} M nearest elements from C to q.
+     * @returns {Array<{index: Number, distance: Number}>} M nearest elements of {@link candidates}.
      */
-    _select_simple(q, C, M) {
-        const metric = this._metric;
-        let res = C.sort((a,b) => metric(a, q) - metric(b, q)).slice(0,M);
-        return res
+    _select_simple(candidates, M) {
+        return candidates
+            .slice()
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, M);
     }
 
     /**
      * @private
      * @param {*} q - query element.
-     * @param {Array} ep - enter points.
+     * @param {Array<{index: Number, distance: Number}>} ep - enter points.
      * @param {Number} ef - number of nearest to {@link q} elements to return.
      * @param {Number} l_c - layer number.
-     * @returns {Array} ef closest neighbors to q.
+     * @returns {Heap} max-heap of the indices of the {@link ef} closest neighbors to q.
      */
     _search_layer(q, ep, ef, l_c) {
-        const metric = this._metric;
-        const layer = this._graph.get(l_c)//.find(l => l.l_c === l_c);//[l_c];
-        if (layer.edges.size === 0) return ep;
-        let v = new Set(ep);
-        let C = new Heap(v, d => metric(d, q), "min");
-        let W = new Heap(v, d => metric(d, q), "max");
+        const layer = this._graph[l_c];
+        const visited = new Set(ep.map((d) => d.index));
+        const C = new Heap(null, (d) => d, "min");
+        const W = new Heap(null, (d) => d, "max");
+        for (const { index, distance } of ep) {
+            C.push(index, distance);
+            W.push(index, distance);
+            if (W.length > ef) W.pop();
+        }
         while (!C.empty) {
             const c = C.pop();
-            let f = W.first;
-            if (c.value > f.value) {
-                break;
-            }
-            const edges = layer.edges.get(c.element);
-            if (!edges) break;
-            for (const e of edges) {
-                if (!v.has(e)) {
-                    v.add(e);
-                    f = W.first;
-                    if (metric(e, q) < metric(f.element, q) || W.length < ef) {
-                        C.push(e);
-                        W.push(e);
-                        if (W.length > ef) {
-                            W.pop();
-                        }
-                    }
+            if (c.value > W.first.value) break;
+            for (const e of layer.get(c.element)) {
+                if (visited.has(e)) continue;
+                visited.add(e);
+                const distance = this._distance(q, e);
+                if (W.length < ef || distance < W.first.value) {
+                    C.push(e, distance);
+                    W.push(e, distance);
+                    if (W.length > ef) W.pop();
                 }
             }
         }
-        return W.data();
+        return W;
     }
 
     /**
-     * 
-     * @param {*} q - query element.
-     * @param {*} K - number of nearest neighbors to return.
-     * @param {*} ef - size of the dynamic cnadidate list.
-     * @returns {Array} K nearest elements to q.
+     * @param {*} t - query element.
+     * @param {Number} [k = 5] - number of nearest neighbors to return.
+     * @param {Number} [ef = null] - size of the dynamic candidate list, at least {@link k}. If null, the ef of the construction gets used.
+     * @returns {Heap} - Heap consists of the {@link k} nearest neighbors.
      */
-    search(q, K, ef = 1) {
-        let ep = this._ep.slice();
-        let L = this._L;
-        for (let l_c = L; l_c > 0; --l_c) {
-            ep = this._search_layer(q, ep, ef, l_c);
+    search(t, k = 5, ef = null) {
+        const result = new Heap(null, (d) => this._metric(d.element, t), "max");
+        if (this._ep === null) return result;
+        let ep = [{ index: this._ep, distance: this._distance(t, this._ep) }];
+        for (let l_c = this._L; l_c > 0; --l_c) {
+            ep = [this._nearest(this._search_layer(t, ep, 1, l_c))];
+        }
+        const W = this._search_layer(t, ep, Math.max(ef ?? this._ef, k), 0);
+        while (W.length > k) W.pop();
+        const elements = this._elements;
+        for (const { element: index, value } of W.raw_data()) {
+            result.push({ element: elements[index], index }, value);
         }
-        ep = this._search_layer(q, ep, K, 0);
-        return ep;
+        return result;
     }
 
     /**
-     * Iterator for searching the HNSW graphs
-     * @param {*} q - query element.
-     * @param {*} K - number of nearest neighbors to return.
-     * @param {*} ef - size of the dynamic cnadidate list.
-     * @yields {Array} K nearest elements to q.
+     * @param {Number} i - index of an added element.
+     * @param {Number} [k = 5] - number of nearest neighbors to return.
+     * @returns {Heap} - Heap consists of the {@link k} nearest neighbors of the {@link i}-th element, including itself.
      */
-    * search_iter(q, K, ef = 1) {
-        let ep = this._ep.slice();
-        let L = this._L;
-        yield{"l_c": L, "ep": [q]}
-        for (let l_c = L; l_c > 0; --l_c) {
-            yield {"l_c": l_c, "ep": ep}
-            ep = this._search_layer(q, ep, ef, l_c);
-            yield {"l_c": l_c, "ep": ep}
-        }
-        yield {"l_c": 0, "ep": ep}
-        ep = this._search_layer(q, ep, K, 0);
-        yield {"l_c": 0, "ep": ep}
+    search_index(i, k = 5) {
+        return this.search(this._elements[i], k);
     }
-}
\ No newline at end of file
+}
@@ -16,65 +16,95 @@ export class KNN {
      * @param {Function|"precomputed"} [metric = euclidean] metric is either precomputed or a function to use: (a, b) => distance
      * @returns {KNN}
      */
-    constructor(elements=null, metric=euclidean) {
+    constructor(elements = null, metric = euclidean) {
         this._metric = metric;
-        this._elements = elements instanceof Matrix ? elements : Matrix.from(elements);
-        const N = this._elements.rows;
-        if (metric === "precomputed") {
-            this._D = this._elements.clone();
+        this._elements = null;
+        this._KNN = null;
+        if (elements) this.add(elements);
+        return this;
+    }
+
+    /**
+     * Adds new elements. Their indices follow the indices of the already added elements.
+     * If the metric is "precomputed", then the whole distance matrix has to be given instead.
+     * @param {Array<*>|Matrix} elements - new elements.
+     * @returns {KNN}
+     */
+    add(elements) {
+        elements = elements instanceof Matrix ? elements : Matrix.from(elements);
+        if (this._metric === "precomputed") {
+            if (elements.rows !== elements.cols) {
+                throw new Error("A precomputed distance matrix has to be square!");
+            }
+            this._elements = elements;
+            this._D = elements.clone();
         } else {
-            this._D = distance_matrix(this._elements, metric);
+            this._elements = this._elements ? this._elements.concat(elements, "vertical") : elements;
+            this._D = distance_matrix(this._elements, this._metric);
         }
-        this.KNN = [];
-        for (let row = 0; row < N; ++row) {
-            const distances = this._D.row(row);
-            const H = new Heap(null, d => d.value, "min");
-            for (let j = 0; j < N; ++j) {
-                H.push({
-                    value: distances[j],
-                    index: j,
-                });
-            }
-            this.KNN.push(H);
+        this._KNN = null;
+        return this;
+    }
+
+    /**
+     * For each added element a min-heap of its distances to all added elements, with entries <code>{value, index}</code>.
+     * Gets computed on first access.
+     * @deprecated Use {@link KNN#search_index}, which gives the {@link k} nearest neighbors of an added element, like the other searchers.
+     * @type {Heap[]}
+     */
+    get KNN() {
+        if (this._KNN === null) {
+            const D = this._D;
+            this._KNN = Array.from({ length: D.rows }, (_, i) => new Heap(Array.from(D.row(i), (value, index) => ({ value, index })), (d) => d.value, "min"));
         }
+        return this._KNN;
     }
 
     /**
-     * 
-     * @param {Array|Number} t - query element or index.
+     * @param {Array|Number} t - query element, or the index of an added element.
      * @param {Number} [k = 5] - number of nearest neighbors to return.
      * @returns {Heap} - Heap consists of the {@link k} nearest neighbors.
      */
     search(t, k = 5) {
+        if (Number.isInteger(t)) {
+            return this.search_index(t, k);
+        }
         const metric = this._metric;
-        const KNN = this.KNN;
-        let H;
-        if (Array.isArray(t)) {
-            if (this._metric == "precomputed") {
-                throw "Search by query element is only possible when not using a precomputed distance matrix!"
-            } 
-            const elements = this._elements;
-            const N = KNN.length;
-            let nearest_element_index = null;
-            let nearest_dist = Infinity;
-            for (let i = 0; i < N; ++i) {
-                const element = elements.row(i);
-                const dist = metric(t, element);
-                if (dist < nearest_dist) {
-                    nearest_element_index = i;
-                    nearest_dist = dist;
-                }
-            }
-            H = KNN[nearest_element_index];
-        } else if (Number.isInteger(t)) {
-            H = KNN[t]
+        if (metric === "precomputed") {
+            throw new Error("Search by query element is only possible when not using a precomputed distance matrix!");
         }
+        const elements = this._elements;
+        const distances = Float64Array.from({ length: elements.rows }, (_, i) => metric(t, elements.row(i)));
+        return this._nearest(distances, k, t);
+    }
 
-        let result = []
-        for (let i = 0; i < k; ++i) {
-            result.push(H.pop())
+    /**
+     * @param {Number} i - index of an added element.
+     * @param {Number} [k = 5] - number of nearest neighbors to return.
+     * @returns {Heap} - Heap consists of the {@link k} nearest neighbors of the {@link i}-th element, including itself.
+     */
+    search_index(i, k = 5) {
+        return this._nearest(this._D.row(i), k, this._elements.row(i));
+    }
+
+    /**
+     * @private
+     * @param {Float64Array} distances - distances of the query element to all added elements.
+     * @param {Number} k - number of nearest neighbors to return.
+     * @param {*} t - query element.
+     * @returns {Heap}
+     */
+    _nearest(distances, k, t) {
+        const metric = this._metric;
+        const elements = this._elements;
+        const H = new Heap(null, (d) => (metric === "precomputed" ? distances[d.index] : metric(d.element, t)), "max");
+        for (let j = 0, N = distances.length; j < N; ++j) {
+            if (H.length < k) {
+                H.push({ element: elements.row(j), index: j }, distances[j]);
+            } else if (distances[j] < H.first.value) {
+                H.pushPop({ element: elements.row(j), index: j }, distances[j]);
+            }
         }
-        result.forEach(res => H.push(res.element))
-        return result
-    }    
+        return H;
+    }
 }
@@ -5,207 +5,240 @@ import { Heap } from "../datastructure/index.js";
  * @class
  * @alias NNDescent
  */
-export class NNDescent{
+export class NNDescent {
     /**
      * @constructor
      * @memberof module:knn
      * @alias NNDescent
      * @param {Array<*>=} elements - called V in paper.
      * @param {Function} [metric = euclidean] - called sigma in paper.
-     * @param {Number} [K = 10] - number of neighbors {@link search} should return.
-     * @param {Number} [rho = .8] - sample rate.
-     * @param {Number} [delta = 0.0001] - precision parameter.
-     * @param {Number} [seed = 1987] - seed for the random number generator.
+     * @param {Number} [K = 10] - number of neighbors in the approximated kNN graph.
+     * @param {Number} [rho = 1] - sample rate.
+     * @param {Number} [delta = 0.001] - precision parameter.
+     * @param {Number} [seed = 19870307] - seed for the random number generator.
      * @returns {NNDescent}
      * @see {@link http://www.cs.princeton.edu/cass/papers/www11.pdf}
      */
-    constructor(elements, metric=euclidean, K = 10, rho = 1, delta = 1e-3, seed=19870307) {
+    constructor(elements = null, metric = euclidean, K = 10, rho = 1, delta = 1e-3, seed = 19870307) {
         this._metric = metric;
         this._randomizer = new Randomizer(seed);
         this._K = K;
         this._rho = rho;
-        this._sample_size = K * rho;
+        this._sample_size = Math.max(1, Math.floor(K * rho));
         this._delta = delta;
+        this._elements = [];
+        this._B = [];
         if (elements) {
-            this.add(elements)
+            this.add(elements);
         }
-        return this;   
+        return this;
     }
 
     /**
      * Samples Array A with sample size.
      * @private
-     * @param {Array<*>} A 
+     * @param {Array<*>} A
+     * @returns {Array<*>}
      */
     _sample(A) {
-        const n = A.length;
         const sample_size = this._sample_size;
-        if (sample_size > n) {
+        if (sample_size >= A.length) {
             return A;
         } else {
-            const randomizer = this._randomizer;
-            return randomizer.choice(A, sample_size);
+            return this._randomizer.choice(A, sample_size);
         }
     }
 
     /**
-     * Updates the KNN heap and returns 1 if changed, or 0 if not.
+     * Tries to insert element {@link u} into the neighbor list of element {@link v}.
      * @private
-     * @param {KNNHeap} B 
-     * @param {*} u 
+     * @param {Number} v
+     * @param {Number} u
+     * @returns {Number} 1 if the neighbor list of {@link v} changed, or 0 if not.
      */
-    _update(B, u) {
-        if (B.push(u)) {
-            u.flag = true;
-            B.pop();
+    _update(v, u) {
+        const B = this._B[v];
+        if (u === v || B.has(u)) return 0;
+        const distance = this._metric(this._elements[v], this._elements[u]);
+        if (B.length < this._K) {
+            B.push({ index: u, flag: true }, distance);
             return 1;
-        } else {
-            return 0;
         }
+        if (distance < B.first.value) {
+            B.pushPop({ index: u, flag: true }, distance);
+            return 1;
+        }
+        return 0;
     }
 
     /**
      * Collects for each element where it is neighbor from.
      * @private
-     * @param {Array<KNNHeap>} B 
+     * @param {Array<Number[]>} B - lists of neighbor indices.
+     * @returns {Array<Number[]>}
      */
     _reverse(B) {
-        const N = this._N;
-        const R = new Array(N).fill().map(() => new Array());
-        for (let i = 0; i < N; ++i) {
-            for (let j = 0; j < N; ++j) {
-                const Bjdata = B[j].data()
-                const val = Bjdata.find(d => d.index === i)
-                if (val) R[j].push(val);
-            }
-        }
+        const R = B.map(() => []);
+        B.forEach((neighbors, i) => neighbors.forEach((j) => R[j].push(i)));
         return R;
     }
 
     /**
-     * 
-     * @param {Array} elements 
+     * Adds new elements and refines the approximated kNN graph of all elements.
+     * Their indices follow the indices of the already added elements.
+     * @param {Array<*>} elements - new elements.
+     * @returns {NNDescent}
      */
     add(elements) {
-        this._elements = elements = elements.map((e, i) => {
-            return {
-                "element": e,
-                "index": i,
-                "flag": true,
-            }
-        })
+        this._elements = this._elements.concat(elements);
         const randomizer = this._randomizer;
-        const metric = this._metric;
+        const elements_ = this._elements;
         const K = this._K;
-        const delta = this._delta;
-        const N = this._N = elements.length;
-        const B = this._B = new Array();
+        const N = elements_.length;
+        const B = this._B;
         // B[v] <-- Sample(V,K)
+        for (let i = B.length; i < N; ++i) {
+            B.push(new KNNHeap());
+        }
         for (let i = 0; i < N; ++i) {
-            const e = elements[i];
-            const sample = randomizer.choice(elements, K);
-            const Bi = new KNNHeap(sample, (d) => metric(d.element, e.element), "max"); // "max" to pop the futherst elements away
-            B.push(Bi);
+            const n = Math.min(K, N - 1) - B[i].length;
+            if (n <= 0) continue;
+            const candidates = randomizer._choice(Math.min(n + 1, N), N);
+            for (let j = 0; j < candidates.length && B[i].length < Math.min(K, N - 1); ++j) {
+                this._update(i, candidates[j]);
+            }
         }
 
         // loop
+        const threshold = this._delta * N * K;
         let c = Infinity;
-        let old_c = -Infinity;
-        //let min_iter = 10;
-        //let max_iter = 20;
-        //while (min_iter-- > 0 || (c < delta * N * K) && max_iter-- > 0) {
-        while (c > (delta * N * K) && c != old_c) {
-            // parallel for v e V do
+        while (c > threshold) {
             const old_ = new Array(N);
             const new_ = new Array(N);
             for (let i = 0; i < N; ++i) {
-                const e = elements[i];
                 const Bi = B[i].data();
-                const falseBs = Bi.filter(d => !d.flag);
-                const trueBs = this._sample(Bi.filter(d => d.flag));
-                trueBs.forEach(d => d.flag = false);
-                old_[i] = new KNNHeap(falseBs, (d) => metric(d.element, e.element), "max");
-                new_[i] = new KNNHeap(trueBs, (d) => metric(d.element, e.element), "max");
+                old_[i] = Bi.filter((d) => !d.flag).map((d) => d.index);
+                const sample = this._sample(Bi.filter((d) => d.flag));
+                sample.forEach((d) => (d.flag = false));
+                new_[i] = sample.map((d) => d.index);
             }
             const old_reverse = this._reverse(old_);
             const new_reverse = this._reverse(new_);
-            old_c = c;
             c = 0;
-            // parallel for v e V do
             for (let i = 0; i < N; ++i) {
-                this._sample(old_reverse[i]).forEach(o => old_[i].push(o));
-                this._sample(new_reverse[i]).forEach(n => new_[i].push(n));
-                const new_i = new_[i].data();
-                const old_i = old_[i].data();
+                const old_i = Array.from(new Set(old_[i].concat(this._sample(old_reverse[i]))));
+                const new_i = Array.from(new Set(new_[i].concat(this._sample(new_reverse[i]))));
                 const n1 = new_i.length;
                 const n2 = old_i.length;
                 for (let j = 0; j < n1; ++j) {
                     const u1 = new_i[j];
-                    const Bu1 = B[u1.index];
-                    for (let k = 0; k < n1; ++k) {
+                    for (let k = j + 1; k < n1; ++k) {
                         const u2 = new_i[k];
-                        if (u1 == u2) continue;
-                        const Bu2 = B[u2.index];
-                        c += this._update(Bu2, u1);
-                        c += this._update(Bu1, u2);
+                        c += this._update(u1, u2);
+                        c += this._update(u2, u1);
                     }
                     for (let k = 0; k < n2; ++k) {
                         const u2 = old_i[k];
-                        if (u1 == u2) continue;
-                        const Bu2 = B[u2.index];
-                        c += this._update(Bu2, u1);
-                        c += this._update(Bu1, u2);
+                        c += this._update(u1, u2);
+                        c += this._update(u2, u1);
                     }
                 }
             }
-        } 
+        }
         return this;
     }
 
     /**
-     * @todo not implemented yet
-     * @param {*} x 
-     * @param {*} k 
+     * Searches the approximated kNN graph greedily, starting from randomly chosen elements.
+     * @param {*} t - query element.
+     * @param {Number} [k = 5] - number of nearest neighbors to return.
+     * @returns {Heap} - Heap consists of the {@link k} nearest neighbors.
      */
-    search(x, k=5) {
-        return this._B[this._randomizer.random_int % (this._N - 1)].toArray().slice(0, k);
+    search(t, k = 5) {
+        const metric = this._metric;
+        const elements = this._elements;
+        const B = this._B;
+        const N = elements.length;
+        const ef = Math.min(N, Math.max(k, this._K));
+        const visited = new Set(this._randomizer._choice(Math.min(this._K, N), N));
+        const C = new Heap(null, (d) => d, "min");
+        const W = new Heap(null, (d) => d, "max");
+        for (const index of visited) {
+            const distance = metric(t, elements[index]);
+            C.push(index, distance);
+            W.push(index, distance);
+        }
+        while (!C.empty) {
+            const c = C.pop();
+            if (W.length >= ef && c.value > W.first.value) break;
+            for (const { index } of B[c.element].iterate()) {
+                if (visited.has(index)) continue;
+                visited.add(index);
+                const distance = metric(t, elements[index]);
+                if (W.length < ef || distance < W.first.value) {
+                    C.push(index, distance);
+                    W.push(index, distance);
+                    if (W.length > ef) W.pop();
+                }
+            }
+        }
+        while (W.length > k) W.pop();
+        const result = new Heap(null, (d) => metric(d.element, t), "max");
+        for (const { element: index, value } of W.raw_data()) {
+            result.push({ element: elements[index], index }, value);
+        }
+        return result;
     }
 
-    search_index(i, k=5) {
+    /**
+     * Returns the neighbors of the {@link i}-th element in the approximated kNN graph.
+     * If {@link k} is larger than <code>K + 1</code>, then the graph gets searched like in {@link search}.
+     * @param {Number} i - index of an added element.
+     * @param {Number} [k = 5] - number of nearest neighbors to return.
+     * @returns {Heap} - Heap consists of the {@link k} nearest neighbors of the {@link i}-th element, including itself.
+     */
+    search_index(i, k = 5) {
+        const elements = this._elements;
         const B = this._B[i];
-        const result = B.raw_data().sort((a, b) => a.value - b.value).slice(-k);
+        if (k > B.length + 1) {
+            return this.search(elements[i], k);
+        }
+        const result = new Heap(null, (d) => this._metric(d.element, elements[i]), "max");
+        result.push({ element: elements[i], index: i }, 0);
+        for (const { element, value } of B.raw_data()) {
+            if (result.length < k) {
+                result.push({ element: elements[element.index], index: element.index }, value);
+            } else {
+                result.pushPop({ element: elements[element.index], index: element.index }, value);
+            }
+        }
         return result;
     }
 }
 
-class KNNHeap extends Heap{
-    constructor(elements, accessor, comparator) {
-        super(null, accessor, comparator)
-        this.set = new Set();
-        if (elements) {
-            for (const element of elements) {
-                this.push(element);
-            }
-        }
+/**
+ * Max-heap of the current neighbors of an element, which also knows which indices it contains.
+ * @private
+ */
+class KNNHeap extends Heap {
+    constructor() {
+        super(null, (d) => d.index, "max");
+        this._indices = new Set();
     }
 
-    push(element) {
-        const set = this.set;
-        if (set.has(element)){
-            return false;
-        } else {
-            set.add(element);
-            super.push(element);
-            return true;
-        }    
+    has(index) {
+        return this._indices.has(index);
+    }
+
+    push(element, value) {
+        this._indices.add(element.index);
+        return super.push(element, value);
     }
 
-    pop() {
-        super.pop().element;
-        //const element = super.pop().element;
-        // once popped it should not return into the heap.
-        // used as max heap. therefore, if popped the furthest 
-        // element in the knn list gets removed.
-        // this.set.delete(element); 
+    pushPop(element, value) {
+        this._indices.add(element.index);
+        const item = super.pushPop(element, value);
+        this._indices.delete(item.element.index);
+        return item;
     }
-}
\ No newline at end of file
+}
@@ -1,30 +1,38 @@
 import { Heap } from "../datastructure/index.js";
+import { SparseMatrix } from "../matrix/index.js";
 
 /**
- * 
- * @param {Array} A array of objects [{index: other_point, distance: distance to other_point} ** k]
+ * Computes the shortest path distances from {@link source} to all nodes of {@link graph} with Dijkstra's algorithm.
+ * @memberof module:knn
+ * @alias dijkstra
+ * @param {SparseMatrix} graph - the weighted graph, entry (i, j) is the length of the edge from node i to node j. Weights must not be negative.
+ * @param {Number} source - the index of the start node.
+ * @returns {Float64Array} the shortest path distance from {@link source} to each node, Infinity if a node is not reachable.
+ * @see {@link https://en.wikipedia.org/wiki/Dijkstra%27s_algorithm}
  */
-export default function(A) {
-    console.log(A)
-    let result = [];
-    /* for (let i = 0, n = A.length; i < n; ++i) {
-        let Q = new Heap(null, d => d.distance, "min");
-        let source = A[i];
-        let dist = {};
-        let prev = {};
-        for (let j = 0, m = source.length; j < m; ++j) {
-            let v = source[j].index;
-            dist[v] = Infinity;
-            prev[v] = undefined;
-            Q.push(source[j])
+export default function (graph, source) {
+    if (!(graph instanceof SparseMatrix)) {
+        graph = SparseMatrix.from(graph);
+    }
+    const N = graph.rows;
+    const dist = new Float64Array(N).fill(Infinity);
+    const visited = new Uint8Array(N);
+    const Q = new Heap(null, (d) => d.distance, "min");
+    dist[source] = 0;
+    Q.push({ index: source, distance: 0 });
+    while (!Q.empty) {
+        const { index: u } = Q.pop().element;
+        if (visited[u]) continue;
+        visited[u] = 1;
+        const { indices, values } = graph.row_entries(u);
+        for (let i = 0, n = indices.length; i < n; ++i) {
+            const v = indices[i];
+            const alt = dist[u] + values[i];
+            if (alt < dist[v]) {
+                dist[v] = alt;
+                Q.push({ index: v, distance: alt });
+            }
         }
-
-        while (!Q.empty) {
-            let u = Q.pop();
-
-        }
-
-        
-    } */
-    
-}
\ No newline at end of file
+    }
+    return dist;
+}
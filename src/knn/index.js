@@ -1,7 +1,8 @@
 /**
  * @module knn
  */
-//export { HNSW } from './HNSW'
+export { HNSW } from './HNSW.js';
 export { BallTree } from './BallTree.js'
 export { KNN } from './KNN.js';
-//export { NNDescent } from "./NNDescent"
\ No newline at end of file
+export { NNDescent } from './NNDescent.js';
+export { default as dijkstra } from './dijkstra.js';
@@ -0,0 +1,28 @@
+import { Matrix } from "../matrix/index.js";
+
+/**
+ * Computes the Cholesky decomposition A = L L^T of a symmetric positive definite Matrix.
+ * @memberof module:linear_algebra
+ * @alias cholesky
+ * @param {Matrix} A - a symmetric positive definite Matrix, only its lower triangle gets read.
+ * @returns {Matrix} the lower triangular Matrix L.
+ */
+export default function (A) {
+    const n = A.rows;
+    const L = new Matrix(n, n, 0);
+    for (let j = 0; j < n; ++j) {
+        let sum = A.entry(j, j);
+        for (let k = 0; k < j; ++k) sum -= L.entry(j, k) ** 2;
+        if (sum <= 0) {
+            throw new Error("Matrix is not positive definite!");
+        }
+        const l_jj = Math.sqrt(sum);
+        L.set_entry(j, j, l_jj);
+        for (let i = j + 1; i < n; ++i) {
+            let s = A.entry(i, j);
+            for (let k = 0; k < j; ++k) s -= L.entry(i, k) * L.entry(j, k);
+            L.set_entry(i, j, s / l_jj);
+        }
+    }
+    return L;
+}
@@ -0,0 +1,18 @@
+/**
+ * Solves L z = b for a lower triangular Matrix L, e.g., the result of {@link cholesky}.
+ * @memberof module:linear_algebra
+ * @alias forward_substitution
+ * @param {Matrix} L - a lower triangular Matrix with non-zero diagonal.
+ * @param {Array|Float64Array} b
+ * @returns {Float64Array} the solution z.
+ */
+export default function (L, b) {
+    const n = b.length;
+    const z = new Float64Array(n);
+    for (let i = 0; i < n; ++i) {
+        let sum = b[i];
+        for (let k = 0; k < i; ++k) sum -= L.entry(i, k) * z[k];
+        z[i] = sum / L.entry(i, i);
+    }
+    return z;
+}
@@ -7,6 +7,8 @@ export { default as qr_householder } from "./qr_householder.js";
 //export { default as qr_givens } from "./qr_givens.js";
 export { default as simultaneous_poweriteration } from "./simultaneous_poweriteration.js";
 export { default as inner_product } from "./inner_product.js";
+export { default as cholesky } from "./cholesky.js";
+export { default as forward_substitution } from "./forward_substitution.js";
 //export { default as lu } from "./lu"
 //export { default as svrg } from "./svrg"
 //export { default as poweriteration_m } from "./poweriteration_m"
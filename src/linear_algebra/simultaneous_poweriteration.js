@@ -1,5 +1,5 @@
 import { qr as qr_gramschmidt } from "./index.js";
-import { Matrix } from "../matrix/index.js";
+import { Matrix, SparseMatrix } from "../matrix/index.js";
 import { Randomizer } from "../util/index.js";
 import { euclidean_squared } from "../metrics/index.js";
 
@@ -7,7 +7,7 @@ import { euclidean_squared } from "../metrics/index.js";
  * Computes the `k` biggest Eigenvectors and Eigenvalues from Matrix `A` with the QR-Algorithm.
  * @memberof module:linear_algebra
  * @alias simultaneous_poweriteration
- * @param {Matrix} A - The Matrix
+ * @param {Matrix|SparseMatrix|{rows: Number, dot: Function}} A - The Matrix, or a linear operator which multiplies a Matrix from the left, e.g., to iterate with an inverse without computing it.
  * @param {Number} k - The number of eigenvectors and eigenvalues to compute.
  * @param {Object} parameters - Object containing parameterization of the simultanious poweriteration method.
  * @param {Number} [parameters.max_iterations=100] - The number of maxiumum iterations the algorithm should run.
@@ -18,7 +18,7 @@ import { euclidean_squared } from "../metrics/index.js";
  */
 export default function (A, k = 2, {seed = 1212, max_iterations = 100, qr = qr_gramschmidt, tol = 1e-8} = {}) {
     const randomizer = seed instanceof Randomizer ? seed : new Randomizer(seed);
-    if (!(A instanceof Matrix)) A = Matrix.from(A);
+    if (!(A instanceof Matrix || A instanceof SparseMatrix || typeof A.dot === "function")) A = Matrix.from(A);
     const n = A.rows;
     let { Q, R } = qr(new Matrix(n, k, () => (randomizer.random - .5) * 2));
     while (max_iterations--) {
@@ -0,0 +1,435 @@
+import { Matrix } from "./index.js";
+
+/**
+ * @class
+ * @alias SparseMatrix
+ */
+export class SparseMatrix {
+    /**
+     * Creates a new sparse Matrix in compressed sparse row (CSR) format. Only the non-zero entries get stored.
+     * Use {@link SparseMatrix.from_coo} or {@link SparseMatrix.from} to create a SparseMatrix from entries or from a dense Matrix.
+     * @constructor
+     * @memberof module:matrix
+     * @alias SparseMatrix
+     * @param {number} rows - The amount of rows of the matrix.
+     * @param {number} cols - The amount of columns of the matrix.
+     * @param {Uint32Array} [row_ptr] - The entries of row i are stored at positions row_ptr[i] to row_ptr[i + 1] - 1. If not given, the matrix is empty.
+     * @param {Uint32Array} [col_indices] - The column of each entry, sorted ascending within each row.
+     * @param {Float64Array} [values] - The value of each entry.
+     * @returns {SparseMatrix}
+     */
+    constructor(rows, cols, row_ptr = null, col_indices = null, values = null) {
+        this._rows = rows;
+        this._cols = cols;
+        this._row_ptr = row_ptr ?? new Uint32Array(rows + 1);
+        this._col_indices = col_indices ?? new Uint32Array(0);
+        this._values = values ?? new Float64Array(0);
+        return this;
+    }
+
+    /**
+     * Creates a SparseMatrix from entries in coordinate (COO) format. Duplicate entries get summed up.
+     * @param {number} rows - The amount of rows of the matrix.
+     * @param {number} cols - The amount of columns of the matrix.
+     * @param {number[]} row_indices - The row of each entry.
+     * @param {number[]} col_indices - The column of each entry.
+     * @param {number[]} values - The value of each entry.
+     * @returns {SparseMatrix}
+     * @example
+     * let A = SparseMatrix.from_coo(2, 2, [0, 1], [1, 0], [3, 4]); // [[0, 3], [4, 0]]
+     */
+    static from_coo(rows, cols, row_indices, col_indices, values) {
+        const n = values.length;
+        if (row_indices.length !== n || col_indices.length !== n) {
+            throw new Error("row_indices, col_indices, and values need the same length!");
+        }
+        const order = Uint32Array.from({ length: n }, (_, i) => i).sort((a, b) => row_indices[a] - row_indices[b] || col_indices[a] - col_indices[b]);
+        const row_ptr = new Uint32Array(rows + 1);
+        const cols_result = [];
+        const values_result = [];
+        let last_row = -1;
+        let last_col = -1;
+        for (const i of order) {
+            const row = row_indices[i];
+            const col = col_indices[i];
+            if (row < 0 || row >= rows || col < 0 || col >= cols) {
+                throw new Error(`Entry (${row}, ${col}) is out of bounds!`);
+            }
+            if (row === last_row && col === last_col) {
+                values_result[values_result.length - 1] += values[i];
+            } else {
+                cols_result.push(col);
+                values_result.push(values[i]);
+                ++row_ptr[row + 1];
+                last_row = row;
+                last_col = col;
+            }
+        }
+        for (let row = 0; row < rows; ++row) {
+            row_ptr[row + 1] += row_ptr[row];
+        }
+        return new SparseMatrix(rows, cols, row_ptr, Uint32Array.from(cols_result), Float64Array.from(values_result));
+    }
+
+    /**
+     * Creates a SparseMatrix out of {@link A}, only non-zero entries get stored.
+     * @param {SparseMatrix|Matrix|number[][]} A - The matrix which should be converted to a SparseMatrix.
+     * @returns {SparseMatrix}
+     */
+    static from(A) {
+        if (A instanceof SparseMatrix) {
+            return A.clone();
+        }
+        if (!(A instanceof Matrix)) {
+            A = Matrix.from(A);
+        }
+        const [rows, cols] = A.shape;
+        const row_ptr = new Uint32Array(rows + 1);
+        const col_indices = [];
+        const values = [];
+        for (let row = 0; row < rows; ++row) {
+            const A_row = A.row(row);
+            for (let col = 0; col < cols; ++col) {
+                if (A_row[col] !== 0) {
+                    col_indices.push(col);
+                    values.push(A_row[col]);
+                }
+            }
+            row_ptr[row + 1] = values.length;
+        }
+        return new SparseMatrix(rows, cols, row_ptr, Uint32Array.from(col_indices), Float64Array.from(values));
+    }
+
+    /**
+     * Returns the number of rows and columns of the SparseMatrix.
+     * @returns {Array} An Array in the form [rows, columns].
+     */
+    get shape() {
+        return [this._rows, this._cols];
+    }
+
+    /**
+     * Returns the number of rows of the SparseMatrix.
+     * @returns {Number}
+     */
+    get rows() {
+        return this._rows;
+    }
+
+    /**
+     * Returns the number of columns of the SparseMatrix.
+     * @returns {Number}
+     */
+    get cols() {
+        return this._cols;
+    }
+
+    /**
+     * Returns the number of stored entries.
+     * @returns {Number}
+     */
+    get nnz() {
+        return this._values.length;
+    }
+
+    /**
+     * Returns the stored values.
+     * @returns {Float64Array}
+     */
+    get values() {
+        return this._values;
+    }
+
+    /**
+     * Returns the {@link row}<sup>th</sup> row as dense array.
+     * @param {Number} row
+     * @returns {Float64Array}
+     */
+    row(row) {
+        const result = new Float64Array(this._cols);
+        const { indices, values } = this.row_entries(row);
+        for (let i = 0, n = indices.length; i < n; ++i) {
+            result[indices[i]] = values[i];
+        }
+        return result;
+    }
+
+    /**
+     * Returns the stored entries of the {@link row}<sup>th</sup> row.
+     * @param {Number} row
+     * @returns {{indices: Uint32Array, values: Float64Array}} the columns and values of the entries.
+     */
+    row_entries(row) {
+        const start = this._row_ptr[row];
+        const end = this._row_ptr[row + 1];
+        return {
+            indices: this._col_indices.subarray(start, end),
+            values: this._values.subarray(start, end),
+        };
+    }
+
+    /**
+     * Returns the {@link col}<sup>th</sup> entry from the {@link row}<sup>th</sup> row of the SparseMatrix.
+     * @param {int} row
+     * @param {int} col
+     * @returns {float64}
+     */
+    entry(row, col) {
+        const col_indices = this._col_indices;
+        let lo = this._row_ptr[row];
+        let hi = this._row_ptr[row + 1] - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            const c = col_indices[mid];
+            if (c === col) return this._values[mid];
+            if (c < col) lo = mid + 1;
+            else hi = mid - 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Returns a generator yielding each stored entry as [row, col, value].
+     * @yields {Array}
+     */
+    *entries() {
+        const row_ptr = this._row_ptr;
+        const col_indices = this._col_indices;
+        const values = this._values;
+        for (let row = 0; row < this._rows; ++row) {
+            for (let i = row_ptr[row], end = row_ptr[row + 1]; i < end; ++i) {
+                yield [row, col_indices[i], values[i]];
+            }
+        }
+    }
+
+    /**
+     * Returns the stored entries in coordinate (COO) format.
+     * @returns {{rows: Uint32Array, cols: Uint32Array, data: Float64Array}}
+     */
+    tocoo() {
+        const row_ptr = this._row_ptr;
+        const rows = new Uint32Array(this.nnz);
+        for (let row = 0; row < this._rows; ++row) {
+            rows.fill(row, row_ptr[row], row_ptr[row + 1]);
+        }
+        return {
+            rows: rows,
+            cols: this._col_indices.slice(),
+            data: this._values.slice(),
+        };
+    }
+
+    /**
+     * Clones the SparseMatrix.
+     * @returns {SparseMatrix}
+     */
+    clone() {
+        return new SparseMatrix(this._rows, this._cols, this._row_ptr.slice(), this._col_indices.slice(), this._values.slice());
+    }
+
+    /**
+     * Returns a dense Matrix with the entries of the SparseMatrix.
+     * @returns {Matrix}
+     */
+    toMatrix() {
+        const cols = this._cols;
+        const result = new Matrix(this._rows, cols, 0);
+        const data = result.values;
+        for (const [row, col, value] of this.entries()) {
+            data[row * cols + col] = value;
+        }
+        return result;
+    }
+
+    /**
+     * Returns a new transposed SparseMatrix.
+     * @returns {SparseMatrix}
+     */
+    transpose() {
+        const { rows, cols, data } = this.tocoo();
+        return SparseMatrix.from_coo(this._cols, this._rows, cols, rows, data);
+    }
+
+    /**
+     * Returns a new transposed SparseMatrix. Short-form of {@function transpose}.
+     * @returns {SparseMatrix}
+     */
+    get T() {
+        return this.transpose();
+    }
+
+    /**
+     * Returns the dot product. If {@link B} is an Array or Float64Array then an Array gets returned.
+     * If {@link B} is a Matrix then a Matrix gets returned. If {@link B} is a SparseMatrix then a SparseMatrix gets returned.
+     * @param {(SparseMatrix|Matrix|Array|Float64Array)} B the right side
+     * @returns {(SparseMatrix|Matrix|Array)}
+     */
+    dot(B) {
+        const rows = this._rows;
+        const row_ptr = this._row_ptr;
+        const col_indices = this._col_indices;
+        const values = this._values;
+        if (B instanceof SparseMatrix) {
+            check_size(this._cols, B._rows, "A.dot(B)");
+            // Gustavson's algorithm
+            const B_cols = B._cols;
+            const result_row_ptr = new Uint32Array(rows + 1);
+            const result_cols = [];
+            const result_values = [];
+            const accumulator = new Float64Array(B_cols);
+            const occupied = new Int32Array(B_cols).fill(-1);
+            for (let row = 0; row < rows; ++row) {
+                const row_cols = [];
+                for (let i = row_ptr[row], end = row_ptr[row + 1]; i < end; ++i) {
+                    const k = col_indices[i];
+                    const a = values[i];
+                    for (let j = B._row_ptr[k], B_end = B._row_ptr[k + 1]; j < B_end; ++j) {
+                        const col = B._col_indices[j];
+                        if (occupied[col] !== row) {
+                            occupied[col] = row;
+                            accumulator[col] = 0;
+                            row_cols.push(col);
+                        }
+                        accumulator[col] += a * B._values[j];
+                    }
+                }
+                row_cols.sort((a, b) => a - b);
+                for (const col of row_cols) {
+                    result_cols.push(col);
+                    result_values.push(accumulator[col]);
+                }
+                result_row_ptr[row + 1] = result_values.length;
+            }
+            return new SparseMatrix(rows, B_cols, result_row_ptr, Uint32Array.from(result_cols), Float64Array.from(result_values));
+        } else if (B instanceof Matrix) {
+            check_size(this._cols, B.rows, "A.dot(B)");
+            const B_cols = B.cols;
+            const B_data = B.values;
+            const result = new Matrix(rows, B_cols, 0);
+            const data = result.values;
+            for (let row = 0; row < rows; ++row) {
+                const offset = row * B_cols;
+                for (let i = row_ptr[row], end = row_ptr[row + 1]; i < end; ++i) {
+                    const a = values[i];
+                    const B_offset = col_indices[i] * B_cols;
+                    for (let col = 0; col < B_cols; ++col) {
+                        data[offset + col] += a * B_data[B_offset + col];
+                    }
+                }
+            }
+            return result;
+        } else if (Matrix.isArray(B)) {
+            check_size(this._cols, B.length, "A.dot(B)");
+            return Array.from({ length: rows }, (_, row) => {
+                let sum = 0;
+                for (let i = row_ptr[row], end = row_ptr[row + 1]; i < end; ++i) {
+                    sum += values[i] * B[col_indices[i]];
+                }
+                return sum;
+            });
+        } else {
+            throw new Error(`B must be SparseMatrix, Matrix or Array`);
+        }
+    }
+
+    /**
+     * Applies {@link f} to the entries of both sparse matrices.
+     * @private
+     * @param {SparseMatrix} B
+     * @param {Function} f - takes the entries of both matrices, missing entries are 0.
+     * @param {Boolean} union - if true, the result contains the entries of both matrices, otherwise only the common entries.
+     * @returns {SparseMatrix}
+     */
+    _merge(B, f, union) {
+        if (!(B instanceof SparseMatrix)) {
+            throw new Error("B must be a SparseMatrix!");
+        }
+        if (this._rows !== B._rows || this._cols !== B._cols) {
+            throw new Error(`Shapes do not match (${this.shape} != ${B.shape})!`);
+        }
+        const rows = this._rows;
+        const row_ptr = new Uint32Array(rows + 1);
+        const result_cols = [];
+        const result_values = [];
+        const push = (col, value) => {
+            if (value !== 0) {
+                result_cols.push(col);
+                result_values.push(value);
+            }
+        };
+        for (let row = 0; row < rows; ++row) {
+            const { indices: A_cols, values: A_values } = this.row_entries(row);
+            const { indices: B_cols, values: B_values } = B.row_entries(row);
+            let i = 0;
+            let j = 0;
+            while (i < A_cols.length || j < B_cols.length) {
+                const a_col = i < A_cols.length ? A_cols[i] : Infinity;
+                const b_col = j < B_cols.length ? B_cols[j] : Infinity;
+                if (a_col === b_col) {
+                    push(a_col, f(A_values[i++], B_values[j++]));
+                } else if (a_col < b_col) {
+                    if (union) push(a_col, f(A_values[i], 0));
+                    ++i;
+                } else {
+                    if (union) push(b_col, f(0, B_values[j]));
+                    ++j;
+                }
+            }
+            row_ptr[row + 1] = result_values.length;
+        }
+        return new SparseMatrix(rows, this._cols, row_ptr, Uint32Array.from(result_cols), Float64Array.from(result_values));
+    }
+
+    /**
+     * Entrywise multiplication with {@link value}.
+     * @param {SparseMatrix|Number} value
+     * @returns {SparseMatrix}
+     */
+    mult(value) {
+        if (typeof value === "number") {
+            const result = this.clone();
+            result._values = result._values.map((v) => v * value);
+            return result;
+        }
+        return this._merge(value, (a, b) => a * b, false);
+    }
+
+    /**
+     * Entrywise division by the number {@link value}.
+     * @param {Number} value
+     * @returns {SparseMatrix}
+     */
+    divide(value) {
+        if (typeof value !== "number") {
+            throw new Error("SparseMatrix can only be divided by a number!");
+        }
+        const result = this.clone();
+        result._values = result._values.map((v) => v / value);
+        return result;
+    }
+
+    /**
+     * Entrywise addition with {@link value}.
+     * @param {SparseMatrix} value
+     * @returns {SparseMatrix}
+     */
+    add(value) {
+        return this._merge(value, (a, b) => a + b, true);
+    }
+
+    /**
+     * Entrywise subtraction with {@link value}.
+     * @param {SparseMatrix} value
+     * @returns {SparseMatrix}
+     */
+    sub(value) {
+        return this._merge(value, (a, b) => a - b, true);
+    }
+}
+
+function check_size(A_cols, B_rows, msg) {
+    if (A_cols !== B_rows) {
+        throw new Error(`${msg}: A has ${A_cols} cols and B has ${B_rows} rows. Must be equal!`);
+    }
+}
@@ -6,4 +6,5 @@ export {default as distance_matrix} from "./distance_matrix.js";
 export {default as linspace} from "./linspace.js";
 export {default as norm} from "./norm.js";
 export {default as normalize} from "./normalize.js";
-export { Matrix } from "./Matrix.js";
\ No newline at end of file
+export { Matrix } from "./Matrix.js";
+export { SparseMatrix } from "./SparseMatrix.js";
\ No newline at end of file
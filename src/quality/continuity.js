@@ -0,0 +1,21 @@
+import { euclidean } from "../metrics/index.js";
+import { distance_matrix } from "../matrix/index.js";
+import { distances, rank_error, to_matrix } from "./utils.js";
+
+/**
+ * Computes the continuity of projection {@link Y}, i.e., to which extent the {@link k} nearest neighbors in the high-dimensional data stay near in the projection.
+ * Is 1 if no neighborhood gets torn apart by the projection.
+ * @memberof module:quality
+ * @alias continuity
+ * @param {Matrix|number[][]} X - the high-dimensional data, or a distance matrix if {@link metric} is "precomputed".
+ * @param {Matrix|number[][]} Y - the projection of {@link X}.
+ * @param {number} [k = 5] - the size of the neighborhood.
+ * @param {Function|"precomputed"} [metric = euclidean] - the metric for the high-dimensional data.
+ * @returns {number} the continuity in [0, 1].
+ * @see {@link https://doi.org/10.1007/3-540-44668-0_68}
+ */
+export default function (X, Y, k = 5, metric = euclidean) {
+    const D_X = distances(X, metric);
+    const D_Y = distance_matrix(to_matrix(Y), euclidean);
+    return 1 - rank_error(D_Y, D_X, k);
+}
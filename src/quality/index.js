@@ -0,0 +1,9 @@
+/**
+ * @module quality
+ */
+export { default as trustworthiness } from "./trustworthiness.js";
+export { default as continuity } from "./continuity.js";
+export { default as stress } from "./stress.js";
+export { default as shepard_correlation } from "./shepard_correlation.js";
+export { default as knn_preservation } from "./knn_preservation.js";
+export { default as neighborhood_hit } from "./neighborhood_hit.js";
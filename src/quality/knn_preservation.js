@@ -0,0 +1,29 @@
+import { euclidean } from "../metrics/index.js";
+import { nearest_neighbors, to_matrix } from "./utils.js";
+
+/**
+ * Computes the average fraction of the {@link k} nearest neighbors in the high-dimensional data, which are also among the {@link k} nearest neighbors in the projection {@link Y}.
+ * @memberof module:quality
+ * @alias knn_preservation
+ * @param {Matrix|number[][]} X - the high-dimensional data, or a distance matrix if {@link metric} is "precomputed".
+ * @param {Matrix|number[][]} Y - the projection of {@link X}.
+ * @param {number} [k = 5] - the size of the neighborhood.
+ * @param {Function|"precomputed"} [metric = euclidean] - the metric for the high-dimensional data.
+ * @returns {number} the kNN preservation in [0, 1].
+ */
+export default function (X, Y, k = 5, metric = euclidean) {
+    const knn_X = nearest_neighbors(X, k, metric);
+    const knn_Y = nearest_neighbors(to_matrix(Y), k, euclidean);
+    const N = knn_X.length;
+    if (knn_Y.length !== N) {
+        throw new Error(`Both datasets need the same number of points (${N} != ${knn_Y.length})!`);
+    }
+    let sum = 0;
+    for (let i = 0; i < N; ++i) {
+        const neighbors = new Set(knn_X[i]);
+        for (const j of knn_Y[i]) {
+            if (neighbors.has(j)) ++sum;
+        }
+    }
+    return sum / (N * k);
+}
@@ -0,0 +1,26 @@
+import { euclidean } from "../metrics/index.js";
+import { nearest_neighbors, to_matrix } from "./utils.js";
+
+/**
+ * Computes the neighborhood hit of projection {@link Y}, i.e., the average fraction of the {@link k} nearest neighbors in the projection with the same label.
+ * @memberof module:quality
+ * @alias neighborhood_hit
+ * @param {Matrix|number[][]} Y - the projection.
+ * @param {any[]} labels - the label of each point.
+ * @param {number} [k = 5] - the size of the neighborhood.
+ * @returns {number} the neighborhood hit in [0, 1].
+ */
+export default function (Y, labels, k = 5) {
+    const knn = nearest_neighbors(to_matrix(Y), k, euclidean);
+    const N = knn.length;
+    if (labels.length !== N) {
+        throw new Error(`Every point needs a label (${labels.length} != ${N})!`);
+    }
+    let sum = 0;
+    for (let i = 0; i < N; ++i) {
+        for (const j of knn[i]) {
+            if (labels[j] === labels[i]) ++sum;
+        }
+    }
+    return sum / (N * k);
+}
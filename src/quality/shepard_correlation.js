@@ -0,0 +1,66 @@
+import { euclidean } from "../metrics/index.js";
+import { distance_matrix } from "../matrix/index.js";
+import { distances, to_matrix } from "./utils.js";
+
+/**
+ * Computes the Spearman rank correlation of the Shepard diagram, i.e., between the pairwise distances in the high-dimensional data and in the projection {@link Y}.
+ * @memberof module:quality
+ * @alias shepard_correlation
+ * @param {Matrix|number[][]} X - the high-dimensional data, or a distance matrix if {@link metric} is "precomputed".
+ * @param {Matrix|number[][]} Y - the projection of {@link X}.
+ * @param {Function|"precomputed"} [metric = euclidean] - the metric for the high-dimensional data.
+ * @returns {number} the correlation in [-1, 1].
+ */
+export default function (X, Y, metric = euclidean) {
+    const D_X = distances(X, metric);
+    const D_Y = distance_matrix(to_matrix(Y), euclidean);
+    const N = D_X.rows;
+    if (D_Y.rows !== N) {
+        throw new Error(`Both datasets need the same number of points (${N} != ${D_Y.rows})!`);
+    }
+    const n = (N * (N - 1)) / 2;
+    const d_X = new Float64Array(n);
+    const d_Y = new Float64Array(n);
+    for (let i = 0, p = 0; i < N; ++i) {
+        for (let j = i + 1; j < N; ++j, ++p) {
+            d_X[p] = D_X.entry(i, j);
+            d_Y[p] = D_Y.entry(i, j);
+        }
+    }
+    const r_X = rank(d_X);
+    const r_Y = rank(d_Y);
+
+    // pearson correlation of the ranks
+    const mean = (n + 1) / 2;
+    let cov = 0;
+    let var_X = 0;
+    let var_Y = 0;
+    for (let p = 0; p < n; ++p) {
+        const a = r_X[p] - mean;
+        const b = r_Y[p] - mean;
+        cov += a * b;
+        var_X += a * a;
+        var_Y += b * b;
+    }
+    return cov / Math.sqrt(var_X * var_Y);
+}
+
+/**
+ * Ranks the {@link values}, ties get their average rank.
+ * @private
+ * @param {Float64Array} values
+ * @returns {Float64Array}
+ */
+function rank(values) {
+    const n = values.length;
+    const order = Uint32Array.from({ length: n }, (_, i) => i).sort((a, b) => values[a] - values[b]);
+    const result = new Float64Array(n);
+    for (let i = 0; i < n; ) {
+        let j = i;
+        while (j + 1 < n && values[order[j + 1]] === values[order[i]]) ++j;
+        const r = (i + j) / 2 + 1;
+        for (let t = i; t <= j; ++t) result[order[t]] = r;
+        i = j + 1;
+    }
+    return result;
+}
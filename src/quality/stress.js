@@ -0,0 +1,30 @@
+import { euclidean } from "../metrics/index.js";
+import { distance_matrix } from "../matrix/index.js";
+import { distances, to_matrix } from "./utils.js";
+
+/**
+ * Computes Kruskal's stress of projection {@link Y}, i.e., how well the distances in the projection match the high-dimensional distances.
+ * @memberof module:quality
+ * @alias stress
+ * @param {Matrix|number[][]} X - the high-dimensional data, or a distance matrix if {@link metric} is "precomputed".
+ * @param {Matrix|number[][]} Y - the projection of {@link X}.
+ * @param {Function|"precomputed"} [metric = euclidean] - the metric for the high-dimensional data.
+ * @returns {number} the stress, 0 for a perfect fit.
+ */
+export default function (X, Y, metric = euclidean) {
+    const D_X = distances(X, metric);
+    const D_Y = distance_matrix(to_matrix(Y), euclidean);
+    const N = D_X.rows;
+    if (D_Y.rows !== N) {
+        throw new Error(`Both datasets need the same number of points (${N} != ${D_Y.rows})!`);
+    }
+    let top_sum = 0;
+    let bottom_sum = 0;
+    for (let i = 0; i < N; ++i) {
+        for (let j = i + 1; j < N; ++j) {
+            top_sum += Math.pow(D_X.entry(i, j) - D_Y.entry(i, j), 2);
+            bottom_sum += Math.pow(D_X.entry(i, j), 2);
+        }
+    }
+    return Math.sqrt(top_sum / bottom_sum);
+}
@@ -0,0 +1,117 @@
+import { distance_matrix, Matrix } from "../matrix/index.js";
+import { BallTree, KNN } from "../knn/index.js";
+
+/**
+ * @private
+ * @param {Matrix|number[][]} A
+ * @returns {Matrix}
+ */
+export function to_matrix(A) {
+    if (A instanceof Matrix) return A;
+    if (Matrix.isArray(A)) return Matrix.from(A);
+    throw new Error("No valid type for A!");
+}
+
+/**
+ * @private
+ * @param {Matrix|number[][]} A - the data, or a distance matrix if {@link metric} is "precomputed".
+ * @param {Function|"precomputed"} metric
+ * @returns {Matrix} the distance matrix of {@link A}.
+ */
+export function distances(A, metric) {
+    A = to_matrix(A);
+    if (metric === "precomputed") {
+        if (A.rows !== A.cols) {
+            throw new Error("A precomputed distance matrix has to be square!");
+        }
+        return A;
+    }
+    return distance_matrix(A, metric);
+}
+
+/**
+ * Computes the rank of each point in the neighborhood of point {@link i}, starting with 1 for the nearest neighbor.
+ * @private
+ * @param {Float64Array} D_i - the distances of point {@link i} to all points.
+ * @param {number} i
+ * @returns {Int32Array} the ranks, point {@link i} itself gets rank 0.
+ */
+export function ranks(D_i, i) {
+    const N = D_i.length;
+    const order = Array.from({ length: N }, (_, j) => j).sort((a, b) => D_i[a] - D_i[b] || a - b);
+    const result = new Int32Array(N);
+    let rank = 0;
+    for (const j of order) {
+        if (j !== i) result[j] = ++rank;
+    }
+    return result;
+}
+
+/**
+ * Computes the {@link k} nearest neighbors of each point, without the point itself.
+ * @private
+ * @param {Matrix|number[][]} A - the data, or a distance matrix if {@link metric} is "precomputed".
+ * @param {number} k
+ * @param {Function|"precomputed"} metric
+ * @returns {Int32Array[]} for each point the indices of its nearest neighbors, sorted by distance.
+ */
+export function nearest_neighbors(A, k, metric) {
+    A = to_matrix(A);
+    const N = A.rows;
+    if (k >= N) {
+        throw new Error(`Parameter k (=${k}) needs to be smaller than the number of points (N=${N})!`);
+    }
+    const result = [];
+    const knn = metric === "precomputed" ? new KNN(A, "precomputed") : new BallTree(A.to2dArray, metric);
+    for (let i = 0; i < N; ++i) {
+        const neighbors = knn
+            .search_index(i, k + 1)
+            .raw_data()
+            .sort((a, b) => a.value - b.value)
+            .map(({ element }) => element.index);
+        result.push(remove_self(neighbors, i, k));
+    }
+    return result;
+}
+
+/**
+ * @private
+ * @param {number[]} neighbors - the k + 1 nearest neighbors of point {@link i}.
+ * @param {number} i
+ * @param {number} k
+ * @returns {Int32Array}
+ */
+function remove_self(neighbors, i, k) {
+    const self = neighbors.indexOf(i);
+    neighbors.splice(self >= 0 ? self : k, 1);
+    return Int32Array.from(neighbors);
+}
+
+/**
+ * Sums up how far the {@link k} nearest neighbors in {@link D_B}, which are not among the {@link k} nearest neighbors in {@link D_A}, are ranked in {@link D_A}.
+ * @private
+ * @param {Matrix} D_A
+ * @param {Matrix} D_B
+ * @param {number} k
+ * @returns {number} the normalized rank error, used by trustworthiness and continuity.
+ */
+export function rank_error(D_A, D_B, k) {
+    const N = D_A.rows;
+    if (D_B.rows !== N) {
+        throw new Error(`Both datasets need the same number of points (${N} != ${D_B.rows})!`);
+    }
+    if (k >= N / 2) {
+        throw new Error(`Parameter k (=${k}) needs to be smaller than N / 2 (=${N / 2})!`);
+    }
+    let sum = 0;
+    for (let i = 0; i < N; ++i) {
+        const ranks_A = ranks(D_A.row(i), i);
+        const ranks_B = ranks(D_B.row(i), i);
+        for (let j = 0; j < N; ++j) {
+            if (ranks_B[j] > 0 && ranks_B[j] <= k && ranks_A[j] > k) {
+                sum += ranks_A[j] - k;
+            }
+        }
+    }
+    return (2 / (N * k * (2 * N - 3 * k - 1))) * sum;
+}
@@ -0,0 +1,35 @@
+import { Randomizer } from "./randomizer.js";
+
+/**
+ * Copies the parameters given by the user, so that a DR or clustering method can set itself up anew with them.
+ * Arrays, typed arrays and plain objects get copied, other values like functions and matrices get shared.
+ * The random number generators the methods put into nested objects, like <code>eig_args</code>, get dropped.
+ * @private
+ * @param {object} parameters
+ * @returns {object}
+ */
+export default function copy_parameters(parameters) {
+    const result = {};
+    for (const [key, value] of Object.entries(parameters)) {
+        result[key] = copy(value);
+    }
+    return result;
+}
+
+/**
+ * @private
+ * @param {any} value
+ * @returns {any}
+ */
+function copy(value) {
+    if (Array.isArray(value)) return value.map(copy);
+    if (ArrayBuffer.isView(value) && !(value instanceof DataView)) return value.slice();
+    if (value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+        const result = {};
+        for (const [key, entry] of Object.entries(value)) {
+            if (!(entry instanceof Randomizer)) result[key] = copy(entry);
+        }
+        return result;
+    }
+    return value;
+}
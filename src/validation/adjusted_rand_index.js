@@ -0,0 +1,24 @@
+import { contingency } from "./utils.js";
+
+/**
+ * Computes the adjusted Rand index of two clusterings, i.e., the fraction of point pairs on whose grouping both agree, corrected for chance.
+ * @memberof module:validation
+ * @alias adjusted_rand_index
+ * @param {any[]|number[][]} labels_a - the labels of the points, or the clusters as returned by <code>get_clusters()</code>.
+ * @param {any[]|number[][]} labels_b - the labels of the points, or the clusters as returned by <code>get_clusters()</code>.
+ * @returns {number} 1 for identical clusterings, around 0 for random ones.
+ * @see {@link https://doi.org/10.1007/BF01908075}
+ */
+export default function (labels_a, labels_b) {
+    const { table, a, b, N } = contingency(labels_a, labels_b);
+    const pairs = (n) => (n * (n - 1)) / 2;
+    let index = 0;
+    for (const value of table.values) index += pairs(value);
+    const sum_a = a.reduce((sum, n) => sum + pairs(n), 0);
+    const sum_b = b.reduce((sum, n) => sum + pairs(n), 0);
+    const expected = (sum_a * sum_b) / pairs(N);
+    const max = (sum_a + sum_b) / 2;
+    // both put all points in one cluster, or each point in its own
+    if (max === expected) return 1;
+    return (index - expected) / (max - expected);
+}
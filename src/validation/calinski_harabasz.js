@@ -0,0 +1,30 @@
+import { euclidean_squared } from "../metrics/index.js";
+import { to_matrix } from "../quality/utils.js";
+import { centroids_of, clusters_of } from "./utils.js";
+
+/**
+ * Computes the Calinski–Harabasz index, the ratio of the dispersion between the clusters to the dispersion within the clusters, both divided by their degrees of freedom.
+ * The higher the better the clusters are separated.
+ * @memberof module:validation
+ * @alias calinski_harabasz
+ * @param {Matrix|number[][]} X - the data.
+ * @param {any[]|number[][]} labels - the cluster of each point, or the clusters as returned by <code>get_clusters()</code>. The label -1 marks noise.
+ * @returns {number} the Calinski–Harabasz index.
+ * @see {@link https://doi.org/10.1080/03610927408827101}
+ */
+export default function (X, labels) {
+    const A = to_matrix(X);
+    const { codes, K } = clusters_of(labels, A.rows);
+    const { centroids, sizes } = centroids_of(A, codes, K);
+    const N = sizes.reduce((a, b) => a + b);
+    const mean = new Float64Array(A.cols);
+    centroids.forEach((centroid, c) => centroid.forEach((value, d) => (mean[d] += (sizes[c] * value) / N)));
+    let between = 0;
+    centroids.forEach((centroid, c) => (between += sizes[c] * euclidean_squared(centroid, mean)));
+    let within = 0;
+    codes.forEach((c, i) => {
+        if (c >= 0) within += euclidean_squared(A.row(i), centroids[c]);
+    });
+    if (within === 0) return Infinity;
+    return (between * (N - K)) / (within * (K - 1));
+}
@@ -0,0 +1,36 @@
+import { euclidean } from "../metrics/index.js";
+import { to_matrix } from "../quality/utils.js";
+import { centroids_of, clusters_of } from "./utils.js";
+
+/**
+ * Computes the Davies–Bouldin index, the mean over all clusters of the worst ratio of the scatter of two clusters to the distance of their centroids.
+ * The lower the more compact and separated are the clusters.
+ * @memberof module:validation
+ * @alias davies_bouldin
+ * @param {Matrix|number[][]} X - the data.
+ * @param {any[]|number[][]} labels - the cluster of each point, or the clusters as returned by <code>get_clusters()</code>. The label -1 marks noise.
+ * @param {Function} [metric = euclidean]
+ * @returns {number} the Davies–Bouldin index, 0 at best.
+ * @see {@link https://doi.org/10.1109/TPAMI.1979.4766909}
+ */
+export default function (X, labels, metric = euclidean) {
+    if (metric === "precomputed") {
+        throw new Error("The Davies–Bouldin index needs the coordinates of the points to compute the centroids!");
+    }
+    const A = to_matrix(X);
+    const { codes, K } = clusters_of(labels, A.rows);
+    const { centroids, sizes } = centroids_of(A, codes, K);
+    const scatter = new Float64Array(K);
+    codes.forEach((c, i) => {
+        if (c >= 0) scatter[c] += metric(A.row(i), centroids[c]) / sizes[c];
+    });
+    let sum = 0;
+    for (let i = 0; i < K; ++i) {
+        let max = 0;
+        for (let j = 0; j < K; ++j) {
+            if (j !== i) max = Math.max(max, (scatter[i] + scatter[j]) / metric(centroids[i], centroids[j]));
+        }
+        sum += max;
+    }
+    return sum / K;
+}
@@ -0,0 +1,35 @@
+import { euclidean } from "../metrics/index.js";
+import { distances } from "../quality/utils.js";
+import { clusters_of } from "./utils.js";
+
+/**
+ * Computes the Dunn index, the smallest distance between two points of different clusters divided by the largest distance between two points of the same cluster.
+ * The higher the more compact and separated are the clusters.
+ * @memberof module:validation
+ * @alias dunn
+ * @param {Matrix|number[][]} X - the data, or a distance matrix if {@link metric} is "precomputed".
+ * @param {any[]|number[][]} labels - the cluster of each point, or the clusters as returned by <code>get_clusters()</code>. The label -1 marks noise.
+ * @param {Function|"precomputed"} [metric = euclidean]
+ * @returns {number} the Dunn index.
+ * @see {@link https://doi.org/10.1080/01969727308546046}
+ */
+export default function (X, labels, metric = euclidean) {
+    const D = distances(X, metric);
+    const N = D.rows;
+    const { codes } = clusters_of(labels, N);
+    let min_between = Infinity;
+    let max_within = 0;
+    for (let i = 0; i < N; ++i) {
+        if (codes[i] < 0) continue;
+        for (let j = i + 1; j < N; ++j) {
+            if (codes[j] < 0) continue;
+            const d = D.entry(i, j);
+            if (codes[i] === codes[j]) {
+                max_within = Math.max(max_within, d);
+            } else {
+                min_between = Math.min(min_between, d);
+            }
+        }
+    }
+    return min_between / max_within;
+}
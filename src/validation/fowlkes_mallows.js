@@ -0,0 +1,19 @@
+import { contingency } from "./utils.js";
+
+/**
+ * Computes the Fowlkes–Mallows index of two clusterings, the geometric mean of precision and recall of the point pairs which are in the same cluster.
+ * @memberof module:validation
+ * @alias fowlkes_mallows
+ * @param {any[]|number[][]} labels_a - the labels of the points, or the clusters as returned by <code>get_clusters()</code>.
+ * @param {any[]|number[][]} labels_b - the labels of the points, or the clusters as returned by <code>get_clusters()</code>.
+ * @returns {number} the Fowlkes–Mallows index in [0, 1], 1 for identical clusterings.
+ * @see {@link https://doi.org/10.1080/01621459.1983.10478008}
+ */
+export default function (labels_a, labels_b) {
+    const { table, a, b, N } = contingency(labels_a, labels_b);
+    // twice the number of pairs in the same cluster in both, in a, and in b
+    const TP = table.values.reduce((sum, n) => sum + n * n, 0) - N;
+    const P_a = a.reduce((sum, n) => sum + n * n, 0) - N;
+    const P_b = b.reduce((sum, n) => sum + n * n, 0) - N;
+    return TP === 0 ? 0 : TP / Math.sqrt(P_a * P_b);
+}
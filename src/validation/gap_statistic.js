@@ -0,0 +1,92 @@
+import { euclidean_squared } from "../metrics/index.js";
+import { Matrix } from "../matrix/index.js";
+import { Randomizer } from "../util/index.js";
+import { KMeans } from "../clustering/index.js";
+import { to_matrix } from "../quality/utils.js";
+import { encode, to_labels } from "./utils.js";
+
+/**
+ * Chooses the number of clusters with the gap statistic: compares the within-cluster dispersion of the clusterings of {@link X} with K = 1, ..., {@link K_max} clusters
+ * to its expectation for data without clusters, sampled uniformly from the bounding box of {@link X}.
+ * The chosen K is the smallest one whose gap is at least the gap of K + 1 minus its standard error.
+ * @memberof module:validation
+ * @alias gap_statistic
+ * @param {Matrix|number[][]} X - the data.
+ * @param {number} [K_max = 10] - the largest number of clusters to try.
+ * @param {number} [B = 10] - the number of reference datasets.
+ * @param {Function} [cluster = null] - clusters the data into K clusters, called as <code>cluster(A, K)</code> with a Matrix {@link A}.
+ * Returns labels, or clusters as returned by <code>get_clusters()</code>. If null, KMeans gets used.
+ * @param {Function} [metric = euclidean_squared] - the dispersion of a cluster is the sum of the pairwise distances of its points, divided by twice its size.
+ * @param {number} [seed = 1987] - the seed for the random number generator.
+ * @returns {{K: number, gaps: Float64Array, s: Float64Array}} the chosen number of clusters, and the gap and its standard error for K = 1, ..., {@link K_max} at index K - 1.
+ * @see {@link https://doi.org/10.1111/1467-9868.00293}
+ */
+export default function (X, K_max = 10, B = 10, cluster = null, metric = euclidean_squared, seed = 1987) {
+    const A = to_matrix(X);
+    const [N, D] = A.shape;
+    if (K_max < 1 || K_max > N) {
+        throw new Error(`Parameter K_max (=${K_max}) has to be between 1 and the number of points (=${N})!`);
+    }
+    if (cluster === null) cluster = (A, K) => new KMeans(A, { K, seed }).labels;
+    const randomizer = new Randomizer(seed);
+    const log_dispersions = (A) =>
+        Float64Array.from({ length: K_max }, (_, k) => {
+            const labels = k === 0 ? new Array(A.rows).fill(0) : to_labels(cluster(A, k + 1), A.rows);
+            return Math.log(dispersion(A, labels, metric));
+        });
+
+    const min = new Float64Array(D).fill(Infinity);
+    const max = new Float64Array(D).fill(-Infinity);
+    for (const row of A.iterate_rows()) {
+        for (let d = 0; d < D; ++d) {
+            min[d] = Math.min(min[d], row[d]);
+            max[d] = Math.max(max[d], row[d]);
+        }
+    }
+    const log_W = log_dispersions(A);
+    const references = Array.from({ length: B }, () => {
+        const reference = new Matrix(N, D, (i, d) => min[d] + randomizer.random * (max[d] - min[d]));
+        return log_dispersions(reference);
+    });
+
+    const gaps = new Float64Array(K_max);
+    const s = new Float64Array(K_max);
+    for (let k = 0; k < K_max; ++k) {
+        const mean = references.reduce((sum, log_W_b) => sum + log_W_b[k], 0) / B;
+        const variance = references.reduce((sum, log_W_b) => sum + (log_W_b[k] - mean) ** 2, 0) / B;
+        gaps[k] = mean - log_W[k];
+        s[k] = Math.sqrt(variance * (1 + 1 / B));
+    }
+    let K = K_max;
+    for (let k = 0; k < K_max - 1; ++k) {
+        if (gaps[k] >= gaps[k + 1] - s[k + 1]) {
+            K = k + 1;
+            break;
+        }
+    }
+    return { K, gaps, s };
+}
+
+/**
+ * @private
+ * @param {Matrix} A
+ * @param {any[]} labels
+ * @param {Function} metric
+ * @returns {number} the sum over the clusters of the pairwise distances of their points, divided by twice the cluster size.
+ */
+function dispersion(A, labels, metric) {
+    const { codes, K } = encode(labels);
+    const sums = new Float64Array(K);
+    const sizes = new Float64Array(K);
+    const N = A.rows;
+    for (let i = 0; i < N; ++i) {
+        const c = codes[i];
+        if (c < 0) continue;
+        ++sizes[c];
+        for (let j = i + 1; j < N; ++j) {
+            if (codes[j] === c) sums[c] += metric(A.row(i), A.row(j));
+        }
+    }
+    // the pairs got counted once, so no factor 2
+    return sums.reduce((W, sum, c) => W + sum / sizes[c], 0);
+}
@@ -0,0 +1,13 @@
+/**
+ * @module validation
+ */
+export { default as silhouette_samples } from "./silhouette_samples.js";
+export { default as silhouette } from "./silhouette.js";
+export { default as davies_bouldin } from "./davies_bouldin.js";
+export { default as calinski_harabasz } from "./calinski_harabasz.js";
+export { default as dunn } from "./dunn.js";
+export { default as gap_statistic } from "./gap_statistic.js";
+export { default as adjusted_rand_index } from "./adjusted_rand_index.js";
+export { default as normalized_mutual_information } from "./normalized_mutual_information.js";
+export { default as v_measure } from "./v_measure.js";
+export { default as fowlkes_mallows } from "./fowlkes_mallows.js";
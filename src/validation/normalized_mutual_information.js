@@ -0,0 +1,19 @@
+import { contingency, entropy, mutual_information } from "./utils.js";
+
+/**
+ * Computes the mutual information of two clusterings, normalized by the arithmetic mean of their entropies.
+ * @memberof module:validation
+ * @alias normalized_mutual_information
+ * @param {any[]|number[][]} labels_a - the labels of the points, or the clusters as returned by <code>get_clusters()</code>.
+ * @param {any[]|number[][]} labels_b - the labels of the points, or the clusters as returned by <code>get_clusters()</code>.
+ * @returns {number} the normalized mutual information in [0, 1], 1 for identical clusterings.
+ * @see {@link https://jmlr.org/papers/v11/vinh10a.html}
+ */
+export default function (labels_a, labels_b) {
+    const C = contingency(labels_a, labels_b);
+    const H_a = entropy(C.a, C.N);
+    const H_b = entropy(C.b, C.N);
+    // both put all points in one cluster
+    if (H_a === 0 && H_b === 0) return 1;
+    return mutual_information(C) / ((H_a + H_b) / 2);
+}
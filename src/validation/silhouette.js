@@ -0,0 +1,17 @@
+import { euclidean } from "../metrics/index.js";
+import silhouette_samples from "./silhouette_samples.js";
+
+/**
+ * Computes the mean silhouette of the points, the higher the better the clusters are separated.
+ * @memberof module:validation
+ * @alias silhouette
+ * @param {Matrix|number[][]} X - the data, or a distance matrix if {@link metric} is "precomputed".
+ * @param {any[]|number[][]} labels - the cluster of each point, or the clusters as returned by <code>get_clusters()</code>. The label -1 marks noise.
+ * @param {Function|"precomputed"} [metric = euclidean]
+ * @returns {number} the silhouette coefficient in [-1, 1], without the noise points.
+ * @see {@link module:validation.silhouette_samples}
+ */
+export default function (X, labels, metric = euclidean) {
+    const samples = silhouette_samples(X, labels, metric).filter((s) => !isNaN(s));
+    return samples.reduce((sum, s) => sum + s, 0) / samples.length;
+}
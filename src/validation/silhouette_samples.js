@@ -0,0 +1,43 @@
+import { euclidean } from "../metrics/index.js";
+import { distances } from "../quality/utils.js";
+import { clusters_of } from "./utils.js";
+
+/**
+ * Computes the silhouette of each point, i.e., how much closer it is to the points of its own cluster than to the points of the nearest other cluster.
+ * With a the mean distance to the other points of its cluster, and b the smallest mean distance to the points of another cluster, the silhouette is (b - a) / max(a, b).
+ * @memberof module:validation
+ * @alias silhouette_samples
+ * @param {Matrix|number[][]} X - the data, or a distance matrix if {@link metric} is "precomputed".
+ * @param {any[]|number[][]} labels - the cluster of each point, or the clusters as returned by <code>get_clusters()</code>. The label -1 marks noise.
+ * @param {Function|"precomputed"} [metric = euclidean]
+ * @returns {Float64Array} the silhouette of each point in [-1, 1]. Points alone in their cluster get 0, noise points NaN.
+ * @see {@link https://doi.org/10.1016/0377-0427(87)90125-7}
+ */
+export default function (X, labels, metric = euclidean) {
+    const D = distances(X, metric);
+    const N = D.rows;
+    const { codes, K } = clusters_of(labels, N);
+    const sizes = new Float64Array(K);
+    codes.forEach((c) => c >= 0 && ++sizes[c]);
+    const result = new Float64Array(N);
+    const sums = new Float64Array(K);
+    for (let i = 0; i < N; ++i) {
+        const c_i = codes[i];
+        if (c_i < 0) {
+            result[i] = NaN;
+            continue;
+        }
+        if (sizes[c_i] === 1) continue;
+        sums.fill(0);
+        for (let j = 0; j < N; ++j) {
+            if (codes[j] >= 0) sums[codes[j]] += D.entry(i, j);
+        }
+        const a = sums[c_i] / (sizes[c_i] - 1);
+        let b = Infinity;
+        for (let c = 0; c < K; ++c) {
+            if (c !== c_i) b = Math.min(b, sums[c] / sizes[c]);
+        }
+        result[i] = (b - a) / Math.max(a, b);
+    }
+    return result;
+}
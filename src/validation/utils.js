@@ -0,0 +1,145 @@
+import { Matrix } from "../matrix/index.js";
+
+/**
+ * @private
+ * @param {any[]|number[][]} clustering
+ * @returns {boolean} true if {@link clustering} is a list of clusters with point indices, false if it has a label per point.
+ */
+function is_cluster_list(clustering) {
+    return clustering.length > 0 && Array.from(clustering).every((c) => Array.isArray(c) || ArrayBuffer.isView(c));
+}
+
+/**
+ * @private
+ * @param {any[]|number[][]} clustering - the label of each point, or the clusters as arrays of point indices, like <code>get_clusters()</code> returns them.
+ * @param {number} [N = null] - the number of points. If null, the largest index in the clusters + 1.
+ * @returns {any[]} the label of each point. Points in no cluster get the label -1.
+ */
+export function to_labels(clustering, N = null) {
+    if (!is_cluster_list(clustering)) {
+        if (N !== null && clustering.length !== N) {
+            throw new Error(`Every point needs a label (${clustering.length} != ${N})!`);
+        }
+        return Array.from(clustering);
+    }
+    if (N === null) N = clustering.reduce((max, cluster) => Math.max(max, ...cluster), -1) + 1;
+    const labels = new Array(N).fill(-1);
+    clustering.forEach((cluster, c) => {
+        for (const i of cluster) {
+            if (i >= N) throw new Error(`The clusters contain the index ${i}, but there are only ${N} points!`);
+            labels[i] = c;
+        }
+    });
+    return labels;
+}
+
+/**
+ * Numbers the distinct labels from 0.
+ * @private
+ * @param {any[]} labels
+ * @param {boolean} [noise = true] - if true, the label -1 stays -1, for points in no cluster.
+ * @returns {{codes: Int32Array, K: number}} the number of each label, and the number of distinct labels (without noise).
+ */
+export function encode(labels, noise = true) {
+    const numbers = new Map();
+    const codes = Int32Array.from(labels, (label) => {
+        if (noise && label === -1) return -1;
+        if (!numbers.has(label)) numbers.set(label, numbers.size);
+        return numbers.get(label);
+    });
+    return { codes, K: numbers.size };
+}
+
+/**
+ * Numbers the clusters of the non-noise points, and checks that there are at least two.
+ * @private
+ * @param {any[]|number[][]} clustering - labels or clusters.
+ * @param {number} N - the number of points.
+ * @returns {{codes: Int32Array, K: number}}
+ */
+export function clusters_of(clustering, N) {
+    const encoded = encode(to_labels(clustering, N));
+    if (encoded.K < 2) {
+        throw new Error(`There need to be at least 2 clusters, but there are ${encoded.K}!`);
+    }
+    return encoded;
+}
+
+/**
+ * @private
+ * @param {Matrix} A
+ * @param {Int32Array} codes - the cluster of each point, -1 for noise.
+ * @param {number} K - the number of clusters.
+ * @returns {{centroids: Float64Array[], sizes: Float64Array}} the mean and the number of points of each cluster.
+ */
+export function centroids_of(A, codes, K) {
+    const D = A.cols;
+    const centroids = Array.from({ length: K }, () => new Float64Array(D));
+    const sizes = new Float64Array(K);
+    codes.forEach((c, i) => {
+        if (c < 0) return;
+        const row = A.row(i);
+        const centroid = centroids[c];
+        for (let d = 0; d < D; ++d) centroid[d] += row[d];
+        ++sizes[c];
+    });
+    centroids.forEach((centroid, c) => centroid.forEach((value, d) => (centroid[d] = value / sizes[c])));
+    return { centroids, sizes };
+}
+
+/**
+ * Counts how many points have label i in {@link labels_a} and label j in {@link labels_b}.
+ * @private
+ * @param {any[]|number[][]} labels_a - labels or clusters.
+ * @param {any[]|number[][]} labels_b - labels or clusters.
+ * @returns {{table: Matrix, a: Float64Array, b: Float64Array, N: number}} the contingency table, its row sums and column sums, and the number of points.
+ */
+export function contingency(labels_a, labels_b) {
+    // clusters only tell the number of points up to the largest index in them
+    const N = [labels_a, labels_b].find((c) => !is_cluster_list(c))?.length ?? Math.max(to_labels(labels_a).length, to_labels(labels_b).length);
+    const a = encode(to_labels(labels_a, N), false);
+    const b = encode(to_labels(labels_b, N), false);
+    const table = new Matrix(a.K, b.K, 0);
+    for (let i = 0; i < N; ++i) {
+        table.add_entry(a.codes[i], b.codes[i], 1);
+    }
+    const sums_a = new Float64Array(a.K);
+    const sums_b = new Float64Array(b.K);
+    for (let i = 0; i < a.K; ++i) {
+        for (let j = 0; j < b.K; ++j) {
+            sums_a[i] += table.entry(i, j);
+            sums_b[j] += table.entry(i, j);
+        }
+    }
+    return { table, a: sums_a, b: sums_b, N };
+}
+
+/**
+ * @private
+ * @param {Float64Array} counts
+ * @param {number} N - the sum of the counts.
+ * @returns {number} the entropy of the distribution given by the counts.
+ */
+export function entropy(counts, N) {
+    let H = 0;
+    for (const n of counts) {
+        if (n > 0) H -= (n / N) * Math.log(n / N);
+    }
+    return H;
+}
+
+/**
+ * @private
+ * @param {{table: Matrix, a: Float64Array, b: Float64Array, N: number}} contingency
+ * @returns {number} the mutual information of the two labelings.
+ */
+export function mutual_information({ table, a, b, N }) {
+    let I = 0;
+    for (let i = 0; i < a.length; ++i) {
+        for (let j = 0; j < b.length; ++j) {
+            const n = table.entry(i, j);
+            if (n > 0) I += (n / N) * Math.log((N * n) / (a[i] * b[j]));
+        }
+    }
+    return I;
+}
@@ -0,0 +1,24 @@
+import { contingency, entropy, mutual_information } from "./utils.js";
+
+/**
+ * Computes the V-measure of a clustering against the true classes, the weighted harmonic mean of its homogeneity (each cluster contains only one class)
+ * and its completeness (each class lies in only one cluster).
+ * @memberof module:validation
+ * @alias v_measure
+ * @param {any[]|number[][]} labels_true - the classes of the points, or the clusters as returned by <code>get_clusters()</code>.
+ * @param {any[]|number[][]} labels_pred - the clusters of the points, or the clusters as returned by <code>get_clusters()</code>.
+ * @param {number} [beta = 1] - weighs completeness beta times as much as homogeneity.
+ * @returns {{v_measure: number, homogeneity: number, completeness: number}} all in [0, 1].
+ * @see {@link https://aclanthology.org/D07-1043}
+ */
+export default function (labels_true, labels_pred, beta = 1) {
+    const C = contingency(labels_true, labels_pred);
+    const H_true = entropy(C.a, C.N);
+    const H_pred = entropy(C.b, C.N);
+    const I = mutual_information(C);
+    // H(C|K) = H(C) - I(C, K)
+    const homogeneity = H_true === 0 ? 1 : I / H_true;
+    const completeness = H_pred === 0 ? 1 : I / H_pred;
+    const v_measure = homogeneity + completeness === 0 ? 0 : ((1 + beta) * homogeneity * completeness) / (beta * homogeneity + completeness);
+    return { v_measure, homogeneity, completeness };
+}
@@ -0,0 +1,425 @@
+import * as druid from "./test_index.js";
+import * as assert from "assert";
+
+describe("Clustering", () => {
+    const R = new druid.Randomizer(1212);
+    const X = new druid.Matrix(60, 3, (i) => R.random + (i < 30 ? 0 : 5));
+    const D = druid.distance_matrix(X);
+    // the two blobs with three outliers
+    const X_noise = druid.Matrix.from([...X.to2dArray, [20, 20, 20], [-15, 0, 0], [0, -15, 10]]);
+    const D_noise = druid.distance_matrix(X_noise);
+    const expected = Array.from({ length: 63 }, (_, i) => (i < 30 ? 0 : i < 60 ? 1 : -1));
+
+    it("precomputed distances", () => {
+        assert.deepEqual(new druid.KMedoids(D, { K: 2, metric: "precomputed" }).get_clusters(), new druid.KMedoids(X, { K: 2 }).get_clusters());
+        assert.deepEqual(new druid.OPTICS(D, { epsilon: 1, min_points: 3, metric: "precomputed" }).get_clusters(), new druid.OPTICS(X, { epsilon: 1, min_points: 3 }).get_clusters());
+        assert.deepEqual(
+            new druid.Hierarchical_Clustering(D, { linkage: "average", metric: "precomputed" }).get_clusters(3, "distance"),
+            new druid.Hierarchical_Clustering(X, { linkage: "average" }).get_clusters(3, "distance")
+        );
+        assert.throws(() => new druid.KMeans(D, { metric: "precomputed" }), /KMedoids/);
+        assert.throws(() => new druid.KMedoids(X, { metric: "precomputed" }), /square/);
+        assert.throws(() => new druid.OPTICS(X, { metric: "precomputed" }), /square/);
+    });
+
+    it("DBSCAN and HDBSCAN", () => {
+        const dbscan = new druid.DBSCAN(X_noise, { epsilon: 1, min_points: 5 });
+        assert.deepEqual(dbscan.get_cluster_list(), expected);
+        assert.deepEqual(dbscan.get_clusters(), [Array.from({ length: 30 }, (_, i) => i), Array.from({ length: 30 }, (_, i) => i + 30)]);
+        assert.deepEqual(new druid.DBSCAN(D_noise, { epsilon: 1, min_points: 5, metric: "precomputed" }).get_cluster_list(), expected);
+        assert.ok(new druid.DBSCAN(X_noise, { epsilon: 0.01, min_points: 5 }).get_cluster_list().every((label) => label === -1));
+
+        const hdbscan = new druid.HDBSCAN(X_noise, { min_cluster_size: 5 });
+        assert.deepEqual(hdbscan.get_cluster_list(), expected);
+        assert.deepEqual(new druid.HDBSCAN(D_noise, { min_cluster_size: 5, metric: "precomputed" }).get_cluster_list(), expected);
+        assert.equal(hdbscan.get_clusters().length, 2);
+        const scores = hdbscan.get_outlier_scores();
+        assert.equal(scores.length, 63);
+        assert.ok(scores.every((score) => score >= 0 && score <= 1));
+        assert.ok(Math.min(...scores.slice(60)) > Math.max(...scores.slice(0, 60)));
+        const condensed_tree = hdbscan.get_condensed_tree();
+        assert.equal(condensed_tree.filter(({ child }) => child < 63).length, 63);
+
+        assert.throws(() => new druid.DBSCAN(X, { metric: "precomputed" }), /square/);
+        assert.throws(() => new druid.HDBSCAN(X, { metric: "precomputed" }), /square/);
+    });
+
+    it("OPTICS reachability and cluster extraction", () => {
+        const optics = new druid.OPTICS(X_noise, { epsilon: 10, min_points: 5 });
+        const reachability = optics.get_reachability();
+        assert.deepEqual(reachability.map(({ index }) => index).sort((a, b) => a - b), expected.map((_, i) => i));
+        assert.equal(reachability[0].reachability_distance, Infinity);
+        assert.equal(reachability[0].predecessor, -1);
+        // the start, the jump between the blobs, and the outliers at the end
+        assert.equal(reachability.filter(({ reachability_distance }) => reachability_distance > 5).length, 5);
+        assert.ok(reachability.slice(-3).every(({ index, core_distance }) => index >= 60 && core_distance === Infinity));
+        for (const { index, core_distance } of reachability.slice(0, -3)) {
+            const distances = D_noise.row(index).slice().sort((a, b) => a - b);
+            assert.equal(core_distance, distances[4]);
+        }
+
+        assert.deepEqual(optics.extract_dbscan(1), new druid.DBSCAN(X_noise, { epsilon: 1, min_points: 5 }).get_cluster_list());
+        assert.deepEqual(optics.extract_dbscan(1), expected);
+        assert.deepEqual(new druid.OPTICS(D_noise, { epsilon: 10, min_points: 5, metric: "precomputed" }).extract_dbscan(1), expected);
+        assert.throws(() => optics.extract_dbscan(11), /epsilon/);
+
+        const { clusters, labels } = optics.extract_xi(0.3);
+        assert.deepEqual(labels, expected);
+        const range = (start, end) => Array.from({ length: end - start }, (_, i) => start + i);
+        // both blobs, and the cluster containing them
+        assert.deepEqual(
+            clusters.map(({ indices }) => indices.sort((a, b) => a - b)),
+            [range(0, 30), range(30, 60), range(0, 60)]
+        );
+        assert.throws(() => optics.extract_xi(1), /xi/);
+    });
+
+    it("KMeans initialization, restarts and mini-batches", () => {
+        const centers = [[0, 0], [10, 0], [0, 10], [10, 10], [5, 5]];
+        const G = new druid.Randomizer(3);
+        const X_5 = druid.Matrix.from(Array.from({ length: 500 }, (_, i) => centers[i % 5].map((c) => c + G.gauss_random() * 0.7)));
+        const values = X_5.values.slice();
+        const blobs = (labels) => new Set(labels.map((label, i) => `${label}:${i % 5}`)).size === 5;
+
+        for (const init of ["kmeans++", "random"]) {
+            const kmeans = new druid.KMeans(X_5, { K: 5, init, n_init: 5 });
+            assert.ok(blobs(kmeans.labels));
+            const single = new druid.KMeans(X_5, { K: 5, init });
+            assert.ok(kmeans.inertia <= single.inertia);
+            // reproducible
+            assert.deepEqual(new druid.KMeans(X_5, { K: 5, init, n_init: 5 }).labels, kmeans.labels);
+            assert.equal(new druid.KMeans(X_5, { K: 5, init, n_init: 5 }).inertia, kmeans.inertia);
+        }
+        const kmeans = new druid.KMeans(X_5, { K: 5, n_init: 3 });
+        const inertia = X_5.to2dArray.reduce((sum, x, i) => sum + druid.euclidean_squared(x, kmeans.get_centroids()[kmeans.labels[i]]), 0);
+        assert.ok(Math.abs(kmeans.inertia - inertia) < 1e-9);
+        assert.ok(new druid.KMeans(X_5, { K: 5, max_iter: 1 }).inertia >= new druid.KMeans(X_5, { K: 5 }).inertia);
+        const centroids = new druid.KMeans(X_5, { K: 5, init: centers }).get_centroids();
+        centroids.forEach((centroid, k) => assert.ok(druid.euclidean(centroid, centers[k]) < 0.5));
+        assert.deepEqual(X_5.values, values);
+        assert.throws(() => new druid.KMeans(X_5, { init: "furthest" }), /init/);
+        assert.throws(() => new druid.KMeans(X_5, { init: centers }), /5 centroids, but K is 2/);
+
+        const mini_batch = new druid.MiniBatchKMeans(X_5, { K: 5, batch_size: 50, n_init: 3 });
+        assert.ok(mini_batch instanceof druid.KMeans);
+        assert.ok(blobs(mini_batch.labels));
+        assert.ok(mini_batch.inertia < 1.1 * kmeans.inertia);
+        assert.deepEqual(new druid.MiniBatchKMeans(X_5, { K: 5, batch_size: 50, n_init: 3 }).get_centroids(), mini_batch.get_centroids());
+        assert.equal(mini_batch.parameter("max_iter"), 100);
+        assert.deepEqual(mini_batch.predict(centers), kmeans.predict(centers).map((k) => mini_batch.labels[kmeans.labels.indexOf(k)]));
+
+        // streaming: start with a few points, then feed the rest in chunks
+        const stream = new druid.MiniBatchKMeans(X_5.get_block(0, 0, 50), { K: 5, batch_size: 20 });
+        for (let start = 50; start < 500; start += 50) {
+            stream.partial_fit(X_5.get_block(start, 0, start + 50));
+        }
+        assert.ok(blobs(stream.predict(X_5)));
+        assert.equal(stream.labels.length, 50);
+        // partial_fit only assigns the new points, the labels of the points follow on access
+        const assigned = [];
+        stream._assign = function (points, centroids) {
+            assigned.push(points.rows);
+            return druid.MiniBatchKMeans.prototype._assign.call(this, points, centroids);
+        };
+        stream.partial_fit(X_5.get_block(0, 0, 20));
+        assert.deepEqual(assigned, [20]);
+        const inertia_stream = stream.inertia;
+        const labels_stream = stream.labels;
+        assert.deepEqual(assigned, [20, 50]);
+        assert.deepEqual(labels_stream, stream.predict(X_5.get_block(0, 0, 50)));
+        assert.ok(Math.abs(inertia_stream - new druid.KMeans(X_5.get_block(0, 0, 50), { K: 5, init: stream.get_centroids(), max_iter: 0 }).inertia) < 1e-9);
+        assert.throws(() => stream.partial_fit([[1, 2, 3]]), /columns/);
+    });
+
+    it("XMeans", () => {
+        const centers = [[0, 0], [10, 0], [0, 10], [10, 10]];
+        const G = new druid.Randomizer(7);
+        const X_4 = druid.Matrix.from(Array.from({ length: 200 }, (_, i) => centers[i % 4].map((c) => c + G.gauss_random())));
+        const values = X_4.values.slice();
+        const xmeans = new druid.XMeans(X_4, { K_max: 10, K_min: 2 });
+        const clusters = xmeans.get_clusters();
+        assert.equal(clusters.length, 4);
+        for (const cluster of clusters) {
+            assert.equal(cluster.length, 50);
+            assert.equal(new Set(cluster.map((i) => i % 4)).size, 1);
+        }
+        assert.ok(xmeans.get_score(4) > xmeans.get_score(2));
+        assert.deepEqual(X_4.values, values);
+        assert.deepEqual(new druid.XMeans(X_4, { K_max: 10, K_min: 2 }).get_clusters(), clusters);
+        assert.equal(new druid.XMeans(X_4, { criterion: "aic" }).get_clusters().length, 4);
+        assert.ok(new druid.XMeans(X_4, { K_max: 3 }).get_clusters().length <= 3);
+        assert.equal(new druid.XMeans(X).get_clusters().length, 2);
+        // clusters of coincident points have no variance
+        const X_dup = centers.slice(0, 3).flatMap((center) => Array.from({ length: 10 }, () => center.slice()));
+        const xmeans_dup = new druid.XMeans(X_dup, { K_max: 6 });
+        assert.equal(xmeans_dup.get_clusters().length, 3);
+        assert.ok([2, 3].every((K) => Number.isFinite(xmeans_dup.get_score(K))));
+        // XMeans shares its random number generator with the KMeans runs
+        assert.deepEqual(new druid.KMeans(X_4, { K: 4, seed: new druid.Randomizer(1987) }).labels, new druid.KMeans(X_4, { K: 4 }).labels);
+
+        assert.throws(() => new druid.XMeans(D, { metric: "precomputed" }), /KMedoids/);
+        assert.throws(() => new druid.XMeans(X_4, { criterion: "mdl" }), /criterion/);
+        assert.throws(() => new druid.XMeans(X_4, { K_max: 2, K_min: 3 }), /K_min/);
+    });
+
+    it("GMM", () => {
+        const blobs = [Array.from({ length: 30 }, (_, i) => i), Array.from({ length: 30 }, (_, i) => i + 30)];
+        for (const covariance_type of ["full", "diag", "spherical"]) {
+            const gmm = new druid.GMM(X, { K: 2, covariance_type });
+            const clusters = gmm.get_clusters().sort((a, b) => a[0] - b[0]);
+            assert.deepEqual(clusters, blobs);
+            const P = gmm.predict_proba();
+            assert.deepEqual(P.shape, [60, 2]);
+            for (const row of P.iterate_rows()) {
+                assert.ok(Math.abs(row[0] + row[1] - 1) < 1e-12);
+            }
+            const { weights, means, converged } = gmm.get_parameters();
+            assert.ok(converged);
+            assert.ok(Math.abs(weights[0] + weights[1] - 1) < 1e-12);
+            assert.deepEqual(gmm.predict([means[0], means[1]]), [0, 1]);
+            assert.ok(Array.isArray(gmm.predict_proba([means[0]])));
+        }
+
+        // two correlated Gaussians, which only the full covariance matrices separate
+        const G = new druid.Randomizer(3);
+        const X_c = druid.Matrix.from(Array.from({ length: 300 }, (_, i) => {
+            const a = G.gauss_random() * 3;
+            const b = G.gauss_random() * 0.3;
+            return [a + b, a - b + (i % 2) * 4];
+        }));
+        const full = new druid.GMM(X_c, { K: 2, covariance_type: "full" });
+        const labels = full.predict();
+        assert.ok(labels.filter((label, i) => label === labels[i % 2]).length > 290);
+        assert.ok(full.log_likelihood() > new druid.GMM(X_c, { K: 2, covariance_type: "spherical" }).log_likelihood());
+        const bic = [1, 2, 3, 4].map((K) => new druid.GMM(X_c, { K }).bic());
+        assert.equal(bic.indexOf(Math.min(...bic)), 1);
+        assert.ok(full.aic() < full.bic());
+        assert.deepEqual(new druid.GMM(X_c, { K: 2, covariance_type: "full" }).predict(), full.predict());
+
+        assert.throws(() => new druid.GMM(X, { covariance_type: "tied" }), /covariance type/);
+        assert.throws(() => full.predict([[1, 2, 3]]), /columns/);
+    });
+
+    it("Hierarchical_Clustering dendrogram and cuts", () => {
+        const blobs = [Array.from({ length: 30 }, (_, i) => i), Array.from({ length: 30 }, (_, i) => i + 30)];
+        const hc = new druid.Hierarchical_Clustering(X, { linkage: "complete" });
+        const Z = hc.get_linkage();
+        assert.deepEqual(Z.shape, [59, 4]);
+        for (let i = 0; i < 59; ++i) {
+            const [a, b, distance, size] = Z.row(i);
+            assert.ok(a < 60 + i && b < 60 + i);
+            assert.equal(size, (a < 60 ? 1 : Z.entry(a - 60, 3)) + (b < 60 ? 1 : Z.entry(b - 60, 3)));
+            if (i > 0) assert.ok(distance >= Z.entry(i - 1, 2));
+        }
+        assert.equal(Z.entry(58, 3), 60);
+
+        const dendrogram = hc.get_dendrogram();
+        assert.equal(dendrogram.size, 60);
+        assert.equal(dendrogram.id, 118);
+        assert.equal(dendrogram.distance, Z.entry(58, 2));
+        const leaf_indices = [];
+        const stack = [dendrogram];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.children) {
+                assert.equal(node.children.length, 2);
+                assert.equal(node.size, node.children[0].size + node.children[1].size);
+                stack.push(...node.children);
+            } else {
+                leaf_indices.push(node.index);
+            }
+        }
+        assert.deepEqual(leaf_indices.sort((a, b) => a - b), blobs.flat());
+
+        const sorted = (clusters) => clusters.map((cluster) => cluster.sort((a, b) => a - b)).sort((a, b) => a[0] - b[0]);
+        assert.deepEqual(sorted(hc.get_clusters(2, "clusters")), blobs);
+        assert.equal(hc.get_clusters(1, "clusters").length, 1);
+        assert.equal(hc.get_clusters(5, "clusters").length, 5);
+        assert.equal(hc.get_clusters(60, "clusters").length, 60);
+        assert.throws(() => hc.get_clusters(0, "clusters"), /number of clusters/);
+        assert.throws(() => hc.get_clusters(61, "clusters"), /number of clusters/);
+        assert.equal(new Set(hc.parameter("cut_type", "clusters").parameter("cut_value", 3).labels).size, 3);
+
+        const C = hc.get_cophenetic_distances();
+        for (let i = 0; i < 60; ++i) {
+            assert.equal(C.entry(i, i), 0);
+            for (let j = 0; j < 60; ++j) {
+                assert.equal(C.entry(i, j), C.entry(j, i));
+                assert.equal(C.entry(i, j) <= 3, (i < 30) === (j < 30));
+            }
+        }
+        const correlation = hc.get_cophenetic_correlation();
+        assert.ok(correlation > 0.9 && correlation <= 1);
+        assert.equal(new druid.Hierarchical_Clustering(D, { linkage: "complete", metric: "precomputed" }).get_cophenetic_correlation(), correlation);
+
+        // the optimal leaf ordering against all orderings of the tree
+        const Y = new druid.Matrix(8, 2, () => R.random);
+        const D_Y = druid.distance_matrix(Y);
+        const path_length = (order) => order.slice(1).reduce((sum, i, k) => sum + D_Y.entry(order[k], i), 0);
+        const orderings = (node) => {
+            if (!node.left) return [[node.index]];
+            const result = [];
+            for (const left of orderings(node.left)) {
+                for (const right of orderings(node.right)) {
+                    result.push([...left, ...right], [...right, ...left]);
+                }
+            }
+            return result;
+        };
+        const tree = new druid.Hierarchical_Clustering(Y);
+        const optimal = new druid.Hierarchical_Clustering(Y, { optimal_ordering: true });
+        const best = Math.min(...orderings(tree.root).map(path_length));
+        assert.ok(Math.abs(path_length(optimal.get_leaf_order()) - best) < 1e-12);
+        assert.ok(path_length(optimal.get_leaf_order()) <= path_length(tree.get_leaf_order()));
+        assert.deepEqual(optimal.get_leaf_order(), optimal.get_dendrogram().children.flatMap(function leaves(node) {
+            return node.children ? node.children.flatMap(leaves) : [node.index];
+        }));
+        assert.deepEqual(optimal.get_cophenetic_distances(), tree.get_cophenetic_distances());
+        assert.deepEqual(sorted(optimal.get_clusters(3, "clusters")), sorted(tree.get_clusters(3, "clusters")));
+    });
+
+    it("Hierarchical_Clustering linkages", () => {
+        // merges the closest clusters by the definition of each linkage
+        const Y = new druid.Matrix(12, 2, () => R.random * 10).to2dArray;
+        const distance = (a, b) => druid.euclidean(a, b);
+        const mean = (points) => points[0].map((_, d) => points.reduce((sum, p) => sum + p[d], 0) / points.length);
+        const definitions = {
+            single: (A, B) => Math.min(...A.points.flatMap((a) => B.points.map((b) => distance(a, b)))),
+            complete: (A, B) => Math.max(...A.points.flatMap((a) => B.points.map((b) => distance(a, b)))),
+            average: (A, B) => A.points.flatMap((a) => B.points.map((b) => distance(a, b))).reduce((a, b) => a + b) / (A.points.length * B.points.length),
+            ward: (A, B) => Math.sqrt((2 * A.points.length * B.points.length) / (A.points.length + B.points.length)) * distance(mean(A.points), mean(B.points)),
+            centroid: (A, B) => distance(mean(A.points), mean(B.points)),
+            median: (A, B) => distance(A.center, B.center),
+        };
+        for (const [linkage, definition] of Object.entries(definitions)) {
+            let clusters = Y.map((y) => ({ points: [y], center: y }));
+            const distances = [];
+            while (clusters.length > 1) {
+                let best = { d: Infinity };
+                for (let i = 0; i < clusters.length; ++i) {
+                    for (let j = i + 1; j < clusters.length; ++j) {
+                        const d = definition(clusters[i], clusters[j]);
+                        if (d < best.d) best = { d, i, j };
+                    }
+                }
+                const [A, B] = [clusters[best.i], clusters[best.j]];
+                clusters = clusters.filter((_, k) => k !== best.i && k !== best.j);
+                clusters.push({ points: [...A.points, ...B.points], center: A.center.map((c, d) => (c + B.center[d]) / 2) });
+                distances.push(best.d);
+            }
+            const Z = new druid.Hierarchical_Clustering(Y, { linkage }).get_linkage();
+            // centroid and median linkage keep the order of the merges, the others sort them by distance
+            if (linkage !== "centroid" && linkage !== "median") distances.sort((a, b) => a - b);
+            assert.equal(Z.rows, 11);
+            distances.forEach((d, i) => assert.ok(Math.abs(Z.entry(i, 2) - d) < 1e-10, `${linkage}: ${Z.entry(i, 2)} != ${d}`));
+        }
+
+        // 0, 1, 3 and 7 on a line
+        const line = [[0], [1], [3], [7]];
+        const merge_distances = (linkage) => new druid.Hierarchical_Clustering(line, { linkage }).get_linkage().col(2);
+        assert.deepEqual(Array.from(merge_distances("weighted")), [1, 2.5, 5.25]);
+        assert.deepEqual(Array.from(merge_distances("average")), [1, 2.5, 17 / 3]);
+        assert.deepEqual(Array.from(merge_distances("single")), [1, 2, 4]);
+        assert.deepEqual(Array.from(merge_distances("complete")), [1, 3, 7]);
+
+        // larger data, single linkage, and ward, centroid and median linkage of euclidean points without the distance matrix
+        const G = new druid.Randomizer(11);
+        const X_big = new druid.Matrix(3000, 2, (i) => G.random + (i % 2) * 5);
+        const condensed_distances = druid.Hierarchical_Clustering.prototype._condensed_distances;
+        druid.Hierarchical_Clustering.prototype._condensed_distances = () => assert.fail("the distance matrix got computed");
+        try {
+            for (const linkage of ["single", "ward", "centroid", "median"]) {
+                const hc = new druid.Hierarchical_Clustering(X_big, { linkage, cut_type: "clusters", cut_value: 2 });
+                const labels = hc.labels;
+                assert.ok(labels.every((label, i) => label === labels[i % 2]), linkage);
+                assert.notEqual(labels[0], labels[1], linkage);
+                assert.equal(hc.root.size, 3000);
+            }
+        } finally {
+            druid.Hierarchical_Clustering.prototype._condensed_distances = condensed_distances;
+        }
+        // the Lance–Williams updates of precomputed distances give the same tree, up to rounding
+        for (const linkage of ["ward", "centroid", "median"]) {
+            const Z = new druid.Hierarchical_Clustering(D, { linkage, metric: "precomputed" }).get_linkage();
+            const Z_euclidean = new druid.Hierarchical_Clustering(X, { linkage }).get_linkage();
+            for (const col of [0, 1, 3]) assert.deepEqual(Z.col(col), Z_euclidean.col(col), linkage);
+            Z.col(2).forEach((d, i) => assert.ok(Math.abs(d - Z_euclidean.entry(i, 2)) < 1e-12, linkage));
+        }
+
+        assert.throws(() => new druid.Hierarchical_Clustering(X, { linkage: "mean" }), /linkage/);
+    }).timeout(10000);
+
+    it("common interface", () => {
+        const blobs = [Array.from({ length: 30 }, (_, i) => i), Array.from({ length: 30 }, (_, i) => i + 30)];
+        const methods = [
+            new druid.KMeans(X),
+            new druid.KMedoids(X),
+            new druid.XMeans(X),
+            new druid.GMM(X),
+            new druid.OPTICS(X, { epsilon: 1, min_points: 3 }),
+            new druid.DBSCAN(X, { epsilon: 1, min_points: 3 }),
+            new druid.HDBSCAN(X),
+            new druid.Hierarchical_Clustering(X, { cut_value: 3 }),
+        ];
+        for (const method of methods) {
+            assert.ok(method instanceof druid.Clustering);
+            const labels = method.labels;
+            assert.equal(labels.length, 60);
+            // the same partition, whatever the numbering of the clusters
+            assert.ok(labels.every((label, i) => label === labels[i < 30 ? 0 : 30]));
+            assert.notEqual(labels[0], labels[30]);
+            assert.deepEqual(method.get_cluster_list(), labels);
+            const clusters = method.get_clusters().map((cluster) => cluster.sort((a, b) => a - b));
+            assert.deepEqual(clusters.sort((a, b) => a[0] - b[0]), blobs);
+            assert.deepEqual(method.predict(), labels);
+        }
+
+        // centroids, medoids and distributions assign new points
+        const centers = [[0.5, 0.5, 0.5], [5.5, 5.5, 5.5]];
+        for (const method of methods.slice(0, 4)) {
+            const labels = method.labels;
+            assert.deepEqual(method.predict(centers), [labels[0], labels[30]]);
+            assert.deepEqual(method.predict(druid.Matrix.from(centers)), [labels[0], labels[30]]);
+        }
+        assert.deepEqual(new druid.KMedoids(D, { metric: "precomputed" }).predict([D.row(0), D.row(59)]), new druid.KMedoids(D, { metric: "precomputed" }).predict().filter((_, i) => i === 0 || i === 59));
+        for (const method of methods.slice(4)) {
+            assert.throws(() => method.predict(centers), /can not assign/);
+        }
+
+        // parameters
+        const kmeans = new druid.KMeans(X, { K: 3 });
+        assert.equal(kmeans.parameter("K"), 3);
+        assert.equal(new Set(kmeans.labels).size, 3);
+        assert.equal(new Set(kmeans.parameter("K", 2).labels).size, 2);
+        assert.equal(kmeans.p("K"), 2);
+        assert.deepEqual(kmeans.parameter(), { K: 2, metric: druid.euclidean, seed: 1987, init: "kmeans++", n_init: 1, max_iter: 300, tol: 1e-4 });
+        assert.throws(() => new druid.KMeans(X, { k: 3 }), /not a valid parameter/);
+        assert.throws(() => kmeans.parameter("epsilon", 1), /not a valid parameter/);
+        assert.throws(() => new druid.KMeans("X"), /No valid type/);
+
+        // fit_predict on new points
+        const dbscan = new druid.DBSCAN(X_noise, { epsilon: 1, min_points: 5 });
+        assert.deepEqual(dbscan.fit_predict(), expected);
+        assert.deepEqual(new druid.DBSCAN(X, { epsilon: 1, min_points: 5 }).fit_predict(X_noise), expected);
+        assert.deepEqual(new druid.DBSCAN(X, { epsilon: 1, min_points: 5 }).fit_predict(X_noise.to2dArray), expected);
+
+        // fit on new points starts from the parameters of the user, not from those adapted to the previous points
+        class AdaptedKMeans extends druid.KMeans {
+            constructor(points, parameters) {
+                super(points, parameters);
+                this._parameters.K = Math.min(this._parameters.K, this._N);
+            }
+        }
+        const adapted = new AdaptedKMeans(X.get_block(0, 0, 2), { K: 3 });
+        assert.equal(adapted.parameter("K"), 2);
+        assert.equal(new Set(adapted.fit(X).labels).size, 3);
+        assert.equal(adapted.parameter("K"), 3);
+        assert.equal(kmeans.fit(X_noise).parameter("K"), 2);
+        // nor from parameters the user changed in place afterwards
+        const init = [X.row(0), X.row(59)].map((row) => Array.from(row));
+        const seeded = new druid.KMeans(X.get_block(0, 0, 10), { init });
+        init[0].fill(100);
+        init.push(Array.from(X.row(30)));
+        assert.deepEqual(seeded.fit(X).get_centroids(), new druid.KMeans(X, { init: [X.row(0), X.row(59)] }).get_centroids());
+    });
+});
@@ -128,6 +128,24 @@ describe("DR techniques", () => {
         assert.deepEqual([100, 2], (await Y).shape);
     });
 
+    it("ISOMAP: geodesics and landmarks", () => {
+        // points on a plane in 10 dimensions
+        const S = new druid.Matrix(200, 10, (i, j) => (j < 2 ? R.random * (j + 1) : 0));
+        const Y = druid.ISOMAP.transform(S, { neighbors: 10 });
+        assert.ok(druid.shepard_correlation(S, Y) > 0.99);
+        const Y_L = druid.ISOMAP.transform(S, { neighbors: 10, landmarks: 30 });
+        assert.deepEqual([200, 2], Y_L.shape);
+        assert.ok(druid.shepard_correlation(Y, Y_L) > 0.99);
+        assert.throws(() => druid.ISOMAP.transform(S, { neighbors: 10, landmarks: 2 }));
+
+        // two clusters far apart
+        const C = new druid.Matrix(40, 3, (i, j) => R.random + (i < 20 ? 0 : 100));
+        assert.throws(() => druid.ISOMAP.transform(C, { neighbors: 5 }), /2 disconnected components/);
+
+        const graph = druid.SparseMatrix.from_coo(4, 4, [0, 1, 1, 2, 0, 2], [1, 0, 2, 1, 2, 0], [1, 1, 1, 1, 5, 5]);
+        assert.deepEqual(druid.dijkstra(graph, 0), Float64Array.from([0, 1, 2, Infinity]));
+    });
+
     it("LLE", async () => {
         assert.ok(new druid.LLE(X, { d: 3, metric: druid.manhattan, seed: 2323 }));
         const dr = new druid.LLE(X, { d: 2, metric: druid.manhattan });
@@ -148,7 +166,30 @@ describe("DR techniques", () => {
         assert.ok((Y = druid.LLE.transform_async(X, { metric: druid.manhattan, neighbors: 20 })));
         assert.ok(Y instanceof Promise);
         assert.deepEqual([100, 2], (await Y).shape);
-    });
+    }).timeout(10000);
+
+    it("LLE: sparse eigen step", () => {
+        // a long strip of a plane in 3D, the 1D embedding follows its long side
+        const G = new druid.Randomizer(3);
+        const T = Array.from({ length: 150 }, () => [G.random * 4, G.random]);
+        const A = druid.Matrix.from(T.map(([u, v]) => [u, v, u + 2 * v]));
+        const { toMatrix } = druid.SparseMatrix.prototype;
+        const { inverse } = druid.Matrix.prototype;
+        druid.SparseMatrix.prototype.toMatrix = () => assert.fail("M got dense");
+        druid.Matrix.prototype.inverse = () => assert.fail("M got inverted");
+        let Y;
+        try {
+            Y = new druid.LLE(A, { neighbors: 8, d: 1 }).transform();
+        } finally {
+            druid.SparseMatrix.prototype.toMatrix = toMatrix;
+            druid.Matrix.prototype.inverse = inverse;
+        }
+        const u = T.map(([u]) => u);
+        const y = Array.from(Y.col(0));
+        const mean = (a) => a.reduce((s, v) => s + v) / a.length;
+        const cov = (a, b) => a.reduce((s, v, i) => s + (v - mean(a)) * (b[i] - mean(b)), 0);
+        assert.ok(Math.abs(cov(u, y) / Math.sqrt(cov(u, u) * cov(y, y))) > 0.9);
+    }).timeout(10000);
 
     it("LTSA", async () => {
         assert.ok(new druid.LTSA(X, { d: 3, metric: druid.manhattan, seed: 2323 }));
@@ -327,6 +368,151 @@ describe("DR techniques", () => {
 
     });
 
+    it("TSNE: exact gradient", () => {
+        const dr = new druid.TSNE(X, { perplexity: 10 });
+        dr.check_init();
+        const grad = Float64Array.from(dr._gradient(dr.Y).values);
+        assert.ok(grad.some((g) => g !== 0));
+        // the gradient depends on Y only, not on the gradients before
+        assert.deepEqual(dr._gradient(dr.Y).values, grad);
+    });
+
+    it("TSNE: Barnes-Hut", () => {
+        for (const d of [2, 3]) {
+            const Y = druid.TSNE.transform(X, { theta: 0.5, perplexity: 10, d: d });
+            assert.deepEqual([100, d], Y.shape);
+            for (const v of Y.values) {
+                assert.ok(!isNaN(v));
+            }
+        }
+        const D = druid.distance_matrix(X, druid.euclidean_squared);
+        const Y = druid.TSNE.transform(D, { theta: 0.5, perplexity: 10, metric: "precomputed" });
+        assert.deepEqual([100, 2], Y.shape);
+        assert.throws(() => new druid.TSNE(X, { theta: 0.5, d: 4 }).transform());
+    });
+
+    it("TSNE: Barnes-Hut with duplicate points", () => {
+        const dr = new druid.TSNE(X.get_block(0, 0, 20), { theta: 1e-6, perplexity: 5 });
+        dr.check_init();
+        const G = new druid.Randomizer(7);
+        const Y = new druid.Matrix(20, 2, () => G.random);
+        for (const i of [1, 2, 5]) Y.set_row(i, Y.row(0));
+        Y.set_row(11, Y.row(10));
+        // without attractive forces, the gradient consists of the repulsive forces, which are exact for a tiny theta
+        dr._P = new druid.SparseMatrix(20, 20);
+        const grad = dr._gradient_bh(Y);
+        let Z = 0;
+        const expected = new druid.Matrix(20, 2, 0);
+        for (let i = 0; i < 20; ++i) {
+            for (let j = 0; j < 20; ++j) {
+                if (i === j) continue;
+                const q = 1 / (1 + druid.euclidean_squared(Y.row(i), Y.row(j)));
+                Z += q;
+                for (let d = 0; d < 2; ++d) expected.add_entry(i, d, -4 * q * q * (Y.entry(i, d) - Y.entry(j, d)));
+            }
+        }
+        grad.values.forEach((g, i) => assert.ok(Math.abs(g - expected.values[i] / Z) < 1e-10));
+    });
+
+    it("LandmarkMDS and PivotMDS", () => {
+        // data with two intrinsic dimensions, whose distances classical MDS reproduces exactly
+        const Z = new druid.Matrix(100, 2, () => R.random * 4);
+        const M = new druid.Matrix(2, 10, () => R.gauss_random());
+        const X_ = Z.dot(M);
+        const max_error = (Y) => {
+            let error = 0;
+            for (let i = 0; i < 100; ++i) {
+                for (let j = i + 1; j < 100; ++j) {
+                    error = Math.max(error, Math.abs(druid.euclidean(X_.row(i), X_.row(j)) - druid.euclidean(Y.row(i), Y.row(j))));
+                }
+            }
+            return error;
+        };
+        for (const selection of ["maxmin", "random"]) {
+            assert.ok(max_error(druid.LandmarkMDS.transform(X_, { landmarks: 10, selection })) < 1e-2, selection);
+            assert.ok(max_error(druid.PivotMDS.transform(X_, { landmarks: 100, selection })) < 1e-2, selection);
+            assert.deepEqual(druid.PivotMDS.transform(X_, { landmarks: 10, selection }).shape, [100, 2]);
+        }
+        const D = druid.distance_matrix(X_);
+        assert.deepEqual(druid.LandmarkMDS.transform(D, { metric: "precomputed" }).values, druid.LandmarkMDS.transform(X_).values);
+
+        // new points get triangulated, the training points onto themselves
+        for (const method of ["LandmarkMDS", "PivotMDS"]) {
+            assert.ok(druid[method].out_of_sample);
+            const dr = new druid[method](X_, { landmarks: 20 }).fit();
+            const Y_new = dr.transform(druid.Matrix.from(X_.to2dArray.slice(0, 5)));
+            assert.ok(Y_new.values.every((v, i) => Math.abs(v - dr.Y.values[i]) < 1e-8), method);
+            assert.ok(Array.isArray(dr.transform([X.row(0)])));
+        }
+        assert.throws(() => new druid.LandmarkMDS(X, { landmarks: 2 }), /greater than d/);
+        assert.throws(() => new druid.PivotMDS(X, { selection: "kmeans" }), /not a valid landmark selection/);
+    });
+
+    it("SMACOF", () => {
+        // data with two intrinsic dimensions can be projected without stress
+        const Z = new druid.Matrix(60, 2, () => R.random * 4);
+        const X_ = Z.dot(new druid.Matrix(2, 10, () => R.gauss_random()));
+        const D = druid.distance_matrix(X_);
+        const missing = D.clone();
+        for (let i = 0; i < 60; i += 3) {
+            for (let j = i + 1; j < 60; j += 5) {
+                missing.set_entry(i, j, NaN);
+                missing.set_entry(j, i, NaN);
+            }
+        }
+        for (const [name, dr] of [
+            ["metric", new druid.SMACOF(X_)],
+            ["nonmetric", new druid.SMACOF(X_, { nonmetric: true })],
+            ["weights", new druid.SMACOF(D, { metric: "precomputed", weights: new druid.Matrix(60, 60, (i, j) => ((i + j) % 3 === 0 ? 0 : 2)) })],
+            ["missing", new druid.SMACOF(missing, { metric: "precomputed" })],
+        ]) {
+            const Y = dr.transform();
+            assert.deepEqual(Y.shape, [60, 2], name);
+            const { raw, normalized } = dr.stress();
+            assert.ok(raw >= 0 && normalized < 1e-3, name);
+        }
+
+        // restarts keep the best run
+        const single = new druid.SMACOF(X, { n_init: 1 });
+        single.transform();
+        const restarts = new druid.SMACOF(X, { n_init: 4 });
+        restarts.transform();
+        assert.ok(restarts.stress().raw <= single.stress().raw);
+
+        const steps = [...new druid.SMACOF(X, { init_Y: single.Y, tol: 1e-2 }).generator()];
+        assert.ok(steps.length > 0 && steps.length < 300);
+        assert.throws(() => new druid.SMACOF(X, { metric: "precomputed" }), /square/);
+        assert.throws(() => new druid.SMACOF(X, { weights: [[1]] }), /weights/);
+    }).timeout(10000);
+
+    it("PaCMAP", () => {
+        // two well separated clusters stay separated
+        const X_ = new druid.Matrix(100, 10, (i, j) => X.entry(i, j) + (i < 50 ? 0 : 5));
+        const dr = new druid.PaCMAP(X_);
+        const Y = dr.transform();
+        assert.deepEqual([100, 2], Y.shape);
+        assert.ok(Y.values.every((v) => !isNaN(v)));
+        const nearest = (i) => {
+            let best = -1;
+            for (let j = 0; j < 100; ++j) {
+                if (j !== i && (best < 0 || druid.euclidean(Y.row(i), Y.row(j)) < druid.euclidean(Y.row(i), Y.row(best)))) best = j;
+            }
+            return best;
+        };
+        for (let i = 0; i < 100; ++i) {
+            assert.equal(nearest(i) < 50, i < 50);
+        }
+        assert.equal(dr.pair_neighbors.rows, 100 * 10);
+        assert.equal(dr.pair_MN.rows, 100 * 5);
+        assert.equal(dr.pair_FP.rows, 100 * 20);
+
+        const steps = [...new druid.PaCMAP(X, { d: 3 }).generator(20)];
+        assert.equal(steps.length, 20);
+        assert.deepEqual([100, 3], steps[19].shape);
+        const D = druid.distance_matrix(X);
+        assert.deepEqual([100, 2], druid.PaCMAP.transform(D, { metric: "precomputed" }).shape);
+    });
+
     it("UMAP", async () => {
         assert.ok(new druid.UMAP(X, { metric: druid.manhattan, seed: 2323 }));
         const dr = new druid.UMAP(X, { metric: druid.manhattan });
@@ -354,4 +540,329 @@ describe("DR techniques", () => {
         assert.deepEqual([100, 2], (await Y).shape);
         //done();
     }).timeout(10000);
+    it("UMAP: out-of-sample transform", () => {
+        const dr = new druid.UMAP(X, { seed: 1212 });
+        const Y = dr.transform(100);
+        const Y_train = Y.clone();
+        const X_new = new druid.Matrix(10, 10, () => R.random - 0.5);
+        const Y_new = dr.transform(X_new);
+        assert.ok(Y_new instanceof druid.Matrix);
+        assert.deepEqual([10, 2], Y_new.shape);
+        for (const v of Y_new.values) {
+            assert.ok(!isNaN(v));
+        }
+        assert.deepEqual(Y_train.values, dr.Y.values);
+        // the same new points get the same projection, and the fitted model keeps its random state
+        assert.deepEqual(dr.transform(X_new).values, Y_new.values);
+        const fresh = new druid.UMAP(X, { seed: 1212 });
+        fresh.transform(100);
+        assert.equal(dr._randomizer.random, fresh._randomizer.random);
+        const Y_arr = dr.transform(X_new.to2dArray, 10);
+        assert.ok(Array.isArray(Y_arr));
+        assert.deepEqual([10, 2], [Y_arr.length, Y_arr[0].length]);
+        assert.throws(() => dr.transform(new druid.Matrix(10, 3, 0)));
+    }).timeout(10000);
+    it("UMAP: out-of-sample transform drops weak edges", () => {
+        // a new point next to a small group of points, far from the others
+        const G = new druid.Randomizer(1212);
+        const A = new druid.Matrix(40, 3, (i) => G.random + (i < 4 ? 0 : 10 + i));
+        const dr = new druid.UMAP(A, { n_neighbors: 10, seed: 1212 });
+        dr.transform(50);
+        // record the edges and the sampling schedule of the optimization of the new point
+        const calls = [];
+        const optimize_layout = dr._optimize_layout;
+        dr._optimize_layout = function (head_embedding, tail_embedding, head, tail, state, move_other) {
+            calls.push({ head, tail, epochs_per_sample: state._epochs_per_sample });
+            return optimize_layout.call(this, head_embedding, tail_embedding, head, tail, state, move_other);
+        };
+        dr.transform([[0.5, 0.5, 0.5]], 20);
+        assert.equal(calls.length, 20);
+        const { head, tail, epochs_per_sample } = calls[0];
+        assert.ok(head.length > 0 && head.length < 10);
+        assert.equal(tail.length, head.length);
+        assert.ok(tail.every((j) => j < 4));
+        assert.equal(epochs_per_sample.length, head.length);
+        assert.ok(epochs_per_sample.every((e) => e >= 1));
+    }).timeout(10000);
+    it("knn parameter", () => {
+        // one neighbor graph for several projections
+        const tree = new druid.BallTree(X.to2dArray);
+        const lists = Array.from({ length: 100 }, (_, i) =>
+            tree
+                .search_index(i, 31)
+                .raw_data()
+                .map(({ element, value }) => ({ index: element.index, distance: value }))
+        );
+        for (const [method, parameters] of [
+            ["ISOMAP", { neighbors: 10 }],
+            ["LLE", { neighbors: 10 }],
+            ["LTSA", { neighbors: 10 }],
+            ["LSP", { neighbors: 10 }],
+            ["UMAP", { n_neighbors: 15 }],
+            ["TriMap", {}],
+            ["TSNE", { theta: 0.5, perplexity: 5, metric: druid.euclidean }],
+        ]) {
+            const Y = druid[method].transform(X, parameters);
+            assert.deepEqual(druid[method].transform(X, { ...parameters, knn: lists }).values, Y.values, method);
+            assert.deepEqual(druid[method].transform(X, { ...parameters, knn: tree }).values, Y.values, method);
+        }
+        const Y = druid.ISOMAP.transform(X, { neighbors: 10, knn: druid.HNSW });
+        assert.deepEqual([100, 2], Y.shape);
+        assert.ok(Y.values.every((v) => !isNaN(v)));
+        assert.throws(() => druid.ISOMAP.transform(X, { neighbors: 40, knn: lists }), /only 30 neighbors/);
+        assert.throws(() => druid.ISOMAP.transform(X, { knn: lists.slice(1) }));
+        assert.throws(() => druid.ISOMAP.transform(druid.distance_matrix(X), { metric: "precomputed", knn: druid.HNSW }));
+    }).timeout(30000);
+    it("precomputed distances", () => {
+        const D = druid.distance_matrix(X);
+        for (const method of ["FASTMAP", "MDS", "ISOMAP", "TopoMap", "UMAP"]) {
+            const Y = druid[method].transform(D, { metric: "precomputed" });
+            assert.deepEqual(Y.values, druid[method].transform(X).values, method);
+        }
+        for (const [method, parameters] of [
+            ["TSNE", {}],
+            ["TriMap", {}],
+            ["LSP", {}],
+            ["SAMMON", { init_DR: "MDS" }],
+            ["SQDMDS", {}],
+        ]) {
+            const Y = druid[method].transform(D, { ...parameters, metric: "precomputed" });
+            assert.deepEqual([100, 2], Y.shape, method);
+            assert.ok(Y.values.every((v) => !isNaN(v)), method);
+        }
+        assert.throws(() => druid.LLE.transform(D, { metric: "precomputed" }), /precomputed/);
+        assert.throws(() => druid.LTSA.transform(D, { metric: "precomputed" }), /precomputed/);
+        assert.throws(() => druid.SAMMON.transform(D, { metric: "precomputed", init_DR: "PCA" }), /precomputed/);
+        assert.throws(() => druid.PCA.transform(D, { metric: "precomputed" }), /metric is not a valid parameter/);
+    }).timeout(30000);
+    it("fit and out-of-sample transform", () => {
+        const close = (A, B) => A.values.every((v, i) => Math.abs(v - B.values[i]) < 1e-3);
+        const X_new = new druid.Matrix(5, 10, () => R.random - 0.5);
+
+        // fit, and fit_transform with new training data
+        const pca = new druid.PCA(X);
+        assert.equal(pca.fit(), pca);
+        assert.deepEqual(pca.fit_transform().values, druid.PCA.transform(X).values);
+        const X_arr = X.to2dArray.slice(0, 50);
+        const Y_arr = new druid.PCA(X, { d: 3 }).fit_transform(X_arr);
+        assert.deepEqual(Y_arr, druid.PCA.transform(X_arr, { d: 3 }));
+        assert.deepEqual(new druid.TSNE(X).fit(X_arr, 10).Y.shape, [50, 2]);
+        // parameters adapted to small data do not stick to larger data
+        const pacmap = new druid.PaCMAP(X.get_block(0, 0, 8, 10), { n_neighbors: 12 });
+        assert.equal(pacmap.parameter("n_neighbors"), 7);
+        assert.equal(pacmap.fit(X, 1).parameter("n_neighbors"), 12);
+        assert.equal(new druid.LLE(X.get_block(0, 0, 8, 10)).fit(X).parameter("neighbors"), 10);
+        assert.equal(new druid.PaCMAP(X).parameter("n_neighbors", 15).fit(X_arr, 1).parameter("n_neighbors"), 15);
+        // the state of the previous data does not stick either
+        const isomap = new druid.ISOMAP(X_arr, { neighbors: 10 }).fit();
+        assert.deepEqual(isomap.fit(X).transform(X_new).values, new druid.ISOMAP(X, { neighbors: 10 }).fit().transform(X_new).values);
+        const tsne = new druid.TSNE(X_arr).fit(null, 10);
+        assert.deepEqual(tsne.fit(X, 10).Y.values, new druid.TSNE(X).fit(null, 10).Y.values);
+        // a searcher or neighbor lists belong to the data they got built for
+        const tree = new druid.BallTree(X_arr);
+        const lists = Array.from({ length: 50 }, (_, i) => tree.search_index(i, 11).raw_data().map(({ element, value }) => ({ index: element.index, distance: value })));
+        for (const knn of [tree, lists]) {
+            const dr = new druid.ISOMAP(X_arr, { neighbors: 10, knn }).fit();
+            assert.throws(() => dr.fit(X), /previous data/);
+            assert.deepEqual(dr.parameter("knn", druid.BallTree).fit(X).Y.values, new druid.ISOMAP(X, { neighbors: 10 }).fit().Y.values);
+        }
+
+        for (const [method, parameters] of [
+            ["PCA", {}],
+            ["LDA", { labels: L }],
+            ["MDS", {}],
+            ["ISOMAP", { neighbors: 10 }],
+            ["LLE", { neighbors: 15 }],
+            ["LSP", {}],
+            ["UMAP", {}],
+        ]) {
+            assert.ok(druid[method].out_of_sample, method);
+            const dr = new druid[method](X, parameters).fit();
+            const Y_new = dr.transform(X_new);
+            assert.deepEqual(Y_new.shape, [5, 2], method);
+            assert.ok(Y_new.values.every((v) => !isNaN(v)), method);
+            assert.ok(Array.isArray(dr.transform(X_new.to2dArray)), method);
+        }
+
+        // the training points get projected onto themselves
+        for (const [method, parameters] of [
+            ["MDS", {}],
+            ["ISOMAP", { neighbors: 10 }],
+        ]) {
+            const dr = new druid[method](X, parameters).fit();
+            assert.ok(close(dr.transform(druid.Matrix.from(X.to2dArray.slice(0, 5))), druid.Matrix.from(dr.Y.to2dArray.slice(0, 5))), method);
+        }
+        const D = druid.distance_matrix(X);
+        const mds = new druid.MDS(D, { metric: "precomputed" }).fit();
+        assert.ok(close(mds.transform(druid.Matrix.from(D.to2dArray.slice(0, 5))), druid.Matrix.from(mds.Y.to2dArray.slice(0, 5))));
+
+        for (const [method, args] of [
+            ["TSNE", [10]],
+            ["TriMap", [10]],
+            ["SAMMON", [10]],
+            ["SQDMDS", [10]],
+            ["FASTMAP", []],
+            ["LTSA", []],
+            ["TopoMap", []],
+        ]) {
+            assert.ok(!druid[method].out_of_sample, method);
+            const dr = new druid[method](X).fit(null, ...args);
+            assert.throws(() => dr.transform(X_new), new RegExp(`${method} can not project new data`), method);
+        }
+    }).timeout(30000);
+    it("KernelPCA", () => {
+        const close = (A, B) => A.values.every((v, i) => Math.abs(v - B.values[i]) < 1e-3);
+        // with the linear kernel it is PCA of the centered data, up to the signs of the components
+        const linear = (a, b) => a.reduce((sum, a_i, i) => sum + a_i * b[i], 0);
+        const X_ = new druid.Matrix(100, 10, (i, j) => X.entry(i, j) * (j + 1));
+        const Y = druid.KernelPCA.transform(X_, { kernel: linear });
+        const pca = new druid.PCA(X_);
+        const Y_pca = pca.transform();
+        const mean = druid.Matrix.from([X_.meanCols]).dot(pca.V).row(0);
+        const Y_centered = Y_pca.sub(mean);
+        for (let k = 0; k < 2; ++k) {
+            const sign = Math.sign(Y.entry(0, k) * Y_centered.entry(0, k));
+            for (let i = 0; i < 100; ++i) {
+                assert.ok(Math.abs(Y.entry(i, k) - sign * Y_centered.entry(i, k)) < 1e-2);
+            }
+        }
+
+        for (const kernel of ["rbf", "polynomial", "sigmoid", "cosine"]) {
+            const dr = new druid.KernelPCA(X, { kernel, d: 3 });
+            const Y = dr.transform();
+            assert.deepEqual(Y.shape, [100, 3], kernel);
+            assert.ok(Y.values.every((v) => !isNaN(v)), kernel);
+            // the training points get projected onto themselves
+            assert.ok(close(dr.transform(druid.Matrix.from(X.to2dArray.slice(0, 5))), druid.Matrix.from(Y.to2dArray.slice(0, 5))), kernel);
+        }
+        assert.ok(druid.KernelPCA.out_of_sample);
+        assert.ok(Array.isArray(new druid.KernelPCA(X.to2dArray, { gamma: 0.5 }).fit().transform([X.row(0)])));
+        assert.throws(() => new druid.KernelPCA(X, { kernel: "laplacian" }), /not a valid kernel/);
+    });
+    it("inverse transform", () => {
+        const close = (A, B) => A.values.every((v, i) => Math.abs(v - B.values[i]) < 1e-8);
+        const P = new druid.Matrix(5, 2, () => R.random - 0.5);
+
+        // linear methods: projecting the back-projected points gives the points again
+        for (const [method, parameters] of [
+            ["PCA", {}],
+            ["LDA", { labels: L }],
+        ]) {
+            const dr = new druid[method](X, parameters).fit();
+            const X_back = dr.inverse_transform(P);
+            assert.deepEqual(X_back.shape, [5, 10], method);
+            assert.ok(close(dr.transform(X_back), P), method);
+            assert.ok(Array.isArray(dr.inverse_transform(P.to2dArray)), method);
+        }
+        const pca = new druid.PCA(X, { d: 10 }).fit();
+        assert.ok(close(pca.inverse_transform(pca.Y), X));
+
+        // nonlinear methods interpolate between the rows of X
+        const umap = new druid.UMAP(X).fit(null, 50);
+        assert.deepEqual(umap.inverse_transform(druid.Matrix.from(umap.Y.to2dArray.slice(0, 3))).values, druid.Matrix.from(X.to2dArray.slice(0, 3)).values);
+        const X_back = umap.inverse_transform(P.to2dArray, 10);
+        assert.equal(X_back.length, 5);
+        const [min, max] = [Math.min(...X.values), Math.max(...X.values)];
+        assert.ok(X_back.every((row) => row.length === 10 && row.every((v) => v >= min && v <= max)));
+
+        assert.throws(() => new druid.ISOMAP(X).inverse_transform(P), /not transformed yet/);
+        assert.throws(() => umap.inverse_transform(new druid.Matrix(1, 3, 0)), /2 columns/);
+        const mds = new druid.MDS(druid.distance_matrix(X), { metric: "precomputed" }).fit();
+        assert.throws(() => mds.inverse_transform(P), /only knows the distances/);
+    }).timeout(10000);
+});
+
+describe("DR serialization", () => {
+    const R = new druid.Randomizer(1212);
+    const X = new druid.Matrix(100, 10, () => R.random - 0.5);
+    const L = Float64Array.from({ length: 100 }, (_, i) => (i < 50 ? 0 : 1));
+    const parameters = {
+        PCA: {},
+        LDA: { labels: L },
+        LSP: { metric: druid.manhattan },
+        UMAP: { n_neighbors: 10 },
+        TSNE: { theta: 0.5, perplexity: 10 },
+        TriMap: {},
+        KernelPCA: { kernel: "polynomial" },
+        PaCMAP: {},
+        LandmarkMDS: {},
+        PivotMDS: {},
+        SMACOF: { n_init: 1 },
+    };
+    for (const [method, p] of Object.entries(parameters)) {
+        it(method, () => {
+            const dr = new druid[method](X, p);
+            const Y = dr.transform();
+            const json = JSON.stringify(dr);
+            const restored = druid.DR.fromJSON(json);
+            assert.ok(restored instanceof druid[method]);
+            for (const [name, value] of Object.entries(dr.parameter())) {
+                if (name !== "eig_args") assert.deepEqual(restored.parameter(name), value);
+            }
+            assert.deepEqual(restored.projection.values, Y.values);
+            assert.deepEqual(druid[method].fromJSON(json).transform().values, dr.transform().values);
+        });
+    }
+
+    it("UMAP out-of-sample after restoring", () => {
+        const dr = new druid.UMAP(X, { n_neighbors: 10 });
+        dr.transform(50);
+        const restored = druid.UMAP.fromJSON(JSON.stringify(dr));
+        const X_new = new druid.Matrix(5, 10, () => R.random - 0.5);
+        assert.deepEqual(restored.transform(X_new).values, dr.transform(X_new).values);
+    });
+
+    it("errors", () => {
+        const dr = new druid.UMAP(X, { metric: (a, b) => druid.euclidean(a, b) });
+        assert.throws(() => JSON.stringify(dr));
+        const json = JSON.stringify(new druid.PCA(X));
+        assert.throws(() => druid.UMAP.fromJSON(json));
+        assert.ok(druid.PCA.fromJSON(json, { d: 3 }).parameter("d") === 3);
+    });
+});
+
+describe("DRWorker", () => {
+    const R = new druid.Randomizer(1212);
+    const X = new druid.Matrix(100, 10, () => R.random - 0.5);
+    it("transform", async () => {
+        const worker = new druid.DRWorker("UMAP", X, { metric: druid.manhattan, seed: 2323 });
+        const Y = await worker.transform(50);
+        assert.ok(Y instanceof druid.Matrix);
+        assert.deepEqual(Y.values, new druid.UMAP(X, { metric: druid.manhattan, seed: 2323 }).transform(50).values);
+        const Y_array = await new druid.DRWorker("PCA", X.to2dArray).transform();
+        assert.deepEqual(Y_array, druid.PCA.transform(X.to2dArray));
+    }).timeout(10000);
+    it("generator", async () => {
+        const worker = new druid.DRWorker("TSNE", X, { perplexity: 10 });
+        let steps = 0;
+        for await (const Y of worker.generator(20)) {
+            assert.deepEqual([100, 2], Y.shape);
+            ++steps;
+        }
+        assert.equal(steps, 20);
+    }).timeout(10000);
+    it("cancel and errors", async () => {
+        const worker = new druid.DRWorker("TSNE", X, { perplexity: 10 });
+        let steps = 0;
+        for await (const _ of worker.generator(1000)) {
+            if (++steps == 5) worker.cancel();
+        }
+        assert.ok(steps < 1000);
+        const pending = worker.transform(10000);
+        setTimeout(() => worker.cancel(), 100);
+        await assert.rejects(pending, /cancelled/);
+        await assert.rejects(new druid.DRWorker("UMAP", X, { n_neighbors: 1000 }).transform(), /n_neighbors/);
+        await assert.rejects(new druid.DRWorker("Matrix", X).transform(), /not a valid DR method/);
+        assert.throws(() => new druid.DRWorker("UMAP", X, { metric: (a, b) => a - b }));
+        await assert.rejects(new druid.DRWorker("PCA", X, {}, { url: "not/a/worker.js" }).transform(), /path/);
+    }).timeout(10000);
+    it("start fails", async () => {
+        const worker = new druid.DRWorker("PCA", X);
+        worker._start = async () => {
+            throw new Error("no worker");
+        };
+        await assert.rejects(worker.transform(), /no worker/);
+        delete worker._start;
+        assert.deepEqual(await worker.transform(), druid.PCA.transform(X));
+    }).timeout(10000);
 });
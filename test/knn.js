@@ -0,0 +1,63 @@
+import * as druid from "./test_index.js";
+import * as assert from "assert";
+
+describe("KNN", () => {
+    const R = new druid.Randomizer(1212);
+    const N = 300;
+    const X = druid.Matrix.from(Array.from({ length: N }, () => Array.from({ length: 5 }, () => R.random)));
+    const elements = X.to2dArray;
+    const k = 10;
+    const exact = new druid.KNN(X);
+
+    const indices = (H) => new Set(H.raw_data().map(({ element }) => element.index));
+    const recall = (searcher, query) => {
+        let hits = 0;
+        for (let i = 0; i < N; ++i) {
+            const found = indices(query(searcher, i));
+            for (const j of indices(exact.search_index(i, k))) {
+                if (found.has(j)) ++hits;
+            }
+        }
+        return hits / (N * k);
+    };
+
+    it("KNN and BallTree", () => {
+        const tree = new druid.BallTree(elements);
+        assert.equal(recall(tree, (s, i) => s.search_index(i, k)), 1);
+        assert.equal(recall(tree, (s, i) => s.search(elements[i], k)), 1);
+        const H = exact.search(elements[0], k);
+        assert.ok(H instanceof druid.Heap);
+        assert.equal(H.length, k);
+        assert.equal(H.raw_data().find(({ element }) => element.index === 0).value, 0);
+
+        const precomputed = new druid.KNN(druid.distance_matrix(X), "precomputed");
+        assert.deepEqual(indices(precomputed.search_index(3, k)), indices(exact.search_index(3, k)));
+        assert.throws(() => precomputed.search(elements[3], k));
+
+        // the deprecated heaps of all distances
+        const small = new druid.KNN(elements.slice(0, 20));
+        assert.equal(small.KNN.length, 20);
+        assert.deepEqual(small.KNN[3].first.element, { value: 0, index: 3 });
+        assert.deepEqual(indices(small.search_index(3, 5)), new Set(Array.from({ length: 5 }, () => small.KNN[3].pop().element.index)));
+        small.add(elements.slice(20, 30));
+        assert.equal(small.KNN.length, 30);
+    });
+
+    it("HNSW", () => {
+        const hnsw = new druid.HNSW(elements, druid.euclidean, true, 8, 50);
+        assert.ok(recall(hnsw, (s, i) => s.search_index(i, k)) > 0.9);
+        assert.equal(hnsw.search(elements[0], k).length, k);
+
+        // incremental insertion keeps the indices
+        const incremental = new druid.HNSW(elements.slice(0, 100), druid.euclidean, true, 8, 50).add(elements.slice(100));
+        assert.ok(recall(incremental, (s, i) => s.search_index(i, k)) > 0.9);
+        assert.ok(indices(incremental.search_index(250, k)).has(250));
+    });
+
+    it("NNDescent", () => {
+        const nnd = new druid.NNDescent(elements, druid.euclidean, k);
+        assert.ok(recall(nnd, (s, i) => s.search_index(i, k)) > 0.9);
+        assert.ok(recall(nnd, (s, i) => s.search(elements[i], k)) > 0.9);
+        assert.equal(nnd.search_index(0, 2 * k).length, 2 * k);
+    });
+});
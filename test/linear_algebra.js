@@ -79,7 +79,27 @@ describe("eig", () => {
         const { eigenvalues: B_val, eigenvectors: B_vec } = druid.simultaneous_poweriteration(B, 3);
         approxEqual(B_val, Float64Array.from([17, 8, 7]));
         checkEigs(B, B_val, B_vec);
+
+        // a linear operator instead of a Matrix
+        const B_op = { rows: 3, dot: (Q) => B.dot(Q) };
+        assert.deepEqual(druid.simultaneous_poweriteration(B_op, 3), druid.simultaneous_poweriteration(B, 3));
     }).timeout(10000);
+    it("cholesky", () => {
+        const L = druid.cholesky(M);
+        for (let i = 0; i < N; ++i) {
+            for (let j = i + 1; j < N; ++j) {
+                assert.equal(L.entry(i, j), 0);
+            }
+        }
+        approxEqual(L.dot(L.T).values, M.values);
+
+        const A = druid.Matrix.from([[4, 12, -16], [12, 37, -43], [-16, -43, 98]]);
+        const L_A = druid.cholesky(A);
+        approxEqual(L_A.values, Float64Array.from([2, 0, 0, 6, 1, 0, -8, 5, 3]));
+        approxEqual(druid.forward_substitution(L_A, [2, 7, 12]), Float64Array.from([1, 1, 5]));
+
+        assert.throws(() => druid.cholesky(druid.Matrix.from([[1, 2], [2, 1]])), /positive definite/);
+    });
 });
 
 function checkDecomposition(A, Q, R) {
@@ -119,4 +119,59 @@ function deepEqual(a, b) {
   for (let i = 0; i < N; ++i) {
     assert.ok(Math.abs(a[i] - b[i]) < 0.0001, (a + ' ~= ' + b));
   }
-}
\ No newline at end of file
+}
+describe("SparseMatrix", () => {
+    const A_dense = druid.Matrix.from([
+        [1, 0, 0, 2],
+        [0, 0, 3, 0],
+        [0, 0, 0, 0],
+        [4, 5, 0, 6],
+    ]);
+    const B_dense = druid.Matrix.from([
+        [0, 1, 0, 0],
+        [2, 0, 0, 0],
+        [0, 0, 0, 3],
+        [0, 4, 0, 5],
+    ]);
+    const A = druid.SparseMatrix.from(A_dense);
+    const B = druid.SparseMatrix.from(B_dense);
+
+    it("Conversion", () => {
+        assert.deepEqual(A.shape, [4, 4]);
+        assert.equal(A.nnz, 6);
+        assert.deepEqual(A.toMatrix().values, A_dense.values);
+        assert.equal(A.entry(3, 1), 5);
+        assert.equal(A.entry(2, 1), 0);
+        assert.deepEqual(A.row(3), A_dense.row(3));
+        const { rows, cols, data } = A.tocoo();
+        const C = druid.SparseMatrix.from_coo(4, 4, [...rows, 0], [...cols, 0], [...data, 1]);
+        assert.equal(C.nnz, 6);
+        assert.equal(C.entry(0, 0), 2);
+        assert.throws(() => druid.SparseMatrix.from_coo(2, 2, [2], [0], [1]));
+        assert.deepEqual(A.T.toMatrix().values, A_dense.T.values);
+    });
+
+    it("Products", () => {
+        assert.deepEqual(A.dot(B).toMatrix().values, A_dense.dot(B_dense).values);
+        assert.deepEqual(A.dot(B_dense).values, A_dense.dot(B_dense).values);
+        assert.deepEqual(A.dot([1, 2, 3, 4]), A_dense.dot([1, 2, 3, 4]));
+        assert.throws(() => A.dot(new druid.Matrix(3, 3, 1)));
+    });
+
+    it("Entrywise operations", () => {
+        assert.deepEqual(A.add(B).toMatrix().values, A_dense.add(B_dense).values);
+        assert.deepEqual(A.sub(B).toMatrix().values, A_dense.sub(B_dense).values);
+        assert.deepEqual(A.mult(B).toMatrix().values, A_dense.mult(B_dense).values);
+        assert.deepEqual(A.mult(2).toMatrix().values, A_dense.mult(2).values);
+        assert.deepEqual(A.divide(2).toMatrix().values, A_dense.divide(2).values);
+        assert.equal(A.sub(A).nnz, 0);
+        assert.throws(() => A.add(B_dense));
+    });
+
+    it("Eigenvectors", () => {
+        const S = A_dense.add(A_dense.T);
+        const { eigenvalues: e_dense } = druid.simultaneous_poweriteration(S, 2);
+        const { eigenvalues: e_sparse } = druid.simultaneous_poweriteration(druid.SparseMatrix.from(S), 2);
+        assert.deepEqual(e_sparse, e_dense);
+    });
+});
@@ -0,0 +1,43 @@
+import * as druid from "./test_index.js";
+import * as assert from "assert";
+
+describe("quality", () => {
+    const R = new druid.Randomizer(1212);
+    const X = new druid.Matrix(100, 10, () => R.random - 0.5);
+    const L = Array.from({ length: 100 }, (_, i) => (i < 50 ? 0 : 1));
+    const Y = druid.PCA.transform(X);
+    const Y_random = new druid.Matrix(100, 2, () => R.random);
+
+    it("trustworthiness and continuity", () => {
+        assert.equal(druid.trustworthiness(X, X), 1);
+        assert.equal(druid.continuity(X, X), 1);
+        const T = druid.trustworthiness(X, Y, 7);
+        const C = druid.continuity(X, Y, 7);
+        assert.ok(T > 0 && T < 1);
+        assert.ok(C > 0 && C < 1);
+        assert.ok(druid.trustworthiness(X, Y_random, 7) < T);
+        const D = druid.distance_matrix(X);
+        assert.equal(druid.trustworthiness(D, Y.to2dArray, 7, "precomputed"), T);
+        assert.throws(() => druid.trustworthiness(X, Y, 50));
+    });
+
+    it("stress and shepard correlation", () => {
+        assert.equal(druid.stress(X, X), 0);
+        assert.ok(Math.abs(druid.shepard_correlation(X, X) - 1) < 1e-12);
+        const D = druid.distance_matrix(X, druid.manhattan);
+        assert.equal(druid.stress(D, Y, "precomputed"), druid.stress(X, Y, druid.manhattan));
+        assert.ok(druid.shepard_correlation(X, Y) > druid.shepard_correlation(X, Y_random));
+        assert.throws(() => druid.stress(X, Y.get_block(0, 0, 50)));
+    });
+
+    it("knn preservation and neighborhood hit", () => {
+        assert.equal(druid.knn_preservation(X, X, 10), 1);
+        const P = druid.knn_preservation(X, Y, 10);
+        assert.ok(P > 0 && P < 1);
+        assert.equal(druid.knn_preservation(druid.distance_matrix(X), Y, 10, "precomputed"), P);
+        const Y_labeled = new druid.Matrix(100, 2, (i, j) => L[i] * 10 + R.random);
+        assert.equal(druid.neighborhood_hit(Y_labeled, L), 1);
+        assert.ok(druid.neighborhood_hit(Y_random, L) < 1);
+        assert.throws(() => druid.neighborhood_hit(Y, L.slice(1)));
+    });
+});
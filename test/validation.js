@@ -0,0 +1,83 @@
+import * as druid from "./test_index.js";
+import * as assert from "assert";
+
+describe("validation", () => {
+    const R = new druid.Randomizer(1212);
+    const X = new druid.Matrix(60, 3, (i) => R.random + (i < 30 ? 0 : 5));
+    const L = Array.from({ length: 60 }, (_, i) => (i < 30 ? 0 : 1));
+    const L_random = Array.from({ length: 60 }, () => R.random_int % 2);
+    const line = [[0], [1], [10], [11]];
+    const close = (a, b) => Math.abs(a - b) < 1e-12;
+
+    it("silhouette", () => {
+        const s = druid.silhouette_samples(line, [0, 0, 1, 1]);
+        assert.ok(close(s[0], 9.5 / 10.5));
+        assert.ok(close(s[1], 8.5 / 9.5));
+        assert.ok(close(druid.silhouette(line, [0, 0, 1, 1]), s.reduce((a, b) => a + b) / 4));
+        assert.deepEqual(Array.from(druid.silhouette_samples(line, [0, 0, 0, 1])).slice(3), [0]);
+
+        const S = druid.silhouette(X, L);
+        assert.ok(S > 0.8 && S <= 1);
+        assert.ok(druid.silhouette(X, L_random) < 0.1);
+        assert.equal(druid.silhouette(druid.distance_matrix(X, druid.manhattan), L, "precomputed"), druid.silhouette(X, L, druid.manhattan));
+        // clusters, and noise
+        assert.equal(druid.silhouette(X, [L.map((_, i) => i).slice(0, 30), L.map((_, i) => i).slice(30)]), S);
+        const noisy = druid.silhouette_samples(X, [...L.slice(0, 59), -1]);
+        assert.ok(isNaN(noisy[59]));
+        assert.throws(() => druid.silhouette(X, L.map(() => 0)), /at least 2 clusters/);
+        assert.throws(() => druid.silhouette(X, L.slice(1)), /label/);
+    });
+
+    it("davies-bouldin, calinski-harabasz and dunn", () => {
+        assert.ok(close(druid.davies_bouldin(line, [0, 0, 1, 1]), 0.1));
+        assert.ok(close(druid.calinski_harabasz(line, [0, 0, 1, 1]), 200));
+        assert.ok(close(druid.dunn(line, [0, 0, 1, 1]), 9));
+        assert.ok(close(druid.dunn(line, [[0, 1], [2, 3]]), 9));
+
+        assert.ok(druid.davies_bouldin(X, L) < druid.davies_bouldin(X, L_random));
+        assert.ok(druid.calinski_harabasz(X, L) > druid.calinski_harabasz(X, L_random));
+        assert.ok(druid.dunn(X, L) > druid.dunn(X, L_random));
+        assert.equal(druid.dunn(druid.distance_matrix(X), L, "precomputed"), druid.dunn(X, L));
+        assert.throws(() => druid.davies_bouldin(X, L, "precomputed"), /coordinates/);
+    });
+
+    it("gap statistic", () => {
+        const centers = [[0, 0], [10, 0], [0, 10], [10, 10]];
+        const G = new druid.Randomizer(5);
+        const Y = druid.Matrix.from(Array.from({ length: 60 }, (_, i) => centers[i % 4].map((c) => c + G.gauss_random() * 0.5)));
+        const { K, gaps, s } = druid.gap_statistic(Y, 6);
+        assert.equal(K, 4);
+        assert.equal(gaps.length, 6);
+        assert.ok(s.every((s_k) => s_k >= 0));
+        const hierarchical = (A, K) => new druid.Hierarchical_Clustering(A, { linkage: "ward", cut_type: "clusters", cut_value: K }).get_clusters();
+        assert.equal(druid.gap_statistic(Y, 6, 5, hierarchical).K, 4);
+        assert.deepEqual(druid.gap_statistic(Y, 6), { K, gaps, s });
+        assert.throws(() => druid.gap_statistic(Y, 61), /K_max/);
+    });
+
+    it("external indices", () => {
+        assert.ok(close(druid.adjusted_rand_index([0, 0, 1, 2], [0, 0, 1, 1]), 4 / 7));
+        const v = druid.v_measure([0, 0, 1, 1], [0, 0, 1, 2]);
+        assert.ok(close(v.homogeneity, 1));
+        assert.ok(close(v.completeness, Math.log(2) / (1.5 * Math.log(2))));
+        assert.ok(close(v.v_measure, 0.8));
+        assert.ok(close(druid.fowlkes_mallows([0, 0, 0, 1, 1, 1], [0, 0, 1, 1, 2, 2]), 4 / Math.sqrt(72)));
+        assert.equal(druid.fowlkes_mallows([0, 0, 0, 0], [0, 1, 2, 3]), 0);
+
+        // the same partition with other labels
+        const relabeled = L.map((l) => (l === 0 ? "b" : "a"));
+        for (const index of [druid.adjusted_rand_index, druid.normalized_mutual_information, druid.fowlkes_mallows]) {
+            assert.ok(close(index(L, relabeled), 1));
+            assert.ok(index(L, L_random) < 0.6);
+        }
+        assert.ok(close(druid.v_measure(L, relabeled).v_measure, 1));
+        assert.ok(close(druid.v_measure(L, L_random).v_measure, druid.normalized_mutual_information(L, L_random)));
+        assert.ok(Math.abs(druid.adjusted_rand_index(L, L_random)) < 0.1);
+        assert.ok(druid.normalized_mutual_information(L, L_random) < 0.1);
+
+        const kmeans = new druid.KMeans(X);
+        assert.equal(druid.adjusted_rand_index(kmeans.get_clusters(), L), 1);
+        assert.equal(druid.adjusted_rand_index(kmeans.get_clusters(), kmeans.labels), 1);
+        assert.equal(druid.silhouette(X, kmeans.get_clusters()), druid.silhouette(X, kmeans.labels));
+    });
+});